@@ -9,24 +9,56 @@
 * 
 */
 
-import { db } from './firebaseConfig';
-import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc, Timestamp, query, where } from 'firebase/firestore';
+import { DOCUMENT_ID, getRepository, subscribeAfter } from './services/repository';
+import { registerQueuedOperation, runOrQueue } from './services/offlineQueue';
+import { transitionRepairRequest } from './services/repairRequests';
+import { AUDIT_COLLECTIONS, appendAuditEntries, readAuditHead } from './services/auditLog';
+import { ATTACHMENT_TYPES, deleteAttachmentsFor } from './services/attachments';
+import { ValidationError, assertValidDocument, defineSchema, hasSchema } from './services/schemas';
+import { getSettings } from './services/settings';
+import { ROLES, STAFF_ROLES, ADMIN_ONLY, PermissionDeniedError, getCurrentUserContext, isStaff, requireRole, requireSelfOrRole } from './services/permissions';
+import { Timestamp } from 'firebase/firestore';
+import { formatCsvDate, parseCsv, suggestColumnMapping, toCsv } from './utils/csv';
+
+// Roles a tenant can hold within an apartment
+const TENANT_ROLES = ['primary', 'secondary'];
+
+// Apartment fields derived from tenant assignments or the linked building that callers cannot set directly
+const APARTMENT_MANAGED_FIELDS = ['status', 'currentOccupants', 'buildingName'];
+
+// Building fields that can be set by callers
+const BUILDING_FIELDS = ['name', 'address', 'floors', 'yearBuilt', 'manager'];
+
+// Lease fields that can be changed after a lease is created
+const LEASE_UPDATABLE_FIELDS = ['startDate', 'endDate', 'monthlyRent', 'terms'];
 
 /*
 * APARTMENT AND TENANT MANAGEMENT IMPLEMENTATION GUIDE
 * 
 * 1. DATABASE STRUCTURE
 * 
+* Buildings Collection:
+* - buildingId (auto-generated)
+* - name: string
+* - nameKey: string (lower-cased name with single spaces, unique)
+* - address: string
+* - floors: number
+* - yearBuilt: number
+* - manager: { name: string, email: string, phone: string }
+* - createdAt: timestamp
+* - updatedAt: timestamp
+* 
 * Apartments Collection:
 * - apartmentId (auto-generated)
-* - buildingName: string
+* - buildingId: string | null (reference to building)
+* - buildingName: string | null (copy of the building's name, kept in sync)
 * - unitNumber: string
 * - floor: number
 * - rooms: number
-* - status: 'available' | 'occupied'
+* - status: 'available' | 'occupied' (kept in sync: 'occupied' once currentOccupants reaches maxOccupants)
 * - monthlyRent: number
 * - amenities: string[]
-* - maxOccupants: number
+* - maxOccupants: number (defaults to the defaultMaxOccupants setting)
 * - currentOccupants: number
 * - createdAt: timestamp
 * - updatedAt: timestamp
@@ -37,15 +69,44 @@ import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc,
 * - apartmentId: string (reference to apartment)
 * - status: 'active' | 'inactive' | 'pending'
 * - role: 'primary' | 'secondary'
+* - leaseId: string | null (reference to the lease, held by the primary tenant)
 * - leaseStartDate: timestamp
 * - leaseEndDate: timestamp
+* - monthlyRent: number
 * - createdAt: timestamp
 * - updatedAt: timestamp
 * 
-* Users Collection (Update):
-* - Add apartmentId reference
-* - Add leaseStartDate
-* - Add leaseEndDate
+* Leases Collection:
+* - id (auto-generated)
+* - tenantApartmentId: string (reference to tenantApartments)
+* - apartmentId: string (reference to apartment)
+* - userId: string (reference to user)
+* - startDate: timestamp
+* - endDate: timestamp
+* - monthlyRent: number
+* - terms: string
+* - status: 'active' | 'ended' | 'renewed'
+* - previousLeaseId: string | null (lease this one renewed)
+* - renewedByLeaseId: string (set once a lease is renewed)
+* - endedAt: timestamp
+* - createdAt: timestamp
+* - updatedAt: timestamp
+* 
+* Users Collection:
+* - id (the Firebase Auth uid)
+* - name: string
+* - firstName: string
+* - lastName: string
+* - nameKey: string (lower-cased display name, searched by getUsersPage)
+* - email: string
+* - apartmentId: string | null (reference to apartment)
+* - leaseStartDate: timestamp
+* - leaseEndDate: timestamp
+* - role: 'admin' | 'landlord' | 'tenant'
+* - active: boolean (false once an admin deactivates the account)
+* - deactivatedAt: timestamp | null
+* - createdAt: timestamp
+* - updatedAt: timestamp
 * 
 * 2. CORE FUNCTIONS TO IMPLEMENT
 * 
@@ -55,6 +116,7 @@ import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc,
 * - deleteApartment(apartmentId)
 * - getApartment(apartmentId)
 * - getAllApartments()
+* - getApartmentsPage({ pageSize, cursor })
 * - getAvailableApartments()
 * 
 * Tenant Assignment:
@@ -72,6 +134,10 @@ import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc,
 * 
 * 3. VALIDATION RULES
 * 
+* Every create and update is checked against the collection's schema below
+* (services/schemas.js); unknown fields and wrongly typed values are rejected
+* with a ValidationError listing the problem with each field.
+* 
 * Apartment Validation:
 * - Check if apartment exists
 * - Validate apartment status
@@ -158,6 +224,79 @@ import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc,
 * - Documentation
 */
 
+// Schemas for the collections above; services/repairRequests.js defines repairRequests
+defineSchema('apartments', {
+  label: 'apartment',
+  fields: {
+    buildingId: { type: 'id', nullable: true, label: 'Building' },
+    buildingName: { type: 'string', nullable: true },
+    unitNumber: { type: 'string', required: true },
+    floor: { type: 'integer', min: 1 },
+    rooms: { type: 'integer', min: 1, required: true },
+    status: { type: 'enum', values: ['available', 'occupied'] },
+    monthlyRent: { type: 'number', positive: true, required: true },
+    amenities: { type: 'string[]' },
+    maxOccupants: { type: 'integer', min: 1, required: true, label: 'Maximum occupants' },
+    currentOccupants: { type: 'integer', min: 0 },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' }
+  }
+});
+
+defineSchema('tenantApartments', {
+  label: 'tenancy',
+  fields: {
+    userId: { type: 'id', required: true, label: 'Tenant' },
+    apartmentId: { type: 'id', required: true, label: 'Apartment' },
+    status: { type: 'enum', values: ['active', 'inactive', 'pending'], required: true },
+    role: { type: 'enum', values: TENANT_ROLES, required: true },
+    leaseId: { type: 'id', nullable: true, label: 'Lease' },
+    leaseStartDate: { type: 'timestamp', required: true },
+    leaseEndDate: { type: 'timestamp', required: true },
+    monthlyRent: { type: 'number', positive: true },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' }
+  }
+});
+
+defineSchema('leases', {
+  label: 'lease',
+  fields: {
+    tenantApartmentId: { type: 'id', required: true, label: 'Tenancy' },
+    apartmentId: { type: 'id', required: true, label: 'Apartment' },
+    userId: { type: 'id', required: true, label: 'Tenant' },
+    startDate: { type: 'timestamp', required: true },
+    endDate: { type: 'timestamp', required: true },
+    monthlyRent: { type: 'number', positive: true, required: true },
+    terms: { type: 'string' },
+    status: { type: 'enum', values: ['active', 'ended', 'renewed'], required: true },
+    previousLeaseId: { type: 'id', nullable: true, label: 'Previous lease' },
+    renewedByLeaseId: { type: 'id', label: 'Renewing lease' },
+    endedAt: { type: 'timestamp' },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' }
+  }
+});
+
+defineSchema('users', {
+  label: 'user',
+  fields: {
+    name: { type: 'string' },
+    firstName: { type: 'string' },
+    lastName: { type: 'string' },
+    nameKey: { type: 'string' },
+    email: { type: 'string', required: true },
+    apartmentId: { type: 'id', nullable: true, label: 'Apartment' },
+    leaseStartDate: { type: 'timestamp', nullable: true },
+    leaseEndDate: { type: 'timestamp', nullable: true },
+    role: { type: 'enum', values: ROLES, required: true },
+    active: { type: 'boolean' },
+    deactivatedAt: { type: 'timestamp', nullable: true },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' }
+  }
+});
+
 // Create Apartments table
 // export const createApartment = async (apartment) => {
 //   try {
@@ -190,52 +329,131 @@ import { collection, addDoc, getDoc, setDoc, getDocs, updateDoc, deleteDoc, doc,
 // };
 
 // Add data
+// While offline the write is queued (services/offlineQueue.js) and `{ queued: true, queueId }` is returned.
+// Data for a collection with a schema is validated first, so invalid writes are never queued.
 export const addDocument = async (collectionName, data) => {
+  validateSchemaWrite(collectionName, data, { partial: false });
+  return runOrQueue('addDocument', [collectionName, data]);
+};
+
+const writeNewDocument = async (collectionName, data) => {
   try {
-    const docRef = await addDoc(collection(db, collectionName), {
-      ...data,
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, `add ${collectionName} documents`);
+    assertNotAuditCollection(collectionName);
+
+    const document = {
+      ...withUserNameKey(collectionName, data),
+      createdBy: context.uid,
       createdAt: Timestamp.fromDate(new Date()), // Store as Firestore Timestamp
+    };
+
+    // The document and its audit entry are written together
+    const repository = getRepository();
+    const id = repository.newId(collectionName);
+    await repository.runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+      transaction.set(collectionName, id, document);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'create',
+        entity: collectionName,
+        entityId: id,
+        targetLabel: getDocumentLabel(document),
+        after: document
+      }]);
     });
-    return docRef.id;
+    return id;
   } catch (e) {
     console.error("Error adding document: ", e);
     throw e;
   }
 };
 
+registerQueuedOperation('addDocument', {
+  run: writeNewDocument,
+  describe: (collectionName) => `Add a ${collectionName} document`,
+  changes: (collectionName, data) => data
+});
+
 // Fetch data
 export const fetchDocuments = async (collectionName) => {
   try {
-    const querySnapshot = await getDocs(collection(db, collectionName));
-    const documents = querySnapshot.docs.map(doc => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        ...data,
-        createdAt: data.createdAt?.toDate(), // Convert Firestore Timestamp to JS Date
-        createdBy: data.createdBy || null, // Ensure createdBy is included
-      };
-    });
-    return documents;
+    // Check permissions
+    await requireRole(STAFF_ROLES, `read all ${collectionName} documents`);
+
+    const documents = await getRepository().find(collectionName);
+    return documents.map(toListedDocument);
   } catch (error) {
     console.error("Error fetching documents:", error);
     throw error;
   }
 };
 
+// Get one page of a collection in document ID order, listed as fetchDocuments lists them.
+// Pass the returned `cursor` back to get the next page.
+export const fetchDocumentsPage = async (collectionName, { pageSize = 50, cursor = null } = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, `read all ${collectionName} documents`);
+
+    const page = await getPage(collectionName, { pageSize, cursor });
+    return { documents: page.docs.map(toListedDocument), cursor: page.cursor ?? cursor, hasMore: page.hasMore };
+  } catch (error) {
+    console.error("Error fetching documents page:", error);
+    throw error;
+  }
+};
+
+// Live counterpart of fetchDocuments: `onChange` gets every document in the collection
+// now and after each change. Returns an unsubscribe function.
+export const subscribeToDocuments = (collectionName, onChange, onError) => {
+  const handleError = (error) => {
+    console.error("Error subscribing to documents:", error);
+    onError(error);
+  };
+
+  return subscribeAfter(
+    requireRole(STAFF_ROLES, `read all ${collectionName} documents`),
+    () => getRepository().subscribe(
+      collectionName,
+      {},
+      (documents) => onChange(documents.map(toListedDocument)),
+      handleError
+    ),
+    handleError
+  );
+};
+
 // Fetch data by ID
-export const fetchDocumentByID = async (docRef) => {
+// Takes a Firestore document reference, or a collection name and document ID.
+// Staff can read any document; tenants only their own records, as in firestore.rules.
+export const fetchDocumentByID = async (docRef, id) => {
   try {
-    if (!docRef) {
+    const [collectionName, documentId] = typeof docRef === 'string'
+      ? [docRef, id]
+      : [docRef?.parent?.id, docRef?.id];
+
+    if (!collectionName || !documentId) {
       throw new Error('Document reference is required');
     }
 
-    const docSnap = await getDoc(docRef);
-    if (!docSnap.exists()) {
+    // Check permissions
+    const context = await getCurrentUserContext();
+
+    if (!context.uid || !context.role) {
+      throw new PermissionDeniedError(`read ${collectionName} documents`, context.role);
+    }
+
+    const document = await getRepository().get(collectionName, documentId);
+    if (!document) {
       throw new Error('Document not found');
     }
 
-    return docSnap.data();
+    if (!isStaff(context) && !isOwnRecord(context, collectionName, document)) {
+      throw new PermissionDeniedError(`read other users' ${collectionName} documents`, context.role);
+    }
+
+    return document;
   } catch (error) {
     console.error('Error fetching document:', error);
     throw error; // Re-throw the error so callers can handle it
@@ -244,21 +462,85 @@ export const fetchDocumentByID = async (docRef) => {
 
 
 // Update data
+// While offline the write is queued (services/offlineQueue.js) and `{ queued: true, queueId }` is returned
 export const updateDocument = async (collectionName, id, data) => {
-  const docRef = doc(db, collectionName, id);
+  validateSchemaWrite(collectionName, data, { partial: true });
+  return runOrQueue('updateDocument', [collectionName, id, data]);
+};
+
+const writeDocumentUpdate = async (collectionName, id, data) => {
   try {
-    await updateDoc(docRef, data);
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, `update ${collectionName} documents`);
+    assertNotAuditCollection(collectionName);
+
+    await getRepository().runTransaction(async (transaction) => {
+      const before = await transaction.get(collectionName, id);
+
+      if (!before) {
+        throw new Error('Document not found');
+      }
+
+      const head = await readAuditHead(transaction);
+      const changes = withUserNameKey(collectionName, data, before);
+
+      // updatedAt lets queued offline writes detect newer changes on the server
+      transaction.update(collectionName, id, {
+        ...changes,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: collectionName,
+        entityId: id,
+        targetLabel: getDocumentLabel({ ...before, ...changes }),
+        before,
+        after: { ...before, ...changes }
+      }]);
+    });
   } catch (e) {
     console.error("Error updating document: ", e);
     throw e;
   }
 };
 
+registerQueuedOperation('updateDocument', {
+  run: writeDocumentUpdate,
+  describe: (collectionName, id) => `Update ${collectionName}/${id}`,
+  changes: (collectionName, id, data) => data,
+  target: (collectionName, id) => ({ collectionName, id })
+});
+
 // Delete data
 export const deleteDocument = async (collectionName, id) => {
-  const docRef = doc(db, collectionName, id);
   try {
-    await deleteDoc(docRef);
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, `delete ${collectionName} documents`);
+    assertNotAuditCollection(collectionName);
+
+    await getRepository().runTransaction(async (transaction) => {
+      const before = await transaction.get(collectionName, id);
+
+      if (!before) {
+        throw new Error('Document not found');
+      }
+
+      const head = await readAuditHead(transaction);
+      transaction.delete(collectionName, id);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'delete',
+        entity: collectionName,
+        entityId: id,
+        targetLabel: getDocumentLabel(before),
+        before
+      }]);
+    });
+
+    // Leases and repair requests take their attached files with them
+    if (ATTACHMENT_TYPES[collectionName]) {
+      await deleteAttachmentsFor(collectionName, id);
+    }
   } catch (e) {
     console.error("Error deleting document: ", e);
     throw e;
@@ -266,109 +548,170 @@ export const deleteDocument = async (collectionName, id) => {
 };
 
 // Update Status
-export const updateStatus = async (requestId, newStatus) => {
+// Repair request statuses follow the lifecycle in services/repairRequests.js.
+// While offline the change is queued and `{ queued: true, queueId }` is returned.
+export const updateStatus = (requestId, newStatus) =>
+  runOrQueue('updateStatus', [requestId, newStatus]);
+
+const writeStatusUpdate = async (requestId, newStatus) => {
   try {
-    const requestRef = doc(db, 'repairRequests', requestId);
-    await updateDoc(requestRef, {
-      status: newStatus,
-    });
+    return await transitionRepairRequest(requestId, newStatus);
   } catch (error) {
     console.error("Error updating status:", error);
+    throw error;
   }
 };
 
+registerQueuedOperation('updateStatus', {
+  run: writeStatusUpdate,
+  describe: (requestId, newStatus) => `Set repair request ${requestId} to ${newStatus}`,
+  changes: (requestId, newStatus) => ({ status: newStatus }),
+  target: (requestId) => ({ collectionName: 'repairRequests', id: requestId })
+});
+
 // Apartment Management Functions
 
 // Create a new apartment
 export const createApartment = async (apartmentData) => {
   try {
-    // Validate required fields
-    if (!apartmentData.unitNumber || !apartmentData.rooms ||
-      !apartmentData.monthlyRent || !apartmentData.maxOccupants) {
-      throw new Error('Missing required fields: unitNumber, rooms, monthlyRent, maxOccupants');
-    }
-
-    // Validate numeric fields
-    if (typeof apartmentData.rooms !== 'number' || apartmentData.rooms <= 0 ||
-      typeof apartmentData.monthlyRent !== 'number' || apartmentData.monthlyRent <= 0 ||
-      typeof apartmentData.maxOccupants !== 'number' || apartmentData.maxOccupants <= 0) {
-      throw new Error('Invalid numeric values: rooms, monthlyRent, and maxOccupants must be positive numbers');
-    }
-
-    // Check if apartment with same unit number exists
-    const apartmentsRef = collection(db, 'apartments');
-    const querySnapshot = await getDocs(apartmentsRef);
-    const existingApartment = querySnapshot.docs.find(doc =>
-      doc.data().unitNumber === apartmentData.unitNumber
-    );
-
-    if (existingApartment) {
-      throw new Error('Apartment with this unit number already exists');
-    }
-
-    // Create apartment document with initial status
-    const newApartment = {
-      ...apartmentData,
-      status: 'available',
-      currentOccupants: 0,
-      createdAt: Timestamp.fromDate(new Date()),
-      updatedAt: Timestamp.fromDate(new Date())
-    };
-
-    const docRef = await addDoc(collection(db, 'apartments'), newApartment);
-    return { id: docRef.id, ...newApartment };
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'create apartments');
+
+    const newApartment = await prepareNewApartment(apartmentData, await getSettings());
+
+    const repository = getRepository();
+    const id = repository.newId('apartments');
+    await repository.runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+      transaction.set('apartments', id, newApartment);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'create',
+        entity: 'apartments',
+        entityId: id,
+        targetLabel: `Unit ${newApartment.unitNumber}`,
+        after: newApartment
+      }]);
+    });
+    return { id, ...newApartment };
   } catch (error) {
     console.error('Error creating apartment:', error);
     throw error;
   }
 };
 
+// Validate a new apartment the way createApartment does and build its document.
+// Shared with the CSV import preview, so both reject the same rows.
+const prepareNewApartment = async (apartmentData, settings) => {
+  // Buildings are linked by ID so a mistyped name cannot split one property in two
+  if (apartmentData.buildingName && !apartmentData.buildingId) {
+    throw new Error('Choose a building: apartments are linked to buildings by buildingId');
+  }
+  const building = await resolveBuilding(apartmentData.buildingId);
+
+  // Capacity and unit number format come from the portfolio settings
+  apartmentData = {
+    ...apartmentData,
+    buildingId: building ? building.id : null,
+    buildingName: building ? building.name : null,
+    maxOccupants: apartmentData.maxOccupants ?? settings.defaultMaxOccupants
+  };
+  assertValidDocument('apartments', apartmentData);
+  validateUnitNumber(apartmentData.unitNumber, settings);
+
+  // Check if apartment with same unit number exists
+  if (await isUnitNumberTaken(apartmentData.unitNumber)) {
+    throw new Error('Apartment with this unit number already exists');
+  }
+
+  // Apartment document with initial status
+  return {
+    ...apartmentData,
+    status: 'available',
+    currentOccupants: 0,
+    createdAt: Timestamp.fromDate(new Date()),
+    updatedAt: Timestamp.fromDate(new Date())
+  };
+};
+
 // Update apartment details
 export const updateApartment = async (apartmentId, updateData) => {
   try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'update apartments');
+
     // Validate apartment exists
-    const apartmentRef = doc(db, 'apartments', apartmentId);
-    const apartmentDoc = await getDoc(apartmentRef);
+    const repository = getRepository();
+    const apartment = await repository.get('apartments', apartmentId);
 
-    if (!apartmentDoc.exists()) {
+    if (!apartment) {
       throw new Error('Apartment not found');
     }
 
-    // Validate numeric fields if they are being updated
-    if (updateData.floor && (typeof updateData.floor !== 'number' || updateData.floor <= 0)) {
-      throw new Error('Invalid floor number');
+    // Occupancy and status follow tenant assignments
+    const managedFields = APARTMENT_MANAGED_FIELDS.filter(field => field in updateData);
+    if (managedFields.length > 0) {
+      throw new Error(`Cannot update managed fields: ${managedFields.join(', ')}`);
     }
-    if (updateData.rooms && (typeof updateData.rooms !== 'number' || updateData.rooms <= 0)) {
-      throw new Error('Invalid number of rooms');
-    }
-    if (updateData.monthlyRent && (typeof updateData.monthlyRent !== 'number' || updateData.monthlyRent <= 0)) {
-      throw new Error('Invalid monthly rent');
-    }
-    if (updateData.maxOccupants && (typeof updateData.maxOccupants !== 'number' || updateData.maxOccupants <= 0)) {
-      throw new Error('Invalid maximum occupants');
+
+    assertValidDocument('apartments', updateData, { partial: true });
+
+    // Moving the unit to another building (or none) refreshes the copied building name
+    if ('buildingId' in updateData) {
+      const building = await resolveBuilding(updateData.buildingId);
+      updateData = {
+        ...updateData,
+        buildingId: building ? building.id : null,
+        buildingName: building ? building.name : null
+      };
     }
 
     // Check if unit number is being changed and if it already exists
     if (updateData.unitNumber) {
-      const apartmentsRef = collection(db, 'apartments');
-      const querySnapshot = await getDocs(apartmentsRef);
-      const existingApartment = querySnapshot.docs.find(doc =>
-        doc.id !== apartmentId &&
-        doc.data().unitNumber === updateData.unitNumber
-      );
-
-      if (existingApartment) {
+      validateUnitNumber(updateData.unitNumber, await getSettings());
+
+      if (await isUnitNumberTaken(updateData.unitNumber, apartmentId)) {
         throw new Error('Apartment with this unit number already exists');
       }
     }
 
-    // Update apartment document
-    const updatedData = {
-      ...updateData,
-      updatedAt: Timestamp.fromDate(new Date())
-    };
+    // Update apartment document, re-reading the occupant count in a transaction
+    // so a capacity change cannot race a tenant assignment
+    const updatedData = await repository.runTransaction(async (transaction) => {
+      const current = await transaction.get('apartments', apartmentId);
+
+      if (!current) {
+        throw new Error('Apartment not found');
+      }
+
+      const head = await readAuditHead(transaction);
+
+      const data = {
+        ...updateData,
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+
+      if (updateData.maxOccupants) {
+        const currentOccupants = current.currentOccupants || 0;
+
+        if (updateData.maxOccupants < currentOccupants) {
+          throw new Error('Maximum occupants cannot be lower than the current number of occupants');
+        }
+
+        data.status = getOccupancyStatus(currentOccupants, updateData.maxOccupants);
+      }
+
+      transaction.update('apartments', apartmentId, data);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'apartments',
+        entityId: apartmentId,
+        targetLabel: `Unit ${data.unitNumber || current.unitNumber}`,
+        before: current,
+        after: { ...current, ...data }
+      }]);
+      return data;
+    });
 
-    await updateDoc(apartmentRef, updatedData);
     return { id: apartmentId, ...updatedData };
   } catch (error) {
     console.error('Error updating apartment:', error);
@@ -379,28 +722,53 @@ export const updateApartment = async (apartmentId, updateData) => {
 // Delete an apartment
 export const deleteApartment = async (apartmentId) => {
   try {
-    // Check if apartment exists
-    const apartmentRef = doc(db, 'apartments', apartmentId);
-    const apartmentDoc = await getDoc(apartmentRef);
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'delete apartments');
 
-    if (!apartmentDoc.exists()) { 
-      throw new Error('Apartment not found');
-    }
+    const repository = getRepository();
 
     // Check if apartment has active tenants
-    const tenantApartmentsRef = collection(db, 'tenantApartments');
-    const querySnapshot = await getDocs(tenantApartmentsRef);
-    const activeTenants = querySnapshot.docs.filter(doc =>
-      doc.data().apartmentId === apartmentId &&
-      doc.data().status === 'active'
-    );
+    const activeTenancies = await repository.find('tenantApartments', {
+      where: [
+        ['apartmentId', '==', apartmentId], // Filter by apartment ID
+        ['status', '==', 'active'] // Filter by active status
+      ],
+      limit: 1
+    });
 
-    if (activeTenants.length > 0) { // Check if apartment has active tenants
+    if (activeTenancies.length > 0) {
       throw new Error('Cannot delete apartment with active tenants');
     }
 
-    // Delete apartment document
-    await deleteDoc(apartmentRef);
+    // Re-check the occupant count inside a transaction so a tenant assigned
+    // in the meantime blocks the delete
+    await repository.runTransaction(async (transaction) => {
+      const apartment = await transaction.get('apartments', apartmentId);
+
+      if (!apartment) {
+        throw new Error('Apartment not found');
+      }
+
+      if ((apartment.currentOccupants || 0) > 0) {
+        throw new Error('Cannot delete apartment with active tenants');
+      }
+
+      const head = await readAuditHead(transaction);
+
+      // Delete apartment document
+      transaction.delete('apartments', apartmentId);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'delete',
+        entity: 'apartments',
+        entityId: apartmentId,
+        targetLabel: `Unit ${apartment.unitNumber}`,
+        before: apartment
+      }]);
+    });
+
+    // Unit photos go with the apartment
+    await deleteAttachmentsFor('apartments', apartmentId);
+
     return { success: true, message: 'Apartment deleted successfully' };
   } catch (error) {
     console.error('Error deleting apartment:', error);
@@ -411,222 +779,1606 @@ export const deleteApartment = async (apartmentId) => {
 // Get all apartments
 export const getAllApartments = async () => {
   try {
-    const apartmentsRef = collection(db, 'apartments'); // Get all apartments   
-    const querySnapshot = await getDocs(apartmentsRef); // Execute the query
-    const apartments = querySnapshot.docs.map(doc => ({ // Map through all apartment documents
-      id: doc.id,
-      ...doc.data()
-    }));
-    return apartments; // Return the apartments
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list all apartments');
+
+    return await getRepository().find('apartments'); // Get all apartments
   } catch (error) {
     console.error('Error fetching apartments:', error);
     throw error;
   }
 };
 
-// Get available apartments
-export const getAvailableApartments = async () => {
+// Get one page of apartments in document ID order; pass the returned `cursor` back to
+// get the next page
+export const getApartmentsPage = async ({ pageSize = 20, cursor = null } = {}) => {
   try {
-    const apartmentsRef = collection(db, 'apartments'); // Get all apartments
-    const q = query(apartmentsRef, where('currentOccupants', '<', 3)); // Query to get all available apartments
-    const querySnapshot = await getDocs(q); // Execute the query
-    const apartments = querySnapshot.docs.map(doc => ({ // Map through all apartment documents
-      id: doc.id,
-      ...doc.data()
-    }));
-    return apartments; // Return the available apartments
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list all apartments');
+
+    const page = await getPage('apartments', { pageSize, cursor });
+    return { apartments: page.docs, cursor: page.cursor ?? cursor, hasMore: page.hasMore };
   } catch (error) {
-    console.error('Error fetching available apartments:', error);
+    console.error('Error fetching apartments page:', error);
     throw error;
   }
 };
 
-// Tenant Assignment Functions
+// Live counterpart of getAllApartments: `onChange` gets `{ apartments, hasMore }` with the
+// first `pageSize` apartments (all of them without one) now and after each change.
+// Returns an unsubscribe function.
+export const subscribeToAllApartments = (onChange, onError, { pageSize = 0 } = {}) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to apartments:', error);
+    onError(error);
+  };
+
+  return subscribeAfter(
+    requireRole(STAFF_ROLES, 'list all apartments'),
+    () => getRepository().subscribe(
+      'apartments',
+      { orderBy: [[DOCUMENT_ID, 'asc']], limit: pageSize ? pageSize + 1 : 0 }, // One extra to tell whether there are more
+      (documents) => onChange({
+        apartments: pageSize ? documents.slice(0, pageSize) : documents,
+        hasMore: !!pageSize && documents.length > pageSize
+      }),
+      handleError
+    ),
+    handleError
+  );
+};
 
-// Assign tenant to apartment
-export const assignTenant = async (userId, apartmentId, leaseData) => {
+// Get a single apartment
+export const getApartment = async (apartmentId) => {
   try {
-    // Check if apartment exists
-    const apartmentRef = doc(db, 'apartments', apartmentId);
-    const apartmentDoc = await getDoc(apartmentRef);
+    // Check permissions: staff, or a tenant looking at their own unit
+    const context = await getCurrentUserContext();
 
-    if (!apartmentDoc.exists()) {
-      throw new Error('Apartment not found');
+    if (!isStaff(context) && (!context.uid || context.apartmentId !== apartmentId)) {
+      throw new PermissionDeniedError('view other apartments', context.role);
     }
 
-    const apartment = apartmentDoc.data(); // Get the apartment data
+    const apartment = await getRepository().get('apartments', apartmentId);
 
-    // Check if apartment has less than 3 occupants
-    if (apartment.currentOccupants >= 3) {
-      throw new Error('Apartment is at maximum capacity (3 occupants)');
+    if (!apartment) {
+      throw new Error('Apartment not found');
     }
 
-    // Check if user exists
-    const userRef = doc(db, 'users', userId);
-    const userDoc = await getDoc(userRef);
+    return apartment;
+  } catch (error) {
+    console.error('Error fetching apartment:', error);
+    throw error;
+  }
+};
 
-    if (!userDoc.exists()) {
-      throw new Error('User not found');
+// Get available apartments
+// filters: { buildingId, buildingName, floor, rooms, minRent, maxRent, amenities }
+export const getAvailableApartments = async (filters = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list available apartments');
+
+    const constraints = [['status', '==', 'available']]; // Apartments with room for another tenant
+
+    // Equality filters run in Firestore
+    if (filters.buildingId) {
+      constraints.push(['buildingId', '==', filters.buildingId]);
     }
+    if (filters.buildingName) {
+      constraints.push(['buildingName', '==', filters.buildingName]);
+    }
+    if (filters.floor !== undefined && filters.floor !== null) {
+      constraints.push(['floor', '==', filters.floor]);
+    }
+    if (filters.rooms !== undefined && filters.rooms !== null) {
+      constraints.push(['rooms', '==', filters.rooms]);
+    }
+
+    const apartments = await getRepository().find('apartments', { where: constraints }); // Get all available apartments
 
-    // Check if user already has an active apartment
-    const tenantApartmentsRef = collection(db, 'tenantApartments'); // Get all tenant apartments
-    const userQuery = query(tenantApartmentsRef, // Query to get all active tenants in an apartment
-      where('userId', '==', userId), // Filter by user ID
-      where('status', '==', 'active') // Filter by active status
+    // Rent range and amenities are filtered here so no composite indexes are needed
+    const requiredAmenities = filters.amenities || [];
+    return apartments.filter(apartment => // Return the available apartments
+      (filters.minRent === undefined || apartment.monthlyRent >= filters.minRent) &&
+      (filters.maxRent === undefined || apartment.monthlyRent <= filters.maxRent) &&
+      requiredAmenities.every(amenity => (apartment.amenities || []).includes(amenity))
     );
-    const userSnapshot = await getDocs(userQuery); // Execute the query
+  } catch (error) {
+    console.error('Error fetching available apartments:', error);
+    throw error;
+  }
+};
+
+// Building Management Functions
+
+// Create a new building
+export const createBuilding = async (buildingData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'create buildings');
 
-    if (!userSnapshot.empty) {
-      throw new Error('User already has an active apartment');
+    const data = validateBuildingData(pickFields(buildingData, BUILDING_FIELDS), true);
+
+    // Names are unique regardless of case and spacing
+    if (await findBuildingByNameKey(data.nameKey)) {
+      throw new Error('Building with this name already exists');
     }
 
-    // Create tenant-apartment relationship
-    const tenantApartmentData = {
-      userId,
-      apartmentId,
-      status: 'active',
-      role: 'primary',
-      leaseStartDate: Timestamp.fromDate(new Date(leaseData.startDate)),
-      leaseEndDate: Timestamp.fromDate(new Date(leaseData.endDate)),
-      monthlyRent: apartment.monthlyRent,
+    const newBuilding = {
+      ...data,
       createdAt: Timestamp.fromDate(new Date()),
       updatedAt: Timestamp.fromDate(new Date())
     };
 
-    const tenantApartmentRef = await addDoc(collection(db, 'tenantApartments'), tenantApartmentData); // Create the tenant-apartment relationship
+    const repository = getRepository();
+    const id = repository.newId('buildings');
+    await repository.runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+      transaction.set('buildings', id, newBuilding);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'create',
+        entity: 'buildings',
+        entityId: id,
+        targetLabel: newBuilding.name,
+        after: newBuilding
+      }]);
+    });
+    return { id, ...newBuilding };
+  } catch (error) {
+    console.error('Error creating building:', error);
+    throw error;
+  }
+};
+
+// Update building details, keeping the building name copied onto its apartments in sync
+export const updateBuilding = async (buildingId, updateData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'update buildings');
 
-    // Update apartment occupant count
-    await updateDoc(apartmentRef, {
-      currentOccupants: apartment.currentOccupants + 1,
-      updatedAt: Timestamp.fromDate(new Date())
+    const repository = getRepository();
+    const building = await repository.get('buildings', buildingId);
+
+    if (!building) {
+      throw new Error('Building not found');
+    }
+
+    const unknownFields = Object.keys(updateData).filter(field => !BUILDING_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      throw new Error(`Cannot update fields: ${unknownFields.join(', ')}`);
+    }
+
+    const data = validateBuildingData(updateData, false);
+
+    const renamed = data.nameKey !== undefined && data.name !== building.name;
+    if (renamed && data.nameKey !== building.nameKey) {
+      const existing = await findBuildingByNameKey(data.nameKey);
+      if (existing && existing.id !== buildingId) {
+        throw new Error('Building with this name already exists');
+      }
+    }
+
+    const updatedData = { ...data, updatedAt: Timestamp.fromDate(new Date()) };
+    await repository.runTransaction(async (transaction) => {
+      const current = await transaction.get('buildings', buildingId);
+
+      if (!current) {
+        throw new Error('Building not found');
+      }
+
+      const head = await readAuditHead(transaction);
+      transaction.update('buildings', buildingId, updatedData);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'buildings',
+        entityId: buildingId,
+        targetLabel: updatedData.name || current.name,
+        before: current,
+        after: { ...current, ...updatedData }
+      }]);
     });
 
-    // Update user's apartment reference
-    await updateDoc(userRef, {
-      apartmentId,
-      updatedAt: Timestamp.fromDate(new Date())
+    // The name copied onto each apartment follows the building and is not audited again
+    if (renamed) {
+      const apartments = await getBuildingApartments(buildingId);
+
+      // Firestore batches are capped at 500 writes
+      for (let i = 0; i < apartments.length; i += 500) {
+        const batch = repository.batch();
+        apartments.slice(i, i + 500).forEach(apartment => {
+          batch.update('apartments', apartment.id, {
+            buildingName: data.name,
+            updatedAt: Timestamp.fromDate(new Date())
+          });
+        });
+        await batch.commit();
+      }
+    }
+
+    return { ...building, ...updatedData };
+  } catch (error) {
+    console.error('Error updating building:', error);
+    throw error;
+  }
+};
+
+// Delete a building; its vacant units are kept but unlinked
+export const deleteBuilding = async (buildingId) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'delete buildings');
+
+    const repository = getRepository();
+    const apartments = await getBuildingApartments(buildingId);
+
+    // Re-read the units inside the transaction so a tenant assigned in the
+    // meantime blocks the delete
+    const unlinked = await repository.runTransaction(async (transaction) => {
+      const building = await transaction.get('buildings', buildingId);
+
+      if (!building) {
+        throw new Error('Building not found');
+      }
+
+      const current = await Promise.all(apartments.map(apartment => transaction.get('apartments', apartment.id)));
+      const linked = current.filter(apartment => apartment && apartment.buildingId === buildingId);
+
+      if (linked.some(apartment => (apartment.currentOccupants || 0) > 0)) {
+        throw new Error('Cannot delete building with occupied units');
+      }
+
+      const head = await readAuditHead(transaction);
+
+      linked.forEach(apartment => {
+        transaction.update('apartments', apartment.id, {
+          buildingId: null,
+          buildingName: null,
+          updatedAt: Timestamp.fromDate(new Date())
+        });
+      });
+      transaction.delete('buildings', buildingId);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'delete',
+        entity: 'buildings',
+        entityId: buildingId,
+        targetLabel: building.name,
+        before: building
+      }]);
+
+      return linked.length;
     });
 
-    return { // Return the tenant-apartment relationship
-      id: tenantApartmentRef.id,
-      ...tenantApartmentData
-    };
+    return { success: true, message: 'Building deleted successfully', unlinkedApartments: unlinked };
   } catch (error) {
-    console.error('Error assigning tenant:', error);
+    console.error('Error deleting building:', error);
     throw error;
   }
 };
 
-// Remove tenant from apartment
-async function removeTenant(userId, apartmentId) {
-  // 1. Update tenant-apartment status to inactive
-  // 2. Update apartment occupant count
-  // 3. Remove user's apartment reference
-}
+// Get a single building
+export const getBuilding = async (buildingId) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'view buildings');
 
-// Get all tenants in an apartment
-export const getApartmentTenants = async (apartmentId) => {
+    const building = await getRepository().get('buildings', buildingId);
+
+    if (!building) {
+      throw new Error('Building not found');
+    }
+
+    return building;
+  } catch (error) {
+    console.error('Error fetching building:', error);
+    throw error;
+  }
+};
+
+// Get all buildings, ordered by name
+export const getAllBuildings = async () => {
   try {
-    const tenantApartmentsRef = collection(db, 'tenantApartments'); // Get all tenant apartments
-    const q = query(tenantApartmentsRef, // Query to get all active tenants in an apartment
-      where('apartmentId', '==', apartmentId), // Filter by apartment ID
-      where('status', '==', 'active') // Filter by active status
-    );
-    const querySnapshot = await getDocs(q); // Execute the query
-
-    const tenants = await Promise.all(querySnapshot.docs.map(async (doc) => { // Map through all tenant documents
-      const tenantData = doc.data(); // Get the tenant data
-      const userRef = doc(db, 'users', tenantData.userId); // Get the user reference
-      const userDoc = await getDoc(userRef); // Get the user document
-      return { // Return the tenant data
-        id: doc.id,
-        ...tenantData,
-        user: userDoc.exists() ? userDoc.data() : null
-      };
-    }));
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list buildings');
 
-    return tenants;
+    return await getRepository().find('buildings', { orderBy: [['nameKey', 'asc']] });
   } catch (error) {
-    console.error('Error fetching apartment tenants:', error);
+    console.error('Error fetching buildings:', error);
     throw error;
   }
 };
 
-// Get tenant's current apartment
-async function getTenantApartment(userId) {
-  // 1. Query active tenant-apartment relationship
-  // 2. Fetch apartment details
-  // 3. Include lease information
-  // 4. Return apartment object with lease details
-}
+// Apartments updated per transaction by the bulk repairs below. Each update also writes
+// an audit entry, and a transaction allows 500 writes.
+const AUDITED_UPDATES_PER_TRANSACTION = 200;
 
-// Update tenant role in apartment
-async function updateTenantRole(userId, apartmentId, newRole) {
-  // 1. Validate role change is allowed
-  // 2. Update tenant-apartment relationship
-  // 3. Update updatedAt timestamp
-  // 4. Return success status
-}
+// Link apartments that only carry a free-text buildingName to a building document,
+// creating one building per distinct name (ignoring case and spacing).
+// Safe to run more than once: linked apartments are skipped.
+export const migrateApartmentBuildings = async () => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'migrate buildings');
 
-// Lease Management Functions
+    const repository = getRepository();
+    const allApartments = await repository.find('apartments');
+    const unlinked = allApartments.filter(apartment =>
+      !apartment.buildingId && normalizeBuildingName(apartment.buildingName || '')
+    );
 
-// Create lease agreement
-async function createLease(tenantApartmentId, leaseData) {
-  // 1. Validate lease data
-  // 2. Check for date conflicts
-  // 3. Create lease document
-  // 4. Update tenant-apartment relationship
-  // 5. Return lease ID
-}
+    // Group units by the building they were typed into
+    const groups = new Map();
+    unlinked.forEach(apartment => {
+      const nameKey = normalizeBuildingName(apartment.buildingName).toLowerCase();
+      if (!groups.has(nameKey)) {
+        groups.set(nameKey, []);
+      }
+      groups.get(nameKey).push(apartment);
+    });
 
-// Update lease details
-async function updateLease(tenantApartmentId, updateData) {
-  // 1. Validate lease exists
-  // 2. Validate update data
-  // 3. Update lease document
-  // 4. Update updatedAt timestamp
-  // 5. Return success status
-}
+    let createdBuildings = 0;
+    const updates = [];
+
+    for (const [nameKey, apartments] of groups) {
+      let building = await findBuildingByNameKey(nameKey);
+
+      if (!building) {
+        // The most common spelling in the group becomes the building name
+        const counts = new Map();
+        apartments.forEach(apartment => {
+          const name = normalizeBuildingName(apartment.buildingName);
+          counts.set(name, (counts.get(name) || 0) + 1);
+        });
+        const name = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+
+        const newBuilding = {
+          name,
+          nameKey,
+          address: '',
+          floors: null,
+          yearBuilt: null,
+          manager: null,
+          createdAt: Timestamp.fromDate(new Date()),
+          updatedAt: Timestamp.fromDate(new Date())
+        };
+        const id = repository.newId('buildings');
+        await repository.runTransaction(async (transaction) => {
+          const head = await readAuditHead(transaction);
+          transaction.set('buildings', id, newBuilding);
+          appendAuditEntries(transaction, head, context, [{
+            action: 'create',
+            entity: 'buildings',
+            entityId: id,
+            targetLabel: name,
+            after: newBuilding
+          }]);
+        });
+        building = { id, ...newBuilding };
+        createdBuildings++;
+      }
 
-// End lease agreement
-async function endLease(tenantApartmentId) {
-  // 1. Update lease status to 'ended'
-  // 2. Update tenant-apartment status
-  // 3. Update apartment status if needed
-  // 4. Return success status
-}
+      apartments.forEach(apartment => updates.push({ apartment, building }));
+    }
 
-// Get lease details
-async function getLeaseDetails(tenantApartmentId) {
-  // 1. Fetch lease document
-  // 2. Include tenant and apartment details
-  // 3. Include payment history
-  // 4. Return lease object with all details
-}
+    for (let i = 0; i < updates.length; i += AUDITED_UPDATES_PER_TRANSACTION) {
+      await repository.runTransaction(async (transaction) => {
+        const head = await readAuditHead(transaction);
+        const changes = updates.slice(i, i + AUDITED_UPDATES_PER_TRANSACTION).map(({ apartment, building }) => {
+          const update = {
+            buildingId: building.id,
+            buildingName: building.name,
+            updatedAt: Timestamp.fromDate(new Date())
+          };
+          transaction.update('apartments', apartment.id, update);
+          return {
+            action: 'update',
+            entity: 'apartments',
+            entityId: apartment.id,
+            targetLabel: getDocumentLabel(apartment),
+            before: apartment,
+            after: { ...apartment, ...update }
+          };
+        });
+        appendAuditEntries(transaction, head, context, changes);
+      });
+    }
 
-// UI Implementation Steps
+    return {
+      checked: allApartments.length,
+      createdBuildings,
+      linkedApartments: updates.length
+    };
+  } catch (error) {
+    console.error('Error migrating apartment buildings:', error);
+    throw error;
+  }
+};
 
-// ApartmentListScreen.js
-/*
-1. Create screen component
-2. Implement apartment list view
-   - Use FlatList for performance
-   - Add pull-to-refresh
-   - Add search functionality
-3. Add apartment card component
-   - Show basic apartment info
-   - Show status badge
-   - Add action buttons
-4. Add filters
-   - Filter by status
-   - Filter by building
-   - Filter by price range
-5. Add sorting options
-   - Sort by price
-   - Sort by unit number
-   - Sort by status
-*/
+// Tenant Assignment Functions
+
+// Assign tenant to apartment
+export const assignTenant = async (userId, apartmentId, leaseData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'assign tenants');
+
+    // Validate lease dates before touching any data; a missing end date uses the default lease length
+    const leaseTerms = getAssignmentTerms(leaseData, (await getSettings()).defaultLeaseMonths);
+
+    const repository = getRepository();
+    const tenancyId = repository.newId('tenantApartments'); // Pre-allocate IDs so they can be written inside the transaction
+    const leaseId = repository.newId('leases');
+
+    // Lease overlaps need a query, which transactions cannot run, so check them up front
+    const activeLeases = await getApartmentLeases(apartmentId, ['active']);
+
+    // Every read and write below runs in one transaction: if another landlord
+    // changes the apartment or user at the same time, Firestore retries it with fresh data
+    const tenancy = await repository.runTransaction(async (transaction) => {
+      const apartment = await transaction.get('apartments', apartmentId);
+      const user = await transaction.get('users', userId);
+
+      const head = await readAuditHead(transaction);
+
+      const plan = planAssignment({ user, apartment, leaseTerms, activeLeases, tenancyId, leaseId });
+      writeAssignment(transaction, plan);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'assign-tenant',
+        entity: 'tenantApartments',
+        entityId: tenancyId,
+        targetLabel: `${getUserLabel(user)} to Unit ${apartment.unitNumber}`,
+        after: plan.tenancy
+      }]);
+
+      return plan.tenancy;
+    });
+
+    return tenancy; // Return the tenant-apartment relationship
+  } catch (error) {
+    console.error('Error assigning tenant:', error);
+    throw error;
+  }
+};
+
+// Lease dates and rent for a new assignment, validated; a missing end date uses the
+// default lease length and a missing rent the apartment's advertised rent
+const getAssignmentTerms = (leaseData, defaultLeaseMonths) => {
+  const { startDate, endDate } = validateLeaseDates(
+    leaseData.startDate,
+    leaseData.endDate || getDefaultLeaseEnd(leaseData.startDate, defaultLeaseMonths)
+  );
+
+  if (leaseData.monthlyRent != null && (typeof leaseData.monthlyRent !== 'number' || leaseData.monthlyRent <= 0)) {
+    throw new Error('Invalid monthly rent');
+  }
+
+  return { startDate, endDate, monthlyRent: leaseData.monthlyRent ?? null, terms: leaseData.terms || '' };
+};
+
+// Everything assignTenant checks about an apartment and user, and the documents it writes.
+// `apartment` and `user` are the current documents (null when missing). Shared with the
+// CSV import preview, so both reject the same rows.
+const planAssignment = ({ user, apartment, leaseTerms, activeLeases, tenancyId, leaseId }) => {
+  // Check if apartment exists
+  if (!apartment) {
+    throw new Error('Apartment not found');
+  }
+
+  const currentOccupants = apartment.currentOccupants || 0;
+  const monthlyRent = leaseTerms.monthlyRent ?? apartment.monthlyRent;
+  const { startDate, endDate } = leaseTerms;
+
+  // Check if apartment has room for another occupant
+  const apartmentProblem = getApartmentIneligibility(apartment);
+  if (apartmentProblem) {
+    throw new Error(apartmentProblem);
+  }
+
+  // Check if user exists
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Check if user can move in; users.apartmentId is only ever set inside a
+  // transaction, so it doubles as the lock for the "already has an apartment" check
+  const tenantProblem = getTenantIneligibility(user);
+  if (tenantProblem) {
+    throw new Error(tenantProblem);
+  }
+
+  // The first tenant in an apartment is the primary tenant and holds the lease
+  const role = currentOccupants === 0 ? 'primary' : 'secondary';
+  const createsLease = role === 'primary';
+
+  if (createsLease && activeLeases.some(lease => leasesOverlap(lease, startDate, endDate))) {
+    throw new Error('Lease dates overlap an existing lease for this apartment');
+  }
+
+  const now = Timestamp.fromDate(new Date());
+
+  // Tenant-apartment relationship
+  const tenantApartmentData = {
+    userId: user.id,
+    apartmentId: apartment.id,
+    status: 'active',
+    role,
+    leaseId: createsLease ? leaseId : null,
+    leaseStartDate: startDate,
+    leaseEndDate: endDate,
+    monthlyRent,
+    createdAt: now,
+    updatedAt: now
+  };
+  assertValidDocument('tenantApartments', tenantApartmentData);
+
+  const newLease = createsLease ? {
+    tenantApartmentId: tenancyId,
+    apartmentId: apartment.id,
+    userId: user.id,
+    startDate,
+    endDate,
+    monthlyRent,
+    terms: leaseTerms.terms,
+    status: 'active',
+    previousLeaseId: null,
+    createdAt: now,
+    updatedAt: now
+  } : null;
+  if (newLease) {
+    assertValidDocument('leases', newLease);
+  }
+
+  return {
+    tenancy: { id: tenancyId, ...tenantApartmentData },
+    lease: newLease && { id: leaseId, ...newLease },
+    // Apartment occupant count and the user's apartment reference
+    apartmentUpdate: {
+      currentOccupants: currentOccupants + 1,
+      status: getOccupancyStatus(currentOccupants + 1, apartment.maxOccupants),
+      updatedAt: now
+    },
+    userUpdate: { apartmentId: apartment.id, updatedAt: now }
+  };
+};
+
+// Write the documents from planAssignment in `transaction`
+const writeAssignment = (transaction, { tenancy, lease, apartmentUpdate, userUpdate }) => {
+  const { id: tenancyId, ...tenantApartmentData } = tenancy;
+  transaction.set('tenantApartments', tenancyId, tenantApartmentData);
+
+  if (lease) {
+    const { id: leaseId, ...leaseData } = lease;
+    transaction.set('leases', leaseId, leaseData);
+  }
+
+  transaction.update('apartments', tenancy.apartmentId, apartmentUpdate);
+  transaction.update('users', tenancy.userId, userUpdate);
+};
+
+// Check up front whether a user can be assigned to an apartment, using the same
+// rules as assignTenant. Returns { eligible, errors: { user, apartment } } with the
+// message assignTenant would throw for each side.
+export const checkAssignmentEligibility = async (userId, apartmentId) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'assign tenants');
+
+    const repository = getRepository();
+    const [user, apartment] = await Promise.all([
+      userId ? repository.get('users', userId) : undefined,
+      apartmentId ? repository.get('apartments', apartmentId) : undefined
+    ]);
+
+    const errors = {};
+
+    if (userId) {
+      const problem = user ? getTenantIneligibility(user) : 'User not found';
+      if (problem) {
+        errors.user = problem;
+      }
+    }
+
+    if (apartmentId) {
+      const problem = apartment ? getApartmentIneligibility(apartment) : 'Apartment not found';
+      if (problem) {
+        errors.apartment = problem;
+      }
+    }
+
+    return { eligible: Object.keys(errors).length === 0, errors };
+  } catch (error) {
+    console.error('Error checking assignment eligibility:', error);
+    throw error;
+  }
+};
+
+// Remove tenant from apartment
+export const removeTenant = async (userId, apartmentId) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'remove tenants');
+
+    // Check if apartment exists
+    const repository = getRepository();
+    const apartment = await repository.get('apartments', apartmentId);
+
+    if (!apartment) {
+      throw new Error('Apartment not found');
+    }
+
+    // Check if user exists
+    const user = await repository.get('users', userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Find the user's active tenancy in this apartment
+    const tenancy = await findActiveTenancy(userId, apartmentId);
+
+    if (!tenancy) {
+      throw new Error('User is not an active tenant of this apartment');
+    }
+
+    await vacateTenancy(tenancy.id, context);
+
+    return { success: true, message: 'Tenant removed successfully' };
+  } catch (error) {
+    console.error('Error removing tenant:', error);
+    throw error;
+  }
+};
+
+// Get all tenants in an apartment
+export const getApartmentTenants = async (apartmentId) => {
+  try {
+    // Check permissions: staff, or a tenant looking at their own unit
+    const context = await getCurrentUserContext();
+
+    if (!isStaff(context) && (!context.uid || context.apartmentId !== apartmentId)) {
+      throw new PermissionDeniedError("view another apartment's tenants", context.role);
+    }
+
+    const tenancies = await getActiveTenancies(apartmentId); // Get all active tenants in the apartment
+    return await withTenantUsers(tenancies);
+  } catch (error) {
+    console.error('Error fetching apartment tenants:', error);
+    throw error;
+  }
+};
+
+// Live counterpart of getApartmentTenants: `onChange` gets the active tenancies with their
+// users now and after each move-in, move-out or role change. Returns an unsubscribe function.
+export const subscribeToApartmentTenants = (apartmentId, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to apartment tenants:', error);
+    onError(error);
+  };
+
+  // Check permissions: staff, or a tenant looking at their own unit
+  const allowed = getCurrentUserContext().then(context => {
+    if (!isStaff(context) && (!context.uid || context.apartmentId !== apartmentId)) {
+      throw new PermissionDeniedError("view another apartment's tenants", context.role);
+    }
+  });
+
+  // Users are looked up for each snapshot; only the newest lookup is reported
+  let latest = 0;
+
+  return subscribeAfter(
+    allowed,
+    () => getRepository().subscribe(
+      'tenantApartments',
+      {
+        where: [
+          ['apartmentId', '==', apartmentId], // Filter by apartment ID
+          ['status', '==', 'active'] // Filter by active status
+        ]
+      },
+      async (tenancies) => {
+        const version = ++latest;
+        try {
+          const tenants = await withTenantUsers(tenancies);
+          if (version === latest) {
+            onChange(tenants);
+          }
+        } catch (error) {
+          handleError(error);
+        }
+      },
+      handleError
+    ),
+    handleError
+  );
+};
+
+// Get tenant's current apartment
+export const getTenantApartment = async (userId) => {
+  try {
+    // Check permissions
+    await requireSelfOrRole(userId, STAFF_ROLES, "view another tenant's apartment");
+
+    // Check if user exists
+    const repository = getRepository();
+    const user = await repository.get('users', userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Query active tenant-apartment relationship
+    const [tenancy] = await repository.find('tenantApartments', {
+      where: [
+        ['userId', '==', userId], // Filter by user ID
+        ['status', '==', 'active'] // Filter by active status
+      ],
+      limit: 1
+    });
+
+    if (!tenancy) {
+      return null; // User has no current apartment
+    }
+
+    // Fetch apartment details
+    const apartment = await repository.get('apartments', tenancy.apartmentId);
+
+    if (!apartment) {
+      throw new Error('Apartment not found');
+    }
+
+    return { // Return apartment object with lease details
+      ...apartment,
+      tenancy: {
+        id: tenancy.id,
+        role: tenancy.role,
+        status: tenancy.status,
+        leaseStartDate: tenancy.leaseStartDate,
+        leaseEndDate: tenancy.leaseEndDate,
+        monthlyRent: tenancy.monthlyRent
+      }
+    };
+  } catch (error) {
+    console.error('Error fetching tenant apartment:', error);
+    throw error;
+  }
+};
+
+// Update tenant role in apartment
+export const updateTenantRole = async (userId, apartmentId, newRole) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'change tenant roles');
+
+    // Validate role change is allowed
+    assertValidDocument('tenantApartments', { role: newRole }, { partial: true });
+
+    const tenancy = await findActiveTenancy(userId, apartmentId);
+
+    if (!tenancy) {
+      throw new Error('User is not an active tenant of this apartment');
+    }
+
+    const currentRole = tenancy.role;
+
+    if (currentRole === newRole) {
+      return { success: true, message: `Tenant is already ${newRole}` };
+    }
+
+    // Each apartment keeps exactly one primary tenant, so a primary can only
+    // step down by promoting someone else
+    if (currentRole === 'primary') {
+      throw new Error('Apartment must have exactly one primary tenant; promote another tenant instead');
+    }
+
+    const activeTenancies = await getActiveTenancies(apartmentId);
+    const currentPrimaries = activeTenancies.filter(other =>
+      other.id !== tenancy.id && other.role === 'primary'
+    );
+
+    // Demote the current primary and promote this tenant in a single transaction
+    await getRepository().runTransaction(async (transaction) => {
+      const apartment = await transaction.get('apartments', apartmentId);
+      const changed = await Promise.all([...currentPrimaries, tenancy].map(async (other) => ({
+        tenancy: await transaction.get('tenantApartments', other.id),
+        user: await transaction.get('users', other.userId),
+        role: other.id === tenancy.id ? newRole : 'secondary'
+      })));
+      const head = await readAuditHead(transaction);
+      const now = Timestamp.fromDate(new Date());
+
+      const changes = changed.map(({ tenancy: current, user, role }) => {
+        const update = { role, updatedAt: now };
+        transaction.update('tenantApartments', current.id, update);
+        return {
+          action: 'update',
+          entity: 'tenantApartments',
+          entityId: current.id,
+          targetLabel: `${user ? getUserLabel(user) : current.userId} in Unit ${apartment ? apartment.unitNumber : apartmentId}`,
+          before: current,
+          after: { ...current, ...update }
+        };
+      });
+      appendAuditEntries(transaction, head, context, changes);
+    });
+
+    return { success: true, message: 'Tenant role updated successfully' };
+  } catch (error) {
+    console.error('Error updating tenant role:', error);
+    throw error;
+  }
+};
+
+// Find a user's active tenant-apartment document for an apartment, or null
+const findActiveTenancy = async (userId, apartmentId) => {
+  const [tenancy] = await getRepository().find('tenantApartments', {
+    where: [
+      ['userId', '==', userId], // Filter by user ID
+      ['apartmentId', '==', apartmentId], // Filter by apartment ID
+      ['status', '==', 'active'] // Filter by active status
+    ],
+    limit: 1
+  });
+  return tenancy || null;
+};
+
+// Active tenant-apartment documents for an apartment, oldest first
+const getActiveTenancies = async (apartmentId) => {
+  const tenancies = await getRepository().find('tenantApartments', {
+    where: [
+      ['apartmentId', '==', apartmentId], // Filter by apartment ID
+      ['status', '==', 'active'] // Filter by active status
+    ]
+  });
+  return tenancies.sort((a, b) =>
+    (a.createdAt?.toMillis() ?? 0) - (b.createdAt?.toMillis() ?? 0)
+  );
+};
+
+// Status an apartment should have for its occupant count
+const getOccupancyStatus = (currentOccupants, maxOccupants) =>
+  currentOccupants >= maxOccupants ? 'occupied' : 'available';
+
+// Move a tenant out: deactivate the tenancy, end its lease, free the slot in the
+// apartment, clear the user's apartment reference and hand over the primary role.
+// The move-out is logged for `context` in the same transaction.
+const vacateTenancy = async (tenantApartmentId, context) => {
+  const repository = getRepository();
+  const tenancyRecord = await repository.get('tenantApartments', tenantApartmentId);
+
+  if (!tenancyRecord) {
+    throw new Error('Tenant apartment record not found');
+  }
+
+  const { apartmentId, userId } = tenancyRecord;
+
+  // Transactions cannot run queries, so look up the lease and the next primary first
+  // and re-read both inside the transaction
+  const lease = await findCurrentLease(tenantApartmentId);
+  const successor = (await getActiveTenancies(apartmentId)).find(tenancy => tenancy.id !== tenantApartmentId);
+
+  await repository.runTransaction(async (transaction) => {
+    const tenancy = await transaction.get('tenantApartments', tenantApartmentId);
+    const apartment = await transaction.get('apartments', apartmentId);
+    const user = await transaction.get('users', userId);
+    const currentLease = lease ? await transaction.get('leases', lease.id) : null;
+    const nextPrimary = successor && tenancy?.role === 'primary'
+      ? await transaction.get('tenantApartments', successor.id)
+      : null;
+    const nextPrimaryUser = nextPrimary ? await transaction.get('users', nextPrimary.userId) : null;
+
+    if (tenancy?.status !== 'active') {
+      throw new Error('User is not an active tenant of this apartment');
+    }
+
+    const head = await readAuditHead(transaction);
+    const now = Timestamp.fromDate(new Date());
+    const unitLabel = `Unit ${apartment ? apartment.unitNumber : apartmentId}`;
+    const tenancyUpdate = { status: 'inactive', updatedAt: now };
+    const changes = [{
+      action: 'remove-tenant',
+      entity: 'tenantApartments',
+      entityId: tenantApartmentId,
+      targetLabel: `${user ? getUserLabel(user) : userId} from ${unitLabel}`,
+      before: tenancy,
+      after: { ...tenancy, ...tenancyUpdate }
+    }];
+
+    // Update tenant-apartment status to inactive
+    transaction.update('tenantApartments', tenantApartmentId, tenancyUpdate);
+
+    // End the lease the tenant was holding, if any
+    if (currentLease && currentLease.status === 'active') {
+      const leaseUpdate = { status: 'ended', endedAt: now, updatedAt: now };
+      transaction.update('leases', currentLease.id, leaseUpdate);
+      changes.push({
+        action: 'update',
+        entity: 'leases',
+        entityId: currentLease.id,
+        targetLabel: `Lease for ${unitLabel}`,
+        before: currentLease,
+        after: { ...currentLease, ...leaseUpdate }
+      });
+    }
+
+    // Update apartment occupant count
+    if (apartment) {
+      const { currentOccupants = 0, maxOccupants } = apartment;
+      const remainingOccupants = Math.max(currentOccupants - 1, 0);
+      transaction.update('apartments', apartmentId, {
+        currentOccupants: remainingOccupants,
+        status: getOccupancyStatus(remainingOccupants, maxOccupants),
+        updatedAt: now
+      });
+    }
+
+    // Remove user's apartment reference
+    if (user && user.apartmentId === apartmentId) {
+      transaction.update('users', userId, { apartmentId: null, updatedAt: now });
+    }
+
+    // Hand the primary role to the longest-standing remaining tenant
+    if (nextPrimary && nextPrimary.status === 'active') {
+      const handover = { role: 'primary', updatedAt: now };
+      transaction.update('tenantApartments', nextPrimary.id, handover);
+      changes.push({
+        action: 'update',
+        entity: 'tenantApartments',
+        entityId: nextPrimary.id,
+        targetLabel: `${nextPrimaryUser ? getUserLabel(nextPrimaryUser) : nextPrimary.userId} in ${unitLabel}`,
+        before: nextPrimary,
+        after: { ...nextPrimary, ...handover }
+      });
+    }
+
+    appendAuditEntries(transaction, head, context, changes);
+  });
+};
+
+// Recompute currentOccupants from active tenant-apartment rows and report any drift.
+// Pass { fix: true } to write the recomputed counts back to the apartments.
+export const reconcileOccupancy = async ({ fix = false } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(fix ? ADMIN_ONLY : STAFF_ROLES, fix ? 'repair occupancy counts' : 'audit occupancy counts');
+
+    const repository = getRepository();
+    const [apartments, activeTenancies] = await Promise.all([
+      repository.find('apartments'),
+      repository.find('tenantApartments', { where: [['status', '==', 'active']] })
+    ]);
+
+    // Count active tenants per apartment
+    const actualCounts = new Map();
+    activeTenancies.forEach(({ apartmentId }) => {
+      actualCounts.set(apartmentId, (actualCounts.get(apartmentId) || 0) + 1);
+    });
+
+    const drift = apartments
+      .map(apartment => ({
+        apartmentId: apartment.id,
+        unitNumber: apartment.unitNumber,
+        recorded: apartment.currentOccupants || 0,
+        actual: actualCounts.get(apartment.id) || 0,
+        status: apartment.status,
+        expectedStatus: getOccupancyStatus(actualCounts.get(apartment.id) || 0, apartment.maxOccupants)
+      }))
+      .filter(entry => entry.recorded !== entry.actual || entry.status !== entry.expectedStatus);
+
+    // Active tenancies that point at apartments which no longer exist
+    const apartmentIds = new Set(apartments.map(apartment => apartment.id));
+    const orphanedTenancies = activeTenancies
+      .filter(tenancy => !apartmentIds.has(tenancy.apartmentId))
+      .map(tenancy => tenancy.id);
+
+    if (fix && drift.length > 0) {
+      const apartmentsById = new Map(apartments.map(apartment => [apartment.id, apartment]));
+
+      for (let i = 0; i < drift.length; i += AUDITED_UPDATES_PER_TRANSACTION) {
+        await repository.runTransaction(async (transaction) => {
+          const head = await readAuditHead(transaction);
+          const changes = drift.slice(i, i + AUDITED_UPDATES_PER_TRANSACTION).map(entry => {
+            const apartment = apartmentsById.get(entry.apartmentId);
+            const update = {
+              currentOccupants: entry.actual,
+              status: entry.expectedStatus,
+              updatedAt: Timestamp.fromDate(new Date())
+            };
+            transaction.update('apartments', entry.apartmentId, update);
+            return {
+              action: 'update',
+              entity: 'apartments',
+              entityId: entry.apartmentId,
+              targetLabel: getDocumentLabel(apartment),
+              before: apartment,
+              after: { ...apartment, ...update }
+            };
+          });
+          appendAuditEntries(transaction, head, context, changes);
+        });
+      }
+    }
+
+    return {
+      checked: apartments.length,
+      drift,
+      orphanedTenancies,
+      fixed: fix ? drift.length : 0
+    };
+  } catch (error) {
+    console.error('Error reconciling occupancy:', error);
+    throw error;
+  }
+};
+
+// Lease Management Functions
+
+// Create lease agreement
+export const createLease = async (tenantApartmentId, leaseData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'create leases');
+
+    // Validate lease data
+    const repository = getRepository();
+    const tenancy = await repository.get('tenantApartments', tenantApartmentId);
+
+    if (!tenancy) {
+      throw new Error('Tenant apartment record not found');
+    }
+
+    if (tenancy.status === 'inactive') {
+      throw new Error('Cannot create a lease for an inactive tenant');
+    }
+
+    const { startDate, endDate } = validateLeaseDates(
+      leaseData.startDate,
+      leaseData.endDate || getDefaultLeaseEnd(leaseData.startDate, (await getSettings()).defaultLeaseMonths)
+    );
+    const monthlyRent = leaseData.monthlyRent ?? tenancy.monthlyRent;
+
+    if (typeof monthlyRent !== 'number' || monthlyRent <= 0) {
+      throw new Error('Invalid monthly rent');
+    }
+
+    // Check for date conflicts with other leases on the same unit
+    const leases = await getApartmentLeases(tenancy.apartmentId, ['active']);
+    const previousLease = leases.find(lease => lease.tenantApartmentId === tenantApartmentId);
+
+    if (leases.some(lease => leasesOverlap(lease, startDate, endDate))) {
+      throw new Error('Lease dates overlap an existing lease for this apartment');
+    }
+
+    // Create lease document
+    const now = Timestamp.fromDate(new Date());
+    const newLease = {
+      tenantApartmentId,
+      apartmentId: tenancy.apartmentId,
+      userId: tenancy.userId,
+      startDate,
+      endDate,
+      monthlyRent,
+      terms: leaseData.terms || '',
+      status: 'active',
+      previousLeaseId: previousLease ? previousLease.id : null,
+      createdAt: now,
+      updatedAt: now
+    };
+    assertValidDocument('leases', newLease);
+
+    // The new lease, the lease it renews and the tenancy are written in one transaction,
+    // so a failure part way can never leave two active leases or a tenancy pointing at
+    // the wrong one
+    const leaseId = repository.newId('leases');
+    await repository.runTransaction(async (transaction) => {
+      const currentTenancy = await transaction.get('tenantApartments', tenantApartmentId);
+      const currentPrevious = previousLease ? await transaction.get('leases', previousLease.id) : null;
+      const apartment = await transaction.get('apartments', tenancy.apartmentId);
+
+      if (!currentTenancy || currentTenancy.status === 'inactive') {
+        throw new Error('Cannot create a lease for an inactive tenant');
+      }
+
+      if (previousLease && currentPrevious?.status !== 'active') {
+        throw new Error('The current lease changed while renewing it; try again');
+      }
+
+      const head = await readAuditHead(transaction);
+      const targetLabel = `Lease for Unit ${apartment ? apartment.unitNumber : tenancy.apartmentId}`;
+      const changes = [{ action: 'create', entity: 'leases', entityId: leaseId, targetLabel, after: newLease }];
+
+      transaction.set('leases', leaseId, newLease);
+
+      // A new lease for the same tenant supersedes the one before it
+      if (previousLease) {
+        const renewal = { status: 'renewed', renewedByLeaseId: leaseId, updatedAt: now };
+        transaction.update('leases', previousLease.id, renewal);
+        changes.push({
+          action: 'update',
+          entity: 'leases',
+          entityId: previousLease.id,
+          targetLabel,
+          before: currentPrevious,
+          after: { ...currentPrevious, ...renewal }
+        });
+      }
+
+      // Update tenant-apartment relationship
+      transaction.update('tenantApartments', tenantApartmentId, {
+        leaseId,
+        leaseStartDate: startDate,
+        leaseEndDate: endDate,
+        monthlyRent,
+        updatedAt: now
+      });
+
+      appendAuditEntries(transaction, head, context, changes);
+    });
+
+    return { id: leaseId, ...newLease };
+  } catch (error) {
+    console.error('Error creating lease:', error);
+    throw error;
+  }
+};
+
+// Update lease details
+export const updateLease = async (tenantApartmentId, updateData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'update leases');
+
+    // Validate lease exists
+    const lease = await findCurrentLease(tenantApartmentId);
+
+    if (!lease) {
+      throw new Error('Lease not found');
+    }
+
+    // Validate update data
+    const invalidFields = Object.keys(updateData).filter(field => !LEASE_UPDATABLE_FIELDS.includes(field));
+    if (invalidFields.length > 0) {
+      throw new Error(`Invalid lease fields: ${invalidFields.join(', ')}`);
+    }
+
+    const { startDate, endDate } = validateLeaseDates(
+      updateData.startDate ?? lease.startDate,
+      updateData.endDate ?? lease.endDate
+    );
+
+    const leases = await getApartmentLeases(lease.apartmentId, ['active']);
+    const conflicts = leases.filter(other =>
+      other.id !== lease.id && leasesOverlap(other, startDate, endDate)
+    );
+
+    if (conflicts.length > 0) {
+      throw new Error('Lease dates overlap an existing lease for this apartment');
+    }
+
+    // Update lease document
+    const updatedData = {
+      ...updateData,
+      startDate,
+      endDate,
+      updatedAt: Timestamp.fromDate(new Date())
+    };
+    assertValidDocument('leases', updatedData, { partial: true });
+
+    await getRepository().runTransaction(async (transaction) => {
+      const current = await transaction.get('leases', lease.id);
+      const apartment = await transaction.get('apartments', lease.apartmentId);
+      const head = await readAuditHead(transaction);
+
+      transaction.update('leases', lease.id, updatedData);
+
+      // Keep the lease summary on the tenant-apartment relationship in sync
+      transaction.update('tenantApartments', tenantApartmentId, {
+        leaseStartDate: startDate,
+        leaseEndDate: endDate,
+        monthlyRent: updatedData.monthlyRent ?? lease.monthlyRent,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'leases',
+        entityId: lease.id,
+        targetLabel: `Lease for Unit ${apartment ? apartment.unitNumber : lease.apartmentId}`,
+        before: current,
+        after: { ...current, ...updatedData }
+      }]);
+    });
+
+    return { success: true, message: 'Lease updated successfully' };
+  } catch (error) {
+    console.error('Error updating lease:', error);
+    throw error;
+  }
+};
+
+// End lease agreement
+export const endLease = async (tenantApartmentId) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'end leases');
+
+    const repository = getRepository();
+    const tenancy = await repository.get('tenantApartments', tenantApartmentId);
+
+    if (!tenancy) {
+      throw new Error('Tenant apartment record not found');
+    }
+
+    const lease = await findCurrentLease(tenantApartmentId);
+
+    if (!lease) {
+      throw new Error('Lease not found');
+    }
+
+    // Ending the lease moves the tenant out; lease, tenancy, apartment and user
+    // are written in one transaction so they never disagree
+    if (tenancy.status === 'active') {
+      await vacateTenancy(tenantApartmentId, context);
+    } else {
+      await repository.runTransaction(async (transaction) => {
+        const current = await transaction.get('leases', lease.id);
+        const apartment = await transaction.get('apartments', lease.apartmentId);
+        const head = await readAuditHead(transaction);
+        const update = {
+          status: 'ended',
+          endedAt: Timestamp.fromDate(new Date()),
+          updatedAt: Timestamp.fromDate(new Date())
+        };
+
+        transaction.update('leases', lease.id, update);
+        appendAuditEntries(transaction, head, context, [{
+          action: 'update',
+          entity: 'leases',
+          entityId: lease.id,
+          targetLabel: `Lease for Unit ${apartment ? apartment.unitNumber : lease.apartmentId}`,
+          before: current,
+          after: { ...current, ...update }
+        }]);
+      });
+    }
+
+    return { success: true, message: 'Lease ended successfully' };
+  } catch (error) {
+    console.error('Error ending lease:', error);
+    throw error;
+  }
+};
+
+// Get lease details
+export const getLeaseDetails = async (tenantApartmentId) => {
+  try {
+    // Check permissions: staff see every lease, tenants only their own
+    const context = await getCurrentUserContext();
+
+    if (!context.uid || !context.role) {
+      throw new PermissionDeniedError('view leases', context.role);
+    }
+
+    // Tenants may only query their own records
+    const repository = getRepository();
+    const filters = [['tenantApartmentId', '==', tenantApartmentId]];
+    if (!isStaff(context)) {
+      filters.push(['userId', '==', context.uid]);
+    }
+
+    // Fetch lease document, falling back to the most recent one once a lease has ended
+    const leases = await repository.find('leases', { where: filters });
+
+    if (leases.length === 0) {
+      throw new Error('Lease not found');
+    }
+
+    const history = leases.sort((a, b) => b.startDate.toMillis() - a.startDate.toMillis());
+    const lease = history.find(entry => entry.status === 'active') || history[0];
+
+    // Include tenant and apartment details
+    const [tenant, apartment] = await Promise.all([
+      repository.get('users', lease.userId),
+      repository.get('apartments', lease.apartmentId)
+    ]);
+
+    // Include payment history
+    const payments = await repository.find('payments', { where: filters });
+
+    return { // Return lease object with all details
+      ...lease,
+      tenant,
+      apartment,
+      payments,
+      history
+    };
+  } catch (error) {
+    console.error('Error fetching lease details:', error);
+    throw error;
+  }
+};
+
+// Convert lease dates to Timestamps, rejecting missing dates and ends before starts
+const validateLeaseDates = (startValue, endValue) => {
+  const startDate = toTimestamp(startValue);
+  const endDate = toTimestamp(endValue);
+
+  if (!startDate || !endDate) {
+    throw new Error('Invalid lease dates: start and end dates are required');
+  }
+
+  if (endDate.toMillis() <= startDate.toMillis()) {
+    throw new Error('Invalid lease dates: end date must be after start date');
+  }
+
+  return { startDate, endDate };
+};
+
+// Why a user cannot move into an apartment, or null if they can
+const getTenantIneligibility = (user) => {
+  if (user.apartmentId) {
+    return 'User already has an active apartment';
+  }
+  // Staff accounts cannot be placed in a unit
+  if (user.role && user.role !== 'tenant') {
+    return 'Only tenants can be assigned to apartments';
+  }
+  if (user.active === false) {
+    return 'User account is deactivated';
+  }
+  return null;
+};
+
+// Why an apartment cannot take another tenant, or null if it can
+const getApartmentIneligibility = (apartment) => {
+  if ((apartment.currentOccupants || 0) >= apartment.maxOccupants) {
+    return `Apartment is at maximum capacity (${apartment.maxOccupants} occupants)`;
+  }
+  return null;
+};
+
+// Last day of a lease that starts on `startValue` and runs for `months` months
+const getDefaultLeaseEnd = (startValue, months) => {
+  const start = toTimestamp(startValue);
+
+  if (!start) {
+    return null;
+  }
+
+  const end = start.toDate();
+  end.setMonth(end.getMonth() + months);
+  end.setDate(end.getDate() - 1);
+  return Timestamp.fromDate(end);
+};
+
+// Check a unit number against the portfolio's unit number format
+const validateUnitNumber = (unitNumber, settings) => {
+  if (!new RegExp(settings.unitNumberPattern).test(unitNumber)) {
+    throw new Error(`Invalid unit number format: must match ${settings.unitNumberPattern}`);
+  }
+};
+
+// Accept Timestamps, Dates, ISO strings or epoch numbers
+const toTimestamp = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Timestamp) {
+    return value;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+};
+
+// Two leases overlap when each starts before the other ends
+const leasesOverlap = (lease, startDate, endDate) =>
+  lease.startDate.toMillis() < endDate.toMillis() && startDate.toMillis() < lease.endDate.toMillis();
+
+// The active lease document for a tenant-apartment relationship, or null
+const findCurrentLease = async (tenantApartmentId) => {
+  const [lease] = await getRepository().find('leases', {
+    where: [
+      ['tenantApartmentId', '==', tenantApartmentId], // Filter by tenancy
+      ['status', '==', 'active'] // Filter by active status
+    ],
+    limit: 1
+  });
+  return lease || null;
+};
+
+// Trim a building name and collapse runs of whitespace
+const normalizeBuildingName = (name) => String(name).trim().replace(/\s+/g, ' ');
+
+// Copy only the listed fields that are present on the input
+const pickFields = (data, fields) =>
+  Object.fromEntries(Object.entries(data || {}).filter(([field]) => fields.includes(field)));
+
+// Validate building fields; `requireName` is set when creating
+const validateBuildingData = (data, requireName) => {
+  const validated = { ...data };
+
+  if (requireName || 'name' in data) {
+    const name = normalizeBuildingName(data.name || '');
+    if (!name) {
+      throw new Error('Building name is required');
+    }
+    validated.name = name;
+    validated.nameKey = name.toLowerCase();
+  }
+  if ('address' in data) {
+    validated.address = String(data.address || '').trim();
+  }
+  if (data.floors !== undefined && data.floors !== null &&
+      (!Number.isInteger(data.floors) || data.floors <= 0)) {
+    throw new Error('Invalid number of floors');
+  }
+  if (data.yearBuilt !== undefined && data.yearBuilt !== null &&
+      (!Number.isInteger(data.yearBuilt) || data.yearBuilt < 1800 || data.yearBuilt > new Date().getFullYear() + 5)) {
+    throw new Error('Invalid year built');
+  }
+  if (data.manager !== undefined && data.manager !== null) {
+    const { name = '', email = '', phone = '' } = data.manager;
+    if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      throw new Error('Invalid manager email');
+    }
+    validated.manager = { name: String(name).trim(), email: String(email).trim(), phone: String(phone).trim() };
+  }
+
+  return validated;
+};
+
+// Building document whose name matches ignoring case and spacing, or null
+const findBuildingByNameKey = async (nameKey) => {
+  const [building] = await getRepository().find('buildings', { where: [['nameKey', '==', nameKey]], limit: 1 });
+  return building || null;
+};
+
+// Load the building an apartment is being linked to; a missing ID unlinks it
+const resolveBuilding = async (buildingId) => {
+  if (!buildingId) {
+    return null;
+  }
+  const building = await getRepository().get('buildings', buildingId);
+  if (!building) {
+    throw new Error('Building not found');
+  }
+  return building;
+};
+
+// Apartment documents linked to a building
+const getBuildingApartments = (buildingId) =>
+  getRepository().find('apartments', { where: [['buildingId', '==', buildingId]] });
+
+// Whether another apartment already uses this unit number
+const isUnitNumberTaken = async (unitNumber, exceptApartmentId = null) => {
+  const apartments = await getRepository().find('apartments', { where: [['unitNumber', '==', unitNumber]], limit: 2 });
+  return apartments.some(apartment => apartment.id !== exceptApartmentId);
+};
+
+// One page of a collection, ordered by document ID unless `orderBy` is given; a
+// pageSize of 0 reads everything after the cursor. Returns the page's documents,
+// the cursor for the next page and whether there is one.
+const getPage = async (collectionName, { where = [], orderBy = [[DOCUMENT_ID, 'asc']], pageSize = 0, cursor = null } = {}) => {
+  // Read one extra document to find out whether there is another page
+  const documents = await getRepository().find(collectionName, {
+    where,
+    orderBy,
+    startAfter: cursor,
+    limit: pageSize ? pageSize + 1 : 0
+  });
+  const docs = pageSize ? documents.slice(0, pageSize) : documents;
+
+  return {
+    docs,
+    cursor: docs.length ? docs[docs.length - 1] : null,
+    hasMore: !!pageSize && documents.length > pageSize
+  };
+};
+
+// Check caller data against the collection's schema, if it has one
+const validateSchemaWrite = (collectionName, data, options) => {
+  if (hasSchema(collectionName)) {
+    assertValidDocument(collectionName, data, options);
+  }
+};
+
+// The audit log is append-only: only appendAuditEntries writes to it
+const assertNotAuditCollection = (collectionName) => {
+  if (AUDIT_COLLECTIONS.includes(collectionName)) {
+    throw new Error('Audit log entries cannot be written directly');
+  }
+};
+
+// Readable name for a document in audit entries, e.g. 'Unit A101' or a building's name
+const getDocumentLabel = (document) =>
+  document.unitNumber ? `Unit ${document.unitNumber}` : document.name || document.title || '';
+
+// Whether a tenant may read `document`: their own user, apartment, tenancies, leases,
+// rent, notifications and repair requests
+const isOwnRecord = (context, collectionName, document) => {
+  switch (collectionName) {
+    case 'users':
+      return document.id === context.uid;
+    case 'apartments':
+      return document.id === context.apartmentId;
+    case 'tenantApartments':
+      return document.userId === context.uid || document.apartmentId === context.apartmentId;
+    case 'leases':
+    case 'rentCharges':
+    case 'payments':
+    case 'notifications':
+      return document.userId === context.uid;
+    case 'repairRequests':
+      return document.tenantId === context.uid;
+    default:
+      return false;
+  }
+};
+
+// Name used for a user in audit entries
+const getUserLabel = (user) =>
+  user.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || user.id;
+
+const USER_NAME_FIELDS = ['name', 'firstName', 'lastName'];
+
+// Lower-cased display name with single spaces; empty for a user without a name
+const getUserNameKey = (user) =>
+  (user.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || '')
+    .trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Add a user's nameKey to a new user, or to an update of `before` that changes a name field
+const withUserNameKey = (collectionName, data, before = null) => {
+  if (collectionName !== 'users' || (before && !USER_NAME_FIELDS.some(field => field in data))) {
+    return data;
+  }
+  return { ...data, nameKey: getUserNameKey({ ...before, ...data }) };
+};
+
+// Documents as fetchDocuments lists them
+const toListedDocument = (doc) => ({
+  ...doc,
+  createdAt: doc.createdAt?.toDate(), // Convert Firestore Timestamp to JS Date
+  createdBy: doc.createdBy || null, // Ensure createdBy is included
+});
+
+// Tenancy documents with their user documents attached as `user`
+const withTenantUsers = (tenancies) => {
+  const repository = getRepository();
+  return Promise.all(tenancies.map(async (tenancy) => ({
+    ...tenancy,
+    user: await repository.get('users', tenancy.userId) // Get the user document
+  })));
+};
+
+// Lease documents on an apartment with one of the given statuses
+const getApartmentLeases = (apartmentId, statuses) =>
+  getRepository().find('leases', {
+    where: [
+      ['apartmentId', '==', apartmentId], // Filter by apartment ID
+      ['status', 'in', statuses] // Filter by lease status
+    ]
+  });
+
+// UI Implementation Steps
+
+// ApartmentListScreen.js
+/*
+1. Create screen component
+2. Implement apartment list view
+   - Use FlatList for performance
+   - Add pull-to-refresh
+   - Add search functionality
+3. Add apartment card component
+   - Show basic apartment info
+   - Show status badge
+   - Add action buttons
+4. Add filters
+   - Filter by status
+   - Filter by building
+   - Filter by price range
+5. Add sorting options
+   - Sort by price
+   - Sort by unit number
+   - Sort by status
+*/
 
 // ApartmentDetailScreen.js
 /*
@@ -694,18 +2446,605 @@ async function getLeaseDetails(tenantApartmentId) {
    - Handle unauthorized access errors
 */
 
-// Get all users
+// Get all users; getUsersPage pages through them
 export const getAllUsers = async () => {
   try {
-    const usersRef = collection(db, 'users');
-    const querySnapshot = await getDocs(usersRef);
-    const users = querySnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-    return users;
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list users');
+
+    return await getRepository().find('users');
   } catch (error) {
     console.error('Error fetching users:', error);
     throw error;
   }
 };
+
+// Get a single user
+export const getUser = async (userId) => {
+  try {
+    // Check permissions
+    await requireSelfOrRole(userId, STAFF_ROLES, 'view other users');
+
+    const user = await getRepository().get('users', userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    throw error;
+  }
+};
+
+// Get one page of users ordered by name, or by email when searching for an address.
+// `search` is a prefix that ignores case; pass the returned `cursor` back to get the next page.
+// Users without a nameKey are left out until migrateUserNameKeys has run.
+export const getUsersPage = async ({ search = '', pageSize = 20, cursor = null } = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'list users');
+
+    const term = search.trim().replace(/\s+/g, ' ').toLowerCase();
+    const field = term.includes('@') ? 'email' : 'nameKey';
+
+    const constraints = term ? [[field, '>=', term], [field, '<=', `${term}\uf8ff`]] : [];
+    const page = await getPage('users', { where: constraints, orderBy: [[field, 'asc']], pageSize, cursor });
+
+    return {
+      users: page.docs,
+      cursor: page.cursor ?? cursor,
+      hasMore: page.hasMore
+    };
+  } catch (error) {
+    console.error('Error fetching users page:', error);
+    throw error;
+  }
+};
+
+// Change a user's role
+export const updateUserRole = async (userId, role) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'change user roles');
+
+    assertValidDocument('users', { role }, { partial: true });
+
+    // Admins cannot lock themselves out
+    if (userId === context.uid) {
+      throw new Error('You cannot change your own role');
+    }
+
+    return await getRepository().runTransaction(async (transaction) => {
+      const user = await transaction.get('users', userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      // Only tenants live in apartments
+      if (role !== 'tenant' && user.apartmentId) {
+        throw new Error('Remove the user from their apartment before changing their role');
+      }
+
+      const head = await readAuditHead(transaction);
+      const update = { role, updatedAt: Timestamp.fromDate(new Date()) };
+
+      transaction.update('users', userId, update);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'users',
+        entityId: userId,
+        targetLabel: getUserLabel(user),
+        before: user,
+        after: { ...user, ...update }
+      }]);
+
+      return { ...user, role };
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    throw error;
+  }
+};
+
+// Deactivate or reactivate a user account. Deactivated users keep their data but
+// lose every permission until they are reactivated.
+export const setUserActive = async (userId, active) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'deactivate users');
+
+    if (userId === context.uid) {
+      throw new Error('You cannot deactivate your own account');
+    }
+
+    const now = Timestamp.fromDate(new Date());
+    const update = {
+      active,
+      deactivatedAt: active ? null : now,
+      updatedAt: now
+    };
+    assertValidDocument('users', update, { partial: true });
+
+    return await getRepository().runTransaction(async (transaction) => {
+      const user = await transaction.get('users', userId);
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const head = await readAuditHead(transaction);
+
+      transaction.update('users', userId, update);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'users',
+        entityId: userId,
+        targetLabel: getUserLabel(user),
+        before: user,
+        after: { ...user, ...update }
+      }]);
+
+      return { ...user, ...update };
+    });
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    throw error;
+  }
+};
+
+// Give every user the nameKey that getUsersPage searches, for users written before
+// it existed or outside the app. Safe to run more than once: current keys are skipped.
+export const migrateUserNameKeys = async () => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'migrate users');
+
+    const repository = getRepository();
+    const users = await repository.find('users');
+    const stale = users.filter(user => user.nameKey !== getUserNameKey(user));
+
+    for (let i = 0; i < stale.length; i += AUDITED_UPDATES_PER_TRANSACTION) {
+      await repository.runTransaction(async (transaction) => {
+        const head = await readAuditHead(transaction);
+        const changes = stale.slice(i, i + AUDITED_UPDATES_PER_TRANSACTION).map(user => {
+          const update = { nameKey: getUserNameKey(user) };
+          transaction.update('users', user.id, update);
+          return {
+            action: 'update',
+            entity: 'users',
+            entityId: user.id,
+            targetLabel: getUserLabel(user),
+            before: user,
+            after: { ...user, ...update }
+          };
+        });
+        appendAuditEntries(transaction, head, context, changes);
+      });
+    }
+
+    return { checked: users.length, updatedUsers: stale.length };
+  } catch (error) {
+    console.error('Error migrating user name keys:', error);
+    throw error;
+  }
+};
+
+// Bulk Import and Export Functions
+
+// Rows per import file. A file is written in one transaction so it imports all-or-nothing,
+// and a tenant row takes up to five of the 500 writes a transaction allows.
+export const IMPORT_ROW_LIMIT = 95;
+
+// Columns each CSV import reads. Exports use the same labels so an exported file imports again.
+export const IMPORT_COLUMNS = {
+  apartments: [
+    { field: 'unitNumber', label: 'Unit number', required: true, aliases: ['unit', 'apartment'] },
+    { field: 'building', label: 'Building', aliases: ['buildingName'] },
+    { field: 'floor', label: 'Floor' },
+    { field: 'rooms', label: 'Rooms', required: true, aliases: ['bedrooms'] },
+    { field: 'monthlyRent', label: 'Monthly rent', required: true, aliases: ['rent'] },
+    { field: 'maxOccupants', label: 'Maximum occupants', aliases: ['capacity'] },
+    { field: 'amenities', label: 'Amenities' }
+  ],
+  tenants: [
+    { field: 'email', label: 'Tenant email', required: true, aliases: ['tenant'] },
+    { field: 'unitNumber', label: 'Unit number', required: true, aliases: ['unit', 'apartment'] },
+    { field: 'startDate', label: 'Lease start', required: true, aliases: ['start', 'leaseStartDate'] },
+    { field: 'endDate', label: 'Lease end', aliases: ['end', 'leaseEndDate'] },
+    { field: 'monthlyRent', label: 'Monthly rent', aliases: ['rent'] },
+    { field: 'terms', label: 'Terms' }
+  ]
+};
+
+// Check an import file without writing anything. `kind` is 'apartments' or 'tenants';
+// `options.mapping` is { [field]: column index } and is guessed from the header row when
+// missing. Every row is checked the way createApartment or assignTenant would check it,
+// earlier rows in the file included. Returns { kind, mapping, rows: [{ row, values, errors }], valid }
+// where `row` is the spreadsheet row number and `errors` lists why the row cannot be imported.
+export const previewImport = async (kind, csvText, options = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, `import ${kind}`);
+
+    const { mapping, rows } = readImportFile(kind, csvText, options.mapping);
+    const planned = kind === 'apartments' ? await planApartmentImport(rows) : await planTenantImport(rows);
+
+    return toImportReport(kind, mapping, planned);
+  } catch (error) {
+    console.error('Error previewing import:', error);
+    throw error;
+  }
+};
+
+// Import a file checked by previewImport. Nothing is written unless every row is valid; the
+// report is returned either way with `imported`, the number of rows written.
+export const runImport = async (kind, csvText, options = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, `import ${kind}`);
+
+    const { mapping, rows } = readImportFile(kind, csvText, options.mapping);
+    const planned = kind === 'apartments' ? await planApartmentImport(rows) : await planTenantImport(rows);
+    const report = toImportReport(kind, mapping, planned);
+
+    if (!report.valid) {
+      return { ...report, imported: 0 };
+    }
+
+    // The whole file and its audit entries are written in one transaction
+    await getRepository().runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+      const changes = kind === 'apartments'
+        ? writeApartmentImport(transaction, planned)
+        : await writeTenantImport(transaction, planned);
+      appendAuditEntries(transaction, head, context, changes);
+    });
+
+    return { ...report, imported: planned.length };
+  } catch (error) {
+    console.error('Error importing:', error);
+    throw error;
+  }
+};
+
+// Apartments as CSV, optionally only those in one building or with one status
+export const exportApartmentsCsv = async (filters = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'export apartments');
+
+    const where = [];
+    if (filters.buildingId) {
+      where.push(['buildingId', '==', filters.buildingId]);
+    }
+    if (filters.status) {
+      where.push(['status', '==', filters.status]);
+    }
+    const apartments = await getRepository().find('apartments', { where });
+
+    return toCsv(
+      ['Unit number', 'Building', 'Floor', 'Rooms', 'Monthly rent', 'Maximum occupants', 'Current occupants', 'Status', 'Amenities'],
+      apartments.sort(byUnitNumber).map(apartment => [
+        apartment.unitNumber,
+        apartment.buildingName,
+        apartment.floor,
+        apartment.rooms,
+        apartment.monthlyRent,
+        apartment.maxOccupants,
+        apartment.currentOccupants || 0,
+        apartment.status,
+        (apartment.amenities || []).join('; ')
+      ])
+    );
+  } catch (error) {
+    console.error('Error exporting apartments:', error);
+    throw error;
+  }
+};
+
+// Active tenant assignments as CSV, optionally only those in one building or apartment
+export const exportTenantsCsv = async (filters = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'export tenants');
+
+    const repository = getRepository();
+    const where = [['status', '==', 'active']];
+    if (filters.apartmentId) {
+      where.push(['apartmentId', '==', filters.apartmentId]);
+    }
+    const [tenancies, apartments] = await Promise.all([
+      repository.find('tenantApartments', { where }),
+      filters.buildingId ? getBuildingApartments(filters.buildingId) : repository.find('apartments')
+    ]);
+
+    const apartmentsById = new Map(apartments.map(apartment => [apartment.id, apartment]));
+    const rows = await Promise.all(
+      tenancies
+        .filter(tenancy => apartmentsById.has(tenancy.apartmentId))
+        .map(async (tenancy) => ({
+          tenancy,
+          apartment: apartmentsById.get(tenancy.apartmentId),
+          user: (await repository.get('users', tenancy.userId)) || { id: tenancy.userId }
+        }))
+    );
+
+    return toCsv(
+      ['Tenant name', 'Tenant email', 'Unit number', 'Building', 'Role', 'Lease start', 'Lease end', 'Monthly rent'],
+      rows
+        .sort((a, b) => byUnitNumber(a.apartment, b.apartment) || a.tenancy.role.localeCompare(b.tenancy.role))
+        .map(({ tenancy, apartment, user }) => [
+          getUserLabel(user),
+          user.email,
+          apartment.unitNumber,
+          apartment.buildingName,
+          tenancy.role,
+          formatCsvDate(tenancy.leaseStartDate),
+          formatCsvDate(tenancy.leaseEndDate),
+          tenancy.monthlyRent
+        ])
+    );
+  } catch (error) {
+    console.error('Error exporting tenants:', error);
+    throw error;
+  }
+};
+
+// Users as CSV, optionally only one role or only active (or deactivated) accounts
+export const exportUsersCsv = async (filters = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'export users');
+
+    const repository = getRepository();
+    const where = filters.role ? [['role', '==', filters.role]] : [];
+    const [users, apartments] = await Promise.all([
+      repository.find('users', { where }),
+      repository.find('apartments')
+    ]);
+
+    // Accounts are active unless they have been deactivated
+    const matching = users.filter(user => filters.active === undefined || (user.active !== false) === filters.active);
+    const unitNumbers = new Map(apartments.map(apartment => [apartment.id, apartment.unitNumber]));
+
+    return toCsv(
+      ['Name', 'Email', 'Role', 'Active', 'Unit number', 'Deactivated on'],
+      matching
+        .sort((a, b) => getUserLabel(a).localeCompare(getUserLabel(b)))
+        .map(user => [
+          user.name || [user.firstName, user.lastName].filter(Boolean).join(' '),
+          user.email,
+          user.role,
+          user.active === false ? 'no' : 'yes',
+          user.apartmentId ? unitNumbers.get(user.apartmentId) : '',
+          formatCsvDate(user.deactivatedAt)
+        ])
+    );
+  } catch (error) {
+    console.error('Error exporting users:', error);
+    throw error;
+  }
+};
+
+// Parse an import file into rows of { row, values: { [field]: text } } using `mapping`,
+// or the mapping guessed from the header row
+const readImportFile = (kind, csvText, mapping) => {
+  const columns = IMPORT_COLUMNS[kind];
+
+  if (!columns) {
+    throw new Error(`Unknown import type: ${kind}`);
+  }
+
+  const [header = [], ...records] = parseCsv(csvText || '');
+  if (records.length === 0) {
+    throw new Error('The file has no rows to import');
+  }
+  if (records.length > IMPORT_ROW_LIMIT) {
+    throw new Error(`Import at most ${IMPORT_ROW_LIMIT} rows per file`);
+  }
+
+  const columnMapping = mapping || suggestColumnMapping(columns, header);
+  const unmapped = columns.filter(column => column.required && columnMapping[column.field] == null);
+  if (unmapped.length > 0) {
+    throw new Error(`Choose a column for: ${unmapped.map(column => column.label).join(', ')}`);
+  }
+
+  return {
+    mapping: columnMapping,
+    rows: records.map((record, index) => ({
+      row: index + 2, // Row 1 is the header
+      values: Object.fromEntries(columns.map(({ field }) => {
+        const column = columnMapping[field];
+        return [field, column == null ? '' : (record[column] ?? '').trim()];
+      }))
+    }))
+  };
+};
+
+// Empty cells are left out; anything else that is not a number fails validation
+const toImportNumber = (text) => (text === '' ? undefined : Number(text));
+
+// Messages for a row that failed, one per field when the schema rejected it
+const getRowErrors = (error) =>
+  error instanceof ValidationError ? Object.values(error.fieldErrors) : [error.message];
+
+const toImportReport = (kind, mapping, planned) => {
+  const rows = planned.map(({ row, values, errors }) => ({ row, values, errors }));
+  return { kind, mapping, rows, valid: rows.every(row => row.errors.length === 0) };
+};
+
+const byUnitNumber = (a, b) => String(a.unitNumber).localeCompare(String(b.unitNumber), undefined, { numeric: true });
+
+// Check each apartment row with createApartment's rules; unit numbers must also be
+// unique within the file
+const planApartmentImport = async (rows) => {
+  const settings = await getSettings();
+  const buildings = new Map(); // Name key -> building, so each name is looked up once
+  const unitRows = new Map(); // Unit number -> row that first used it
+
+  const planned = [];
+  for (const { row, values } of rows) {
+    try {
+      let buildingId = null;
+      if (values.building) {
+        const nameKey = normalizeBuildingName(values.building).toLowerCase();
+        if (!buildings.has(nameKey)) {
+          buildings.set(nameKey, await findBuildingByNameKey(nameKey));
+        }
+        if (!buildings.get(nameKey)) {
+          throw new Error(`Building not found: ${values.building}`);
+        }
+        buildingId = buildings.get(nameKey).id;
+      }
+
+      if (unitRows.has(values.unitNumber)) {
+        throw new Error(`Unit ${values.unitNumber} is already on row ${unitRows.get(values.unitNumber)}`);
+      }
+      if (values.unitNumber) {
+        unitRows.set(values.unitNumber, row);
+      }
+
+      const apartment = await prepareNewApartment({
+        unitNumber: values.unitNumber,
+        buildingId,
+        rooms: toImportNumber(values.rooms),
+        monthlyRent: toImportNumber(values.monthlyRent),
+        ...(values.floor && { floor: toImportNumber(values.floor) }),
+        ...(values.maxOccupants && { maxOccupants: toImportNumber(values.maxOccupants) }),
+        ...(values.amenities && { amenities: values.amenities.split(';').map(item => item.trim()).filter(Boolean) })
+      }, settings);
+
+      planned.push({ row, values, errors: [], apartment });
+    } catch (error) {
+      planned.push({ row, values, errors: getRowErrors(error) });
+    }
+  }
+  return planned;
+};
+
+const writeApartmentImport = (transaction, planned) => {
+  const repository = getRepository();
+
+  return planned.map(({ apartment }) => {
+    const id = repository.newId('apartments');
+    transaction.set('apartments', id, apartment);
+    return { action: 'create', entity: 'apartments', entityId: id, targetLabel: `Unit ${apartment.unitNumber}`, after: apartment };
+  });
+};
+
+// Check each tenant row with assignTenant's rules. Rows are applied in order to copies of
+// the apartments and users, so the second tenant in an apartment becomes a secondary tenant
+// and a tenant listed twice is rejected the second time.
+const planTenantImport = async (rows) => {
+  const settings = await getSettings();
+  const repository = getRepository();
+  const users = new Map(); // Email -> user copy (null when there is none)
+  const apartments = new Map(); // Unit number -> apartment copy (null when there is none)
+  const storedLeases = new Map(); // Apartment ID -> active leases before the import
+  const leases = new Map(); // Apartment ID -> active leases, planned ones included
+
+  const planned = [];
+  for (const { row, values } of rows) {
+    try {
+      const leaseTerms = getAssignmentTerms({
+        startDate: values.startDate,
+        endDate: values.endDate,
+        monthlyRent: toImportNumber(values.monthlyRent),
+        terms: values.terms
+      }, settings.defaultLeaseMonths);
+
+      const email = values.email.toLowerCase();
+      if (email && !users.has(email)) {
+        const [user] = await repository.find('users', { where: [['email', '==', email]], limit: 1 });
+        users.set(email, user ? { ...user } : null);
+      }
+      if (values.unitNumber && !apartments.has(values.unitNumber)) {
+        const [apartment] = await repository.find('apartments', { where: [['unitNumber', '==', values.unitNumber]], limit: 1 });
+        apartments.set(values.unitNumber, apartment ? { ...apartment } : null);
+      }
+      const user = users.get(email) || null;
+      const apartment = apartments.get(values.unitNumber) || null;
+
+      if (apartment && !storedLeases.has(apartment.id)) {
+        storedLeases.set(apartment.id, await getApartmentLeases(apartment.id, ['active']));
+        leases.set(apartment.id, [...storedLeases.get(apartment.id)]);
+      }
+
+      const ids = { tenancyId: repository.newId('tenantApartments'), leaseId: repository.newId('leases') };
+      const plan = planAssignment({
+        user,
+        apartment,
+        leaseTerms,
+        activeLeases: apartment ? leases.get(apartment.id) : [],
+        ...ids
+      });
+
+      // Later rows see this assignment
+      Object.assign(apartment, plan.apartmentUpdate);
+      Object.assign(user, plan.userUpdate);
+      if (plan.lease) {
+        leases.get(apartment.id).push(plan.lease);
+      }
+
+      planned.push({ row, values, errors: [], plan, leaseTerms, ids, storedLeases: storedLeases.get(apartment.id) });
+    } catch (error) {
+      planned.push({ row, values, errors: getRowErrors(error) });
+    }
+  }
+  return planned;
+};
+
+// Re-plan every row against the apartments and users read in `transaction`, so a change made
+// since the preview fails the whole import instead of writing stale data, then write them
+const writeTenantImport = async (transaction, planned) => {
+  const apartments = new Map();
+  const users = new Map();
+  const leases = new Map();
+
+  // Transactions read everything before they write anything
+  for (const { plan } of planned) {
+    const { apartmentId, userId } = plan.tenancy;
+    if (!apartments.has(apartmentId)) {
+      apartments.set(apartmentId, await transaction.get('apartments', apartmentId));
+    }
+    if (!users.has(userId)) {
+      users.set(userId, await transaction.get('users', userId));
+    }
+  }
+
+  const plans = planned.map(({ row, plan: { tenancy }, leaseTerms, ids, storedLeases }) => {
+    const apartment = apartments.get(tenancy.apartmentId);
+    const user = users.get(tenancy.userId);
+    if (!leases.has(tenancy.apartmentId)) {
+      leases.set(tenancy.apartmentId, [...storedLeases]);
+    }
+
+    let plan;
+    try {
+      plan = planAssignment({ user, apartment, leaseTerms, activeLeases: leases.get(tenancy.apartmentId), ...ids });
+    } catch (error) {
+      throw new Error(`Row ${row}: ${error.message}`);
+    }
+
+    apartments.set(apartment.id, { ...apartment, ...plan.apartmentUpdate });
+    users.set(user.id, { ...user, ...plan.userUpdate });
+    if (plan.lease) {
+      leases.get(apartment.id).push(plan.lease);
+    }
+    return { plan, user, apartment };
+  });
+
+  return plans.map(({ plan, user, apartment }) => {
+    writeAssignment(transaction, plan);
+    return {
+      action: 'assign-tenant',
+      entity: 'tenantApartments',
+      entityId: plan.tenancy.id,
+      targetLabel: `${getUserLabel(user)} to Unit ${apartment.unitNumber}`,
+      after: plan.tenancy
+    };
+  });
+};
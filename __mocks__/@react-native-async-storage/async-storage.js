@@ -0,0 +1,2 @@
+// The native module is missing under jest; use the in-memory mock the library ships
+export { default } from '@react-native-async-storage/async-storage/jest/async-storage-mock';
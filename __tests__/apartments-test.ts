@@ -0,0 +1,372 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  addDocument,
+  assignTenant,
+  createApartment,
+  deleteApartment,
+  fetchDocumentByID,
+  fetchDocuments,
+  getAllApartments,
+  getApartmentsPage,
+  getApartmentTenants,
+  subscribeToAllApartments,
+  subscribeToApartmentTenants,
+  updateApartment,
+  updateDocument,
+} from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const lease = { startDate: '2025-01-01', endDate: '2025-12-31' };
+
+const apartment = (data = {}) => ({
+  unitNumber: 'A101',
+  rooms: 2,
+  monthlyRent: 1200,
+  maxOccupants: 2,
+  currentOccupants: 0,
+  status: 'available',
+  ...data,
+});
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: null },
+    'tenant-2': { name: 'Tenant Two', role: 'tenant', apartmentId: null },
+    'tenant-3': { name: 'Tenant Three', role: 'tenant', apartmentId: null },
+  },
+  apartments: {
+    A101: apartment(),
+    B201: apartment({ unitNumber: 'B201' }),
+  },
+});
+
+const read = (collectionName: string, id: string) => getRepository().get(collectionName, id);
+
+// Let subscription callbacks and the user lookups they start run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('apartment and tenant functions', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+  });
+
+  describe('createApartment', () => {
+    it('creates an available, empty apartment', async () => {
+      const created = await createApartment({ unitNumber: 'C301', rooms: 3, monthlyRent: 1500 });
+
+      expect(created).toMatchObject({ unitNumber: 'C301', status: 'available', currentOccupants: 0 });
+      expect(await read('apartments', created.id)).toMatchObject({ unitNumber: 'C301', rooms: 3 });
+    });
+
+    it('rejects a duplicate unit number', async () => {
+      await expect(createApartment({ unitNumber: 'A101', rooms: 1, monthlyRent: 900 })).rejects.toThrow(
+        'Apartment with this unit number already exists'
+      );
+    });
+
+    it('reports missing fields and invalid numbers field by field', async () => {
+      await expect(createApartment({ unitNumber: 'C301', rooms: 2 })).rejects.toMatchObject({
+        name: 'ValidationError',
+        fieldErrors: { monthlyRent: 'Monthly rent is required' },
+      });
+      await expect(createApartment({ unitNumber: 'C301', rooms: 0, monthlyRent: -5, floor: 0 })).rejects.toMatchObject({
+        fieldErrors: {
+          rooms: 'Rooms must be at least 1',
+          monthlyRent: 'Monthly rent must be greater than 0',
+          floor: 'Floor must be at least 1',
+        },
+      });
+    });
+
+    it('rejects unknown fields', async () => {
+      await expect(createApartment({ unitNumber: 'C301', rooms: 2, monthlyRent: 900, colour: 'blue' })).rejects.toThrow(
+        'Invalid apartment: Colour is not a known apartment field'
+      );
+    });
+
+    it('is denied to tenants', async () => {
+      signInAs('tenant-1');
+
+      await expect(createApartment({ unitNumber: 'C301', rooms: 2, monthlyRent: 1000 })).rejects.toThrow(
+        'Permission denied: tenant cannot create apartments'
+      );
+    });
+  });
+
+  describe('updateApartment', () => {
+    it('updates editable fields', async () => {
+      signInAs('landlord-1');
+
+      await updateApartment('A101', { monthlyRent: 1300 });
+
+      expect(await read('apartments', 'A101')).toMatchObject({ monthlyRent: 1300 });
+    });
+
+    it('reports a missing apartment', async () => {
+      await expect(updateApartment('missing', { monthlyRent: 1300 })).rejects.toThrow('Apartment not found');
+    });
+
+    it('validates zero and negative values instead of skipping them', async () => {
+      await expect(updateApartment('A101', { floor: 0, rooms: -1, unitNumber: ' ' })).rejects.toMatchObject({
+        fieldErrors: {
+          floor: 'Floor must be at least 1',
+          rooms: 'Rooms must be at least 1',
+          unitNumber: 'Unit number is required',
+        },
+      });
+      expect(await read('apartments', 'A101')).toMatchObject({ rooms: 2 });
+    });
+
+    it('refuses to change fields that follow tenant assignments', async () => {
+      await expect(updateApartment('A101', { currentOccupants: 5 })).rejects.toThrow(
+        'Cannot update managed fields: currentOccupants'
+      );
+    });
+
+    it('keeps capacity at or above the current occupants', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+      await assignTenant('tenant-2', 'A101', lease);
+
+      await expect(updateApartment('A101', { maxOccupants: 1 })).rejects.toThrow(
+        'Maximum occupants cannot be lower than the current number of occupants'
+      );
+    });
+
+    it('is denied to signed-out users', async () => {
+      signInAs(null);
+
+      await expect(updateApartment('A101', { monthlyRent: 1300 })).rejects.toThrow(
+        'Permission denied: signed-out users cannot update apartments'
+      );
+    });
+  });
+
+  describe('deleteApartment', () => {
+    it('deletes an empty apartment', async () => {
+      await deleteApartment('B201');
+
+      expect(await read('apartments', 'B201')).toBeNull();
+    });
+
+    it('reports a missing apartment', async () => {
+      await expect(deleteApartment('missing')).rejects.toThrow('Apartment not found');
+    });
+
+    it('keeps apartments with active tenants', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+
+      await expect(deleteApartment('A101')).rejects.toThrow('Cannot delete apartment with active tenants');
+      expect(await read('apartments', 'A101')).not.toBeNull();
+    });
+
+    it('is admin only', async () => {
+      signInAs('landlord-1');
+
+      await expect(deleteApartment('B201')).rejects.toThrow('Permission denied: landlord cannot delete apartments');
+    });
+  });
+
+  describe('assignTenant', () => {
+    it('makes the first tenant primary with a lease and updates occupancy', async () => {
+      const tenancy = await assignTenant('tenant-1', 'A101', lease);
+
+      expect(tenancy).toMatchObject({ userId: 'tenant-1', apartmentId: 'A101', role: 'primary', status: 'active' });
+      expect(await read('leases', tenancy.leaseId)).toMatchObject({ status: 'active', monthlyRent: 1200 });
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 1, status: 'available' });
+      expect(await read('users', 'tenant-1')).toMatchObject({ apartmentId: 'A101' });
+    });
+
+    it('adds later tenants as secondary without a lease', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+      const tenancy = await assignTenant('tenant-2', 'A101', lease);
+
+      expect(tenancy).toMatchObject({ role: 'secondary', leaseId: null });
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 2, status: 'occupied' });
+    });
+
+    it('reports a missing apartment or user', async () => {
+      await expect(assignTenant('tenant-1', 'missing', lease)).rejects.toThrow('Apartment not found');
+      await expect(assignTenant('missing', 'A101', lease)).rejects.toThrow('User not found');
+    });
+
+    it('refuses a full apartment', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+      await assignTenant('tenant-2', 'A101', lease);
+
+      await expect(assignTenant('tenant-3', 'A101', lease)).rejects.toThrow(
+        'Apartment is at maximum capacity (2 occupants)'
+      );
+    });
+
+    it('rejects invalid lease dates', async () => {
+      await expect(assignTenant('tenant-1', 'A101', { startDate: '', endDate: '2025-12-31' })).rejects.toThrow(
+        'Invalid lease dates: start and end dates are required'
+      );
+      await expect(
+        assignTenant('tenant-1', 'A101', { startDate: '2025-12-31', endDate: '2025-01-01' })
+      ).rejects.toThrow('Invalid lease dates: end date must be after start date');
+    });
+
+    it('refuses a user who already has an apartment', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+
+      await expect(assignTenant('tenant-1', 'B201', lease)).rejects.toThrow('User already has an active apartment');
+    });
+
+    it('is denied to tenants and leaves the data untouched', async () => {
+      signInAs('tenant-1');
+
+      await expect(assignTenant('tenant-1', 'A101', lease)).rejects.toThrow(
+        'Permission denied: tenant cannot assign tenants'
+      );
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 0 });
+    });
+  });
+
+  describe('getApartmentTenants', () => {
+    beforeEach(async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+      await assignTenant('tenant-2', 'A101', lease);
+    });
+
+    it('returns the active tenancies with their users', async () => {
+      const tenants = await getApartmentTenants('A101');
+
+      expect(tenants.map((tenant: any) => tenant.user.name).sort()).toEqual(['Tenant One', 'Tenant Two']);
+    });
+
+    it('lets tenants see their own apartment', async () => {
+      signInAs('tenant-1');
+
+      expect(await getApartmentTenants('A101')).toHaveLength(2);
+    });
+
+    it("is denied for another apartment's tenants", async () => {
+      signInAs('tenant-1');
+
+      await expect(getApartmentTenants('B201')).rejects.toThrow(
+        "Permission denied: tenant cannot view another apartment's tenants"
+      );
+    });
+  });
+
+  describe('generic writers', () => {
+    it('check documents against the collection schema before writing', async () => {
+      await expect(updateDocument('apartments', 'A101', { floor: '3' })).rejects.toMatchObject({
+        fieldErrors: { floor: 'Floor must be a number' },
+      });
+      await expect(addDocument('repairRequests', { title: 'Leaking tap', priority: 'soon' })).rejects.toMatchObject({
+        fieldErrors: {
+          apartmentId: 'Apartment is required',
+          tenantId: 'Tenant is required',
+          status: 'Status is required',
+          priority: 'Priority must be one of low, medium, high, urgent',
+        },
+      });
+      expect(await read('apartments', 'A101')).not.toHaveProperty('floor');
+    });
+  });
+
+  describe('listing', () => {
+    it('returns every apartment as an array', async () => {
+      expect((await getAllApartments()).map((unit: any) => unit.id)).toEqual(['A101', 'B201']);
+      expect((await fetchDocuments('users')).map((user: any) => user.id)).toContain('tenant-1');
+    });
+
+    it('pages through apartments with a cursor', async () => {
+      await createApartment({ unitNumber: 'C301', rooms: 1, monthlyRent: 900 });
+
+      const first = await getApartmentsPage({ pageSize: 2 });
+      expect(first.apartments.map((unit: any) => unit.id)).toEqual(['A101', 'B201']);
+      expect(first.hasMore).toBe(true);
+
+      const second = await getApartmentsPage({ pageSize: 2, cursor: first.cursor });
+      expect(second.apartments.map((unit: any) => unit.unitNumber)).toEqual(['C301']);
+      expect(second.hasMore).toBe(false);
+    });
+  });
+
+  describe('fetchDocumentByID', () => {
+    it('reads any document for staff, by name and ID or by document reference', async () => {
+      expect(await fetchDocumentByID('apartments', 'A101')).toMatchObject({ id: 'A101', unitNumber: 'A101' });
+      expect(await fetchDocumentByID({ id: 'B201', parent: { id: 'apartments' } }, undefined)).toMatchObject({
+        unitNumber: 'B201',
+      });
+      await expect(fetchDocumentByID('apartments', 'Z999')).rejects.toThrow('Document not found');
+      await expect(fetchDocumentByID('apartments', '')).rejects.toThrow('Document reference is required');
+    });
+
+    it('limits tenants to their own records', async () => {
+      await assignTenant('tenant-1', 'A101', lease);
+      signInAs('tenant-1');
+
+      expect(await fetchDocumentByID('apartments', 'A101')).toMatchObject({ unitNumber: 'A101' });
+      expect(await fetchDocumentByID('users', 'tenant-1')).toMatchObject({ name: 'Tenant One' });
+      await expect(fetchDocumentByID('apartments', 'B201')).rejects.toThrow('Permission denied');
+      await expect(fetchDocumentByID('users', 'tenant-2')).rejects.toThrow('Permission denied');
+
+      signInAs(null);
+      await expect(fetchDocumentByID('apartments', 'A101')).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('subscriptions', () => {
+    it('reports tenants as they move in and stops after unsubscribing', async () => {
+      const onChange = jest.fn();
+      const unsubscribe = subscribeToApartmentTenants('A101', onChange, jest.fn());
+      await settle();
+      expect(onChange).toHaveBeenLastCalledWith([]);
+
+      await assignTenant('tenant-1', 'A101', lease);
+      await settle();
+      expect(onChange.mock.lastCall[0].map((tenant: any) => tenant.user.name)).toEqual(['Tenant One']);
+
+      unsubscribe();
+      await assignTenant('tenant-2', 'A101', lease);
+      await settle();
+      expect(onChange.mock.lastCall[0]).toHaveLength(1);
+    });
+
+    it('pages the live apartment list', async () => {
+      const onChange = jest.fn();
+      const unsubscribe = subscribeToAllApartments(onChange, jest.fn(), { pageSize: 1 });
+      await settle();
+      expect(onChange).toHaveBeenLastCalledWith({ apartments: [expect.objectContaining({ id: 'A101' })], hasMore: true });
+
+      await updateApartment('A101', { monthlyRent: 1400 });
+      await settle();
+      expect(onChange.mock.lastCall[0].apartments[0]).toMatchObject({ monthlyRent: 1400 });
+      unsubscribe();
+    });
+
+    it('reports permission errors instead of subscribing', async () => {
+      signInAs('tenant-1');
+      const onChange = jest.fn();
+      const onError = jest.fn();
+
+      subscribeToApartmentTenants('B201', onChange, onError);
+      await settle();
+
+      expect(onChange).not.toHaveBeenCalled();
+      expect(onError.mock.lastCall[0].message).toBe("Permission denied: tenant cannot view another apartment's tenants");
+    });
+  });
+});
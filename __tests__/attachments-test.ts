@@ -0,0 +1,331 @@
+/**
+ * @jest-environment node
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc, Timestamp } from 'firebase/firestore';
+import { getMetadata, ref } from 'firebase/storage';
+
+import { db, storage } from '../firebaseConfig';
+import { deleteApartment } from '../Functions';
+import {
+  checkAttachment,
+  deleteAttachment,
+  formatFileSize,
+  getAttachments,
+  setImageProcessor,
+  uploadAttachment,
+} from '../services/attachments';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+const MB = 1024 * 1024;
+
+// Uploads run against the Storage and Firestore emulators: `npm run test:emulator`.
+// Signed in through helpers/signedInUser; tests switch users with signInAs.
+jest.mock('../firebaseConfig', () => {
+  const { initializeApp } = require('firebase/app');
+  const { getFirestore, connectFirestoreEmulator } = require('firebase/firestore');
+  const { getStorage, connectStorageEmulator } = require('firebase/storage');
+  const app = initializeApp({ projectId: 'demo-landlordlink', storageBucket: 'demo-landlordlink' });
+  const db = getFirestore(app);
+  const storage = getStorage(app);
+  const [host, port] = (process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080').split(':');
+  const [storageHost, storagePort] = (process.env.FIREBASE_STORAGE_EMULATOR_HOST || '127.0.0.1:9199').split(':');
+  // Signed in as an admin so the rules and the data layer's role checks both pass
+  connectFirestoreEmulator(db, host, Number(port), { mockUserToken: { user_id: 'admin-1' } });
+  connectStorageEmulator(storage, storageHost, Number(storagePort), { mockUserToken: { user_id: 'admin-1' } });
+  return require('./helpers/signedInUser').mockFirebaseConfig({ db, storage });
+});
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const storageEmulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+const describeWithEmulators = emulatorHost && storageEmulatorHost ? describe : describe.skip;
+
+// Stands in for expo-image-manipulator: keeps the photo and renders a three-byte thumbnail
+const passThroughProcessor = async (file: any) => ({
+  file: { ...file, type: 'image/jpeg', name: 'photo.jpg', width: 4, height: 3 },
+  thumbnail: { data: new Uint8Array([1, 2, 3]), type: 'image/jpeg' },
+});
+
+const photo = (size = 2048) => ({ name: 'photo.png', type: 'image/png', data: new Uint8Array(size) });
+
+const leaseScan = () => ({ name: 'lease.pdf', type: 'application/pdf', data: new Uint8Array(4096) });
+
+describe('checkAttachment', () => {
+  it('accepts PDFs on leases and images everywhere', () => {
+    expect(() => checkAttachment('leases', { type: 'application/pdf', size: 14 * MB })).not.toThrow();
+    expect(() => checkAttachment('apartments', { type: 'image/heic', size: MB })).not.toThrow();
+    expect(() => checkAttachment('apartments', { type: 'application/pdf', size: MB })).toThrow(
+      'Invalid unit photo: Choose an image'
+    );
+  });
+
+  it('enforces the size limit for each kind of record', () => {
+    expect(() => checkAttachment('leases', { type: 'application/pdf', size: 16 * MB })).toThrow(
+      'Files must be 15 MB or smaller (this one is 16 MB)'
+    );
+    expect(() => checkAttachment('repairRequests', { type: 'image/jpeg', size: 10 * MB + 1 })).toThrow('10 MB or smaller');
+  });
+
+  it('only allows files on leases, repair requests and apartments', () => {
+    expect(() => checkAttachment('payments', { type: 'application/pdf', size: 1 })).toThrow(
+      'Files cannot be attached to payments'
+    );
+  });
+
+  it('formats file sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(2048)).toBe('2 KB');
+    expect(formatFileSize(1.5 * MB)).toBe('1.5 MB');
+  });
+});
+
+describe('attachment access', () => {
+  const seed = () => ({
+    users: {
+      'admin-1': { role: 'admin', apartmentId: null },
+      'tenant-1': { role: 'tenant', apartmentId: 'A101' },
+      'tenant-2': { role: 'tenant', apartmentId: 'B202' },
+    },
+    apartments: { A101: { unitNumber: 'A101' }, B202: { unitNumber: 'B202' } },
+    leases: { 'lease-1': { userId: 'tenant-1', apartmentId: 'A101', status: 'active' } },
+    repairRequests: { r1: { tenantId: 'tenant-1', apartmentId: 'A101', title: 'Leaking tap', status: 'open' } },
+    attachments: {
+      a1: {
+        parentCollection: 'leases',
+        parentId: 'lease-1',
+        fileName: 'lease.pdf',
+        uploadedBy: 'admin-1',
+        createdAt: Timestamp.fromDate(new Date(2025, 0, 1)),
+      },
+    },
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setImageProcessor(passThroughProcessor);
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    setImageProcessor(null);
+    signInAs(null);
+  });
+
+  it('lets tenants see the files on their own lease only', async () => {
+    signInAs('tenant-1');
+    expect((await getAttachments('leases', 'lease-1')).map((attachment: any) => attachment.id)).toEqual(['a1']);
+
+    signInAs('tenant-2');
+    await expect(getAttachments('leases', 'lease-1')).rejects.toThrow('Permission denied');
+  });
+
+  it('keeps tenants from adding files outside their own repair requests', async () => {
+    signInAs('tenant-1');
+    await expect(uploadAttachment('apartments', 'A101', photo())).rejects.toThrow(
+      'Permission denied: tenant cannot attach files to apartments'
+    );
+
+    signInAs('tenant-2');
+    await expect(uploadAttachment('repairRequests', 'r1', photo())).rejects.toThrow('Permission denied');
+  });
+
+  it('checks type and size before anything is uploaded', async () => {
+    signInAs('admin-1');
+
+    await expect(uploadAttachment('apartments', 'A101', leaseScan())).rejects.toThrow('Choose an image');
+    await expect(uploadAttachment('apartments', 'A101', photo(10 * MB + 1))).rejects.toThrow('10 MB or smaller');
+  });
+
+  it('lets tenants delete only the files they added', async () => {
+    signInAs('tenant-1');
+
+    await expect(deleteAttachment('a1')).rejects.toThrow('Permission denied');
+  });
+});
+
+const clearFirestore = () =>
+  fetch(`http://${emulatorHost}/emulator/v1/projects/demo-landlordlink/databases/(default)/documents`, {
+    method: 'DELETE',
+  });
+
+// The admin's own profile has to exist before the rules let it write anything,
+// so it is written with the emulator's rule-bypassing owner token
+const seedAdmin = () =>
+  fetch(`http://${emulatorHost}/v1/projects/demo-landlordlink/databases/(default)/documents/users?documentId=admin-1`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer owner', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fields: { role: { stringValue: 'admin' }, apartmentId: { nullValue: null } } }),
+  });
+
+const blobExists = (path: string) =>
+  getMetadata(ref(storage, path)).then(
+    () => true,
+    (error) => (error.code === 'storage/object-not-found' ? false : Promise.reject(error))
+  );
+
+describeWithEmulators('attachment uploads', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setImageProcessor(passThroughProcessor);
+  });
+
+  beforeEach(async () => {
+    signInAs('admin-1');
+    await clearFirestore();
+    await seedAdmin();
+    await setDoc(doc(db, 'apartments', 'A101'), {
+      unitNumber: 'A101',
+      rooms: 2,
+      monthlyRent: 1200,
+      maxOccupants: 2,
+      currentOccupants: 0,
+      status: 'available',
+    });
+    await setDoc(doc(db, 'leases', 'lease-1'), { userId: 'tenant-1', apartmentId: 'A101', status: 'active' });
+  });
+
+  afterAll(() => {
+    setImageProcessor(null);
+  });
+
+  it('uploads a photo with its thumbnail and reports progress', async () => {
+    const progress: number[] = [];
+
+    const attachment = await uploadAttachment('apartments', 'A101', photo(), {
+      onProgress: (fraction: number) => progress.push(fraction),
+    });
+
+    expect(attachment).toMatchObject({
+      parentCollection: 'apartments',
+      parentId: 'A101',
+      fileName: 'photo.jpg',
+      contentType: 'image/jpeg',
+      size: 2048,
+      width: 4,
+      height: 3,
+      uploadedBy: 'admin-1',
+    });
+    expect(progress[progress.length - 1]).toBe(1);
+    expect((await getMetadata(ref(storage, attachment.storagePath))).customMetadata).toMatchObject({
+      uploadedBy: 'admin-1',
+    });
+    expect(await blobExists(attachment.thumbnailPath!)).toBe(true);
+    expect((await getAttachments('apartments', 'A101')).map((item: any) => item.id)).toEqual([attachment.id]);
+  });
+
+  it('stores lease scans as they are, without a thumbnail', async () => {
+    const attachment = await uploadAttachment('leases', 'lease-1', leaseScan());
+
+    expect(attachment).toMatchObject({ contentType: 'application/pdf', size: 4096, thumbnailPath: null, thumbnailUrl: null });
+    expect(await blobExists(attachment.storagePath)).toBe(true);
+  });
+
+  it('deletes the blobs with the attachment', async () => {
+    const attachment = await uploadAttachment('apartments', 'A101', photo());
+
+    await deleteAttachment(attachment.id);
+
+    expect(await blobExists(attachment.storagePath)).toBe(false);
+    expect(await blobExists(attachment.thumbnailPath!)).toBe(false);
+    expect(await getAttachments('apartments', 'A101')).toEqual([]);
+  });
+
+  it("deletes an apartment's photos with the apartment", async () => {
+    const attachment = await uploadAttachment('apartments', 'A101', photo());
+
+    await deleteApartment('A101');
+
+    expect(await blobExists(attachment.storagePath)).toBe(false);
+    expect(await getAttachments('apartments', 'A101')).toEqual([]);
+  });
+});
+
+describeWithEmulators('storage.rules', () => {
+  let testEnv: RulesTestEnvironment;
+
+  const upload = (uid: string, path: string, size: number, contentType: string) =>
+    testEnv
+      .authenticatedContext(uid)
+      .storage()
+      .ref(path)
+      .put(new Uint8Array(size), { contentType, customMetadata: { uploadedBy: uid } })
+      .then(snapshot => snapshot);
+
+  beforeAll(async () => {
+    const [host, port] = emulatorHost!.split(':');
+    const [storageHost, storagePort] = storageEmulatorHost!.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-landlordlink',
+      firestore: { host, port: Number(port), rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+      storage: {
+        host: storageHost,
+        port: Number(storagePort),
+        rules: readFileSync(resolve(__dirname, '../storage.rules'), 'utf8'),
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const rulesDb = context.firestore();
+      await Promise.all([
+        setDoc(doc(rulesDb, 'users', 'landlord-1'), { role: 'landlord', apartmentId: null }),
+        setDoc(doc(rulesDb, 'users', 'tenant-1'), { role: 'tenant', apartmentId: 'A101' }),
+        setDoc(doc(rulesDb, 'users', 'tenant-2'), { role: 'tenant', apartmentId: 'B202' }),
+        setDoc(doc(rulesDb, 'leases', 'lease-1'), { userId: 'tenant-1', apartmentId: 'A101' }),
+        setDoc(doc(rulesDb, 'repairRequests', 'r1'), { tenantId: 'tenant-1', apartmentId: 'A101' }),
+      ]);
+      await context.storage().ref('attachments/leases/lease-1/a1').put(new Uint8Array(16), {
+        contentType: 'application/pdf',
+        customMetadata: { uploadedBy: 'landlord-1' },
+      });
+    });
+  });
+
+  it('lets tenants add photos to their own repair requests only', async () => {
+    await assertSucceeds(upload('tenant-1', 'attachments/repairRequests/r1/p1', 1024, 'image/jpeg'));
+    await assertFails(upload('tenant-2', 'attachments/repairRequests/r1/p2', 1024, 'image/jpeg'));
+    await assertFails(upload('tenant-1', 'attachments/apartments/A101/p3', 1024, 'image/jpeg'));
+  });
+
+  it('enforces file types and sizes', async () => {
+    await assertSucceeds(upload('landlord-1', 'attachments/leases/lease-1/a2', 12 * MB, 'application/pdf'));
+    await assertFails(upload('landlord-1', 'attachments/apartments/A101/a3', 1024, 'application/pdf'));
+    await assertFails(upload('landlord-1', 'attachments/apartments/A101/a4', 11 * MB, 'image/jpeg'));
+  });
+
+  it('lets tenants read the files on their own lease only', async () => {
+    await assertSucceeds(testEnv.authenticatedContext('tenant-1').storage().ref('attachments/leases/lease-1/a1').getMetadata());
+    await assertFails(testEnv.authenticatedContext('tenant-2').storage().ref('attachments/leases/lease-1/a1').getMetadata());
+  });
+
+  it('lets only staff and the uploader delete a file', async () => {
+    await assertSucceeds(upload('tenant-1', 'attachments/repairRequests/r1/p1', 1024, 'image/jpeg'));
+
+    await assertFails(testEnv.authenticatedContext('tenant-2').storage().ref('attachments/repairRequests/r1/p1').delete());
+    await assertSucceeds(testEnv.authenticatedContext('tenant-1').storage().ref('attachments/repairRequests/r1/p1').delete());
+    await assertSucceeds(testEnv.authenticatedContext('landlord-1').storage().ref('attachments/leases/lease-1/a1').delete());
+  });
+});
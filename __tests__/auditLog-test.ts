@@ -0,0 +1,315 @@
+/**
+ * @jest-environment node
+ */
+
+import { createHash } from 'crypto';
+
+import {
+  addDocument,
+  assignTenant,
+  createApartment,
+  createBuilding,
+  createLease,
+  deleteBuilding,
+  deleteDocument,
+  migrateApartmentBuildings,
+  reconcileOccupancy,
+  removeTenant,
+  setUserActive,
+  updateApartment,
+  updateBuilding,
+  updateDocument,
+  updateTenantRole,
+  updateUserRole,
+} from '../Functions';
+import { getAuditLog, verifyAuditLog } from '../services/auditLog';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { applyLateFees, generateMonthlyCharges, recordPayment } from '../services/payments';
+import { assignRepairRequest, createRepairRequest, transitionRepairRequest, updateRepairPriority } from '../services/repairRequests';
+import { getRepository, setRepository } from '../services/repository';
+import { updateSettings } from '../services/settings';
+import { computeRecentActivity } from '../utils/dashboardMetrics';
+import { sha256 } from '../utils/sha256';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const lease = { startDate: '2025-01-01', endDate: '2025-12-31' };
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: null },
+    'tenant-2': { name: 'Tenant Two', role: 'tenant', apartmentId: null },
+  },
+  apartments: {
+    A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 0, status: 'available' },
+  },
+  repairRequests: {
+    r1: { apartmentId: 'A101', tenantId: 'tenant-1', title: 'Leaking tap', priority: 'medium', status: 'open', assignedTo: null },
+  },
+});
+
+const newestEntries = async () => (await getAuditLog({}, { pageSize: 100 })).entries;
+
+describe('audit log', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+  });
+
+  it('records the actor and the changed fields of an apartment update', async () => {
+    signInAs('landlord-1');
+
+    await updateApartment('A101', { monthlyRent: 1300, rooms: 2 });
+
+    signInAs('admin-1');
+    const [entry] = await newestEntries();
+    expect(entry).toMatchObject({
+      sequence: 1,
+      actorId: 'landlord-1',
+      actorRole: 'landlord',
+      action: 'update',
+      entity: 'apartments',
+      entityId: 'A101',
+      targetLabel: 'Unit A101',
+      changes: { monthlyRent: { before: 1200, after: 1300 } },
+    });
+  });
+
+  it('records creates, tenant assignments and deletes', async () => {
+    await createApartment({ unitNumber: 'C301', rooms: 3, monthlyRent: 1500 });
+    await assignTenant('tenant-1', 'A101', lease);
+    const buildingId = await addDocument('buildings', { name: 'Maple Court' });
+    await deleteDocument('buildings', buildingId);
+
+    const entries = await newestEntries();
+    expect(entries.map((entry: any) => [entry.sequence, entry.action, entry.targetLabel])).toEqual([
+      [4, 'delete', 'Maple Court'],
+      [3, 'create', 'Maple Court'],
+      [2, 'assign-tenant', 'Tenant One to Unit A101'],
+      [1, 'create', 'Unit C301'],
+    ]);
+    expect(entries[3].changes.unitNumber).toEqual({ before: null, after: 'C301' });
+    expect(entries[0].changes.name).toEqual({ before: 'Maple Court', after: null });
+    expect(entries[0].entityId).toBe(buildingId);
+  });
+
+  it('records building, tenancy, lease and user changes', async () => {
+    const building: any = await createBuilding({ name: 'Maple Court' });
+    await updateBuilding(building.id, { address: '1 Maple St' });
+    const tenancy: any = await assignTenant('tenant-1', 'A101', lease);
+    await assignTenant('tenant-2', 'A101', lease);
+    await createLease(tenancy.id, { startDate: '2026-01-01', endDate: '2026-12-31' });
+    await updateTenantRole('tenant-2', 'A101', 'primary');
+    await removeTenant('tenant-1', 'A101');
+    await updateUserRole('tenant-1', 'landlord');
+    await setUserActive('tenant-1', false);
+    await deleteBuilding(building.id);
+
+    const entries = await newestEntries();
+    expect(entries.map((entry: any) => [entry.action, entry.entity, entry.targetLabel]).reverse()).toEqual([
+      ['create', 'buildings', 'Maple Court'],
+      ['update', 'buildings', 'Maple Court'],
+      ['assign-tenant', 'tenantApartments', 'Tenant One to Unit A101'],
+      ['assign-tenant', 'tenantApartments', 'Tenant Two to Unit A101'],
+      ['create', 'leases', 'Lease for Unit A101'],
+      ['update', 'leases', 'Lease for Unit A101'],
+      ['update', 'tenantApartments', 'Tenant One in Unit A101'],
+      ['update', 'tenantApartments', 'Tenant Two in Unit A101'],
+      ['remove-tenant', 'tenantApartments', 'Tenant One from Unit A101'],
+      ['update', 'leases', 'Lease for Unit A101'],
+      ['update', 'users', 'Tenant One'],
+      ['update', 'users', 'Tenant One'],
+      ['delete', 'buildings', 'Maple Court'],
+    ]);
+    expect(entries[2].changes).toEqual({ role: { before: 'tenant', after: 'landlord' } });
+    expect(entries[1].changes.active).toEqual({ before: null, after: false });
+    expect(await verifyAuditLog()).toMatchObject({ valid: true, checked: 13 });
+  });
+
+  it('records repair request assignments, priorities and status changes', async () => {
+    await assignRepairRequest('r1', { id: 'staff:sam', name: 'Sam', type: 'staff' });
+    await updateRepairPriority('r1', 'high');
+    await transitionRepairRequest('r1', 'in_progress');
+
+    const entries = await newestEntries();
+    expect(entries.map((entry: any) => [entry.action, entry.targetLabel, Object.keys(entry.changes).sort()])).toEqual([
+      ['status-change', 'Leaking tap', ['status']],
+      ['update', 'Leaking tap', ['priority']],
+      ['status-change', 'Leaking tap', ['assignedTo', 'status']],
+    ]);
+  });
+
+  it('records the primary role passing on when the primary tenant moves out', async () => {
+    await assignTenant('tenant-1', 'A101', lease);
+    await assignTenant('tenant-2', 'A101', lease);
+    await removeTenant('tenant-1', 'A101');
+
+    const [handover] = await newestEntries();
+    expect(handover).toMatchObject({
+      action: 'update',
+      entity: 'tenantApartments',
+      targetLabel: 'Tenant Two in Unit A101',
+      changes: { role: { before: 'secondary', after: 'primary' } },
+    });
+  });
+
+  it('records rent charges, payments, late fees and settings', async () => {
+    const tenancy: any = await assignTenant('tenant-1', 'A101', lease);
+    await generateMonthlyCharges('2025-02');
+    await recordPayment(`${tenancy.id}_2025-02`, { amount: 200 });
+    await applyLateFees({ now: new Date(2025, 2, 1) });
+    await updateSettings({ lateFee: 75 });
+
+    const entries = await newestEntries();
+    expect(entries.slice(0, 5).map((entry: any) => [entry.action, entry.entity, entry.targetLabel]).reverse()).toEqual([
+      ['create', 'rentCharges', 'Rent for 2025-02'],
+      ['create', 'payments', 'Payment on rent for 2025-02'],
+      ['update', 'rentCharges', 'Rent for 2025-02'],
+      ['update', 'rentCharges', 'Rent for 2025-02'],
+      ['create', 'settings', 'Portfolio settings'],
+    ]);
+    expect(entries[1].changes).toMatchObject({ lateFee: { before: 0, after: 50 } });
+    expect(entries[0].changes.lateFee).toEqual({ before: null, after: 75 });
+  });
+
+  it('records repair requests tenants report', async () => {
+    await assignTenant('tenant-1', 'A101', lease);
+    signInAs('tenant-1');
+    await createRepairRequest({ apartmentId: 'A101', tenantId: 'tenant-1', title: 'No hot water' });
+    signInAs('admin-1');
+
+    expect((await newestEntries())[0]).toMatchObject({
+      actorId: 'tenant-1',
+      actorRole: 'tenant',
+      action: 'create',
+      entity: 'repairRequests',
+      targetLabel: 'No hot water',
+    });
+  });
+
+  it('records bulk building links and occupancy repairs', async () => {
+    const repository = getRepository();
+    await repository.update('apartments', 'A101', { buildingName: 'Maple Court', currentOccupants: 1 });
+
+    await migrateApartmentBuildings();
+    await reconcileOccupancy({ fix: true });
+
+    const entries = await newestEntries();
+    expect(entries.map((entry: any) => [entry.action, entry.entity, Object.keys(entry.changes).sort()]).reverse()).toEqual([
+      ['create', 'buildings', ['address', 'name', 'nameKey']],
+      ['update', 'apartments', ['buildingId']],
+      ['update', 'apartments', ['currentOccupants']],
+    ]);
+    expect(await verifyAuditLog()).toMatchObject({ valid: true, checked: 3 });
+  });
+
+  it('writes each entry in the same transaction as its change', async () => {
+    const repository = getRepository();
+    const runTransaction = jest.spyOn(repository, 'runTransaction');
+
+    await updateApartment('A101', { monthlyRent: 1300 });
+    expect(runTransaction).toHaveBeenCalledTimes(1);
+
+    // A change rejected inside the transaction leaves no entry behind
+    await assignTenant('tenant-1', 'A101', lease);
+    await assignTenant('tenant-2', 'A101', lease);
+    await expect(updateApartment('A101', { maxOccupants: 1 })).rejects.toThrow(
+      'Maximum occupants cannot be lower than the current number of occupants'
+    );
+
+    expect((await newestEntries()).map((entry: any) => entry.sequence)).toEqual([3, 2, 1]);
+  });
+
+  it('stamps createdBy on new documents', async () => {
+    const id = await addDocument('buildings', { name: 'Maple Court' });
+
+    expect(await getRepository().get('buildings', id)).toMatchObject({ createdBy: 'admin-1' });
+  });
+
+  it('refuses direct writes to the log', async () => {
+    await updateApartment('A101', { monthlyRent: 1300 });
+    const [entry] = await newestEntries();
+
+    await expect(updateDocument('auditLog', entry.id, { actorId: 'landlord-1' })).rejects.toThrow(
+      'Audit log entries cannot be written directly'
+    );
+    await expect(deleteDocument('auditLog', entry.id)).rejects.toThrow('Audit log entries cannot be written directly');
+  });
+
+  it('filters by entity and actor', async () => {
+    await updateApartment('A101', { monthlyRent: 1300 });
+    signInAs('landlord-1');
+    await addDocument('buildings', { name: 'Maple Court' });
+    signInAs('admin-1');
+
+    expect((await getAuditLog({ entity: 'buildings' })).entries).toHaveLength(1);
+    expect((await getAuditLog({ actorId: 'admin-1' })).entries.map((entry: any) => entry.entity)).toEqual(['apartments']);
+    expect((await getAuditLog({ to: new Date(2000, 0, 1) })).entries).toHaveLength(0);
+  });
+
+  it('is only readable by admins', async () => {
+    signInAs('landlord-1');
+
+    await expect(getAuditLog()).rejects.toThrow('Permission denied: landlord cannot view the audit log');
+  });
+
+  describe('verifyAuditLog', () => {
+    beforeEach(async () => {
+      await updateApartment('A101', { monthlyRent: 1300 });
+      await updateApartment('A101', { monthlyRent: 1400 });
+      await updateApartment('A101', { monthlyRent: 1500 });
+    });
+
+    it('accepts an untouched chain', async () => {
+      expect(await verifyAuditLog()).toMatchObject({ valid: true, checked: 3, brokenAt: null });
+    });
+
+    it('detects an edited entry', async () => {
+      const [, second] = await newestEntries();
+      await getRepository().update('auditLog', second.id, {
+        changes: { monthlyRent: { before: 1300, after: 1250 } },
+      });
+
+      expect(await verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry 2 has been modified' });
+    });
+
+    it('detects deleted entries, including the newest one', async () => {
+      const [third, second] = await newestEntries();
+
+      await getRepository().delete('auditLog', third.id);
+      expect(await verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 3 });
+
+      await getRepository().delete('auditLog', second.id);
+      expect(await verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2 });
+    });
+  });
+
+  it('describes entries for the Recent Activity widget', async () => {
+    await updateApartment('A101', { monthlyRent: 1300 });
+    await assignTenant('tenant-1', 'A101', lease);
+
+    expect(computeRecentActivity(await newestEntries(), [{ id: 'admin-1', name: 'Admin' }])).toEqual([
+      '🏠 Admin assigned Tenant One to Unit A101',
+      '✏️ Admin updated Unit A101 (monthlyRent)',
+    ]);
+  });
+});
+
+describe('sha256', () => {
+  it('matches Node for ASCII, multi-byte text and multi-block input', () => {
+    ['', 'abc', 'Unit A101 · 1 200 €', '🏠'.repeat(40), 'x'.repeat(1000)].forEach(text => {
+      expect(sha256(text)).toBe(createHash('sha256').update(text, 'utf8').digest('hex'));
+    });
+  });
+});
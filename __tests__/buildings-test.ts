@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  createBuilding,
+  deleteBuilding,
+  getAllBuildings,
+  migrateApartmentBuildings,
+  updateBuilding,
+} from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const unit = (unitNumber: string, fields = {}) => ({
+  unitNumber,
+  rooms: 2,
+  monthlyRent: 1200,
+  maxOccupants: 2,
+  currentOccupants: 0,
+  status: 'available',
+  ...fields,
+});
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+  },
+  buildings: {
+    maple: { name: 'Maple Court', nameKey: 'maple court', address: '1 Maple St', floors: 3, yearBuilt: 1990, manager: null },
+    oak: { name: 'Oak House', nameKey: 'oak house', address: '2 Oak St', floors: 2, yearBuilt: 2005, manager: null },
+  },
+  apartments: {
+    M1: unit('M1', { buildingId: 'maple', buildingName: 'Maple Court' }),
+    M2: unit('M2', { buildingId: 'maple', buildingName: 'Maple Court' }),
+    O1: unit('O1', { buildingId: 'oak', buildingName: 'Oak House', currentOccupants: 1, status: 'occupied' }),
+  },
+});
+
+const read = (collectionName: string, id: string): Promise<any> => getRepository().get(collectionName, id);
+
+describe('building management', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  describe('createBuilding', () => {
+    it('stores a tidied name and its lookup key', async () => {
+      const building: any = await createBuilding({ name: '  Birch   Towers ', address: ' 3 Birch Rd ', floors: 10 });
+
+      expect(await read('buildings', building.id)).toMatchObject({
+        name: 'Birch Towers',
+        nameKey: 'birch towers',
+        address: '3 Birch Rd',
+        floors: 10,
+      });
+      expect((await getAllBuildings()).map((b: any) => b.name)).toEqual(['Birch Towers', 'Maple Court', 'Oak House']);
+    });
+
+    it('rejects duplicate names regardless of case and spacing', async () => {
+      await expect(createBuilding({ name: 'maple  COURT' })).rejects.toThrow('Building with this name already exists');
+    });
+
+    it('validates the building fields', async () => {
+      await expect(createBuilding({ name: '   ' })).rejects.toThrow('Building name is required');
+      await expect(createBuilding({ name: 'Elm', floors: 0 })).rejects.toThrow('Invalid number of floors');
+      await expect(createBuilding({ name: 'Elm', yearBuilt: 1700 })).rejects.toThrow('Invalid year built');
+      await expect(createBuilding({ name: 'Elm', manager: { email: 'not-an-email' } })).rejects.toThrow(
+        'Invalid manager email'
+      );
+    });
+  });
+
+  describe('updateBuilding', () => {
+    it("copies a new name onto the building's apartments", async () => {
+      await updateBuilding('maple', { name: 'Maple Gardens' });
+
+      expect(await read('buildings', 'maple')).toMatchObject({ name: 'Maple Gardens', nameKey: 'maple gardens' });
+      expect(await read('apartments', 'M1')).toMatchObject({ buildingName: 'Maple Gardens' });
+      expect(await read('apartments', 'M2')).toMatchObject({ buildingName: 'Maple Gardens' });
+      expect(await read('apartments', 'O1')).toMatchObject({ buildingName: 'Oak House' });
+    });
+
+    it('allows changing only the capitalisation of its own name', async () => {
+      await updateBuilding('maple', { name: 'MAPLE COURT' });
+
+      expect(await read('apartments', 'M1')).toMatchObject({ buildingName: 'MAPLE COURT' });
+    });
+
+    it('rejects taken names and unknown fields', async () => {
+      await expect(updateBuilding('maple', { name: 'Oak House' })).rejects.toThrow('Building with this name already exists');
+      await expect(updateBuilding('maple', { nameKey: 'x' })).rejects.toThrow('Cannot update fields: nameKey');
+      await expect(updateBuilding('missing', { address: 'x' })).rejects.toThrow('Building not found');
+    });
+  });
+
+  describe('deleteBuilding', () => {
+    it('keeps its vacant units but unlinks them', async () => {
+      const result: any = await deleteBuilding('maple');
+
+      expect(result).toMatchObject({ success: true, unlinkedApartments: 2 });
+      expect(await read('buildings', 'maple')).toBeNull();
+      expect(await read('apartments', 'M1')).toMatchObject({ unitNumber: 'M1', buildingId: null, buildingName: null });
+    });
+
+    it('refuses while any unit is occupied', async () => {
+      await expect(deleteBuilding('oak')).rejects.toThrow('Cannot delete building with occupied units');
+
+      expect(await read('buildings', 'oak')).not.toBeNull();
+      expect(await read('apartments', 'O1')).toMatchObject({ buildingId: 'oak' });
+    });
+
+    it('is limited to admins', async () => {
+      signInAs('landlord-1');
+
+      await expect(deleteBuilding('maple')).rejects.toThrow('Permission denied');
+      expect(await read('buildings', 'maple')).not.toBeNull();
+    });
+  });
+});
+
+describe('migrateApartmentBuildings', () => {
+  const legacySeed = () => ({
+    users: {
+      'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+      'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    },
+    buildings: {
+      maple: { name: 'Maple Court', nameKey: 'maple court', address: '', floors: null, yearBuilt: null, manager: null },
+    },
+    apartments: {
+      A1: unit('A1', { buildingName: 'Cedar Block' }),
+      A2: unit('A2', { buildingName: 'cedar  block' }),
+      A3: unit('A3', { buildingName: ' Cedar Block' }),
+      A4: unit('A4', { buildingName: 'maple court' }),
+      A5: unit('A5', { buildingName: '' }),
+      A6: unit('A6', { buildingId: 'maple', buildingName: 'Maple Court' }),
+    },
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(legacySeed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('creates one building per typed name and links its units', async () => {
+    const result: any = await migrateApartmentBuildings();
+
+    expect(result).toEqual({ checked: 6, createdBuildings: 1, linkedApartments: 4 });
+
+    const buildings: any[] = await getAllBuildings();
+    const cedar = buildings.find(building => building.nameKey === 'cedar block');
+    // The most common spelling wins
+    expect(cedar).toMatchObject({ name: 'Cedar Block' });
+
+    for (const id of ['A1', 'A2', 'A3']) {
+      expect(await read('apartments', id)).toMatchObject({ buildingId: cedar.id, buildingName: 'Cedar Block' });
+    }
+    // Names that match an existing building join it
+    expect(await read('apartments', 'A4')).toMatchObject({ buildingId: 'maple', buildingName: 'Maple Court' });
+    // Units without a building name are left alone
+    expect(await read('apartments', 'A5')).not.toHaveProperty('buildingId');
+  });
+
+  it('does nothing the second time', async () => {
+    await migrateApartmentBuildings();
+
+    expect(await migrateApartmentBuildings()).toEqual({ checked: 6, createdBuildings: 0, linkedApartments: 0 });
+    expect(await getAllBuildings()).toHaveLength(2);
+  });
+
+  it('is limited to admins', async () => {
+    signInAs('landlord-1');
+
+    await expect(migrateApartmentBuildings()).rejects.toThrow('Permission denied');
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  exportApartmentsCsv,
+  exportTenantsCsv,
+  exportUsersCsv,
+  previewImport,
+  runImport,
+} from '../Functions';
+import { getAuditLog } from '../services/auditLog';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { parseCsv, suggestColumnMapping, toCsv } from '../utils/csv';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', email: 'admin@example.com', role: 'admin', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', email: 'one@example.com', role: 'tenant', apartmentId: null },
+    'tenant-2': { name: 'Tenant Two', email: 'two@example.com', role: 'tenant', apartmentId: null },
+    'tenant-3': { name: 'Tenant Three', email: 'three@example.com', role: 'tenant', apartmentId: null, active: false },
+  },
+  buildings: {
+    maple: { name: 'Maple Court', nameKey: 'maple court' },
+  },
+  apartments: {
+    A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 0, status: 'available' },
+  },
+});
+
+const apartmentsFile = [
+  'Unit,Building,Rooms,Rent,Amenities',
+  'B201,maple  court,3,1500,"Balcony; Dishwasher"',
+  'B202,,1,900,',
+].join('\n');
+
+const find = (collection: string) => getRepository().find(collection, {});
+
+describe('csv', () => {
+  it('round-trips quotes, commas and line breaks', () => {
+    const rows = [['A101', 'Says "hi", twice', 'two\nlines'], ['B202', '', '']];
+    const text = toCsv(['Unit', 'Note', 'Other'], rows);
+
+    expect(text.startsWith('Unit,Note,Other\r\nA101,"Says ""hi"", twice","two\nlines"\r\n')).toBe(true);
+    expect(parseCsv(`\uFEFF${text}\r\n\r\n`)).toEqual([['Unit', 'Note', 'Other'], ...rows]);
+  });
+
+  it('matches header names to fields by label or alias', () => {
+    const columns = [
+      { field: 'unitNumber', label: 'Unit number', aliases: ['unit'] },
+      { field: 'monthlyRent', label: 'Monthly rent' },
+      { field: 'floor', label: 'Floor' },
+    ];
+
+    expect(suggestColumnMapping(columns, ['Monthly Rent', 'UNIT'])).toEqual({ unitNumber: 1, monthlyRent: 0, floor: null });
+  });
+});
+
+describe('CSV import', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+  });
+
+  it('previews apartment rows with the same checks as createApartment', async () => {
+    const report = await previewImport('apartments', [
+      'Unit number,Building,Rooms,Monthly rent',
+      'B201,Maple Court,3,1500',
+      'A101,,2,1000',
+      'B201,,2,abc',
+      'C301,Elm House,0,1000',
+    ].join('\n'));
+
+    expect(report.valid).toBe(false);
+    expect(report.rows.map((row: any) => [row.row, row.errors])).toEqual([
+      [2, []],
+      [3, ['Apartment with this unit number already exists']],
+      [4, ['Unit B201 is already on row 2']],
+      [5, ['Building not found: Elm House']],
+    ]);
+    expect(await find('apartments')).toHaveLength(1);
+  });
+
+  it('writes nothing when any row is invalid', async () => {
+    const result = await runImport('apartments', `${apartmentsFile}\nB203,,two,900,`);
+
+    expect(result.imported).toBe(0);
+    expect(result.rows[2].errors).toEqual(['Rooms must be a number']);
+    expect(await find('apartments')).toHaveLength(1);
+    expect((await getAuditLog()).entries).toHaveLength(0);
+  });
+
+  it('imports every apartment and logs each one', async () => {
+    const result = await runImport('apartments', apartmentsFile);
+
+    expect(result).toMatchObject({ valid: true, imported: 2 });
+    const [created] = (await find('apartments')).filter((apartment: any) => apartment.unitNumber === 'B201');
+    expect(created).toMatchObject({
+      buildingId: 'maple',
+      buildingName: 'Maple Court',
+      rooms: 3,
+      amenities: ['Balcony', 'Dishwasher'],
+      status: 'available',
+      currentOccupants: 0,
+    });
+    expect((await getAuditLog()).entries.map((entry: any) => entry.targetLabel)).toEqual(['Unit B202', 'Unit B201']);
+  });
+
+  it('uses a chosen column mapping', async () => {
+    const report = await previewImport('apartments', 'a,b,c\nB201,2,1000', {
+      mapping: { unitNumber: 0, rooms: 1, monthlyRent: 2 },
+    });
+
+    expect(report.valid).toBe(true);
+  });
+
+  it('requires a column for every required field', async () => {
+    await expect(previewImport('apartments', 'Unit,Rooms\nB201,2')).rejects.toThrow('Choose a column for: Monthly rent');
+  });
+
+  it('assigns tenants in file order, the first as primary tenant', async () => {
+    const result = await runImport('tenants', [
+      'Tenant email,Unit number,Lease start,Lease end',
+      'ONE@example.com,A101,2025-01-01,2025-12-31',
+      'two@example.com,A101,2025-01-01,2025-12-31',
+    ].join('\n'));
+
+    expect(result.imported).toBe(2);
+    const tenancies = await find('tenantApartments');
+    expect(tenancies.map((tenancy: any) => [tenancy.userId, tenancy.role])).toEqual(
+      expect.arrayContaining([['tenant-1', 'primary'], ['tenant-2', 'secondary']])
+    );
+    expect(await find('leases')).toHaveLength(1);
+    expect(await getRepository().get('apartments', 'A101')).toMatchObject({ currentOccupants: 2, status: 'occupied' });
+    expect((await getAuditLog({ entity: 'tenantApartments' })).entries).toHaveLength(2);
+  });
+
+  it('reports rows that assignTenant would reject, earlier rows included', async () => {
+    const result = await runImport('tenants', [
+      'Email,Unit,Start,End',
+      'one@example.com,A101,2025-01-01,2025-12-31',
+      'one@example.com,A101,2025-01-01,2025-12-31',
+      'nobody@example.com,A101,2025-01-01,2025-12-31',
+      'two@example.com,Z999,2025-01-01,2025-12-31',
+      'two@example.com,A101,2025-06-01,2025-01-01',
+    ].join('\n'));
+
+    expect(result.imported).toBe(0);
+    expect(result.rows.map((row: any) => row.errors.length)).toEqual([0, 1, 1, 1, 1]);
+    expect(result.rows[1].errors[0]).toMatch(/already/);
+    expect(result.rows[2].errors).toEqual(['User not found']);
+    expect(result.rows[3].errors).toEqual(['Apartment not found']);
+    expect(await find('tenantApartments')).toHaveLength(0);
+    expect(await getRepository().get('users', 'tenant-1')).toMatchObject({ apartmentId: null });
+  });
+
+  it('is limited to staff', async () => {
+    signInAs('tenant-1');
+
+    await expect(previewImport('apartments', apartmentsFile)).rejects.toThrow('Permission denied');
+  });
+});
+
+describe('CSV export', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+    await runImport('apartments', apartmentsFile);
+    await runImport('tenants', [
+      'Tenant email,Unit number,Lease start,Lease end',
+      'one@example.com,A101,2025-01-01,2025-12-31',
+      'two@example.com,A101,2025-01-01,2025-12-31',
+    ].join('\n'));
+  });
+
+  afterAll(() => {
+    setRepository(null);
+  });
+
+  it('exports apartments, filtered by building', async () => {
+    const rows = parseCsv(await exportApartmentsCsv({ buildingId: 'maple' }));
+
+    expect(rows[0].slice(0, 3)).toEqual(['Unit number', 'Building', 'Floor']);
+    expect(rows.slice(1).map(row => row[0])).toEqual(['B201']);
+    expect(rows[1][8]).toBe('Balcony; Dishwasher');
+    expect(parseCsv(await exportApartmentsCsv({ status: 'available' })).slice(1).map(row => row[0])).toEqual(['B201', 'B202']);
+  });
+
+  it('exports active tenants in a file the tenant import reads back', async () => {
+    const csv = await exportTenantsCsv();
+
+    expect(parseCsv(csv).slice(1)).toEqual([
+      ['Tenant One', 'one@example.com', 'A101', '', 'primary', '2025-01-01', '2025-12-31', '1200'],
+      ['Tenant Two', 'two@example.com', 'A101', '', 'secondary', '2025-01-01', '2025-12-31', '1200'],
+    ]);
+    expect((await previewImport('tenants', csv)).mapping).toEqual({
+      email: 1,
+      unitNumber: 2,
+      startDate: 5,
+      endDate: 6,
+      monthlyRent: 7,
+      terms: null,
+    });
+    expect(parseCsv(await exportTenantsCsv({ buildingId: 'maple' }))).toHaveLength(1);
+  });
+
+  it('exports users, filtered by role and status', async () => {
+    const rows = parseCsv(await exportUsersCsv({ role: 'tenant', active: true }));
+
+    expect(rows.slice(1).map(row => [row[0], row[3], row[4]])).toEqual([
+      ['Tenant One', 'yes', 'A101'],
+      ['Tenant Two', 'yes', 'A101'],
+    ]);
+    expect(parseCsv(await exportUsersCsv({ active: false })).slice(1).map(row => row[1])).toEqual(['three@example.com']);
+  });
+});
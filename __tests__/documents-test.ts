@@ -0,0 +1,184 @@
+/**
+ * @jest-environment node
+ */
+
+import { Timestamp } from 'firebase/firestore';
+
+import {
+  DEFAULT_LEASE_TEMPLATE,
+  buildLeaseAgreementPdf,
+  buildRentReceiptPdf,
+  findUnknownMergeFields,
+  generateRentReceipt,
+  getLeaseTemplate,
+  renderTemplate,
+  saveLeaseTemplate,
+} from '../services/documents';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { SETTINGS_DEFAULTS } from '../services/settings';
+import { createPdf, pdfToText } from '../utils/pdf';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const day = (year: number, month: number, date: number) => Timestamp.fromDate(new Date(year, month - 1, date));
+
+const settings = { ...SETTINGS_DEFAULTS, organizationName: 'Maple Street Properties' };
+
+const lease = {
+  id: 'lease-1',
+  userId: 'tenant-1',
+  apartmentId: 'A101',
+  tenantApartmentId: 'ta-1',
+  status: 'active',
+  startDate: day(2025, 1, 1),
+  endDate: day(2025, 12, 31),
+  monthlyRent: 1450,
+  terms: 'No smoking. Pets allowed with written permission.',
+};
+const tenant = { id: 'tenant-1', firstName: 'Dana', lastName: 'Reyes', email: 'dana@example.com', role: 'tenant' };
+const apartment = { id: 'A101', unitNumber: 'A101', buildingId: 'b1', maxOccupants: 2, monthlyRent: 1400 };
+const building = { id: 'b1', name: 'Maple Court', address: '12 Maple Street' };
+const payment = {
+  id: 'pay-1',
+  chargeId: 'charge-1',
+  tenantApartmentId: 'ta-1',
+  apartmentId: 'A101',
+  userId: 'tenant-1',
+  amount: 1450,
+  method: 'bank transfer',
+  note: '',
+  paidAt: day(2025, 3, 3),
+};
+const charge = { id: 'charge-1', period: '2025-03', amount: 1450 };
+
+describe('lease templates', () => {
+  it('fills in merge fields and leaves unknown ones as they are', () => {
+    expect(renderTemplate('Hello {{ tenant.name }}, see {{unknown}}.', { 'tenant.name': 'Dana' })).toBe(
+      'Hello Dana, see {{unknown}}.'
+    );
+  });
+
+  it('finds merge fields the template cannot fill', () => {
+    expect(findUnknownMergeFields(DEFAULT_LEASE_TEMPLATE)).toEqual([]);
+    expect(findUnknownMergeFields('{{tenant.name}} {{pet.name}} {{pet.name}} {{rent}}')).toEqual(['pet.name', 'rent']);
+  });
+});
+
+describe('generated PDFs', () => {
+  it('renders the lease agreement', () => {
+    const pdf = buildLeaseAgreementPdf({ lease, tenant, apartment, building }, settings);
+    const text = pdfToText(pdf);
+
+    expect(text).toContain('(Tenant: Dana Reyes)');
+    expect(text).toContain('Unit A101, Maple Court, 12 Maple Street');
+    expect(text).toContain('$1,450.00 per month');
+    expect(text).toMatchSnapshot();
+  });
+
+  it('renders a rent receipt', () => {
+    const pdf = buildRentReceiptPdf({ payment, charge, tenant, apartment }, settings);
+    const text = pdfToText(pdf);
+
+    expect(text).toContain('(Rent for March 2025, Unit A101)');
+    expect(text).toMatchSnapshot();
+  });
+
+  it('produces the same bytes every time', () => {
+    const data = { lease, tenant, apartment, building };
+    expect(buildLeaseAgreementPdf(data, settings)).toEqual(buildLeaseAgreementPdf(data, settings));
+  });
+
+  it('breaks long documents across pages', () => {
+    const blocks = Array.from({ length: 80 }, (_, index) => ({ type: 'paragraph' as const, text: `Clause ${index + 1}` }));
+    const text = pdfToText(createPdf(blocks, { footer: 'Test' }));
+
+    expect(text).toContain('/Count 3');
+    expect(text).toContain('(Test - Page 3 of 3)');
+  });
+});
+
+describe('document storage', () => {
+  const seed = () => ({
+    users: {
+      'admin-1': { role: 'admin', apartmentId: null },
+      'landlord-1': { role: 'landlord', apartmentId: null },
+      'tenant-1': { ...tenant, apartmentId: 'A101' },
+    },
+    apartments: { A101: apartment },
+    buildings: { b1: building },
+    leases: { 'lease-1': lease },
+    payments: { 'pay-1': payment },
+    rentCharges: { 'charge-1': charge },
+    attachments: {
+      'receipt-1': {
+        parentCollection: 'leases',
+        parentId: 'lease-1',
+        fileName: 'Rent receipt 2025-03 - Unit A101.pdf',
+        contentType: 'application/pdf',
+        documentType: 'rent-receipt',
+        subjectId: 'pay-1',
+        uploadedBy: 'admin-1',
+        createdAt: day(2025, 3, 3),
+      },
+    },
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('uses the default lease template until one is saved', async () => {
+    signInAs('landlord-1');
+    expect(await getLeaseTemplate()).toEqual({ body: DEFAULT_LEASE_TEMPLATE, isDefault: true });
+
+    signInAs('admin-1');
+    await saveLeaseTemplate('# Lease\n\nBetween {{organization.name}} and {{tenant.name}}.');
+
+    signInAs('landlord-1');
+    expect(await getLeaseTemplate()).toEqual({
+      body: '# Lease\n\nBetween {{organization.name}} and {{tenant.name}}.',
+      isDefault: false,
+    });
+  });
+
+  it('rejects templates with unknown merge fields', async () => {
+    signInAs('admin-1');
+
+    await expect(saveLeaseTemplate('{{tenant.name}} owns {{pet.name}}')).rejects.toThrow(
+      'Invalid lease template: Unknown merge field: {{pet.name}}'
+    );
+    expect(await getRepository().get('documentTemplates', 'leaseAgreement')).toBeNull();
+  });
+
+  it('only lets admins change the template and staff read it', async () => {
+    signInAs('landlord-1');
+    await expect(saveLeaseTemplate('{{tenant.name}}')).rejects.toThrow('Permission denied');
+
+    signInAs('tenant-1');
+    await expect(getLeaseTemplate()).rejects.toThrow('Permission denied');
+  });
+
+  it('returns the stored receipt instead of generating another', async () => {
+    signInAs('landlord-1');
+
+    const receipt = await generateRentReceipt('pay-1');
+    expect(receipt).toMatchObject({ id: 'receipt-1', documentType: 'rent-receipt', subjectId: 'pay-1' });
+    expect(await getRepository().find('attachments', {})).toHaveLength(1);
+  });
+
+  it('keeps tenants from generating receipts', async () => {
+    signInAs('tenant-1');
+    await expect(generateRentReceipt('pay-1')).rejects.toThrow('Permission denied');
+  });
+});
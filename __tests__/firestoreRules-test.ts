@@ -0,0 +1,183 @@
+/**
+ * @jest-environment node
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+  type RulesTestEnvironment,
+} from '@firebase/rules-unit-testing';
+import { addDoc, collection, deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+// Runs against the Firestore emulator: `npm run test:emulator`
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+let testEnv: RulesTestEnvironment;
+
+const as = (uid: string) => testEnv.authenticatedContext(uid).firestore();
+
+const repairRequest = (data = {}) => ({
+  apartmentId: 'A101',
+  tenantId: 'tenant-1',
+  title: 'Leaking tap',
+  priority: 'medium',
+  status: 'open',
+  assignedTo: null,
+  ...data,
+});
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Entry `sequence` of a chain whose hashes are h1, h2, ...
+const auditEntry = (sequence: number, actorId: string, fields = {}) => ({
+  sequence,
+  actorId,
+  action: 'update',
+  previousHash: sequence === 1 ? GENESIS_HASH : `h${sequence - 1}`,
+  hash: `h${sequence}`,
+  ...fields,
+});
+
+describeWithEmulator('firestore.rules', () => {
+  beforeAll(async () => {
+    const [host, port] = emulatorHost!.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-landlordlink',
+      firestore: { host, port: Number(port), rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await Promise.all([
+        setDoc(doc(db, 'users', 'admin-1'), { role: 'admin', apartmentId: null }),
+        setDoc(doc(db, 'users', 'landlord-1'), { role: 'landlord', apartmentId: null }),
+        setDoc(doc(db, 'users', 'tenant-1'), { role: 'tenant', apartmentId: 'A101' }),
+        setDoc(doc(db, 'users', 'tenant-2'), { role: 'tenant', apartmentId: 'B202' }),
+        setDoc(doc(db, 'apartments', 'A101'), { unitNumber: 'A101', currentOccupants: 1 }),
+        setDoc(doc(db, 'apartments', 'B202'), { unitNumber: 'B202', currentOccupants: 1 }),
+        setDoc(doc(db, 'leases', 'lease-1'), { userId: 'tenant-1', apartmentId: 'A101', status: 'active' }),
+      ]);
+    });
+  });
+
+  it('rejects signed-out users', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertFails(getDoc(doc(db, 'apartments', 'A101')));
+    await assertFails(getDoc(doc(db, 'users', 'tenant-1')));
+  });
+
+  it('lets tenants read their own unit and lease but not anyone else\'s', async () => {
+    const db = as('tenant-1');
+    await assertSucceeds(getDoc(doc(db, 'apartments', 'A101')));
+    await assertSucceeds(getDoc(doc(db, 'leases', 'lease-1')));
+    await assertFails(getDoc(doc(db, 'apartments', 'B202')));
+    await assertFails(getDoc(doc(db, 'users', 'tenant-2')));
+  });
+
+  it('stops tenants from changing their own role or apartment', async () => {
+    const db = as('tenant-1');
+    await assertSucceeds(updateDoc(doc(db, 'users', 'tenant-1'), { name: 'Tenant One' }));
+    await assertFails(updateDoc(doc(db, 'users', 'tenant-1'), { role: 'admin' }));
+    await assertFails(updateDoc(doc(db, 'users', 'tenant-1'), { apartmentId: 'B202' }));
+  });
+
+  it('lets landlords manage apartments but not delete them or change roles', async () => {
+    const db = as('landlord-1');
+    await assertSucceeds(updateDoc(doc(db, 'apartments', 'A101'), { monthlyRent: 1500 }));
+    await assertSucceeds(updateDoc(doc(db, 'users', 'tenant-2'), { apartmentId: null }));
+    await assertFails(updateDoc(doc(db, 'users', 'tenant-1'), { role: 'landlord' }));
+    await assertFails(deleteDoc(doc(db, 'apartments', 'B202')));
+  });
+
+  it('lets admins delete apartments and change roles', async () => {
+    const db = as('admin-1');
+    await assertSucceeds(updateDoc(doc(db, 'users', 'landlord-1'), { role: 'admin' }));
+    await assertSucceeds(deleteDoc(doc(db, 'apartments', 'B202')));
+  });
+
+  it('lets staff manage buildings and keeps them from tenants', async () => {
+    await assertSucceeds(setDoc(doc(as('landlord-1'), 'buildings', 'maple'), { name: 'Maple Court', nameKey: 'maple court' }));
+    await assertFails(getDoc(doc(as('tenant-1'), 'buildings', 'maple')));
+    await assertFails(deleteDoc(doc(as('landlord-1'), 'buildings', 'maple')));
+    await assertSucceeds(deleteDoc(doc(as('admin-1'), 'buildings', 'maple')));
+  });
+
+  it('only lets staff append audit entries in their own name', async () => {
+    const append = (uid: string, actorId: string) => {
+      const db = as(uid);
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'auditLog', 'entry-1'), auditEntry(1, actorId));
+      batch.set(doc(db, 'auditChain', 'head'), { sequence: 1, hash: 'h1', entryId: 'entry-1' });
+      return batch.commit();
+    };
+
+    await assertFails(append('landlord-1', 'admin-1'));
+    await assertFails(append('tenant-1', 'tenant-1'));
+    await assertSucceeds(append('landlord-1', 'landlord-1'));
+    await assertFails(getDoc(doc(as('tenant-1'), 'auditLog', 'entry-1')));
+    await assertFails(updateDoc(doc(as('admin-1'), 'auditLog', 'entry-1'), { action: 'delete' }));
+    await assertFails(deleteDoc(doc(as('admin-1'), 'auditLog', 'entry-1')));
+  });
+
+  it('lets tenants log only the repair requests and files they add', async () => {
+    const append = (entity: string) => {
+      const db = as('tenant-1');
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'auditLog', 'entry-1'), auditEntry(1, 'tenant-1', { action: 'create', entity }));
+      batch.set(doc(db, 'auditChain', 'head'), { sequence: 1, hash: 'h1', entryId: 'entry-1' });
+      return batch.commit();
+    };
+
+    await assertFails(append('apartments'));
+    await assertSucceeds(append('repairRequests'));
+  });
+
+  it('lets one write append several chained entries', async () => {
+    const append = (entries: any[], head: object) => {
+      const db = as('landlord-1');
+      const batch = writeBatch(db);
+      entries.forEach((entry, i) => batch.set(doc(db, 'auditLog', `entry-${i + 1}`), entry));
+      batch.set(doc(db, 'auditChain', 'head'), head);
+      return batch.commit();
+    };
+    const entries = [1, 2, 3].map(sequence => auditEntry(sequence, 'landlord-1'));
+
+    // Entries outside the range the head moves over, or not following the old head, are refused
+    await assertFails(append(entries, { sequence: 2, hash: 'h2', entryId: 'entry-2' }));
+    await assertFails(append([auditEntry(1, 'landlord-1', { previousHash: 'h0' })], { sequence: 1, hash: 'h1', entryId: 'entry-1' }));
+    await assertSucceeds(append(entries, { sequence: 3, hash: 'h3', entryId: 'entry-3' }));
+  });
+
+  it('only moves the chain head along with a new entry', async () => {
+    const db = as('admin-1');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'auditLog', 'entry-1'), auditEntry(1, 'admin-1'));
+    batch.set(doc(db, 'auditChain', 'head'), { sequence: 1, hash: 'h1', entryId: 'entry-1' });
+    await assertSucceeds(batch.commit());
+
+    await assertFails(setDoc(doc(db, 'auditChain', 'head'), { sequence: 2, hash: 'h2', entryId: 'entry-1' }));
+    await assertFails(setDoc(doc(db, 'auditChain', 'head'), { sequence: 0, hash: GENESIS_HASH, entryId: 'entry-1' }));
+    await assertFails(deleteDoc(doc(db, 'auditChain', 'head')));
+    await assertSucceeds(getDoc(doc(as('landlord-1'), 'auditChain', 'head')));
+  });
+
+  it('lets tenants open repair requests only for themselves in their own unit', async () => {
+    const db = as('tenant-1');
+    await assertSucceeds(addDoc(collection(db, 'repairRequests'), repairRequest()));
+    await assertFails(addDoc(collection(db, 'repairRequests'), repairRequest({ tenantId: 'tenant-2' })));
+    await assertFails(addDoc(collection(db, 'repairRequests'), repairRequest({ apartmentId: 'B202' })));
+    await assertFails(addDoc(collection(db, 'repairRequests'), repairRequest({ status: 'assigned' })));
+  });
+});
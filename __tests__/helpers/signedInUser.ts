@@ -0,0 +1,22 @@
+/*
+* The data layer reads the signed-in user from firebaseConfig. Unit tests mock it with
+*
+*   jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+*
+* and switch users with signInAs. Nobody is signed in until a test calls it.
+*/
+
+const auth: { currentUser: { uid: string } | null } = { currentUser: null };
+
+// firebaseConfig without a Firebase app. `db` and `storage` only reach the Firestore and
+// Storage adapters, which unit tests replace; emulator tests pass real ones.
+export const mockFirebaseConfig = (services: { db?: unknown; storage?: unknown } = {}) => ({
+  db: {},
+  storage: {},
+  ...services,
+  auth,
+});
+
+export const signInAs = (uid: string | null) => {
+  auth.currentUser = uid ? { uid } : null;
+};
@@ -0,0 +1,235 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  assignTenant,
+  createLease,
+  endLease,
+  getLeaseDetails,
+  getTenantApartment,
+  removeTenant,
+  updateLease,
+  updateTenantRole,
+} from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const firstYear = { startDate: '2025-01-01', endDate: '2025-12-31' };
+const secondYear = { startDate: '2026-01-01', endDate: '2026-12-31' };
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: null },
+    'tenant-2': { name: 'Tenant Two', role: 'tenant', apartmentId: null },
+    'tenant-3': { name: 'Tenant Three', role: 'tenant', apartmentId: null },
+  },
+  apartments: {
+    A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 0, status: 'available' },
+  },
+});
+
+const read = (collectionName: string, id: string): Promise<any> => getRepository().get(collectionName, id);
+
+const activeLeases = () => getRepository().find('leases', { where: [['status', '==', 'active']] });
+
+describe('lease management', () => {
+  let tenancy: any;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+    tenancy = await assignTenant('tenant-1', 'A101', firstYear);
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  describe('createLease', () => {
+    it('renews the current lease and points the tenancy at the new one', async () => {
+      const renewal: any = await createLease(tenancy.id, { ...secondYear, monthlyRent: 1250 });
+
+      expect(renewal).toMatchObject({ status: 'active', monthlyRent: 1250, previousLeaseId: tenancy.leaseId });
+      expect(await read('leases', tenancy.leaseId)).toMatchObject({ status: 'renewed', renewedByLeaseId: renewal.id });
+      expect(await read('tenantApartments', tenancy.id)).toMatchObject({ leaseId: renewal.id, monthlyRent: 1250 });
+      expect((await read('tenantApartments', tenancy.id)).leaseEndDate.toDate()).toEqual(new Date('2026-12-31'));
+      expect(await activeLeases()).toHaveLength(1);
+    });
+
+    it("keeps the tenancy's rent and the default lease length when they are left out", async () => {
+      const renewal: any = await createLease(tenancy.id, { startDate: '2026-01-01' });
+
+      expect(renewal.monthlyRent).toBe(1200);
+      expect(renewal.endDate.toDate().getTime()).toBeGreaterThan(renewal.startDate.toDate().getTime());
+    });
+
+    it('rejects dates that overlap the current lease and leaves everything as it was', async () => {
+      await expect(createLease(tenancy.id, { startDate: '2025-06-01', endDate: '2026-05-31' })).rejects.toThrow(
+        'Lease dates overlap an existing lease for this apartment'
+      );
+
+      expect(await read('leases', tenancy.leaseId)).toMatchObject({ status: 'active' });
+      expect(await read('tenantApartments', tenancy.id)).toMatchObject({ leaseId: tenancy.leaseId });
+      expect(await activeLeases()).toHaveLength(1);
+    });
+
+    it('rejects invalid dates and rent', async () => {
+      await expect(createLease(tenancy.id, { startDate: '2026-12-31', endDate: '2026-01-01' })).rejects.toThrow(
+        'end date must be after start date'
+      );
+      await expect(createLease(tenancy.id, { ...secondYear, monthlyRent: -5 })).rejects.toThrow('Invalid monthly rent');
+      await expect(createLease('missing', secondYear)).rejects.toThrow('Tenant apartment record not found');
+    });
+
+    it('refuses tenants who have moved out', async () => {
+      await removeTenant('tenant-1', 'A101');
+
+      await expect(createLease(tenancy.id, secondYear)).rejects.toThrow('Cannot create a lease for an inactive tenant');
+    });
+
+    it('is denied to tenants', async () => {
+      signInAs('tenant-1');
+
+      await expect(createLease(tenancy.id, secondYear)).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('updateLease', () => {
+    it('changes the dates and rent and keeps the tenancy in sync', async () => {
+      await updateLease(tenancy.id, { endDate: '2025-10-31', monthlyRent: 1100 });
+
+      expect(await read('leases', tenancy.leaseId)).toMatchObject({ monthlyRent: 1100 });
+      expect(await read('tenantApartments', tenancy.id)).toMatchObject({ monthlyRent: 1100 });
+      expect((await read('tenantApartments', tenancy.id)).leaseEndDate.toDate()).toEqual(new Date('2025-10-31'));
+    });
+
+    it('only changes lease terms', async () => {
+      await expect(updateLease(tenancy.id, { status: 'ended' })).rejects.toThrow('Invalid lease fields: status');
+    });
+  });
+
+  describe('endLease', () => {
+    it('ends the lease and moves the tenant out', async () => {
+      await endLease(tenancy.id);
+
+      expect(await read('leases', tenancy.leaseId)).toMatchObject({ status: 'ended' });
+      expect(await read('tenantApartments', tenancy.id)).toMatchObject({ status: 'inactive' });
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 0, status: 'available' });
+      expect(await read('users', 'tenant-1')).toMatchObject({ apartmentId: null });
+    });
+
+    it('hands the primary role to the remaining tenant', async () => {
+      const coTenant: any = await assignTenant('tenant-2', 'A101', firstYear);
+
+      await endLease(tenancy.id);
+
+      expect(await read('tenantApartments', coTenant.id)).toMatchObject({ role: 'primary', status: 'active' });
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 1 });
+    });
+
+    it('reports a tenancy without a lease', async () => {
+      const coTenant: any = await assignTenant('tenant-2', 'A101', firstYear);
+
+      await expect(endLease(coTenant.id)).rejects.toThrow('Lease not found');
+    });
+  });
+
+  describe('getLeaseDetails', () => {
+    it('returns the current lease with its history, newest first', async () => {
+      const renewal: any = await createLease(tenancy.id, secondYear);
+
+      const details: any = await getLeaseDetails(tenancy.id);
+      expect(details).toMatchObject({ id: renewal.id, tenant: { name: 'Tenant One' }, apartment: { unitNumber: 'A101' } });
+      expect(details.history.map((lease: any) => lease.id)).toEqual([renewal.id, tenancy.leaseId]);
+    });
+
+    it("keeps tenants out of other tenants' leases", async () => {
+      signInAs('tenant-2');
+
+      await expect(getLeaseDetails(tenancy.id)).rejects.toThrow('Lease not found');
+    });
+  });
+});
+
+describe('tenant functions', () => {
+  let primary: any;
+  let secondary: any;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+    primary = await assignTenant('tenant-1', 'A101', firstYear);
+    secondary = await assignTenant('tenant-2', 'A101', firstYear);
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  describe('removeTenant', () => {
+    it('moves a co-tenant out and frees their place', async () => {
+      await removeTenant('tenant-2', 'A101');
+
+      expect(await read('tenantApartments', secondary.id)).toMatchObject({ status: 'inactive' });
+      expect(await read('apartments', 'A101')).toMatchObject({ currentOccupants: 1, status: 'available' });
+      expect(await read('users', 'tenant-2')).toMatchObject({ apartmentId: null });
+      expect(await read('leases', primary.leaseId)).toMatchObject({ status: 'active' });
+    });
+
+    it('reports users who do not live there', async () => {
+      await expect(removeTenant('tenant-3', 'A101')).rejects.toThrow('User is not an active tenant of this apartment');
+      await expect(removeTenant('tenant-1', 'Z999')).rejects.toThrow('Apartment not found');
+    });
+  });
+
+  describe('getTenantApartment', () => {
+    it("returns the tenant's unit with their tenancy", async () => {
+      expect(await getTenantApartment('tenant-2')).toMatchObject({
+        id: 'A101',
+        unitNumber: 'A101',
+        tenancy: { id: secondary.id, role: 'secondary', status: 'active' },
+      });
+      expect(await getTenantApartment('tenant-3')).toBeNull();
+    });
+
+    it("is denied for another tenant's apartment", async () => {
+      signInAs('tenant-3');
+
+      await expect(getTenantApartment('tenant-1')).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('updateTenantRole', () => {
+    it('promotes a co-tenant and demotes the primary tenant', async () => {
+      await updateTenantRole('tenant-2', 'A101', 'primary');
+
+      expect(await read('tenantApartments', secondary.id)).toMatchObject({ role: 'primary' });
+      expect(await read('tenantApartments', primary.id)).toMatchObject({ role: 'secondary' });
+    });
+
+    it('keeps exactly one primary tenant', async () => {
+      await expect(updateTenantRole('tenant-1', 'A101', 'secondary')).rejects.toThrow(
+        'Apartment must have exactly one primary tenant'
+      );
+      await expect(updateTenantRole('tenant-2', 'A101', 'owner')).rejects.toThrow('Role must be one of');
+      await expect(updateTenantRole('tenant-3', 'A101', 'primary')).rejects.toThrow(
+        'User is not an active tenant of this apartment'
+      );
+    });
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * @jest-environment node
+ */
+
+import { Timestamp } from 'firebase/firestore';
+
+import { createMemoryRepository } from '../services/memoryRepository';
+import {
+  getDueReminders,
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+  runReminders,
+  setClock,
+} from '../services/notifications';
+import { assignRepairRequest, transitionRepairRequest } from '../services/repairRequests';
+import { getRepository, setRepository } from '../services/repository';
+import { SETTINGS_DEFAULTS } from '../services/settings';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const day = (month: number, date: number) => Timestamp.fromDate(new Date(2025, month - 1, date));
+
+// 1 March 2025, mid-morning
+const NOW = new Date(2025, 2, 1, 10, 0);
+
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', role: 'admin', apartmentId: null },
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: 'A101' },
+    'tenant-2': { name: 'Tenant Two', role: 'tenant', apartmentId: 'A101' },
+  },
+  apartments: {
+    A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 2, status: 'occupied' },
+  },
+  tenantApartments: {
+    t1: { userId: 'tenant-1', apartmentId: 'A101', role: 'primary', status: 'active', leaseEndDate: day(3, 31) },
+    t2: { userId: 'tenant-2', apartmentId: 'A101', role: 'secondary', status: 'active', leaseEndDate: day(3, 31) },
+  },
+  rentCharges: {
+    't1_2025-02': { userId: 'tenant-1', apartmentId: 'A101', amount: 1200, amountPaid: 200, status: 'partial', dueDate: day(2, 1) },
+    't1_2025-03': { userId: 'tenant-1', apartmentId: 'A101', amount: 1200, amountPaid: 0, status: 'unpaid', dueDate: day(3, 3) },
+  },
+  repairRequests: {
+    r1: { apartmentId: 'A101', tenantId: 'tenant-1', title: 'Leaking tap', priority: 'high', status: 'open', assignedTo: null, statusHistory: [] },
+  },
+});
+
+const allNotifications = () => getRepository().find('notifications', {});
+
+describe('getDueReminders', () => {
+  const leaseEndingIn = (days: number) => ({
+    tenancies: [
+      {
+        id: 't1',
+        userId: 'tenant-1',
+        apartmentId: 'A101',
+        role: 'primary',
+        status: 'active',
+        leaseEndDate: Timestamp.fromDate(new Date(2025, 2, 1 + days)),
+      },
+    ],
+    apartments: [{ id: 'A101', unitNumber: 'A101' }],
+    staffIds: ['landlord-1'],
+  });
+
+  it('reminds at the nearest of 60, 30 and 7 days before a lease ends', () => {
+    const keys = (days: number) =>
+      getDueReminders(leaseEndingIn(days), SETTINGS_DEFAULTS, NOW).map((reminder: any) => reminder.key);
+
+    expect(keys(61)).toEqual([]);
+    expect(keys(60)).toEqual(['lease-expiry-60_t1', 'lease-expiry-60_t1']);
+    expect(keys(45)[0]).toBe('lease-expiry-60_t1');
+    expect(keys(30)[0]).toBe('lease-expiry-30_t1');
+    expect(keys(8)[0]).toBe('lease-expiry-30_t1');
+    expect(keys(7)[0]).toBe('lease-expiry-7_t1');
+    expect(keys(0)[0]).toBe('lease-expiry-7_t1');
+    expect(keys(-1)).toEqual([]);
+  });
+
+  it('sends lease reminders to the tenant and every landlord', () => {
+    const [tenant, landlord] = getDueReminders(leaseEndingIn(7), SETTINGS_DEFAULTS, NOW);
+
+    expect(tenant).toMatchObject({
+      userId: 'tenant-1',
+      type: 'lease-expiry',
+      title: 'Lease for Unit A101 ends in 7 days',
+      link: '/tenant',
+    });
+    expect(landlord).toMatchObject({ userId: 'landlord-1', link: '/apartments/A101' });
+  });
+
+  it('follows the notification preferences', () => {
+    const settings = { ...SETTINGS_DEFAULTS, notifications: { ...SETTINGS_DEFAULTS.notifications, leaseExpiry: false } };
+
+    expect(getDueReminders(leaseEndingIn(7), settings, NOW)).toEqual([]);
+  });
+
+  it('reminds about rent before the month has been billed', () => {
+    const data = {
+      tenancies: [
+        { id: 't1', userId: 'tenant-1', apartmentId: 'A101', role: 'primary', status: 'active', monthlyRent: 1200 },
+        { id: 't2', userId: 'tenant-2', apartmentId: 'A101', role: 'secondary', status: 'active', monthlyRent: 1200 },
+      ],
+      apartments: [{ id: 'A101', unitNumber: 'A101' }],
+    };
+    // Rent is due on the 1st by default, three days' notice
+    const feb25 = new Date(2025, 1, 25, 10, 0);
+    const feb27 = new Date(2025, 1, 27, 10, 0);
+
+    expect(getDueReminders(data, SETTINGS_DEFAULTS, feb25)).toEqual([]);
+    expect(getDueReminders(data, SETTINGS_DEFAULTS, feb27)).toEqual([
+      {
+        key: 'rent-due_t1_2025-03',
+        userId: 'tenant-1',
+        type: 'rent-due',
+        title: 'Rent is due in 2 days',
+        body: '$1,200.00 for Unit A101 is due on Mar 1, 2025.',
+        link: '/tenant/payments',
+        subjectId: 't1_2025-03',
+      },
+    ]);
+
+    // Rent already paid for the month is not asked for again
+    const paid = { id: 't1_2025-03', userId: 'tenant-1', apartmentId: 'A101', amount: 1200, amountPaid: 1200, status: 'paid', dueDate: day(3, 1) };
+    expect(getDueReminders({ ...data, charges: [paid] }, SETTINGS_DEFAULTS, feb27)).toEqual([]);
+  });
+
+  it('follows the payments rules for what is owed and when rent is overdue', () => {
+    const charge = (id: string, dueDate: Timestamp) => ({
+      id,
+      userId: 'tenant-1',
+      apartmentId: 'A101',
+      amount: 1200,
+      lateFee: 50,
+      amountPaid: 250.5,
+      status: 'partial',
+      dueDate,
+    });
+    const data = { charges: [charge('c1', day(2, 23)), charge('c2', day(2, 25))], apartments: [] };
+
+    const reminders = getDueReminders(data, SETTINGS_DEFAULTS, NOW);
+
+    // The second charge is still inside the five-day grace period
+    expect(reminders.map((reminder: any) => reminder.key)).toEqual(['rent-overdue_c1']);
+    // Cents are kept, not rounded away
+    expect(reminders[0].body).toBe('$999.50 was due on Feb 23, 2025.');
+  });
+});
+
+describe('reminder engine', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    setClock(() => NOW);
+    signInAs('landlord-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    setClock(null);
+  });
+
+  it('sends lease expiry, rent due and rent overdue reminders', async () => {
+    expect(await runReminders()).toEqual({ due: 8, created: 8 });
+
+    const notifications = await allNotifications();
+    const byUser = (userId: string) =>
+      notifications.filter((notification: any) => notification.userId === userId).map((notification: any) => notification.type).sort();
+    expect(byUser('tenant-1')).toEqual(['lease-expiry', 'rent-due', 'rent-overdue']);
+    expect(byUser('tenant-2')).toEqual(['lease-expiry']);
+    expect(byUser('landlord-1')).toEqual(['lease-expiry', 'rent-overdue']);
+    expect(byUser('admin-1')).toEqual(['lease-expiry', 'rent-overdue']);
+    expect(notifications.find((notification: any) => notification.type === 'rent-due')).toMatchObject({
+      title: 'Rent is due in 2 days',
+      body: '$1,200.00 for Unit A101 is due on Mar 3, 2025.',
+      read: false,
+    });
+    expect(notifications.find((notification: any) => notification.type === 'rent-overdue').body).toBe('$1,000.00 was due on Feb 1, 2025.');
+  });
+
+  it('sends each reminder once and keeps its read state', async () => {
+    await runReminders();
+    signInAs('tenant-1');
+    await markNotificationRead('tenant-1_rent-due_t1_2025-03');
+    signInAs('landlord-1');
+
+    expect(await runReminders()).toEqual({ due: 8, created: 0 });
+    expect(await getRepository().get('notifications', 'tenant-1_rent-due_t1_2025-03')).toMatchObject({ read: true });
+  });
+
+  it('sends the next lease reminder as the end date gets closer', async () => {
+    await runReminders();
+    setClock(() => new Date(2025, 2, 25, 10, 0));
+
+    await runReminders();
+
+    const leaseKeys = (await allNotifications())
+      .filter((notification: any) => notification.userId === 'tenant-1' && notification.type === 'lease-expiry')
+      .map((notification: any) => notification.id)
+      .sort();
+    expect(leaseKeys).toEqual(['tenant-1_lease-expiry-30_t1', 'tenant-1_lease-expiry-7_t1']);
+  });
+
+  it('is limited to staff', async () => {
+    signInAs('tenant-1');
+
+    await expect(runReminders()).rejects.toThrow('Permission denied');
+  });
+
+  it('tells the tenant when staff change a repair request status', async () => {
+    await assignRepairRequest('r1', { id: 'landlord-1', name: 'Landlord', type: 'staff' });
+    await transitionRepairRequest('r1', 'in_progress');
+
+    signInAs('tenant-1');
+    const titles = (await getNotifications()).map((notification: any) => notification.title).sort();
+    expect(titles).toEqual(['Repair request assigned', 'Repair request in progress']);
+  });
+});
+
+describe('notification center', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    setRepository(createMemoryRepository(seed()));
+    setClock(() => NOW);
+    signInAs('landlord-1');
+    await runReminders();
+    signInAs('tenant-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    setClock(null);
+  });
+
+  it('lists only the signed-in user\'s notifications', async () => {
+    const notifications = await getNotifications();
+
+    expect(notifications).toHaveLength(3);
+    expect(notifications.every((notification: any) => notification.userId === 'tenant-1')).toBe(true);
+  });
+
+  it('marks notifications read and unread', async () => {
+    const id = 'tenant-1_rent-due_t1_2025-03';
+
+    expect(await markNotificationRead(id)).toMatchObject({ read: true, readAt: Timestamp.fromDate(NOW) });
+    expect(await markNotificationRead(id, false)).toMatchObject({ read: false, readAt: null });
+  });
+
+  it('marks everything read at once', async () => {
+    await markNotificationRead('tenant-1_rent-due_t1_2025-03');
+
+    expect(await markAllNotificationsRead()).toBe(2);
+    expect((await getNotifications()).every((notification: any) => notification.read)).toBe(true);
+  });
+
+  it("does not let anyone change another user's notifications", async () => {
+    await expect(markNotificationRead('landlord-1_rent-overdue_t1_2025-02')).rejects.toThrow('Permission denied');
+  });
+});
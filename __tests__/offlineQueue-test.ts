@@ -0,0 +1,205 @@
+/**
+ * @jest-environment node
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Timestamp } from 'firebase/firestore';
+
+import { addDocument, updateDocument, updateStatus } from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import {
+  clearOfflineQueue,
+  flushQueue,
+  getSyncState,
+  resolveConflict,
+  restoreOfflineQueue,
+} from '../services/offlineQueue';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+// Repository calls that go to the server
+const SERVER_METHODS = ['get', 'find', 'add', 'set', 'update', 'delete', 'runTransaction'];
+
+let serverMethods: Record<string, unknown> = {};
+
+// Every server call fails the way Firestore does without a connection
+const goOffline = () => {
+  const repository = getRepository();
+  SERVER_METHODS.forEach(method => {
+    serverMethods[method] = repository[method];
+    repository[method] = async () => {
+      throw Object.assign(new Error('Failed to get document because the client is offline.'), { code: 'unavailable' });
+    };
+  });
+};
+
+const goOnline = () => {
+  Object.assign(getRepository(), serverMethods);
+  serverMethods = {};
+};
+
+const queuedItems = () => getSyncState().items as any[];
+
+const read = (collectionName: string, id: string) => getRepository().get(collectionName, id);
+
+// Someone else edits the document on the server after the write was queued
+const editOnServer = (collectionName: string, id: string, changes: object) =>
+  getRepository().update(collectionName, id, {
+    ...changes,
+    updatedAt: Timestamp.fromMillis(Date.now() + 60000),
+  });
+
+describe('offline write queue', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    signInAs('admin-1');
+  });
+
+  beforeEach(async () => {
+    await clearOfflineQueue();
+    serverMethods = {};
+    setRepository(
+      createMemoryRepository({
+        users: { 'admin-1': { role: 'admin', apartmentId: null } },
+        notes: { n1: { text: 'Boiler noisy' } },
+        repairRequests: {
+          r1: { title: 'Leak', status: 'assigned', assignedTo: { id: 'staff:sam', name: 'Sam', type: 'staff' }, statusHistory: [] },
+        },
+      })
+    );
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('writes straight through while online', async () => {
+    await updateDocument('notes', 'n1', { text: 'Boiler fixed' });
+
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Boiler fixed' });
+    expect(queuedItems()).toEqual([]);
+  });
+
+  it('queues writes while offline and replays them in order', async () => {
+    goOffline();
+
+    expect(await updateDocument('notes', 'n1', { text: 'Checked' })).toMatchObject({ queued: true });
+    await updateDocument('notes', 'n1', { text: 'Checked twice' });
+    await addDocument('notes', { text: 'New note' });
+
+    expect(getSyncState().online).toBe(false);
+    expect(queuedItems().map(item => item.status)).toEqual(['pending', 'pending', 'pending']);
+
+    goOnline();
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Boiler noisy' });
+    await flushQueue();
+
+    expect(queuedItems()).toEqual([]);
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Checked twice' });
+    expect((await getRepository().find('notes')).map((note: any) => note.text)).toContain('New note');
+  });
+
+  it('queues writes that fail because the server is unreachable', async () => {
+    const repository = getRepository();
+    const runTransaction = repository.runTransaction;
+    repository.runTransaction = async () => {
+      throw Object.assign(new Error('Failed to get document because the client is offline.'), { code: 'unavailable' });
+    };
+
+    expect(await updateDocument('notes', 'n1', { text: 'Checked' })).toMatchObject({ queued: true });
+    expect(getSyncState().online).toBe(false);
+
+    repository.runTransaction = runTransaction;
+    await flushQueue();
+
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Checked' });
+  });
+
+  it('queues new writes without trying them until a replay reaches the server', async () => {
+    goOffline();
+    await updateDocument('notes', 'n1', { text: 'First' });
+    goOnline();
+
+    // Still offline as far as the queue knows, so this waits behind the first write
+    expect(await updateDocument('notes', 'n1', { text: 'Second' })).toMatchObject({ queued: true });
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Boiler noisy' });
+
+    await flushQueue();
+
+    expect(getSyncState().online).toBe(true);
+    expect(queuedItems()).toEqual([]);
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Second' });
+  });
+
+  it('saves the queue and restores it after a restart', async () => {
+    const checkedAt = Timestamp.fromMillis(Date.UTC(2025, 2, 1, 9, 30));
+    goOffline();
+    await updateDocument('notes', 'n1', { text: 'Checked', checkedAt });
+    await addDocument('notes', { text: 'New note' });
+    const saved = await AsyncStorage.getItem('offlineQueue');
+
+    // A fresh start: nothing in memory, the saved queue still on the device
+    await clearOfflineQueue();
+    await AsyncStorage.setItem('offlineQueue', saved as string);
+
+    expect(await restoreOfflineQueue()).toBe(2);
+    expect(await restoreOfflineQueue()).toBe(0);
+    const [update] = queuedItems();
+    expect(update).toMatchObject({ operation: 'updateDocument', status: 'pending' });
+    expect(update.queuedAt).toBeInstanceOf(Date);
+    expect(update.args[2].checkedAt).toEqual(checkedAt);
+
+    goOnline();
+    await flushQueue();
+
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Checked', checkedAt });
+    expect(await AsyncStorage.getItem('offlineQueue')).toBe('[]');
+  });
+
+  it('holds a write back when the server copy changed after it was queued', async () => {
+    goOffline();
+    await updateStatus('r1', 'in_progress');
+    goOnline();
+    await editOnServer('repairRequests', 'r1', { title: 'Leak under sink' });
+
+    await flushQueue();
+
+    const [conflict] = queuedItems();
+    expect(conflict).toMatchObject({ status: 'conflict', changes: { status: 'in_progress' } });
+    expect(conflict.serverDocument).toMatchObject({ title: 'Leak under sink', status: 'assigned' });
+    expect(await read('repairRequests', 'r1')).toMatchObject({ status: 'assigned' });
+  });
+
+  it('applies or drops a conflicting write as the user chooses', async () => {
+    goOffline();
+    await updateDocument('notes', 'n1', { text: 'Mine' });
+    goOnline();
+    await editOnServer('notes', 'n1', { text: 'Theirs' });
+    await flushQueue();
+
+    await resolveConflict(queuedItems()[0].id, 'keep-mine');
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Mine' });
+
+    goOffline();
+    await updateDocument('notes', 'n1', { text: 'Mine again' });
+    goOnline();
+    await editOnServer('notes', 'n1', { text: 'Theirs again' });
+    await flushQueue();
+
+    await resolveConflict(queuedItems()[0].id, 'keep-server');
+    expect(await read('notes', 'n1')).toMatchObject({ text: 'Theirs again' });
+    expect(queuedItems()).toEqual([]);
+  });
+
+  it('keeps writes the server rejects so the user can see why', async () => {
+    goOffline();
+    await updateStatus('r1', 'closed');
+    goOnline();
+    await flushQueue();
+
+    expect(queuedItems()[0]).toMatchObject({ status: 'failed', error: 'Invalid status transition: assigned -> closed' });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+
+import { Timestamp } from 'firebase/firestore';
+
+import { createMemoryRepository } from '../services/memoryRepository';
+import { applyLateFees, recordPayment } from '../services/payments';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+// 1 March 2025: February's rent is past its five-day grace period
+const NOW = new Date(2025, 2, 1, 10, 0);
+
+const charge = (fields = {}) => ({
+  tenantApartmentId: 't1',
+  apartmentId: 'A101',
+  userId: 'tenant-1',
+  period: '2025-02',
+  amount: 1200,
+  lateFee: 0,
+  amountPaid: 0,
+  status: 'unpaid',
+  dueDate: Timestamp.fromDate(new Date(2025, 1, 1)),
+  ...fields,
+});
+
+const seed = () => ({
+  users: {
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: 'A101' },
+  },
+  rentCharges: {
+    't1_2025-02': charge(),
+    't1_2025-03': charge({ period: '2025-03', dueDate: Timestamp.fromDate(new Date(2025, 2, 1)) }),
+  },
+});
+
+const read = (id: string): Promise<any> => getRepository().get('rentCharges', id);
+
+describe('rent ledger', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('landlord-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  describe('recordPayment', () => {
+    it('applies full and partial payments to the charge', async () => {
+      expect(await recordPayment('t1_2025-02', { amount: 200 })).toMatchObject({ chargeStatus: 'partial', remaining: 1000 });
+      expect(await recordPayment('t1_2025-02', { amount: 1000 })).toMatchObject({ chargeStatus: 'paid', remaining: 0 });
+
+      expect(await read('t1_2025-02')).toMatchObject({ amountPaid: 1200, status: 'paid' });
+    });
+
+    it('rejects payments larger than what is owed', async () => {
+      await expect(recordPayment('t1_2025-02', { amount: 1300 })).rejects.toThrow(
+        'Payment exceeds outstanding balance of 1200'
+      );
+    });
+  });
+
+  describe('applyLateFees', () => {
+    it('adds the fee to charges past their grace period, once', async () => {
+      expect(await applyLateFees({ now: NOW })).toEqual({ applied: 1 });
+      expect(await applyLateFees({ now: NOW })).toEqual({ applied: 0 });
+
+      expect(await read('t1_2025-02')).toMatchObject({ lateFee: 50, status: 'unpaid' });
+      expect(await read('t1_2025-03')).toMatchObject({ lateFee: 0 });
+    });
+
+    it('does not undo a payment recorded after the overdue charges were listed', async () => {
+      const repository = getRepository();
+      const listed = await repository.find('rentCharges', {});
+      await recordPayment('t1_2025-02', { amount: 200 });
+      jest.spyOn(repository, 'find').mockResolvedValueOnce(listed);
+
+      expect(await applyLateFees({ now: NOW })).toEqual({ applied: 1 });
+      expect(await read('t1_2025-02')).toMatchObject({ amountPaid: 200, lateFee: 50, status: 'partial' });
+    });
+
+    it('leaves a charge alone once a payment has cleared it', async () => {
+      const repository = getRepository();
+      const listed = await repository.find('rentCharges', {});
+      await recordPayment('t1_2025-02', { amount: 1200 });
+      jest.spyOn(repository, 'find').mockResolvedValueOnce(listed);
+
+      expect(await applyLateFees({ now: NOW })).toEqual({ applied: 0 });
+      expect(await read('t1_2025-02')).toMatchObject({ amountPaid: 1200, lateFee: 0, status: 'paid' });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+
+import { createMemoryRepository } from '../services/memoryRepository';
+import {
+  REPAIR_STATUSES,
+  REPAIR_TRANSITIONS,
+  assignRepairRequest,
+  canTransition,
+  createRepairRequest,
+  transitionRepairRequest,
+  updateRepairPriority,
+} from '../services/repairRequests';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const plumber = { id: 'contractor:plumber', name: 'Plumber', type: 'contractor' };
+
+const request = (status: string, fields = {}) => ({
+  apartmentId: 'A101',
+  tenantId: 'tenant-1',
+  title: 'Leaking tap',
+  priority: 'medium',
+  status,
+  assignedTo: status === 'open' ? null : plumber,
+  statusHistory: [],
+  ...fields,
+});
+
+const seed = () => ({
+  users: {
+    'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+    'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: 'A101' },
+  },
+  apartments: {
+    A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 1, status: 'available' },
+  },
+  repairRequests: {
+    r1: request('open'),
+    r2: request('resolved'),
+    r3: request('closed'),
+    // Imported before assignment was required
+    r4: request('assigned', { assignedTo: null }),
+  },
+});
+
+const read = (id: string): Promise<any> => getRepository().get('repairRequests', id);
+
+describe('REPAIR_TRANSITIONS', () => {
+  it('only moves between known statuses', () => {
+    expect(Object.keys(REPAIR_TRANSITIONS).sort()).toEqual([...REPAIR_STATUSES].sort());
+    Object.values(REPAIR_TRANSITIONS).forEach(targets => {
+      targets.forEach(target => expect(REPAIR_STATUSES).toContain(target));
+    });
+  });
+
+  it('follows the lifecycle forwards and allows the documented steps back', () => {
+    expect(canTransition('open', 'assigned')).toBe(true);
+    expect(canTransition('assigned', 'in_progress')).toBe(true);
+    expect(canTransition('in_progress', 'resolved')).toBe(true);
+    expect(canTransition('resolved', 'closed')).toBe(true);
+
+    expect(canTransition('assigned', 'open')).toBe(true);
+    expect(canTransition('in_progress', 'assigned')).toBe(true);
+    expect(canTransition('resolved', 'in_progress')).toBe(true);
+  });
+
+  it('rejects skipped steps and anything after closed', () => {
+    expect(canTransition('open', 'resolved')).toBe(false);
+    expect(canTransition('open', 'open')).toBe(false);
+    expect(canTransition('assigned', 'closed')).toBe(false);
+    REPAIR_STATUSES.forEach(status => expect(canTransition('closed', status)).toBe(false));
+    expect(canTransition('unknown', 'open')).toBe(false);
+  });
+});
+
+describe('repair request workflow', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('landlord-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('records the signed-in user as the creator', async () => {
+    signInAs('tenant-1');
+    const created: any = await createRepairRequest({ apartmentId: 'A101', tenantId: 'tenant-1', title: 'No hot water' });
+
+    expect(await read(created.id)).toMatchObject({
+      createdBy: 'tenant-1',
+      statusHistory: [{ from: null, to: 'open', changedBy: 'tenant-1' }],
+    });
+  });
+
+  it('records the signed-in staff member on every change', async () => {
+    await assignRepairRequest('r1', plumber);
+    await updateRepairPriority('r1', 'urgent');
+    await transitionRepairRequest('r1', 'in_progress');
+    await transitionRepairRequest('r1', 'resolved', { note: 'Washer replaced' });
+    await transitionRepairRequest('r1', 'closed');
+
+    const stored = await read('r1');
+    expect(stored).toMatchObject({ status: 'closed', priority: 'urgent', assignedTo: plumber });
+    expect(stored.resolvedAt).toBeDefined();
+    expect(stored.closedAt).toBeDefined();
+    expect(stored.statusHistory.map((entry: any) => [entry.from, entry.to, entry.changedBy])).toEqual([
+      ['open', 'assigned', 'landlord-1'],
+      ['assigned', 'assigned', 'landlord-1'],
+      ['assigned', 'in_progress', 'landlord-1'],
+      ['in_progress', 'resolved', 'landlord-1'],
+      ['resolved', 'closed', 'landlord-1'],
+    ]);
+    expect(stored.statusHistory[3].note).toBe('Washer replaced');
+  });
+
+  it('rejects transitions the lifecycle does not allow and leaves the request alone', async () => {
+    await expect(transitionRepairRequest('r1', 'resolved')).rejects.toThrow('Invalid status transition: open -> resolved');
+    await expect(transitionRepairRequest('r3', 'in_progress')).rejects.toThrow(
+      'Invalid status transition: closed -> in_progress'
+    );
+
+    expect(await read('r1')).toMatchObject({ status: 'open', statusHistory: [] });
+    expect(await read('r3')).toMatchObject({ status: 'closed' });
+  });
+
+  it('will not work on a request nobody is assigned to', async () => {
+    await expect(transitionRepairRequest('r4', 'in_progress')).rejects.toThrow(
+      'Repair request must be assigned before it can be worked on'
+    );
+
+    // Sending it back to the queue is still allowed
+    await transitionRepairRequest('r4', 'open');
+    expect(await read('r4')).toMatchObject({ status: 'open', assignedTo: null });
+  });
+
+  it('clears the assignee when a request goes back to the queue', async () => {
+    await assignRepairRequest('r1', plumber);
+    await transitionRepairRequest('r1', 'open');
+
+    expect(await read('r1')).toMatchObject({ status: 'open', assignedTo: null });
+  });
+
+  it('does not reassign or reprioritise finished requests', async () => {
+    await expect(assignRepairRequest('r2', plumber)).rejects.toThrow('Cannot assign a resolved repair request');
+    await expect(updateRepairPriority('r3', 'high')).rejects.toThrow(
+      'Cannot change the priority of a closed repair request'
+    );
+  });
+
+  it('keeps tenants out of the staff workflow', async () => {
+    signInAs('tenant-1');
+
+    await expect(transitionRepairRequest('r1', 'assigned')).rejects.toThrow('Permission denied');
+    await expect(assignRepairRequest('r1', plumber)).rejects.toThrow('Permission denied');
+    await expect(updateRepairPriority('r1', 'urgent')).rejects.toThrow('Permission denied');
+  });
+});
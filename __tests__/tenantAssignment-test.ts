@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+
+import { db } from '../firebaseConfig';
+import {
+  assignTenant,
+  deleteApartment,
+  getAvailableApartments,
+  reconcileOccupancy,
+  removeTenant,
+} from '../Functions';
+
+// Runs against the Firestore emulator: `npm run test:emulator`
+jest.mock('../firebaseConfig', () => {
+  const { initializeApp } = require('firebase/app');
+  const { getFirestore, connectFirestoreEmulator } = require('firebase/firestore');
+  const app = initializeApp({ projectId: 'demo-landlordlink' });
+  const db = getFirestore(app);
+  const [host, port] = (process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080').split(':');
+  // Signed in as an admin so firestore.rules and the data layer's role checks both pass
+  connectFirestoreEmulator(db, host, Number(port), { mockUserToken: { user_id: 'admin-1' } });
+  return { db, auth: { currentUser: { uid: 'admin-1' } } };
+});
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const describeWithEmulator = emulatorHost ? describe : describe.skip;
+
+const lease = { startDate: '2025-01-01', endDate: '2025-12-31' };
+
+const clearFirestore = () =>
+  fetch(`http://${emulatorHost}/emulator/v1/projects/demo-landlordlink/databases/(default)/documents`, {
+    method: 'DELETE',
+  });
+
+// The admin's own profile has to exist before the rules let it write anything,
+// so it is written with the emulator's rule-bypassing owner token
+const seedAdmin = () =>
+  fetch(`http://${emulatorHost}/v1/projects/demo-landlordlink/databases/(default)/documents/users?documentId=admin-1`, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer owner', 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fields: { role: { stringValue: 'admin' }, apartmentId: { nullValue: null } } }),
+  });
+
+const seedApartment = (id: string, data = {}) =>
+  setDoc(doc(db, 'apartments', id), {
+    unitNumber: id,
+    rooms: 2,
+    monthlyRent: 1200,
+    maxOccupants: 3,
+    currentOccupants: 0,
+    status: 'available',
+    ...data,
+  });
+
+const seedUser = (id: string) => setDoc(doc(db, 'users', id), { name: id, role: 'tenant', apartmentId: null });
+
+const readDoc = async (collectionName: string, id: string) =>
+  (await getDoc(doc(db, collectionName, id))).data()!;
+
+const occupantsOf = async (apartmentId: string) => (await readDoc('apartments', apartmentId)).currentOccupants;
+
+describeWithEmulator('tenant assignment transactions', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+    await seedAdmin();
+  });
+
+  it('never over-fills an apartment when assignments race', async () => {
+    await seedApartment('A101');
+    await Promise.all(['u1', 'u2', 'u3', 'u4', 'u5'].map(seedUser));
+
+    const results = await Promise.allSettled(
+      ['u1', 'u2', 'u3', 'u4', 'u5'].map((userId) => assignTenant(userId, 'A101', lease))
+    );
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(3);
+    expect(await occupantsOf('A101')).toBe(3);
+  });
+
+  it('uses each apartment\'s maxOccupants as its capacity', async () => {
+    await seedApartment('STUDIO', { maxOccupants: 1 });
+    await seedApartment('FIVE', { maxOccupants: 5 });
+    await Promise.all(['u1', 'u2', 'u3', 'u4', 'u5', 'u6'].map(seedUser));
+
+    await assignTenant('u1', 'STUDIO', lease);
+    await expect(assignTenant('u2', 'STUDIO', lease)).rejects.toThrow('Apartment is at maximum capacity');
+    for (const userId of ['u2', 'u3', 'u4', 'u5']) {
+      await assignTenant(userId, 'FIVE', lease);
+    }
+
+    expect((await readDoc('apartments', 'STUDIO')).status).toBe('occupied');
+    expect((await getAvailableApartments()).map((apartment: any) => apartment.id)).toEqual(['FIVE']);
+
+    await assignTenant('u6', 'FIVE', lease);
+    expect(await getAvailableApartments()).toEqual([]);
+
+    await removeTenant('u1', 'STUDIO');
+    expect((await readDoc('apartments', 'STUDIO')).status).toBe('available');
+  });
+
+  it('lets a user win only one of two concurrent assignments', async () => {
+    await seedApartment('A101');
+    await seedApartment('A102');
+    await seedUser('u1');
+
+    const results = await Promise.allSettled([
+      assignTenant('u1', 'A101', lease),
+      assignTenant('u1', 'A102', lease),
+    ]);
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect((await occupantsOf('A101')) + (await occupantsOf('A102'))).toBe(1);
+  });
+
+  it('rejects invalid lease dates without writing anything', async () => {
+    await seedApartment('A101');
+    await seedUser('u1');
+
+    await expect(
+      assignTenant('u1', 'A101', { startDate: '2025-12-31', endDate: '2025-01-01' })
+    ).rejects.toThrow('Invalid lease dates');
+    expect(await occupantsOf('A101')).toBe(0);
+  });
+
+  it('frees the slot and promotes the next tenant on removal', async () => {
+    await seedApartment('A101');
+    await Promise.all(['u1', 'u2'].map(seedUser));
+    const primary = await assignTenant('u1', 'A101', lease);
+    const secondary = await assignTenant('u2', 'A101', lease);
+
+    await removeTenant('u1', 'A101');
+
+    expect(await occupantsOf('A101')).toBe(1);
+    expect((await readDoc('tenantApartments', primary.id)).status).toBe('inactive');
+    expect((await readDoc('tenantApartments', secondary.id)).role).toBe('primary');
+    expect((await readDoc('users', 'u1')).apartmentId).toBeNull();
+  });
+
+  it('refuses to delete an occupied apartment', async () => {
+    await seedApartment('A101');
+    await seedUser('u1');
+    await assignTenant('u1', 'A101', lease);
+
+    await expect(deleteApartment('A101')).rejects.toThrow('Cannot delete apartment with active tenants');
+  });
+
+  it('reports and repairs occupancy drift', async () => {
+    await seedApartment('A101');
+    await seedUser('u1');
+    await assignTenant('u1', 'A101', lease);
+    await seedApartment('A101', { currentOccupants: 2 });
+
+    const report = await reconcileOccupancy({ fix: true });
+
+    expect(report.drift).toEqual([
+      {
+        apartmentId: 'A101',
+        unitNumber: 'A101',
+        recorded: 2,
+        actual: 1,
+        status: 'available',
+        expectedStatus: 'available',
+      },
+    ]);
+    expect(await occupantsOf('A101')).toBe(1);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment node
+ */
+
+import { Timestamp } from 'firebase/firestore';
+
+import { getApartmentTenants, getLeaseDetails, getTenantApartment } from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getTenantBalance } from '../services/payments';
+import { createRepairRequest, getRepairRequests } from '../services/repairRequests';
+import { setRepository } from '../services/repository';
+import { getRouteRedirect } from '../utils/routeAccess';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+const day = (month: number, date: number) => Timestamp.fromDate(new Date(2025, month - 1, date));
+
+describe('getRouteRedirect', () => {
+  it('sends signed-out users to sign in', () => {
+    expect(getRouteRedirect(['(tabs)'], false, false)).toBe('/(auth)/sign-in');
+    expect(getRouteRedirect(['tenant', 'payments'], false, false)).toBe('/(auth)/sign-in');
+    expect(getRouteRedirect(['(auth)', 'sign-in'], false, false)).toBeNull();
+  });
+
+  it('sends users who just signed in to their own home', () => {
+    expect(getRouteRedirect(['(auth)', 'sign-in'], true, true)).toBe('/');
+    expect(getRouteRedirect(['(auth)', 'sign-in'], true, false)).toBe('/tenant');
+  });
+
+  it('keeps tenants out of the dashboard, Admin and apartment screens', () => {
+    expect(getRouteRedirect([], true, false)).toBe('/tenant');
+    expect(getRouteRedirect(['(tabs)', 'maintenance'], true, false)).toBe('/tenant');
+    expect(getRouteRedirect(['Admin', 'users'], true, false)).toBe('/tenant');
+    expect(getRouteRedirect(['apartments', '[id]'], true, false)).toBe('/tenant');
+    expect(getRouteRedirect(['tenant', 'repairs'], true, false)).toBeNull();
+  });
+
+  it('keeps staff out of the tenant portal', () => {
+    expect(getRouteRedirect(['tenant'], true, true)).toBe('/');
+    expect(getRouteRedirect(['Admin', 'settings'], true, true)).toBeNull();
+  });
+
+  it('lets everyone open the shared screens', () => {
+    for (const staff of [true, false]) {
+      expect(getRouteRedirect(['notifications'], true, staff)).toBeNull();
+      expect(getRouteRedirect(['sync'], true, staff)).toBeNull();
+    }
+  });
+});
+
+describe('tenant portal data', () => {
+  const seed = () => ({
+    users: {
+      'landlord-1': { name: 'Landlord', role: 'landlord', apartmentId: null },
+      'tenant-1': { name: 'Tenant One', role: 'tenant', apartmentId: 'A101' },
+      'tenant-2': { name: 'Tenant Two', role: 'tenant', apartmentId: 'A101' },
+      'tenant-3': { name: 'Tenant Three', role: 'tenant', apartmentId: 'B201' },
+    },
+    apartments: {
+      A101: { unitNumber: 'A101', rooms: 2, monthlyRent: 1200, maxOccupants: 2, currentOccupants: 2, status: 'occupied' },
+      B201: { unitNumber: 'B201', rooms: 1, monthlyRent: 900, maxOccupants: 1, currentOccupants: 1, status: 'occupied' },
+    },
+    tenantApartments: {
+      'ta-1': { userId: 'tenant-1', apartmentId: 'A101', status: 'active', role: 'primary', leaseStartDate: day(1, 1) },
+      'ta-2': { userId: 'tenant-2', apartmentId: 'A101', status: 'active', role: 'secondary', leaseStartDate: day(2, 1) },
+      'ta-3': { userId: 'tenant-3', apartmentId: 'B201', status: 'active', role: 'primary', leaseStartDate: day(1, 1) },
+    },
+    leases: {
+      'lease-1': {
+        tenantApartmentId: 'ta-1',
+        userId: 'tenant-1',
+        apartmentId: 'A101',
+        status: 'active',
+        startDate: day(1, 1),
+        endDate: day(12, 31),
+        monthlyRent: 1200,
+      },
+    },
+    rentCharges: {
+      'ta-1_2025-02': {
+        tenantApartmentId: 'ta-1', apartmentId: 'A101', userId: 'tenant-1', period: '2025-02',
+        amount: 1200, lateFee: 0, amountPaid: 1200, status: 'paid', dueDate: day(2, 1),
+      },
+      'ta-1_2025-03': {
+        tenantApartmentId: 'ta-1', apartmentId: 'A101', userId: 'tenant-1', period: '2025-03',
+        amount: 1200, lateFee: 50, amountPaid: 400, status: 'partial', dueDate: day(3, 1),
+      },
+    },
+    payments: {
+      'pay-1': {
+        chargeId: 'ta-1_2025-02', tenantApartmentId: 'ta-1', apartmentId: 'A101', userId: 'tenant-1',
+        amount: 1200, method: 'cash', paidAt: day(2, 2),
+      },
+      'pay-2': {
+        chargeId: 'ta-1_2025-03', tenantApartmentId: 'ta-1', apartmentId: 'A101', userId: 'tenant-1',
+        amount: 400, method: 'e-transfer', paidAt: day(3, 4),
+      },
+    },
+    repairRequests: {
+      r3: { apartmentId: 'B201', tenantId: 'tenant-3', title: 'Broken window', priority: 'high', status: 'open' },
+    },
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('tenant-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('shows tenants their own apartment and lease only', async () => {
+    const apartment: any = await getTenantApartment('tenant-1');
+    expect(apartment).toMatchObject({ id: 'A101', unitNumber: 'A101', tenancy: { id: 'ta-1', role: 'primary' } });
+
+    const lease: any = await getLeaseDetails('ta-1');
+    expect(lease).toMatchObject({ id: 'lease-1', monthlyRent: 1200 });
+    expect(lease.payments).toHaveLength(2);
+
+    await expect(getTenantApartment('tenant-3')).rejects.toThrow('Permission denied');
+    await expect(getLeaseDetails('ta-3')).rejects.toThrow('Lease not found');
+  });
+
+  it('lists co-tenants of their own unit', async () => {
+    const tenants: any[] = await getApartmentTenants('A101');
+    expect(tenants.map(tenant => tenant.user.name).sort()).toEqual(['Tenant One', 'Tenant Two']);
+
+    await expect(getApartmentTenants('B201')).rejects.toThrow('Permission denied');
+  });
+
+  it('shows their balance and payment history, newest first', async () => {
+    const balance: any = await getTenantBalance('tenant-1');
+    expect(balance).toMatchObject({ totalCharged: 2400, lateFees: 50, totalPaid: 1600, balance: 850 });
+    expect(balance.payments.map((payment: any) => payment.id)).toEqual(['pay-2', 'pay-1']);
+
+    signInAs('tenant-2');
+    await expect(getTenantBalance('tenant-1')).rejects.toThrow('Permission denied');
+  });
+
+  it('lets them report problems and follow only their own requests', async () => {
+    const created: any = await createRepairRequest({
+      apartmentId: 'A101',
+      tenantId: 'tenant-1',
+      title: ' Leaking tap ',
+      priority: 'medium',
+    });
+    expect(created).toMatchObject({ title: 'Leaking tap', status: 'open', assignedTo: null });
+
+    const requests: any[] = await getRepairRequests();
+    expect(requests.map(request => request.id)).toEqual([created.id]);
+
+    await expect(createRepairRequest({ apartmentId: 'B201', tenantId: 'tenant-3', title: 'Not mine' })).rejects.toThrow(
+      'Permission denied'
+    );
+  });
+});
@@ -0,0 +1,65 @@
+import * as React from 'react';
+import renderer, { act } from 'react-test-renderer';
+
+import { getUser } from '../Functions';
+import { useCurrentUser } from '../hooks/useCurrentUser';
+
+let mockAuthState: { user: { uid: string } | null; initializing: boolean } = { user: null, initializing: false };
+
+jest.mock('../contexts/AuthContext', () => ({ useAuth: () => mockAuthState }));
+jest.mock('../Functions', () => ({ getUser: jest.fn() }));
+
+const profiles: Record<string, object> = {
+  'landlord-1': { id: 'landlord-1', role: 'landlord' },
+  'tenant-1': { id: 'tenant-1', role: 'tenant' },
+};
+
+// Every value the hook returned, render by render
+let renders: ReturnType<typeof useCurrentUser>[] = [];
+
+function Probe() {
+  renders.push(useCurrentUser());
+  return null;
+}
+
+describe('useCurrentUser', () => {
+  let root: renderer.ReactTestRenderer;
+
+  beforeEach(async () => {
+    (getUser as jest.Mock).mockImplementation(async (uid: string) => profiles[uid]);
+    mockAuthState = { user: null, initializing: false };
+    renders = [];
+    await act(async () => {
+      root = renderer.create(<Probe />);
+    });
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+  });
+
+  const signIn = async (uid: string) => {
+    mockAuthState = { user: { uid }, initializing: false };
+    renders = [];
+    await act(async () => {
+      root.update(<Probe />);
+    });
+  };
+
+  it('is loading from the first render after sign-in until the profile arrives', async () => {
+    expect(renders[renders.length - 1]).toMatchObject({ profile: null, loading: false });
+
+    await signIn('landlord-1');
+
+    expect(renders[0]).toMatchObject({ user: { uid: 'landlord-1' }, profile: null, loading: true });
+    expect(renders[renders.length - 1]).toMatchObject({ profile: profiles['landlord-1'], loading: false });
+  });
+
+  it("never hands a new account the previous user's profile", async () => {
+    await signIn('landlord-1');
+    await signIn('tenant-1');
+
+    expect(renders[0]).toMatchObject({ user: { uid: 'tenant-1' }, profile: null, loading: true });
+    expect(renders[renders.length - 1]).toMatchObject({ profile: profiles['tenant-1'], loading: false });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+import { addDocument, getUsersPage, migrateUserNameKeys, updateDocument } from '../Functions';
+import { createMemoryRepository } from '../services/memoryRepository';
+import { getRepository, setRepository } from '../services/repository';
+import { signInAs } from './helpers/signedInUser';
+
+jest.mock('../firebaseConfig', () => require('./helpers/signedInUser').mockFirebaseConfig());
+
+// Users as they were stored before nameKey existed
+const seed = () => ({
+  users: {
+    'admin-1': { name: 'Admin', nameKey: 'admin', email: 'admin@example.com', role: 'admin', apartmentId: null },
+    'tenant-1': { name: 'Jane Smith', email: 'jane@example.com', role: 'tenant', apartmentId: null },
+    'tenant-2': { firstName: 'Sam', lastName: 'Smithers', email: 'sam@example.com', role: 'tenant', apartmentId: null },
+    'tenant-3': { email: 'nameless@example.com', role: 'tenant', apartmentId: null },
+  },
+});
+
+const read = (id: string): Promise<any> => getRepository().get('users', id);
+
+const searchIds = async (search: string) => (await getUsersPage({ search })).users.map((user: any) => user.id);
+
+describe('user search', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    setRepository(createMemoryRepository(seed()));
+    signInAs('admin-1');
+  });
+
+  afterAll(() => {
+    setRepository(null);
+    signInAs(null);
+  });
+
+  it('matches names from the start, ignoring case', async () => {
+    await migrateUserNameKeys();
+
+    expect(await searchIds('smith')).toEqual([]);
+    expect(await searchIds('JANE  smith')).toEqual(['tenant-1']);
+    expect(await searchIds('sam')).toEqual(['tenant-2']);
+    expect(await searchIds('SAM@Example')).toEqual(['tenant-2']);
+  });
+
+  it('lists every user once their names have been migrated', async () => {
+    expect(await migrateUserNameKeys()).toEqual({ checked: 4, updatedUsers: 3 });
+    expect(await migrateUserNameKeys()).toEqual({ checked: 4, updatedUsers: 0 });
+
+    expect(await read('tenant-2')).toMatchObject({ nameKey: 'sam smithers' });
+    expect(await read('tenant-3')).toMatchObject({ nameKey: '' });
+    expect(await searchIds('')).toEqual(['tenant-3', 'admin-1', 'tenant-1', 'tenant-2']);
+  });
+
+  it('keeps the search name in step with name changes', async () => {
+    const id = await addDocument('users', { firstName: 'Lee', lastName: 'Park', email: 'lee@example.com', role: 'tenant' });
+    expect(await read(id)).toMatchObject({ nameKey: 'lee park' });
+
+    await updateDocument('users', id, { lastName: 'Parker' });
+    expect(await read(id)).toMatchObject({ nameKey: 'lee parker' });
+    expect(await searchIds('lee p')).toEqual([id]);
+
+    await updateDocument('users', id, { email: 'lee.parker@example.com' });
+    expect(await read(id)).toMatchObject({ nameKey: 'lee parker' });
+  });
+
+  it('is only for admins to migrate', async () => {
+    signInAs('tenant-1');
+
+    await expect(migrateUserNameKeys()).rejects.toThrow();
+    expect(await read('tenant-1')).not.toHaveProperty('nameKey');
+  });
+});
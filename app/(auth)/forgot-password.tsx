@@ -0,0 +1,118 @@
+import { Link } from 'expo-router';
+import React, { useState } from 'react';
+import { ActivityIndicator, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { getAuthErrorMessage, useAuth } from '@/contexts/AuthContext';
+
+export default function ForgotPasswordScreen() {
+  const { resetPassword } = useAuth();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const submit = async () => {
+    if (!email.trim()) {
+      setError('Enter the email address you sign in with.');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await resetPassword(email);
+      setSent(true);
+    } catch (e) {
+      setError(getAuthErrorMessage(e));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ThemedView style={styles.screen}>
+      <View style={styles.form}>
+        <ThemedText type="title" style={styles.title}>Reset password</ThemedText>
+
+        {sent ? (
+          <ThemedText style={styles.info}>
+            If an account exists for {email.trim()}, a reset link is on its way. Check your inbox.
+          </ThemedText>
+        ) : (
+          <>
+            <ThemedText style={styles.info}>We will email you a link to choose a new password.</ThemedText>
+            <TextInput
+              style={styles.input}
+              placeholder="Email"
+              autoCapitalize="none"
+              autoComplete="email"
+              keyboardType="email-address"
+              value={email}
+              onChangeText={setEmail}
+              onSubmitEditing={submit}
+            />
+
+            {error && <ThemedText style={styles.error}>{error}</ThemedText>}
+
+            <TouchableOpacity style={styles.button} onPress={submit} disabled={submitting}>
+              {submitting ? <ActivityIndicator color="#fff" /> : <ThemedText style={styles.buttonText}>Send reset link</ThemedText>}
+            </TouchableOpacity>
+          </>
+        )}
+
+        <Link href="/(auth)/sign-in" style={styles.link}>
+          <ThemedText type="link">Back to sign in</ThemedText>
+        </Link>
+      </View>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  form: {
+    width: '100%',
+    maxWidth: 420,
+    alignSelf: 'center',
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  info: {
+    fontSize: 14,
+    color: '#475569',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#fff',
+  },
+  error: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  button: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  link: {
+    alignSelf: 'center',
+  },
+});
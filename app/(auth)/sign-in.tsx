@@ -0,0 +1,126 @@
+import { Link } from 'expo-router';
+import React, { useState } from 'react';
+import { ActivityIndicator, Image, KeyboardAvoidingView, Platform, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { getAuthErrorMessage, useAuth } from '@/contexts/AuthContext';
+
+export default function SignInScreen() {
+  const { signIn } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // The root layout redirects into the dashboard once the session is set
+  const submit = async () => {
+    if (!email.trim() || !password) {
+      setError('Enter your email and password.');
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await signIn(email, password);
+    } catch (e) {
+      setError(getAuthErrorMessage(e));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ThemedView style={styles.screen}>
+      <KeyboardAvoidingView behavior={Platform.OS === 'ios' ? 'padding' : undefined} style={styles.screen}>
+        <View style={styles.header}>
+          <Image source={require('@/assets/images/landlordlink.png')} style={styles.logo} resizeMode="contain" />
+        </View>
+        <View style={styles.form}>
+          <ThemedText type="title" style={styles.title}>Sign in</ThemedText>
+
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            autoCapitalize="none"
+            autoComplete="email"
+            keyboardType="email-address"
+            value={email}
+            onChangeText={setEmail}
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Password"
+            autoComplete="password"
+            secureTextEntry
+            value={password}
+            onChangeText={setPassword}
+            onSubmitEditing={submit}
+          />
+
+          {error && <ThemedText style={styles.error}>{error}</ThemedText>}
+
+          <TouchableOpacity style={styles.button} onPress={submit} disabled={submitting}>
+            {submitting ? <ActivityIndicator color="#fff" /> : <ThemedText style={styles.buttonText}>Sign in</ThemedText>}
+          </TouchableOpacity>
+
+          <Link href="/(auth)/forgot-password" style={styles.link}>
+            <ThemedText type="link">Forgot your password?</ThemedText>
+          </Link>
+        </View>
+      </KeyboardAvoidingView>
+    </ThemedView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+  },
+  header: {
+    height: 200,
+    backgroundColor: '#2c4c9c',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  logo: {
+    height: 160,
+    width: '90%',
+  },
+  form: {
+    width: '100%',
+    maxWidth: 420,
+    alignSelf: 'center',
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    backgroundColor: '#fff',
+  },
+  error: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  button: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  buttonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  link: {
+    alignSelf: 'center',
+  },
+});
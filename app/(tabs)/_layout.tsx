@@ -1,8 +1,11 @@
 import { Tabs } from 'expo-router';
 import React from 'react';
-import { Platform } from 'react-native';
+import { Platform, View } from 'react-native';
 
 import { HapticTab } from '@/components/HapticTab';
+import { NotificationDelivery } from '@/components/NotificationDelivery';
+import { ReminderSchedule } from '@/components/ReminderSchedule';
+import { SyncStatusBar } from '@/components/SyncStatusBar';
 import { IconSymbol } from '@/components/ui/IconSymbol';
 import TabBarBackground from '@/components/ui/TabBarBackground';
 import { Colors } from '@/constants/Colors';
@@ -12,6 +15,10 @@ export default function TabLayout() {
   const colorScheme = useColorScheme();
 
   return (
+    <View style={{ flex: 1 }}>
+      <SyncStatusBar />
+      <NotificationDelivery />
+      <ReminderSchedule />
       <Tabs
         screenOptions={{
           tabBarActiveTintColor: Colors[colorScheme ?? 'light'].tint,
@@ -46,10 +53,17 @@ export default function TabLayout() {
         }}
       />
       <Tabs.Screen
-        name="explore"
+        name="maintenance"
         options={{
-          title: 'Explore',
-          tabBarIcon: ({ color }) => <IconSymbol size={28} name="paperplane.fill" color={color} />,
+          title: 'Maintenance',
+          tabBarIcon: ({ color }) => <IconSymbol size={28} name="wrench.fill" color={color} />,
+        }}
+      />
+      <Tabs.Screen
+        name="apartments"
+        options={{
+          title: 'Apartments',
+          tabBarIcon: ({ color }) => <IconSymbol size={28} name="building.2.fill" color={color} />,
         }}
       />
 
@@ -61,5 +75,6 @@ export default function TabLayout() {
         }}
       />
     </Tabs>
+    </View>
   );
 }
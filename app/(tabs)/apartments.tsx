@@ -0,0 +1,267 @@
+import React, { useMemo, useState } from 'react';
+import { ActivityIndicator, FlatList, RefreshControl, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { useRouter } from 'expo-router';
+
+import { ApartmentCard } from '@/components/ApartmentCard';
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { useApartments } from '@/hooks/useApartments';
+import { useSettings } from '@/hooks/useSettings';
+import { formatCurrency } from '@/services/settings';
+import { filterAndSortApartments, getBuildingNames, type ApartmentSort } from '@/utils/apartmentList';
+
+const STATUS_FILTERS: { value: string | null; label: string }[] = [
+  { value: null, label: 'All' },
+  { value: 'available', label: 'Available' },
+  { value: 'occupied', label: 'Occupied' },
+];
+
+const SORT_OPTIONS: { value: ApartmentSort; label: string }[] = [
+  { value: 'unit', label: 'Unit' },
+  { value: 'price', label: 'Price' },
+  { value: 'status', label: 'Status' },
+];
+
+// Empty or non-numeric price inputs do not filter
+const parseRent = (value: string) => (value.trim() && !isNaN(Number(value)) ? Number(value) : null);
+
+export default function ApartmentListScreen() {
+  const router = useRouter();
+  const { apartments, loading, refreshing, loadingMore, hasMore, error, refresh, loadMore } = useApartments();
+  const { settings } = useSettings();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState<string | null>(null);
+  const [buildingName, setBuildingName] = useState<string | null>(null);
+  const [minRent, setMinRent] = useState('');
+  const [maxRent, setMaxRent] = useState('');
+  const [sort, setSort] = useState<ApartmentSort>('unit');
+
+  const buildingNames = useMemo(() => getBuildingNames(apartments), [apartments]);
+  const visibleApartments = useMemo(
+    () =>
+      filterAndSortApartments(
+        apartments,
+        { search, status, buildingName, minRent: parseRent(minRent), maxRent: parseRent(maxRent) },
+        sort
+      ),
+    [apartments, search, status, buildingName, minRent, maxRent, sort]
+  );
+
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
+
+  const header = (
+    <View style={styles.header}>
+      <ThemedText type="title" style={styles.title}>
+        Apartments
+      </ThemedText>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Search by unit or building"
+        value={search}
+        onChangeText={setSearch}
+      />
+
+      <View style={styles.chipRow}>
+        {STATUS_FILTERS.map(filter => (
+          <Chip
+            key={filter.label}
+            label={filter.label}
+            active={status === filter.value}
+            onPress={() => setStatus(filter.value)}
+          />
+        ))}
+      </View>
+
+      {buildingNames.length > 1 && (
+        <View style={styles.chipRow}>
+          <Chip label="All buildings" active={!buildingName} onPress={() => setBuildingName(null)} />
+          {buildingNames.map(name => (
+            <Chip key={name} label={name} active={buildingName === name} onPress={() => setBuildingName(name)} />
+          ))}
+        </View>
+      )}
+
+      <View style={styles.chipRow}>
+        <TextInput
+          style={[styles.input, styles.rentInput]}
+          placeholder="Min rent"
+          keyboardType="numeric"
+          value={minRent}
+          onChangeText={setMinRent}
+        />
+        <TextInput
+          style={[styles.input, styles.rentInput]}
+          placeholder="Max rent"
+          keyboardType="numeric"
+          value={maxRent}
+          onChangeText={setMaxRent}
+        />
+      </View>
+
+      <View style={styles.chipRow}>
+        <ThemedText style={styles.sortLabel}>Sort by</ThemedText>
+        {SORT_OPTIONS.map(option => (
+          <Chip key={option.value} label={option.label} active={sort === option.value} onPress={() => setSort(option.value)} />
+        ))}
+      </View>
+
+      {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+      {error && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load apartments: {error.message}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+
+  return (
+    <ThemedView style={styles.screen}>
+      <FlatList
+        data={loading ? [] : visibleApartments}
+        keyExtractor={apartment => apartment.id}
+        contentContainerStyle={styles.list}
+        ListHeaderComponent={header}
+        ListEmptyComponent={
+          !loading && !error ? (
+            <View style={styles.stateBox}>
+              <ThemedText style={styles.stateText}>
+                {apartments.length === 0 ? 'No apartments yet.' : 'No apartments match these filters.'}
+              </ThemedText>
+            </View>
+          ) : null
+        }
+        renderItem={({ item }) => (
+          <ApartmentCard
+            apartment={item}
+            formatMoney={formatMoney}
+            onPress={() => router.push({ pathname: '/apartments/[id]', params: { id: item.id } })}
+          />
+        )}
+        ItemSeparatorComponent={() => <View style={styles.separator} />}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          loadingMore ? (
+            <ActivityIndicator style={styles.footer} color="#2c4c9c" />
+          ) : hasMore && !loading ? (
+            <TouchableOpacity style={[styles.primaryButton, styles.footer]} onPress={loadMore}>
+              <ThemedText style={styles.primaryButtonText}>Load more</ThemedText>
+            </TouchableOpacity>
+          ) : null
+        }
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refresh} />}
+      />
+    </ThemedView>
+  );
+}
+
+function Chip({ label, active, onPress }: { label: string; active: boolean; onPress: () => void }) {
+  return (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <ThemedText style={[styles.chipText, active && styles.chipTextActive]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  screen: {
+    flex: 1,
+  },
+  list: {
+    padding: 24,
+    paddingBottom: 96,
+  },
+  header: {
+    gap: 12,
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  rentInput: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  sortLabel: {
+    fontSize: 13,
+    color: '#475569',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  separator: {
+    height: 12,
+  },
+  footer: {
+    alignSelf: 'center',
+    marginTop: 16,
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
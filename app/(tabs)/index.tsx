@@ -1,15 +1,28 @@
 import React from 'react';
-import { Dimensions, StyleSheet, View, ScrollView } from 'react-native';
+import { ActivityIndicator, Dimensions, StyleSheet, TouchableOpacity, View } from 'react-native';
+import { Link } from 'expo-router';
 import { LineChart, PieChart } from 'react-native-chart-kit';
 import { ThemedText } from '@/components/ThemedText';
 import { ThemedView } from '@/components/ThemedView';
 import ParallaxScrollView from '@/components/ParallaxScrollView';
 import { Image } from 'react-native';
 import { globalStyles } from '@/styles/globalStyles';
+import { useBillingRun } from '@/hooks/useBillingRun';
+import { useDashboardMetrics } from '@/hooks/useDashboardMetrics';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useSettings, type PortfolioSettings } from '@/hooks/useSettings';
+import { formatCurrency } from '@/services/settings';
+import { NotificationBell } from '@/components/NotificationBell';
+import { SignOutButton } from '@/components/SignOutButton';
+import { getUserDisplayName, type DashboardMetrics } from '@/utils/dashboardMetrics';
 
 const screenWidth = Dimensions.get('window').width;
 
 export default function HomeScreen() {
+  const { metrics, loading, error, refresh, isEmpty } = useDashboardMetrics();
+  const { profile } = useCurrentUser();
+  const { settings } = useSettings();
+
   return (
     <ParallaxScrollView
       headerBackgroundColor={{ light: '#2c4c9c', dark: '#2c4c9c' }}
@@ -21,117 +34,240 @@ export default function HomeScreen() {
       }
     >
       <ThemedView style={styles.container}>
-        <ThemedText type="title" style={styles.title}>
-          Property Dashboard
-        </ThemedText>
-
-        <View style={styles.cardGrid}>
-          <StatCard label="Total Buildings" value="12" />
-          <StatCard label="Apartments" value="128" />
-          <StatCard label="Active Tenants" value="102" />
-          <StatCard label="Unpaid Rents" value="7" highlight />
-          <StatCard label="Rent Collected" value="$45,200" money />
-        </View>
-
-        {/* Monthly Income Chart */}
-        <View style={styles.widget}>
-          <ThemedText type="default" style={styles.widgetTitle}>
-            Monthly Income Overview
+        <View style={styles.titleRow}>
+          <ThemedText type="title" style={styles.title}>
+            Property Dashboard
           </ThemedText>
-          <LineChart
-            data={{
-              labels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'June','Jule', 'August'],
-              datasets: [{ data: [20000, 25000, 18000, 22000, 27000, 28000] }],
-            }}
-            width={screenWidth - 48}
-            height={220}
-            chartConfig={{
-              backgroundGradientFrom: '#fff',
-              backgroundGradientTo: '#fff',
-              color: () => '#10b981',
-              labelColor: () => '#64748b',
-              decimalPlaces: 0,
-              propsForDots: {
-                r: '5',
-                strokeWidth: '2',
-                stroke: '#10b981',
-              },
-            }}
-            bezier
-            style={{ borderRadius: 16 }}
-          />
+          <View style={styles.headerActions}>
+            <NotificationBell />
+            <SignOutButton />
+          </View>
         </View>
-
-        {/* Occupancy Pie Chart */}
-        <View style={styles.widget}>
-          <ThemedText type="default" style={styles.widgetTitle}>
-            Occupancy Status
+        {profile && (
+          <ThemedText style={styles.greeting}>
+            {settings.organizationName} · Signed in as {getUserDisplayName(profile)}
           </ThemedText>
-          <PieChart
-            data={[
-              {
-                name: 'Occupied',
-                population: 102,
-                color: '#10b981',
-                legendFontColor: '#334155',
-                legendFontSize: 14,
-              },
-              {
-                name: 'Vacant',
-                population: 26,
-                color: '#f87171',
-                legendFontColor: '#334155',
-                legendFontSize: 14,
-              },
-            ]}
-            width={screenWidth - 48}
-            height={200}
-            chartConfig={{
-              color: () => '#334155',
-            }}
-            accessor="population"
-            backgroundColor="transparent"
-            paddingLeft="15"
-            center={[0, 0]}
-            absolute
-          />
-        </View>
+        )}
+        {profile?.role === 'admin' && (
+          <View style={styles.adminLinks}>
+            <Link href="/Admin/users" style={styles.adminLink}>
+              Manage users →
+            </Link>
+            <Link href="/Admin/buildings" style={styles.adminLink}>
+              Buildings →
+            </Link>
+            <Link href="/Admin/settings" style={styles.adminLink}>
+              Settings →
+            </Link>
+            <Link href="/Admin/audit-log" style={styles.adminLink}>
+              Audit log →
+            </Link>
+            <Link href="/Admin/data-transfer" style={styles.adminLink}>
+              Import & export →
+            </Link>
+            <Link href="/Admin/lease-template" style={styles.adminLink}>
+              Lease template →
+            </Link>
+          </View>
+        )}
 
-        {/* Rent Collection Progress */}
-        <View style={styles.widget}>
-          <ThemedText type="default" style={styles.widgetTitle}>
-            Rent Collection Progress
-          </ThemedText>
-          <View style={styles.progressBarBackground}>
-            <View style={[styles.progressBarFill, { width: '82%' }]} />
+        {loading && !metrics && (
+          <View style={styles.stateBox}>
+            <ActivityIndicator size="large" color="#2c4c9c" />
+            <ThemedText style={styles.stateText}>Loading dashboard…</ThemedText>
           </View>
-          <ThemedText type="default" style={styles.progressLabel}>
-            82% collected
-          </ThemedText>
-        </View>
+        )}
+
+        {error && (
+          <View style={[styles.stateBox, styles.errorBox]}>
+            <ThemedText style={styles.errorText}>
+              Could not load dashboard data: {error.message}
+            </ThemedText>
+            <TouchableOpacity style={styles.retryButton} onPress={refresh}>
+              <ThemedText style={styles.retryText}>Try again</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {isEmpty && (
+          <View style={styles.stateBox}>
+            <ThemedText style={styles.stateText}>
+              No apartments yet. Add your first unit to see occupancy and income here.
+            </ThemedText>
+          </View>
+        )}
+
+        {metrics && !isEmpty && <DashboardContent metrics={metrics} settings={settings} />}
+      </ThemedView>
+    </ParallaxScrollView>
+  );
+}
+
+function DashboardContent({ metrics, settings }: { metrics: DashboardMetrics; settings: PortfolioSettings }) {
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
 
-        {/* Mini Stats */}
-        <View style={styles.miniStatsRow}>
-          <MiniStat label="New Tenants" value="+12%" trend="up" />
-          <MiniStat label="Vacancy Rate" value="-4%" trend="down" />
-          <MiniStat label="Late Payments" value="+8%" trend="up" />
+  return (
+    <>
+      <View style={styles.cardGrid}>
+        <StatCard label="Total Buildings" value={metrics.totalBuildings} />
+        <StatCard label="Apartments" value={metrics.totalApartments} />
+        <StatCard label="Active Tenants" value={metrics.activeTenants} />
+        <StatCard label="Unpaid Rents" value={metrics.unpaidRents} highlight />
+        <StatCard label="Rent Collected" value={formatMoney(metrics.rentCollected)} money />
+      </View>
+
+      {/* Monthly Income Chart */}
+      <View style={styles.widget}>
+        <ThemedText type="default" style={styles.widgetTitle}>
+          Monthly Income Overview
+        </ThemedText>
+        <LineChart
+          data={{
+            labels: metrics.income.map(point => point.label),
+            datasets: [{ data: metrics.income.map(point => point.value) }],
+          }}
+          width={screenWidth - 48}
+          height={220}
+          chartConfig={{
+            backgroundGradientFrom: '#fff',
+            backgroundGradientTo: '#fff',
+            color: () => '#10b981',
+            labelColor: () => '#64748b',
+            decimalPlaces: 0,
+            propsForDots: {
+              r: '5',
+              strokeWidth: '2',
+              stroke: '#10b981',
+            },
+          }}
+          bezier
+          style={{ borderRadius: 16 }}
+        />
+      </View>
+
+      {/* Occupancy Pie Chart */}
+      <View style={styles.widget}>
+        <ThemedText type="default" style={styles.widgetTitle}>
+          Occupancy Status
+        </ThemedText>
+        <PieChart
+          data={[
+            {
+              name: 'Occupied',
+              population: metrics.occupiedApartments,
+              color: '#10b981',
+              legendFontColor: '#334155',
+              legendFontSize: 14,
+            },
+            {
+              name: 'Vacant',
+              population: metrics.vacantApartments,
+              color: '#f87171',
+              legendFontColor: '#334155',
+              legendFontSize: 14,
+            },
+          ]}
+          width={screenWidth - 48}
+          height={200}
+          chartConfig={{
+            color: () => '#334155',
+          }}
+          accessor="population"
+          backgroundColor="transparent"
+          paddingLeft="15"
+          center={[0, 0]}
+          absolute
+        />
+      </View>
+
+      {/* Rent Collection Progress */}
+      <View style={styles.widget}>
+        <ThemedText type="default" style={styles.widgetTitle}>
+          Rent Collection Progress
+        </ThemedText>
+        <View style={styles.progressBarBackground}>
+          <View style={[styles.progressBarFill, { width: `${metrics.collectionPercent}%` }]} />
         </View>
+        <ThemedText type="default" style={styles.progressLabel}>
+          {metrics.collectionPercent}% collected of {formatMoney(metrics.rentExpected)} due this month
+        </ThemedText>
+      </View>
+
+      <BillingWidget />
 
-        {/* Recent Activity */}
+      {/* Buildings */}
+      {metrics.buildings.length > 0 && (
         <View style={styles.widget}>
-          <ThemedText style={styles.widgetTitle}>Recent Activity</ThemedText>
-          {[
-            '💸 Rent received from Unit 304',
-            '🔄 Lease renewed for Unit 102',
-            '🚪 Tenant moved out of Unit 201',
-          ].map((event, idx) => (
-            <ThemedText key={idx} style={styles.activityItem}>
-              • {event}
-            </ThemedText>
+          <ThemedText style={styles.widgetTitle}>Buildings</ThemedText>
+          {metrics.buildings.map(building => (
+            <View key={building.buildingId ?? building.name} style={styles.buildingRow}>
+              <View style={styles.buildingInfo}>
+                <ThemedText style={styles.buildingName}>{building.name}</ThemedText>
+                <ThemedText style={styles.buildingMeta}>
+                  {building.occupiedApartments}/{building.totalApartments} units occupied · {building.activeTenants}{' '}
+                  {building.activeTenants === 1 ? 'tenant' : 'tenants'}
+                </ThemedText>
+              </View>
+              <View style={styles.buildingFigures}>
+                <ThemedText style={styles.buildingOccupancy}>{building.occupancyPercent}%</ThemedText>
+                <ThemedText style={styles.buildingMeta}>
+                  {formatMoney(building.rentCollected)} of {formatMoney(building.rentExpected)}
+                </ThemedText>
+              </View>
+            </View>
           ))}
         </View>
-      </ThemedView>
-    </ParallaxScrollView>
+      )}
+
+      {/* Mini Stats */}
+      <View style={styles.miniStatsRow}>
+        {metrics.miniStats.map(stat => (
+          <MiniStat key={stat.label} label={stat.label} value={stat.value} trend={stat.trend} />
+        ))}
+      </View>
+
+      {/* Recent Activity */}
+      <View style={styles.widget}>
+        <ThemedText style={styles.widgetTitle}>Recent Activity</ThemedText>
+        {metrics.recentActivity.length === 0 && (
+          <ThemedText style={styles.activityItem}>No activity yet</ThemedText>
+        )}
+        {metrics.recentActivity.map((event, idx) => (
+          <ThemedText key={idx} style={styles.activityItem}>
+            • {event}
+          </ThemedText>
+        ))}
+      </View>
+    </>
+  );
+}
+
+// Charges the month's rent and late fees and sends due reminders on demand; the dashboard itself never writes
+function BillingWidget() {
+  const { run, running, result, error } = useBillingRun();
+
+  return (
+    <View style={styles.widget}>
+      <ThemedText style={styles.widgetTitle}>Rent Billing</ThemedText>
+      <ThemedText style={styles.billingText}>
+        Generate this month's rent charges, add late fees to overdue ones and send due reminders. Running it again is safe.
+      </ThemedText>
+      <TouchableOpacity
+        style={[styles.retryButton, styles.billingButton, running && styles.billingButtonDisabled]}
+        onPress={run}
+        disabled={running}
+      >
+        <ThemedText style={styles.retryText}>{running ? 'Billing…' : 'Run billing'}</ThemedText>
+      </TouchableOpacity>
+      {result && (
+        <ThemedText style={styles.billingText}>
+          {result.period}: {result.created} new {result.created === 1 ? 'charge' : 'charges'}, {result.lateFees} late{' '}
+          {result.lateFees === 1 ? 'fee' : 'fees'} applied, {result.reminders}{' '}
+          {result.reminders === 1 ? 'reminder' : 'reminders'} sent
+        </ThemedText>
+      )}
+      {error && <ThemedText style={styles.errorText}>Billing failed: {error.message}</ThemedText>}
+    </View>
   );
 }
 
@@ -199,11 +335,36 @@ const styles = StyleSheet.create({
     padding: 24,
     gap: 24,
   },
+  titleRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
   title: {
     fontSize: 28,
     fontWeight: '700',
     marginBottom: 8,
   },
+  greeting: {
+    fontSize: 14,
+    color: '#475569',
+  },
+  adminLinks: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  adminLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c4c9c',
+  },
   cardGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -282,11 +443,84 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#475569',
   },
+  buildingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  buildingInfo: {
+    flex: 1,
+  },
+  buildingName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  buildingMeta: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  buildingFigures: {
+    alignItems: 'flex-end',
+  },
+  buildingOccupancy: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#2c4c9c',
+  },
+  billingText: {
+    fontSize: 14,
+    color: '#475569',
+  },
+  billingButton: {
+    alignSelf: 'flex-start',
+    marginVertical: 12,
+  },
+  billingButtonDisabled: {
+    opacity: 0.6,
+  },
   activityItem: {
     fontSize: 14,
     color: '#475569',
     marginBottom: 6,
   },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+    textAlign: 'center',
+  },
+  retryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  retryText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
   miniStatsRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,450 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ActivityIndicator, Image, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { AttachmentGallery } from '@/components/AttachmentGallery';
+import ParallaxScrollView from '@/components/ParallaxScrollView';
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { getAllApartments, getAllUsers, updateStatus } from '@/Functions';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useRepairRequests } from '@/hooks/useRepairRequests';
+import {
+  ASSIGNEE_TYPES,
+  REPAIR_PRIORITIES,
+  REPAIR_TRANSITIONS,
+  assignRepairRequest,
+  updateRepairPriority,
+} from '@/services/repairRequests';
+import { globalStyles } from '@/styles/globalStyles';
+import { getUserDisplayName, toDate } from '@/utils/dashboardMetrics';
+
+type StatusFilter = 'active' | 'open' | 'assigned' | 'in_progress' | 'resolved' | 'closed';
+
+const STATUS_FILTERS: StatusFilter[] = ['active', 'open', 'assigned', 'in_progress', 'resolved', 'closed'];
+
+const STATUS_LABELS: Record<string, string> = {
+  active: 'Active',
+  open: 'Open',
+  assigned: 'Assigned',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed',
+};
+
+// Button text for moving a request into each status
+const TRANSITION_LABELS: Record<string, string> = {
+  open: 'Unassign',
+  assigned: 'Back to Assigned',
+  in_progress: 'Start Work',
+  resolved: 'Mark Resolved',
+  closed: 'Close',
+};
+
+const PRIORITY_COLORS: Record<string, string> = {
+  low: '#64748b',
+  medium: '#0a7ea4',
+  high: '#f59e0b',
+  urgent: '#dc2626',
+};
+
+export default function MaintenanceScreen() {
+  const [statusFilter, setStatusFilter] = useState<StatusFilter>('active');
+  const { requests, loading, error, refresh } = useRepairRequests(
+    statusFilter === 'active' ? {} : { status: statusFilter }
+  );
+  const [unitNumbers, setUnitNumbers] = useState<Record<string, string>>({});
+  const [userNames, setUserNames] = useState<Record<string, string>>({});
+  const { profile } = useCurrentUser();
+  const isStaff = profile?.role === 'admin' || profile?.role === 'landlord';
+
+  useEffect(() => {
+    getAllApartments()
+      .then((apartments: any[]) =>
+        setUnitNumbers(Object.fromEntries(apartments.map(apartment => [apartment.id, apartment.unitNumber])))
+      )
+      .catch(() => setUnitNumbers({}));
+    // Names for the "by …" part of each history entry
+    getAllUsers()
+      .then((users: any[]) => setUserNames(Object.fromEntries(users.map(user => [user.id, getUserDisplayName(user)]))))
+      .catch(() => setUserNames({}));
+  }, []);
+
+  // "Active" is everything still in the queue
+  const visibleRequests = useMemo(
+    () => (statusFilter === 'active' ? requests.filter(request => request.status !== 'closed') : requests),
+    [requests, statusFilter]
+  );
+
+  return (
+    <ParallaxScrollView
+      headerBackgroundColor={{ light: '#2c4c9c', dark: '#2c4c9c' }}
+      headerImage={
+        <Image
+          source={require('@/assets/images/landlordlink.png')}
+          style={globalStyles.companyLogo}
+        />
+      }
+    >
+      <ThemedView style={styles.container}>
+        <ThemedText type="title" style={styles.title}>
+          Maintenance Queue
+        </ThemedText>
+
+        <View style={styles.filterRow}>
+          {STATUS_FILTERS.map(filter => (
+            <TouchableOpacity
+              key={filter}
+              style={[styles.chip, statusFilter === filter && styles.chipActive]}
+              onPress={() => setStatusFilter(filter)}
+            >
+              <ThemedText style={[styles.chipText, statusFilter === filter && styles.chipTextActive]}>
+                {STATUS_LABELS[filter]}
+              </ThemedText>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+        {error && (
+          <View style={[styles.stateBox, styles.errorBox]}>
+            <ThemedText style={styles.errorText}>Could not load repair requests: {error.message}</ThemedText>
+            <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+              <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!loading && !error && visibleRequests.length === 0 && (
+          <View style={styles.stateBox}>
+            <ThemedText style={styles.stateText}>No repair requests here. 🎉</ThemedText>
+          </View>
+        )}
+
+        {visibleRequests.map(request => (
+          <RepairRequestCard
+            key={request.id}
+            request={request}
+            unitNumber={unitNumbers[request.apartmentId]}
+            userNames={userNames}
+            isStaff={isStaff}
+            canAddPhotos={isStaff || request.tenantId === profile?.id}
+          />
+        ))}
+      </ThemedView>
+    </ParallaxScrollView>
+  );
+}
+
+function RepairRequestCard({
+  request,
+  unitNumber,
+  userNames,
+  isStaff,
+  canAddPhotos,
+}: {
+  request: any;
+  unitNumber?: string;
+  userNames: Record<string, string>;
+  isStaff: boolean;
+  canAddPhotos: boolean;
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const [assigneeName, setAssigneeName] = useState(request.assignedTo?.name ?? '');
+  const [assigneeType, setAssigneeType] = useState<string>(request.assignedTo?.type ?? 'staff');
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const canAssign = request.status !== 'resolved' && request.status !== 'closed';
+  const transitions: string[] = (REPAIR_TRANSITIONS as Record<string, string[]>)[request.status] ?? [];
+
+  const run = async (action: () => Promise<unknown>) => {
+    setBusy(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      const result: any = await action();
+      // The list follows the queue live, so only offline saves need a notice
+      if (result?.queued) {
+        setNotice('Saved offline. It will sync when you are back online.');
+      }
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const assign = () => {
+    const name = assigneeName.trim();
+    if (!name) {
+      setActionError('Enter who should handle this request');
+      return;
+    }
+    run(() =>
+      assignRepairRequest(request.id, {
+        id: `${assigneeType}:${name.toLowerCase().replace(/\s+/g, '-')}`,
+        name,
+        type: assigneeType,
+      })
+    );
+  };
+
+  const createdAt = toDate(request.createdAt);
+
+  return (
+    <View style={styles.card}>
+      <TouchableOpacity onPress={() => setExpanded(value => !value)} activeOpacity={0.8}>
+        <View style={styles.cardHeader}>
+          <ThemedText style={styles.cardTitle}>{request.title}</ThemedText>
+          <View style={[styles.badge, { backgroundColor: PRIORITY_COLORS[request.priority] }]}>
+            <ThemedText style={styles.badgeText}>{request.priority.toUpperCase()}</ThemedText>
+          </View>
+        </View>
+        <ThemedText style={styles.cardMeta}>
+          {unitNumber ? `Unit ${unitNumber}` : 'Unknown unit'} · {STATUS_LABELS[request.status]}
+          {request.assignedTo ? ` · ${request.assignedTo.name} (${request.assignedTo.type})` : ''}
+          {createdAt ? ` · ${createdAt.toLocaleDateString()}` : ''}
+        </ThemedText>
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.cardBody}>
+          {!!request.description && <ThemedText style={styles.description}>{request.description}</ThemedText>}
+
+          <AttachmentGallery
+            parentCollection="repairRequests"
+            parentId={request.id}
+            title="Photos"
+            canAdd={canAddPhotos && request.status !== 'closed'}
+            isStaff={isStaff}
+            emptyText="No photos of the problem yet."
+          />
+
+          {request.status !== 'closed' && (
+            <View style={styles.actionRow}>
+              {REPAIR_PRIORITIES.map(priority => (
+                <TouchableOpacity
+                  key={priority}
+                  disabled={busy || priority === request.priority}
+                  style={[styles.chip, priority === request.priority && styles.chipActive]}
+                  onPress={() => run(() => updateRepairPriority(request.id, priority))}
+                >
+                  <ThemedText style={[styles.chipText, priority === request.priority && styles.chipTextActive]}>
+                    {priority}
+                  </ThemedText>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {canAssign && (
+            <View style={styles.actionRow}>
+              <TextInput
+                style={styles.input}
+                placeholder="Staff member or contractor"
+                value={assigneeName}
+                onChangeText={setAssigneeName}
+              />
+              {ASSIGNEE_TYPES.map(type => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.chip, assigneeType === type && styles.chipActive]}
+                  onPress={() => setAssigneeType(type)}
+                >
+                  <ThemedText style={[styles.chipText, assigneeType === type && styles.chipTextActive]}>{type}</ThemedText>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity style={styles.primaryButton} disabled={busy} onPress={assign}>
+                <ThemedText style={styles.primaryButtonText}>{request.assignedTo ? 'Reassign' : 'Assign'}</ThemedText>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          <View style={styles.actionRow}>
+            {transitions
+              .filter(status => status !== 'assigned' || request.status !== 'open')
+              .map(status => (
+                <TouchableOpacity
+                  key={status}
+                  style={styles.secondaryButton}
+                  disabled={busy}
+                  onPress={() => run(() => updateStatus(request.id, status))}
+                >
+                  <ThemedText style={styles.secondaryButtonText}>{TRANSITION_LABELS[status]}</ThemedText>
+                </TouchableOpacity>
+              ))}
+          </View>
+
+          {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+          {notice && <ThemedText style={styles.noticeText}>{notice}</ThemedText>}
+
+          <ThemedText style={styles.historyTitle}>History</ThemedText>
+          {(request.statusHistory ?? []).map((entry: any, idx: number) => (
+            <ThemedText key={idx} style={styles.historyItem}>
+              • {toDate(entry.changedAt)?.toLocaleString() ?? ''} — {entry.from ? `${STATUS_LABELS[entry.from]} → ` : ''}
+              {STATUS_LABELS[entry.to]}
+              {entry.changedBy ? ` by ${userNames[entry.changedBy] ?? entry.changedBy}` : ''}
+              {entry.note ? ` (${entry.note})` : ''}
+            </ThemedText>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  noticeText: {
+    fontSize: 14,
+    color: '#475569',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    shadowColor: '#000',
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  cardMeta: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#64748b',
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  cardBody: {
+    marginTop: 12,
+    gap: 12,
+  },
+  description: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  input: {
+    flexGrow: 1,
+    minWidth: 180,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+  },
+  historyItem: {
+    fontSize: 13,
+    color: '#475569',
+  },
+});
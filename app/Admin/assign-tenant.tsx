@@ -0,0 +1,435 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+
+import { ThemedText } from '@/components/ThemedText';
+import { assignTenant, checkAssignmentEligibility, getAvailableApartments, getUser } from '@/Functions';
+import { useSettings } from '@/hooks/useSettings';
+import { useUsersPage } from '@/hooks/useUsersPage';
+import { formatCurrency } from '@/services/settings';
+import { filterAndSortApartments } from '@/utils/apartmentList';
+import { getUserDisplayName } from '@/utils/dashboardMetrics';
+
+type FormField = 'user' | 'apartment' | 'startDate' | 'endDate' | 'monthlyRent';
+
+// Which field an assignTenant error belongs to; checked in order
+const FIELD_ERROR_PATTERNS: [RegExp, FormField][] = [
+  [/overlap/i, 'startDate'],
+  [/end date/i, 'endDate'],
+  [/lease dates/i, 'startDate'],
+  [/monthly rent/i, 'monthlyRent'],
+  [/^user|tenants/i, 'user'],
+  [/^apartment/i, 'apartment'],
+];
+
+const errorField = (message: string) => FIELD_ERROR_PATTERNS.find(([pattern]) => pattern.test(message))?.[1];
+
+export default function AssignTenantScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ userId?: string; apartmentId?: string }>();
+  const { settings } = useSettings();
+
+  const [tenant, setTenant] = useState<any | null>(null);
+  const [tenantSearch, setTenantSearch] = useState('');
+  const [search, setSearch] = useState('');
+  const { users, loading: searching } = useUsersPage(search);
+
+  const [apartments, setApartments] = useState<any[]>([]);
+  const [apartmentSearch, setApartmentSearch] = useState('');
+  const [maxRent, setMaxRent] = useState('');
+  const [apartmentId, setApartmentId] = useState<string | null>(params.apartmentId ?? null);
+
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [monthlyRent, setMonthlyRent] = useState('');
+  const [terms, setTerms] = useState('');
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState<Partial<Record<FormField, string>>>({});
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
+
+  // Wait for typing to pause before querying
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(tenantSearch), 300);
+    return () => clearTimeout(timer);
+  }, [tenantSearch]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([params.userId ? getUser(params.userId) : null, getAvailableApartments()])
+      .then(([user, available]) => {
+        setTenant(user);
+        setApartments(available);
+      })
+      .catch(e => setFormError(e instanceof Error ? e.message : String(e)))
+      .finally(() => setLoading(false));
+  }, [params.userId]);
+
+  const selectedApartment = apartments.find(apartment => apartment.id === apartmentId) ?? null;
+
+  // Rent starts at the apartment's advertised rent
+  useEffect(() => {
+    if (selectedApartment) {
+      setMonthlyRent(String(selectedApartment.monthlyRent ?? ''));
+    }
+  }, [selectedApartment]);
+
+  // Check eligibility as soon as a tenant or apartment is picked, not only on submit
+  useEffect(() => {
+    if (!tenant && !apartmentId) {
+      setErrors(current => ({ ...current, user: undefined, apartment: undefined }));
+      return;
+    }
+    let active = true;
+    checkAssignmentEligibility(tenant?.id ?? null, apartmentId)
+      .then(({ errors: eligibility }: { errors: { user?: string; apartment?: string } }) => {
+        if (active) {
+          setErrors(current => ({ ...current, user: eligibility.user, apartment: eligibility.apartment }));
+        }
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, [tenant, apartmentId]);
+
+  const tenantResults = useMemo(
+    () => users.filter(user => (user.role ?? 'tenant') === 'tenant' && user.active !== false),
+    [users]
+  );
+
+  const visibleApartments = useMemo(
+    () =>
+      filterAndSortApartments(
+        apartments,
+        { search: apartmentSearch, maxRent: maxRent.trim() && !isNaN(Number(maxRent)) ? Number(maxRent) : null },
+        'unit'
+      ),
+    [apartments, apartmentSearch, maxRent]
+  );
+
+  const submit = async () => {
+    const formErrors: Partial<Record<FormField, string>> = {};
+    if (!tenant) {
+      formErrors.user = 'Choose a tenant';
+    }
+    if (!apartmentId) {
+      formErrors.apartment = 'Choose an apartment';
+    }
+    if (!startDate.trim()) {
+      formErrors.startDate = 'Enter a start date';
+    } else if (isNaN(new Date(startDate).getTime())) {
+      formErrors.startDate = 'Use the format YYYY-MM-DD';
+    }
+    if (endDate.trim() && isNaN(new Date(endDate).getTime())) {
+      formErrors.endDate = 'Use the format YYYY-MM-DD';
+    }
+    const rent = Number(monthlyRent);
+    if (!monthlyRent.trim() || !Number.isFinite(rent) || rent <= 0) {
+      formErrors.monthlyRent = 'Enter a rent amount greater than zero';
+    }
+
+    setFormError(null);
+    if (Object.keys(formErrors).length > 0 || errors.user || errors.apartment) {
+      setErrors(current => ({
+        ...formErrors,
+        user: formErrors.user ?? current.user,
+        apartment: formErrors.apartment ?? current.apartment,
+      }));
+      return;
+    }
+    setErrors({});
+
+    setSaving(true);
+    try {
+      await assignTenant(tenant.id, apartmentId, {
+        startDate: startDate.trim(),
+        endDate: endDate.trim() || undefined,
+        monthlyRent: rent,
+        terms,
+      });
+      router.back();
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      const field = errorField(message);
+      if (field) {
+        setErrors({ [field]: message });
+      } else {
+        setFormError(message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Assign Tenant
+      </ThemedText>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Tenant</ThemedText>
+        {tenant ? (
+          <View style={styles.selectedRow}>
+            <View style={styles.selectedText}>
+              <ThemedText style={styles.selectedName}>{getUserDisplayName(tenant)}</ThemedText>
+              {!!tenant.email && <ThemedText style={styles.hint}>{tenant.email}</ThemedText>}
+            </View>
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setTenant(null)}>
+              <ThemedText style={styles.secondaryButtonText}>Change</ThemedText>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <>
+            <TextInput
+              style={[styles.input, errors.user && styles.inputError]}
+              placeholder="Search tenants by name or email"
+              autoCapitalize="none"
+              value={tenantSearch}
+              onChangeText={setTenantSearch}
+            />
+            {searching && <ActivityIndicator color="#2c4c9c" />}
+            {!searching && !!search && tenantResults.length === 0 && (
+              <ThemedText style={styles.hint}>No tenants match “{search}”.</ThemedText>
+            )}
+            {!searching &&
+              tenantResults.map(user => (
+                <TouchableOpacity key={user.id} style={styles.option} onPress={() => setTenant(user)}>
+                  <ThemedText style={styles.optionTitle}>{getUserDisplayName(user)}</ThemedText>
+                  <ThemedText style={styles.hint}>
+                    {user.email ?? 'No email'}
+                    {user.apartmentId ? ' · already housed' : ''}
+                  </ThemedText>
+                </TouchableOpacity>
+              ))}
+          </>
+        )}
+        {errors.user && <ThemedText style={styles.errorText}>{errors.user}</ThemedText>}
+      </View>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Apartment</ThemedText>
+        <View style={styles.row}>
+          <TextInput
+            style={[styles.input, styles.flex]}
+            placeholder="Unit or building"
+            value={apartmentSearch}
+            onChangeText={setApartmentSearch}
+          />
+          <TextInput
+            style={[styles.input, styles.flex]}
+            placeholder="Max rent"
+            keyboardType="numeric"
+            value={maxRent}
+            onChangeText={setMaxRent}
+          />
+        </View>
+        {visibleApartments.length === 0 && <ThemedText style={styles.hint}>No available apartments match.</ThemedText>}
+        <View style={styles.chipRow}>
+          {visibleApartments.map(apartment => (
+            <TouchableOpacity
+              key={apartment.id}
+              style={[styles.chip, apartmentId === apartment.id && styles.chipActive]}
+              onPress={() => setApartmentId(apartment.id)}
+            >
+              <ThemedText style={[styles.chipText, apartmentId === apartment.id && styles.chipTextActive]}>
+                Unit {apartment.unitNumber} · {formatMoney(apartment.monthlyRent ?? 0)} ·{' '}
+                {apartment.maxOccupants - (apartment.currentOccupants ?? 0)} spot(s) left
+              </ThemedText>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {errors.apartment && <ThemedText style={styles.errorText}>{errors.apartment}</ThemedText>}
+      </View>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Lease</ThemedText>
+        <Field label="Start date (YYYY-MM-DD)" value={startDate} onChangeText={setStartDate} error={errors.startDate} />
+        <Field
+          label={`End date (blank for ${settings.defaultLeaseMonths} months)`}
+          value={endDate}
+          onChangeText={setEndDate}
+          error={errors.endDate}
+        />
+        <Field label="Monthly rent" value={monthlyRent} onChangeText={setMonthlyRent} error={errors.monthlyRent} numeric />
+        <ThemedText style={styles.label}>Terms and conditions</ThemedText>
+        <TextInput style={[styles.input, styles.multiline]} multiline value={terms} onChangeText={setTerms} />
+      </View>
+
+      {formError && <ThemedText style={styles.errorText}>{formError}</ThemedText>}
+
+      <TouchableOpacity style={styles.primaryButton} disabled={saving} onPress={submit}>
+        <ThemedText style={styles.primaryButtonText}>{saving ? 'Assigning…' : 'Assign tenant'}</ThemedText>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+function Field({
+  label,
+  value,
+  onChangeText,
+  error,
+  numeric,
+}: {
+  label: string;
+  value: string;
+  onChangeText: (value: string) => void;
+  error?: string;
+  numeric?: boolean;
+}) {
+  return (
+    <View style={styles.field}>
+      <ThemedText style={styles.label}>{label}</ThemedText>
+      <TextInput
+        style={[styles.input, error && styles.inputError]}
+        value={value}
+        onChangeText={onChangeText}
+        keyboardType={numeric ? 'numeric' : 'default'}
+      />
+      {error && <ThemedText style={styles.errorText}>{error}</ThemedText>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 10,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  field: {
+    gap: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#dc2626',
+  },
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  row: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  flex: {
+    flex: 1,
+  },
+  selectedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  selectedText: {
+    flex: 1,
+  },
+  selectedName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  option: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+  },
+  optionTitle: {
+    fontSize: 15,
+    color: '#0f172a',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
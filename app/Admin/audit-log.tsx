@@ -0,0 +1,411 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { getAllUsers } from '@/Functions';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { getAuditLog, verifyAuditLog } from '@/services/auditLog';
+import { describeAuditEntry, getUserDisplayName, toDate } from '@/utils/dashboardMetrics';
+
+const PAGE_SIZE = 25;
+
+const ENTITIES: { value: string; label: string }[] = [
+  { value: '', label: 'Everything' },
+  { value: 'apartments', label: 'Apartments' },
+  { value: 'tenantApartments', label: 'Tenancies' },
+  { value: 'repairRequests', label: 'Repair requests' },
+  { value: 'buildings', label: 'Buildings' },
+  { value: 'leases', label: 'Leases' },
+  { value: 'users', label: 'Users' },
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Start (or end) of a YYYY-MM-DD day in local time; undefined for a blank field, null when invalid
+const parseDay = (value: string, endOfDay: boolean): Date | null | undefined => {
+  if (!value.trim()) {
+    return undefined;
+  }
+  if (!DATE_PATTERN.test(value.trim())) {
+    return null;
+  }
+  const [year, month, day] = value.trim().split('-').map(Number);
+  const date = endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+const formatValue = (value: any): string => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  const date = typeof value === 'object' && typeof value.toDate === 'function' ? toDate(value) : null;
+  if (date) {
+    return date.toLocaleDateString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+type Filters = { entity: string; actorId: string; from: string; to: string };
+
+export default function AdminAuditLogScreen() {
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const [staff, setStaff] = useState<any[]>([]);
+  const [filters, setFilters] = useState<Filters>({ entity: '', actorId: '', from: '', to: '' });
+  const [applied, setApplied] = useState<Filters>(filters);
+  const [dateError, setDateError] = useState<string | null>(null);
+
+  const [entries, setEntries] = useState<any[]>([]);
+  const [cursor, setCursor] = useState<any>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState<{ valid: boolean; checked: number; reason: string | null } | null>(
+    null
+  );
+
+  // Only staff can make changes, so only staff can appear as actors
+  useEffect(() => {
+    if (profile?.role !== 'admin') {
+      return;
+    }
+    getAllUsers()
+      .then((users: any[]) => setStaff(users.filter(user => user.role !== 'tenant')))
+      .catch(() => setStaff([]));
+  }, [profile?.role]);
+
+  const usersById = new Map(staff.map(user => [user.id, user]));
+
+  const load = useCallback(async (next: Filters, after: any = null) => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const page = await getAuditLog(
+        {
+          entity: next.entity,
+          actorId: next.actorId,
+          from: parseDay(next.from, false),
+          to: parseDay(next.to, true),
+        },
+        { pageSize: PAGE_SIZE, cursor: after }
+      );
+      setEntries(current => (after ? [...current, ...page.entries] : page.entries));
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (e) {
+      setLoadError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (profile?.role === 'admin') {
+      load(applied);
+    }
+  }, [profile?.role, applied, load]);
+
+  const apply = (changes: Partial<Filters>) => {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+
+    const from = parseDay(next.from, false);
+    const to = parseDay(next.to, true);
+    if (from === null || to === null) {
+      setDateError('Enter dates as YYYY-MM-DD');
+      return;
+    }
+    if (from && to && from > to) {
+      setDateError('The start date must be before the end date');
+      return;
+    }
+    setDateError(null);
+    setApplied(next);
+  };
+
+  const verify = async () => {
+    setVerifying(true);
+    setVerification(null);
+    try {
+      setVerification(await verifyAuditLog());
+    } catch (e) {
+      setVerification({ valid: false, checked: 0, reason: e instanceof Error ? e.message : String(e) });
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  if (profileLoading) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (profile?.role !== 'admin') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only admins can view the audit log.</ThemedText>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Audit Log
+      </ThemedText>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Integrity</ThemedText>
+        <ThemedText style={styles.hint}>
+          Every entry is chained to the one before it, so edited or deleted entries are detected.
+        </ThemedText>
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.secondaryButton} disabled={verifying} onPress={verify}>
+            <ThemedText style={styles.secondaryButtonText}>{verifying ? 'Verifying…' : 'Verify chain'}</ThemedText>
+          </TouchableOpacity>
+        </View>
+        {verification?.valid && (
+          <ThemedText style={styles.successText}>All {verification.checked} entries are intact.</ThemedText>
+        )}
+        {verification && !verification.valid && (
+          <ThemedText style={styles.errorText}>{verification.reason}</ThemedText>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Filters</ThemedText>
+        <ThemedText style={styles.label}>Record type</ThemedText>
+        <View style={styles.chipRow}>
+          {ENTITIES.map(entity => (
+            <FilterChip
+              key={entity.value}
+              label={entity.label}
+              active={filters.entity === entity.value}
+              onPress={() => apply({ entity: entity.value })}
+            />
+          ))}
+        </View>
+        <ThemedText style={styles.label}>Changed by</ThemedText>
+        <View style={styles.chipRow}>
+          <FilterChip label="Anyone" active={!filters.actorId} onPress={() => apply({ actorId: '' })} />
+          {staff.map(user => (
+            <FilterChip
+              key={user.id}
+              label={getUserDisplayName(user)}
+              active={filters.actorId === user.id}
+              onPress={() => apply({ actorId: user.id })}
+            />
+          ))}
+        </View>
+        <View style={styles.dateRow}>
+          <View style={styles.dateField}>
+            <ThemedText style={styles.label}>From</ThemedText>
+            <TextInput
+              style={styles.input}
+              value={filters.from}
+              placeholder="YYYY-MM-DD"
+              onChangeText={value => setFilters(current => ({ ...current, from: value }))}
+              onEndEditing={() => apply({})}
+            />
+          </View>
+          <View style={styles.dateField}>
+            <ThemedText style={styles.label}>To</ThemedText>
+            <TextInput
+              style={styles.input}
+              value={filters.to}
+              placeholder="YYYY-MM-DD"
+              onChangeText={value => setFilters(current => ({ ...current, to: value }))}
+              onEndEditing={() => apply({})}
+            />
+          </View>
+        </View>
+        {dateError && <ThemedText style={styles.errorText}>{dateError}</ThemedText>}
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => apply({})}>
+            <ThemedText style={styles.primaryButtonText}>Apply dates</ThemedText>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {loadError && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load the audit log: {loadError}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => load(applied)}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!loading && !loadError && entries.length === 0 && (
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>No changes match these filters.</ThemedText>
+        </View>
+      )}
+
+      {entries.map(entry => (
+        <View key={entry.id} style={styles.section}>
+          <ThemedText style={styles.sectionTitle}>{describeAuditEntry(entry, usersById.get(entry.actorId))}</ThemedText>
+          <ThemedText style={styles.hint}>
+            #{entry.sequence} · {toDate(entry.createdAt)?.toLocaleString() ?? 'Unknown time'} · {entry.entity}/
+            {entry.entityId}
+          </ThemedText>
+          {Object.entries(entry.changes || {}).map(([field, change]: [string, any]) => (
+            <ThemedText key={field} style={styles.change}>
+              {field}: {formatValue(change.before)} → {formatValue(change.after)}
+            </ThemedText>
+          ))}
+        </View>
+      ))}
+
+      {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+      {hasMore && !loading && (
+        <TouchableOpacity style={styles.secondaryButton} onPress={() => load(applied, cursor)}>
+          <ThemedText style={styles.secondaryButtonText}>Load more</ThemedText>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+function FilterChip({ label, active, onPress }: { label: string; active: boolean; onPress: () => void }) {
+  return (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <ThemedText style={[styles.chipText, active && styles.chipTextActive]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 8,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  change: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  dateField: {
+    flex: 1,
+    gap: 4,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
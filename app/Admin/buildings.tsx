@@ -0,0 +1,376 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { createBuilding, deleteBuilding, getAllBuildings, migrateApartmentBuildings, updateBuilding } from '@/Functions';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+
+type BuildingField = 'name' | 'address' | 'floors' | 'yearBuilt' | 'managerName' | 'managerEmail' | 'managerPhone';
+
+const FIELD_LABELS: Record<BuildingField, string> = {
+  name: 'Name',
+  address: 'Address',
+  floors: 'Floors',
+  yearBuilt: 'Year built',
+  managerName: 'Manager name',
+  managerEmail: 'Manager email',
+  managerPhone: 'Manager phone',
+};
+
+const NUMBER_FIELDS: BuildingField[] = ['floors', 'yearBuilt'];
+
+// Which field a createBuilding/updateBuilding error belongs to, so it can be shown next to it
+const FIELD_ERROR_PATTERNS: [RegExp, BuildingField][] = [
+  [/name/i, 'name'],
+  [/floors/i, 'floors'],
+  [/year built/i, 'yearBuilt'],
+  [/manager email/i, 'managerEmail'],
+];
+
+const errorField = (message: string) => FIELD_ERROR_PATTERNS.find(([pattern]) => pattern.test(message))?.[1];
+
+const toForm = (building: any): Record<BuildingField, string> => ({
+  name: building.name ?? '',
+  address: building.address ?? '',
+  floors: building.floors != null ? String(building.floors) : '',
+  yearBuilt: building.yearBuilt != null ? String(building.yearBuilt) : '',
+  managerName: building.manager?.name ?? '',
+  managerEmail: building.manager?.email ?? '',
+  managerPhone: building.manager?.phone ?? '',
+});
+
+export default function AdminBuildingsScreen() {
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const [buildings, setBuildings] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+
+  // null when the form is closed, 'new' when creating, otherwise the building ID
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [form, setForm] = useState<Record<BuildingField, string>>(toForm({}));
+  const [fieldErrors, setFieldErrors] = useState<Partial<Record<BuildingField, string>>>({});
+  const [actionError, setActionError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmDeleteId, setConfirmDeleteId] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      setBuildings(await getAllBuildings());
+    } catch (e) {
+      setLoadError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openForm = (building: any | null) => {
+    setEditingId(building ? building.id : 'new');
+    setForm(toForm(building ?? {}));
+    setFieldErrors({});
+    setActionError(null);
+    setNotice(null);
+  };
+
+  const save = async () => {
+    const errors: Partial<Record<BuildingField, string>> = {};
+    if (!form.name.trim()) {
+      errors.name = 'Building name is required';
+    }
+    NUMBER_FIELDS.forEach(field => {
+      if (form[field].trim() && !Number.isInteger(Number(form[field]))) {
+        errors[field] = 'Enter a whole number';
+      }
+    });
+    setFieldErrors(errors);
+    setActionError(null);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+
+    const data = {
+      name: form.name,
+      address: form.address,
+      floors: form.floors.trim() ? Number(form.floors) : null,
+      yearBuilt: form.yearBuilt.trim() ? Number(form.yearBuilt) : null,
+      manager: { name: form.managerName, email: form.managerEmail, phone: form.managerPhone },
+    };
+
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await createBuilding(data);
+      } else {
+        await updateBuilding(editingId, data);
+      }
+      setEditingId(null);
+      await load();
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      const field = errorField(message);
+      if (field) {
+        setFieldErrors({ [field]: message });
+      } else {
+        setActionError(message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async (buildingId: string) => {
+    if (confirmDeleteId !== buildingId) {
+      setConfirmDeleteId(buildingId);
+      return;
+    }
+    setSaving(true);
+    setActionError(null);
+    try {
+      await deleteBuilding(buildingId);
+      await load();
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setConfirmDeleteId(null);
+      setSaving(false);
+    }
+  };
+
+  const migrate = async () => {
+    setSaving(true);
+    setActionError(null);
+    setNotice(null);
+    try {
+      const result: any = await migrateApartmentBuildings();
+      setNotice(`Linked ${result.linkedApartments} apartments and created ${result.createdBuildings} buildings.`);
+      await load();
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (profileLoading || (loading && buildings.length === 0 && !loadError)) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (profile?.role !== 'admin') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only admins can manage buildings.</ThemedText>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Buildings
+      </ThemedText>
+
+      {loadError && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load buildings: {loadError}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={load}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.primaryButton} disabled={saving} onPress={() => openForm(null)}>
+          <ThemedText style={styles.primaryButtonText}>Add building</ThemedText>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.secondaryButton} disabled={saving} onPress={migrate}>
+          <ThemedText style={styles.secondaryButtonText}>Link apartments by building name</ThemedText>
+        </TouchableOpacity>
+      </View>
+
+      {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+      {notice && <ThemedText style={styles.successText}>{notice}</ThemedText>}
+
+      {editingId && (
+        <View style={styles.section}>
+          <ThemedText style={styles.sectionTitle}>{editingId === 'new' ? 'New building' : 'Edit building'}</ThemedText>
+          {(Object.keys(FIELD_LABELS) as BuildingField[]).map(field => (
+            <View key={field} style={styles.field}>
+              <ThemedText style={styles.label}>{FIELD_LABELS[field]}</ThemedText>
+              <TextInput
+                style={[styles.input, fieldErrors[field] && styles.inputError]}
+                value={form[field]}
+                keyboardType={NUMBER_FIELDS.includes(field) ? 'numeric' : 'default'}
+                autoCapitalize={field === 'managerEmail' ? 'none' : undefined}
+                onChangeText={value => setForm(current => ({ ...current, [field]: value }))}
+              />
+              {fieldErrors[field] && <ThemedText style={styles.errorText}>{fieldErrors[field]}</ThemedText>}
+            </View>
+          ))}
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.primaryButton} disabled={saving} onPress={save}>
+              <ThemedText style={styles.primaryButtonText}>{saving ? 'Saving…' : 'Save building'}</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} disabled={saving} onPress={() => setEditingId(null)}>
+              <ThemedText style={styles.secondaryButtonText}>Cancel</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {!loadError && buildings.length === 0 && (
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>No buildings yet.</ThemedText>
+        </View>
+      )}
+
+      {buildings.map(building => (
+        <View key={building.id} style={styles.section}>
+          <ThemedText style={styles.sectionTitle}>{building.name}</ThemedText>
+          {!!building.address && <ThemedText style={styles.hint}>{building.address}</ThemedText>}
+          <ThemedText style={styles.hint}>
+            {[
+              building.floors ? `${building.floors} floors` : null,
+              building.yearBuilt ? `Built ${building.yearBuilt}` : null,
+            ]
+              .filter(Boolean)
+              .join(' · ') || 'No details yet'}
+          </ThemedText>
+          {!!building.manager?.name && (
+            <ThemedText style={styles.hint}>
+              Manager: {[building.manager.name, building.manager.email, building.manager.phone].filter(Boolean).join(' · ')}
+            </ThemedText>
+          )}
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.secondaryButton} disabled={saving} onPress={() => openForm(building)}>
+              <ThemedText style={styles.secondaryButtonText}>Edit</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.dangerButton} disabled={saving} onPress={() => remove(building.id)}>
+              <ThemedText style={styles.dangerButtonText}>
+                {confirmDeleteId === building.id ? 'Tap again to delete' : 'Delete'}
+              </ThemedText>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 8,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  field: {
+    gap: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#f87171',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  dangerButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#b91c1c',
+  },
+  dangerButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,466 @@
+/* eslint-env browser */
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Platform, ScrollView, Share, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import {
+  IMPORT_COLUMNS,
+  IMPORT_ROW_LIMIT,
+  exportApartmentsCsv,
+  exportTenantsCsv,
+  exportUsersCsv,
+  getAllBuildings,
+  previewImport,
+  runImport,
+} from '@/Functions';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { ColumnMapping, parseCsv, suggestColumnMapping } from '@/utils/csv';
+
+type ImportKind = 'apartments' | 'tenants';
+type ExportKind = 'apartments' | 'tenants' | 'users';
+
+type ImportReport = {
+  rows: { row: number; values: Record<string, string>; errors: string[] }[];
+  valid: boolean;
+  imported?: number;
+};
+
+const IMPORT_KINDS: { value: ImportKind; label: string; hint: string }[] = [
+  { value: 'apartments', label: 'Apartments', hint: 'One apartment per row. Separate amenities with semicolons.' },
+  { value: 'tenants', label: 'Tenant assignments', hint: 'One tenant per row; the first tenant in an apartment holds the lease.' },
+];
+
+const EXPORT_KINDS: { value: ExportKind; label: string }[] = [
+  { value: 'apartments', label: 'Apartments' },
+  { value: 'tenants', label: 'Active tenants' },
+  { value: 'users', label: 'Users' },
+];
+
+const APARTMENT_STATUSES = [
+  { value: '', label: 'Any status' },
+  { value: 'available', label: 'Available' },
+  { value: 'occupied', label: 'Occupied' },
+];
+
+const USER_ROLES = [
+  { value: '', label: 'Any role' },
+  { value: 'tenant', label: 'Tenants' },
+  { value: 'landlord', label: 'Landlords' },
+  { value: 'admin', label: 'Admins' },
+];
+
+const USER_STATES: { value: boolean | undefined; label: string }[] = [
+  { value: undefined, label: 'Any' },
+  { value: true, label: 'Active' },
+  { value: false, label: 'Deactivated' },
+];
+
+const message = (e: unknown) => (e instanceof Error ? e.message : String(e));
+
+// Save the file on web; elsewhere hand the text to the share sheet
+const saveCsv = async (fileName: string, csv: string) => {
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+  await Share.share({ title: fileName, message: csv });
+};
+
+export default function AdminDataTransferScreen() {
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const [buildings, setBuildings] = useState<any[]>([]);
+
+  const [kind, setKind] = useState<ImportKind>('apartments');
+  const [csvText, setCsvText] = useState('');
+  const [mapping, setMapping] = useState<ColumnMapping>({});
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState<string | null>(null);
+
+  const [exportKind, setExportKind] = useState<ExportKind>('apartments');
+  const [buildingId, setBuildingId] = useState('');
+  const [status, setStatus] = useState('');
+  const [role, setRole] = useState('');
+  const [active, setActive] = useState<boolean | undefined>(undefined);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState<string | null>(null);
+
+  const isStaff = !!profile && profile.role !== 'tenant';
+  const columns = IMPORT_COLUMNS[kind];
+  const header = parseCsv(csvText)[0] || [];
+
+  useEffect(() => {
+    if (!isStaff) {
+      return;
+    }
+    getAllBuildings()
+      .then(setBuildings)
+      .catch(() => setBuildings([]));
+  }, [isStaff]);
+
+  // A new file or import type starts from the mapping guessed from its header row
+  const headerKey = JSON.stringify(header);
+  useEffect(() => {
+    setMapping(suggestColumnMapping(IMPORT_COLUMNS[kind], JSON.parse(headerKey)));
+    setReport(null);
+    setImportError(null);
+  }, [kind, headerKey]);
+
+  const mapColumn = (field: string, column: number | null) => {
+    setMapping(current => ({ ...current, [field]: column }));
+    setReport(null);
+  };
+
+  const run = async (write: boolean) => {
+    setImporting(true);
+    setImportError(null);
+    try {
+      const result = write
+        ? await runImport(kind, csvText, { mapping })
+        : await previewImport(kind, csvText, { mapping });
+      setReport(result);
+    } catch (e) {
+      setReport(null);
+      setImportError(message(e));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const exportCsv = async () => {
+    setExporting(true);
+    setExportError(null);
+    try {
+      const csv =
+        exportKind === 'apartments'
+          ? await exportApartmentsCsv({ buildingId, status })
+          : exportKind === 'tenants'
+            ? await exportTenantsCsv({ buildingId })
+            : await exportUsersCsv({ role, active });
+      await saveCsv(`${exportKind}.csv`, csv);
+    } catch (e) {
+      setExportError(message(e));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (profileLoading) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (!isStaff) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only landlords and admins can import and export data.</ThemedText>
+        </View>
+      </View>
+    );
+  }
+
+  const failedRows = report ? report.rows.filter(row => row.errors.length > 0) : [];
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Import & Export
+      </ThemedText>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Import</ThemedText>
+        <View style={styles.chipRow}>
+          {IMPORT_KINDS.map(option => (
+            <Chip key={option.value} label={option.label} active={kind === option.value} onPress={() => setKind(option.value)} />
+          ))}
+        </View>
+        <ThemedText style={styles.hint}>
+          {IMPORT_KINDS.find(option => option.value === kind)?.hint} Up to {IMPORT_ROW_LIMIT} rows per file; if any row
+          has a problem, nothing is imported.
+        </ThemedText>
+        <TextInput
+          style={[styles.input, styles.csvInput]}
+          value={csvText}
+          placeholder={`Paste CSV with a header row, e.g.\n${columns.map(column => column.label).join(',')}`}
+          multiline
+          autoCapitalize="none"
+          autoCorrect={false}
+          onChangeText={setCsvText}
+        />
+
+        {header.length > 0 && (
+          <>
+            <ThemedText style={styles.sectionTitle}>Columns</ThemedText>
+            {columns.map(column => (
+              <View key={column.field} style={styles.mappingRow}>
+                <ThemedText style={styles.label}>
+                  {column.label}
+                  {column.required ? ' *' : ''}
+                </ThemedText>
+                <View style={styles.chipRow}>
+                  <Chip label="Not in file" active={mapping[column.field] == null} onPress={() => mapColumn(column.field, null)} />
+                  {header.map((name, index) => (
+                    <Chip
+                      key={`${index}-${name}`}
+                      label={name || `Column ${index + 1}`}
+                      active={mapping[column.field] === index}
+                      onPress={() => mapColumn(column.field, index)}
+                    />
+                  ))}
+                </View>
+              </View>
+            ))}
+          </>
+        )}
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.secondaryButton} disabled={importing || !csvText.trim()} onPress={() => run(false)}>
+            <ThemedText style={styles.secondaryButtonText}>Preview</ThemedText>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.primaryButton, !report?.valid && styles.buttonDisabled]}
+            disabled={importing || !report?.valid || report.imported !== undefined}
+            onPress={() => run(true)}>
+            <ThemedText style={styles.primaryButtonText}>{importing ? 'Working…' : 'Import'}</ThemedText>
+          </TouchableOpacity>
+        </View>
+        {importError && <ThemedText style={styles.errorText}>{importError}</ThemedText>}
+
+        {report && report.imported !== undefined && report.imported > 0 && (
+          <ThemedText style={styles.successText}>Imported {report.imported} rows.</ThemedText>
+        )}
+        {report?.valid && report.imported === undefined && (
+          <ThemedText style={styles.successText}>All {report.rows.length} rows can be imported.</ThemedText>
+        )}
+        {report && !report.valid && (
+          <ThemedText style={styles.errorText}>
+            {failedRows.length} of {report.rows.length} rows have problems. Fix them and preview again; nothing was
+            imported.
+          </ThemedText>
+        )}
+        {failedRows.map(row => (
+          <View key={row.row} style={styles.rowReport}>
+            <ThemedText style={styles.label}>
+              Row {row.row}: {Object.values(row.values).filter(Boolean).join(', ')}
+            </ThemedText>
+            {row.errors.map(error => (
+              <ThemedText key={error} style={styles.errorText}>
+                • {error}
+              </ThemedText>
+            ))}
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Export</ThemedText>
+        <View style={styles.chipRow}>
+          {EXPORT_KINDS.map(option => (
+            <Chip
+              key={option.value}
+              label={option.label}
+              active={exportKind === option.value}
+              onPress={() => setExportKind(option.value)}
+            />
+          ))}
+        </View>
+
+        {exportKind !== 'users' && (
+          <>
+            <ThemedText style={styles.label}>Building</ThemedText>
+            <View style={styles.chipRow}>
+              <Chip label="All buildings" active={!buildingId} onPress={() => setBuildingId('')} />
+              {buildings.map(building => (
+                <Chip
+                  key={building.id}
+                  label={building.name}
+                  active={buildingId === building.id}
+                  onPress={() => setBuildingId(building.id)}
+                />
+              ))}
+            </View>
+          </>
+        )}
+        {exportKind === 'apartments' && (
+          <>
+            <ThemedText style={styles.label}>Status</ThemedText>
+            <View style={styles.chipRow}>
+              {APARTMENT_STATUSES.map(option => (
+                <Chip key={option.value} label={option.label} active={status === option.value} onPress={() => setStatus(option.value)} />
+              ))}
+            </View>
+          </>
+        )}
+        {exportKind === 'users' && (
+          <>
+            <ThemedText style={styles.label}>Role</ThemedText>
+            <View style={styles.chipRow}>
+              {USER_ROLES.map(option => (
+                <Chip key={option.value} label={option.label} active={role === option.value} onPress={() => setRole(option.value)} />
+              ))}
+            </View>
+            <ThemedText style={styles.label}>Account</ThemedText>
+            <View style={styles.chipRow}>
+              {USER_STATES.map(option => (
+                <Chip key={option.label} label={option.label} active={active === option.value} onPress={() => setActive(option.value)} />
+              ))}
+            </View>
+          </>
+        )}
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity style={styles.primaryButton} disabled={exporting} onPress={exportCsv}>
+            <ThemedText style={styles.primaryButtonText}>{exporting ? 'Exporting…' : 'Export CSV'}</ThemedText>
+          </TouchableOpacity>
+        </View>
+        {exportError && <ThemedText style={styles.errorText}>{exportError}</ThemedText>}
+      </View>
+    </ScrollView>
+  );
+}
+
+function Chip({ label, active, onPress }: { label: string; active: boolean; onPress: () => void }) {
+  return (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <ThemedText style={[styles.chipText, active && styles.chipTextActive]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 8,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  csvInput: {
+    minHeight: 140,
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+    textAlignVertical: 'top',
+  },
+  mappingRow: {
+    gap: 4,
+  },
+  rowReport: {
+    gap: 2,
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,278 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import {
+  DEFAULT_LEASE_TEMPLATE,
+  MERGE_FIELDS,
+  findUnknownMergeFields,
+  getLeaseTemplate,
+  saveLeaseTemplate,
+} from '@/services/documents';
+
+export default function LeaseTemplateScreen() {
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const [body, setBody] = useState('');
+  const [selection, setSelection] = useState({ start: 0, end: 0 });
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const template = await getLeaseTemplate();
+      setBody(template.body);
+    } catch (e) {
+      setLoadError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (profile?.role === 'admin') {
+      load();
+    }
+  }, [profile?.role, load]);
+
+  const edit = (value: string) => {
+    setSaved(false);
+    setBody(value);
+  };
+
+  // Put the merge field where the cursor is, replacing any selected text
+  const insertField = (field: string) => {
+    const marker = `{{${field}}}`;
+    edit(body.slice(0, selection.start) + marker + body.slice(selection.end));
+    const cursor = selection.start + marker.length;
+    setSelection({ start: cursor, end: cursor });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSaveError(null);
+    setSaved(false);
+    try {
+      await saveLeaseTemplate(body);
+      setSaved(true);
+    } catch (e) {
+      setSaveError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (profileLoading || (profile?.role === 'admin' && loading)) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (profile?.role !== 'admin') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only admins can change the lease template.</ThemedText>
+        </View>
+      </View>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load the template: {loadError}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={load}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  const unknownFields = findUnknownMergeFields(body);
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Lease template
+      </ThemedText>
+      <ThemedText style={styles.hint}>
+        Generated lease agreements are rendered from this text. Separate paragraphs with a blank line, start the
+        title with &quot;# &quot; and section headings with &quot;## &quot;.
+      </ThemedText>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Merge fields</ThemedText>
+        <ThemedText style={styles.hint}>Tap a field to insert it at the cursor.</ThemedText>
+        <View style={styles.chipRow}>
+          {MERGE_FIELDS.map(({ field, label }) => (
+            <TouchableOpacity key={field} style={styles.chip} onPress={() => insertField(field)}>
+              <ThemedText style={styles.chipText}>{label}</ThemedText>
+              <ThemedText style={styles.chipField}>{`{{${field}}}`}</ThemedText>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      <TextInput
+        style={[styles.input, unknownFields.length > 0 && styles.inputError]}
+        value={body}
+        onChangeText={edit}
+        selection={selection}
+        onSelectionChange={event => setSelection(event.nativeEvent.selection)}
+        multiline
+        autoCapitalize="none"
+        textAlignVertical="top"
+      />
+      {unknownFields.length > 0 && (
+        <ThemedText style={styles.errorText}>
+          Unknown merge fields: {unknownFields.map(field => `{{${field}}}`).join(', ')}
+        </ThemedText>
+      )}
+
+      {saveError && <ThemedText style={styles.errorText}>{saveError}</ThemedText>}
+      {saved && <ThemedText style={styles.successText}>Template saved.</ThemedText>}
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.primaryButton}
+          disabled={saving || unknownFields.length > 0}
+          onPress={save}
+        >
+          <ThemedText style={styles.primaryButtonText}>{saving ? 'Saving…' : 'Save template'}</ThemedText>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          disabled={saving || body === DEFAULT_LEASE_TEMPLATE}
+          onPress={() => edit(DEFAULT_LEASE_TEMPLATE)}
+        >
+          <ThemedText style={styles.secondaryButtonText}>Reset to default</ThemedText>
+        </TouchableOpacity>
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 12,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#f8fafc',
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  chipField: {
+    fontSize: 11,
+    color: '#64748b',
+  },
+  input: {
+    minHeight: 360,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+    fontSize: 14,
+  },
+  inputError: {
+    borderColor: '#dc2626',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,321 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, Switch, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useSettings, type PortfolioSettings } from '@/hooks/useSettings';
+import { formatCurrency, updateSettings } from '@/services/settings';
+
+// Form state keeps numbers as text until they are saved
+type SettingsForm = {
+  organizationName: string;
+  logoUrl: string;
+  currency: string;
+  locale: string;
+  rentDueDay: string;
+  gracePeriodDays: string;
+  lateFee: string;
+  defaultLeaseMonths: string;
+  defaultMaxOccupants: string;
+  unitNumberPattern: string;
+  reminderDaysBefore: string;
+  notifications: Omit<PortfolioSettings['notifications'], 'reminderDaysBefore'>;
+};
+
+const NOTIFICATION_LABELS: Record<keyof SettingsForm['notifications'], string> = {
+  rentReminders: 'Rent due reminders',
+  overdueNotices: 'Overdue rent notices',
+  leaseExpiry: 'Lease expiry reminders',
+  repairUpdates: 'Repair request updates',
+};
+
+const toForm = (settings: PortfolioSettings): SettingsForm => {
+  const { reminderDaysBefore, ...notifications } = settings.notifications;
+  return {
+    organizationName: settings.organizationName,
+    logoUrl: settings.logoUrl,
+    currency: settings.currency,
+    locale: settings.locale,
+    rentDueDay: String(settings.rentDueDay),
+    gracePeriodDays: String(settings.gracePeriodDays),
+    lateFee: String(settings.lateFee),
+    defaultLeaseMonths: String(settings.defaultLeaseMonths),
+    defaultMaxOccupants: String(settings.defaultMaxOccupants),
+    unitNumberPattern: settings.unitNumberPattern,
+    reminderDaysBefore: String(reminderDaysBefore),
+    notifications,
+  };
+};
+
+export default function AdminSettingsScreen() {
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const { settings, loading, error, refresh, setSettings } = useSettings();
+  const [form, setForm] = useState<SettingsForm>(() => toForm(settings));
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setForm(toForm(settings));
+  }, [settings]);
+
+  const setField = (field: keyof SettingsForm) => (value: string) => {
+    setSaved(false);
+    setForm(current => ({ ...current, [field]: value }));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setSaveError(null);
+    setSaved(false);
+    try {
+      const { reminderDaysBefore, notifications, ...fields } = form;
+      const result = await updateSettings({
+        ...fields,
+        currency: fields.currency.trim().toUpperCase(),
+        locale: fields.locale.trim(),
+        logoUrl: fields.logoUrl.trim(),
+        rentDueDay: Number(fields.rentDueDay),
+        gracePeriodDays: Number(fields.gracePeriodDays),
+        lateFee: Number(fields.lateFee),
+        defaultLeaseMonths: Number(fields.defaultLeaseMonths),
+        defaultMaxOccupants: Number(fields.defaultMaxOccupants),
+        notifications: { ...notifications, reminderDaysBefore: Number(reminderDaysBefore) },
+      });
+      setSettings(result);
+      setSaved(true);
+    } catch (e) {
+      setSaveError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (profileLoading || loading) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (profile?.role !== 'admin') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only admins can change portfolio settings.</ThemedText>
+        </View>
+      </View>
+    );
+  }
+
+  let preview = '';
+  try {
+    preview = formatCurrency(1234, form.currency.trim().toUpperCase(), form.locale.trim());
+  } catch {
+    preview = 'Invalid currency or locale';
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Settings
+      </ThemedText>
+
+      {error && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load settings: {error.message}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <Section title="Organization">
+        <Field label="Name" value={form.organizationName} onChangeText={setField('organizationName')} />
+        <Field label="Logo URL" value={form.logoUrl} onChangeText={setField('logoUrl')} autoCapitalize="none" />
+      </Section>
+
+      <Section title="Currency and locale">
+        <Field label="Currency code" value={form.currency} onChangeText={setField('currency')} autoCapitalize="characters" />
+        <Field label="Locale" value={form.locale} onChangeText={setField('locale')} autoCapitalize="none" />
+        <ThemedText style={styles.hint}>Preview: {preview}</ThemedText>
+      </Section>
+
+      <Section title="Rent">
+        <Field label="Rent due day (1-28)" value={form.rentDueDay} onChangeText={setField('rentDueDay')} numeric />
+        <Field label="Grace period (days)" value={form.gracePeriodDays} onChangeText={setField('gracePeriodDays')} numeric />
+        <Field label="Late fee" value={form.lateFee} onChangeText={setField('lateFee')} numeric />
+      </Section>
+
+      <Section title="Leases and apartments">
+        <Field
+          label="Default lease length (months)"
+          value={form.defaultLeaseMonths}
+          onChangeText={setField('defaultLeaseMonths')}
+          numeric
+        />
+        <Field
+          label="Default maximum occupants"
+          value={form.defaultMaxOccupants}
+          onChangeText={setField('defaultMaxOccupants')}
+          numeric
+        />
+        <Field
+          label="Unit number format (regular expression)"
+          value={form.unitNumberPattern}
+          onChangeText={setField('unitNumberPattern')}
+          autoCapitalize="none"
+        />
+      </Section>
+
+      <Section title="Notifications">
+        {(Object.keys(NOTIFICATION_LABELS) as (keyof SettingsForm['notifications'])[]).map(key => (
+          <View key={key} style={styles.switchRow}>
+            <ThemedText style={styles.label}>{NOTIFICATION_LABELS[key]}</ThemedText>
+            <Switch
+              value={form.notifications[key]}
+              onValueChange={value => {
+                setSaved(false);
+                setForm(current => ({ ...current, notifications: { ...current.notifications, [key]: value } }));
+              }}
+            />
+          </View>
+        ))}
+        <Field
+          label="Send reminders this many days ahead"
+          value={form.reminderDaysBefore}
+          onChangeText={setField('reminderDaysBefore')}
+          numeric
+        />
+      </Section>
+
+      {saveError && <ThemedText style={styles.errorText}>{saveError}</ThemedText>}
+      {saved && <ThemedText style={styles.successText}>Settings saved.</ThemedText>}
+
+      <TouchableOpacity style={styles.primaryButton} disabled={saving} onPress={save}>
+        <ThemedText style={styles.primaryButtonText}>{saving ? 'Saving…' : 'Save settings'}</ThemedText>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+function Section({ title, children }: { title: string; children: React.ReactNode }) {
+  return (
+    <View style={styles.section}>
+      <ThemedText style={styles.sectionTitle}>{title}</ThemedText>
+      {children}
+    </View>
+  );
+}
+
+function Field({
+  label,
+  value,
+  onChangeText,
+  numeric,
+  autoCapitalize,
+}: {
+  label: string;
+  value: string;
+  onChangeText: (value: string) => void;
+  numeric?: boolean;
+  autoCapitalize?: 'none' | 'characters';
+}) {
+  return (
+    <View style={styles.field}>
+      <ThemedText style={styles.label}>{label}</ThemedText>
+      <TextInput
+        style={styles.input}
+        value={value}
+        onChangeText={onChangeText}
+        keyboardType={numeric ? 'numeric' : 'default'}
+        autoCapitalize={autoCapitalize}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 12,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  field: {
+    gap: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,386 @@
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { useRouter } from 'expo-router';
+
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { getAllApartments, migrateUserNameKeys, setUserActive, updateUserRole } from '@/Functions';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useUsersPage } from '@/hooks/useUsersPage';
+import { ROLES } from '@/services/permissions';
+import { getUserDisplayName } from '@/utils/dashboardMetrics';
+
+const ROLE_COLORS: Record<string, string> = {
+  admin: '#7c3aed',
+  landlord: '#0a7ea4',
+  tenant: '#64748b',
+};
+
+export default function AdminUsersScreen() {
+  const { user: currentUser, profile, loading: profileLoading } = useCurrentUser();
+  const [searchText, setSearchText] = useState('');
+  const [search, setSearch] = useState('');
+  const { users, loading, loadingMore, error, hasMore, refresh, loadMore, replaceUser } = useUsersPage(search);
+  const [unitNumbers, setUnitNumbers] = useState<Record<string, string>>({});
+  const [migrating, setMigrating] = useState(false);
+  const [migrateError, setMigrateError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  // Wait for typing to pause before querying
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchText), 300);
+    return () => clearTimeout(timer);
+  }, [searchText]);
+
+  useEffect(() => {
+    getAllApartments()
+      .then((apartments: any[]) =>
+        setUnitNumbers(Object.fromEntries(apartments.map(apartment => [apartment.id, apartment.unitNumber])))
+      )
+      .catch(() => setUnitNumbers({}));
+  }, []);
+
+  const migrate = async () => {
+    setMigrating(true);
+    setMigrateError(null);
+    setNotice(null);
+    try {
+      const result: any = await migrateUserNameKeys();
+      setNotice(`Updated the search name of ${result.updatedUsers} of ${result.checked} users.`);
+      await refresh();
+    } catch (e) {
+      setMigrateError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setMigrating(false);
+    }
+  };
+
+  if (profileLoading) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (profile?.role !== 'admin') {
+    return (
+      <ThemedView style={styles.container}>
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Only admins can manage users.</ThemedText>
+        </View>
+      </ThemedView>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Users
+      </ThemedText>
+
+      <TextInput
+        style={styles.input}
+        placeholder="Search by name or email"
+        autoCapitalize="none"
+        value={searchText}
+        onChangeText={setSearchText}
+      />
+      <ThemedText style={styles.hint}>Names match from the start, ignoring case.</ThemedText>
+
+      <TouchableOpacity style={styles.secondaryButton} disabled={migrating} onPress={migrate}>
+        <ThemedText style={styles.secondaryButtonText}>{migrating ? 'Updating…' : 'Make all users searchable'}</ThemedText>
+      </TouchableOpacity>
+      {migrateError && <ThemedText style={styles.errorText}>{migrateError}</ThemedText>}
+      {notice && <ThemedText style={styles.successText}>{notice}</ThemedText>}
+
+      {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+      {error && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load users: {error.message}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!loading && !error && users.length === 0 && (
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>No users match “{search}”.</ThemedText>
+        </View>
+      )}
+
+      {!loading &&
+        users.map(user => (
+          <UserCard
+            key={user.id}
+            user={user}
+            unitNumber={user.apartmentId ? unitNumbers[user.apartmentId] : undefined}
+            isSelf={user.id === currentUser?.uid}
+            onUpdated={replaceUser}
+          />
+        ))}
+
+      {!loading && hasMore && (
+        <TouchableOpacity style={styles.secondaryButton} disabled={loadingMore} onPress={loadMore}>
+          <ThemedText style={styles.secondaryButtonText}>{loadingMore ? 'Loading…' : 'Load more'}</ThemedText>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+function UserCard({
+  user,
+  unitNumber,
+  isSelf,
+  onUpdated,
+}: {
+  user: any;
+  unitNumber?: string;
+  isSelf: boolean;
+  onUpdated: (user: any) => void;
+}) {
+  const router = useRouter();
+  const [expanded, setExpanded] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const active = user.active !== false;
+  const canAssign = active && (user.role ?? 'tenant') === 'tenant' && !user.apartmentId;
+
+  const run = async (action: () => Promise<any>) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      onUpdated(await action());
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={[styles.card, !active && styles.cardInactive]}>
+      <TouchableOpacity onPress={() => setExpanded(value => !value)} activeOpacity={0.8}>
+        <View style={styles.cardHeader}>
+          <ThemedText style={styles.cardTitle}>
+            {getUserDisplayName(user)}
+            {isSelf ? ' (you)' : ''}
+          </ThemedText>
+          {!active && (
+            <View style={[styles.badge, styles.inactiveBadge]}>
+              <ThemedText style={styles.badgeText}>INACTIVE</ThemedText>
+            </View>
+          )}
+          <View style={[styles.badge, { backgroundColor: ROLE_COLORS[user.role] ?? '#94a3b8' }]}>
+            <ThemedText style={styles.badgeText}>{(user.role ?? 'no role').toUpperCase()}</ThemedText>
+          </View>
+        </View>
+        <ThemedText style={styles.cardMeta}>
+          {user.email ?? 'No email'} ·{' '}
+          {user.apartmentId ? `Unit ${unitNumber ?? user.apartmentId}` : 'No apartment'}
+        </ThemedText>
+      </TouchableOpacity>
+
+      {expanded && !isSelf && (
+        <View style={styles.cardBody}>
+          <View style={styles.actionRow}>
+            {ROLES.map(role => (
+              <TouchableOpacity
+                key={role}
+                disabled={busy || role === user.role}
+                style={[styles.chip, role === user.role && styles.chipActive]}
+                onPress={() => run(() => updateUserRole(user.id, role))}
+              >
+                <ThemedText style={[styles.chipText, role === user.role && styles.chipTextActive]}>{role}</ThemedText>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.actionRow}>
+            <TouchableOpacity
+              style={active ? styles.dangerButton : styles.secondaryButton}
+              disabled={busy}
+              onPress={() => run(() => setUserActive(user.id, !active))}
+            >
+              <ThemedText style={active ? styles.dangerButtonText : styles.secondaryButtonText}>
+                {active ? 'Deactivate' : 'Reactivate'}
+              </ThemedText>
+            </TouchableOpacity>
+            {canAssign && (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                disabled={busy}
+                onPress={() => router.push({ pathname: '/Admin/assign-tenant', params: { userId: user.id } })}
+              >
+                <ThemedText style={styles.primaryButtonText}>Assign to apartment</ThemedText>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+        </View>
+      )}
+
+      {expanded && isSelf && (
+        <ThemedText style={styles.hint}>You cannot change your own role or deactivate yourself.</ThemedText>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    shadowColor: '#000',
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    elevation: 2,
+  },
+  cardInactive: {
+    opacity: 0.6,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  cardMeta: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#64748b',
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  inactiveBadge: {
+    backgroundColor: '#dc2626',
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  cardBody: {
+    marginTop: 12,
+    gap: 12,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  dangerButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dc2626',
+  },
+  dangerButtonText: {
+    color: '#dc2626',
+    fontWeight: '600',
+  },
+});
@@ -1,29 +1,63 @@
 import { DarkTheme, DefaultTheme, ThemeProvider } from '@react-navigation/native';
 import { useFonts } from 'expo-font';
-import { Stack } from 'expo-router';
+import { Stack, useRouter, useSegments } from 'expo-router';
 import * as SplashScreen from 'expo-splash-screen';
 import { StatusBar } from 'expo-status-bar';
 import { useEffect } from 'react';
 import 'react-native-reanimated';
 import React from 'react';
 import { useColorScheme } from '@/hooks/useColorScheme';
+import { AuthProvider, useAuth } from '@/contexts/AuthContext';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { getRouteRedirect } from '@/utils/routeAccess';
 
 // Prevent the splash screen from auto-hiding before asset loading is complete.
 SplashScreen.preventAutoHideAsync();
 
 export default function RootLayout() {
-  const colorScheme = useColorScheme();
   const [loaded] = useFonts({
     SpaceMono: require('../assets/fonts/SpaceMono-Regular.ttf'),
   });
 
+  if (!loaded) {
+    return null;
+  }
+
+  return (
+    <AuthProvider>
+      <RootNavigator />
+    </AuthProvider>
+  );
+}
+
+function RootNavigator() {
+  const colorScheme = useColorScheme();
+  const { user, initializing } = useAuth();
+  const { profile, loading: profileLoading } = useCurrentUser();
+  const segments = useSegments();
+  const router = useRouter();
+
+  // Keep the splash screen up until we know whether someone is signed in
   useEffect(() => {
-    if (loaded) {
+    if (!initializing) {
       SplashScreen.hideAsync();
     }
-  }, [loaded]);
+  }, [initializing]);
 
-  if (!loaded) {
+  // Everything outside (auth) needs a session. Staff use the dashboard tabs and the Admin
+  // routes; tenants (and anyone without a staff role) only ever see the tenant portal.
+  const staff = profile?.active !== false && (profile?.role === 'admin' || profile?.role === 'landlord');
+  useEffect(() => {
+    if (initializing || (user && profileLoading)) {
+      return;
+    }
+    const redirect = getRouteRedirect(segments, !!user, staff);
+    if (redirect) {
+      router.replace(redirect);
+    }
+  }, [user, initializing, profileLoading, staff, segments, router]);
+
+  if (initializing || (user && profileLoading)) {
     return null;
   }
 
@@ -31,7 +65,19 @@ export default function RootLayout() {
     <ThemeProvider value={colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
       <Stack>
         <Stack.Screen name="+not-found" />
+        <Stack.Screen name="(auth)" options={{ headerShown: false }} />
         <Stack.Screen name="(tabs)" options={{ headerShown: false }} />
+        <Stack.Screen name="tenant" options={{ headerShown: false }} />
+        <Stack.Screen name="apartments/[id]" options={{ title: 'Apartment' }} />
+        <Stack.Screen name="Admin/users" options={{ title: 'Users' }} />
+        <Stack.Screen name="Admin/assign-tenant" options={{ title: 'Assign Tenant' }} />
+        <Stack.Screen name="Admin/settings" options={{ title: 'Settings' }} />
+        <Stack.Screen name="Admin/buildings" options={{ title: 'Buildings' }} />
+        <Stack.Screen name="Admin/audit-log" options={{ title: 'Audit Log' }} />
+        <Stack.Screen name="Admin/data-transfer" options={{ title: 'Import & Export' }} />
+        <Stack.Screen name="Admin/lease-template" options={{ title: 'Lease Template' }} />
+        <Stack.Screen name="sync" options={{ title: 'Sync' }} />
+        <Stack.Screen name="notifications" options={{ title: 'Notifications' }} />
       </Stack>
       <StatusBar style="auto" />
     </ThemeProvider>
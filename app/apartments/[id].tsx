@@ -0,0 +1,668 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+
+import { ApartmentStatusBadge } from '@/components/ApartmentStatusBadge';
+import { AttachmentGallery } from '@/components/AttachmentGallery';
+import { ThemedText } from '@/components/ThemedText';
+import { deleteApartment, getAllBuildings, getApartment, getLeaseDetails, updateApartment } from '@/Functions';
+import { generateLeaseAgreement, generateRentReceipt } from '@/services/documents';
+import { shareAttachment } from '@/services/fileSharing';
+import { ValidationError, validateDocument } from '@/services/schemas';
+import { useApartmentTenants } from '@/hooks/useApartmentTenants';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useSettings } from '@/hooks/useSettings';
+import { formatCurrency } from '@/services/settings';
+import { getUserDisplayName, toDate } from '@/utils/dashboardMetrics';
+
+type EditableField = 'unitNumber' | 'floor' | 'rooms' | 'monthlyRent' | 'maxOccupants';
+
+const TEXT_FIELDS: EditableField[] = ['unitNumber'];
+const NUMBER_FIELDS: EditableField[] = ['floor', 'rooms', 'monthlyRent', 'maxOccupants'];
+
+const FIELD_LABELS: Record<EditableField, string> = {
+  unitNumber: 'Unit number',
+  floor: 'Floor',
+  rooms: 'Rooms',
+  monthlyRent: 'Monthly rent',
+  maxOccupants: 'Maximum occupants',
+};
+
+// Which field an updateApartment error that is not a ValidationError belongs to, so it can be shown next to it
+const FIELD_ERROR_PATTERNS: [RegExp, EditableField][] = [
+  [/unit number/i, 'unitNumber'],
+  [/floor/i, 'floor'],
+  [/rooms/i, 'rooms'],
+  [/monthly rent/i, 'monthlyRent'],
+  [/occupants/i, 'maxOccupants'],
+];
+
+const errorField = (message: string) => FIELD_ERROR_PATTERNS.find(([pattern]) => pattern.test(message))?.[1];
+
+const toForm = (apartment: any): Record<EditableField, string> => ({
+  unitNumber: apartment.unitNumber ?? '',
+  floor: apartment.floor != null ? String(apartment.floor) : '',
+  rooms: apartment.rooms != null ? String(apartment.rooms) : '',
+  monthlyRent: apartment.monthlyRent != null ? String(apartment.monthlyRent) : '',
+  maxOccupants: apartment.maxOccupants != null ? String(apartment.maxOccupants) : '',
+});
+
+export default function ApartmentDetailScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const { profile } = useCurrentUser();
+  const { settings } = useSettings();
+  const [apartment, setApartment] = useState<any | null>(null);
+  const { tenants } = useApartmentTenants(id);
+  const [lease, setLease] = useState<any | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState<string | null>(null);
+
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState<Record<EditableField, string>>(toForm({}));
+  const [buildingId, setBuildingId] = useState<string | null>(null);
+  const [buildings, setBuildings] = useState<any[]>([]);
+  const [amenities, setAmenities] = useState<string[]>([]);
+  const [newAmenity, setNewAmenity] = useState('');
+  const [fieldErrors, setFieldErrors] = useState<Partial<Record<EditableField, string>>>({});
+  const [formError, setFormError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  // 'agreement' or the ID of the payment whose receipt is being generated
+  const [generating, setGenerating] = useState<string | null>(null);
+  const [documentError, setDocumentError] = useState<string | null>(null);
+
+  const isStaff = profile?.role === 'admin' || profile?.role === 'landlord';
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const apartmentData: any = await getApartment(id);
+      setApartment(apartmentData);
+      setForm(toForm(apartmentData));
+      setBuildingId(apartmentData.buildingId ?? null);
+      setAmenities(apartmentData.amenities ?? []);
+    } catch (e) {
+      setLoadError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Tenants update live, so the lease follows whoever is the primary tenant now
+  const primaryTenancyId = tenants.find(tenant => tenant.role === 'primary')?.id ?? null;
+  useEffect(() => {
+    if (!primaryTenancyId) {
+      setLease(null);
+      return;
+    }
+    let active = true;
+    getLeaseDetails(primaryTenancyId)
+      .catch(() => null)
+      .then((leaseData: any) => {
+        if (active) {
+          setLease(leaseData);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, [primaryTenancyId]);
+
+  // The new agreement appears in the lease documents gallery, which follows attachments live
+  const generateAgreement = async () => {
+    setGenerating('agreement');
+    setDocumentError(null);
+    try {
+      await generateLeaseAgreement(lease.id);
+    } catch (e) {
+      setDocumentError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setGenerating(null);
+    }
+  };
+
+  const shareReceipt = async (paymentId: string) => {
+    setGenerating(paymentId);
+    setDocumentError(null);
+    try {
+      const receipt = await generateRentReceipt(paymentId);
+      await shareAttachment(receipt);
+    } catch (e) {
+      setDocumentError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setGenerating(null);
+    }
+  };
+
+  // Buildings are only needed to move the unit, so load them when editing starts
+  useEffect(() => {
+    if (editing) {
+      getAllBuildings()
+        .then((data: any[]) => setBuildings(data))
+        .catch(() => setBuildings([]));
+    }
+  }, [editing]);
+
+  const cancelEdit = () => {
+    setEditing(false);
+    setForm(toForm(apartment));
+    setBuildingId(apartment.buildingId ?? null);
+    setAmenities(apartment.amenities ?? []);
+    setFieldErrors({});
+    setFormError(null);
+  };
+
+  const addAmenity = () => {
+    const amenity = newAmenity.trim();
+    if (amenity && !amenities.includes(amenity)) {
+      setAmenities([...amenities, amenity]);
+    }
+    setNewAmenity('');
+  };
+
+  const save = async () => {
+    const errors: Partial<Record<EditableField, string>> = {};
+    const changes: Record<string, unknown> = {};
+
+    TEXT_FIELDS.forEach(field => {
+      const value = form[field].trim();
+      if (value !== (apartment[field] ?? '')) {
+        changes[field] = value;
+      }
+    });
+    NUMBER_FIELDS.forEach(field => {
+      const text = form[field].trim();
+      if (!text) {
+        if (field !== 'floor') {
+          errors[field] = `${FIELD_LABELS[field]} is required`;
+        }
+        return;
+      }
+      const value = Number(text);
+      if (!Number.isFinite(value)) {
+        errors[field] = 'Enter a number';
+      } else if (value !== apartment[field]) {
+        changes[field] = value;
+      }
+    });
+    if (buildingId !== (apartment.buildingId ?? null)) {
+      changes.buildingId = buildingId;
+    }
+    if (JSON.stringify(amenities) !== JSON.stringify(apartment.amenities ?? [])) {
+      changes.amenities = amenities;
+    }
+
+    // The same schema updateApartment enforces, so most problems show up before saving
+    const schemaErrors = validateDocument('apartments', changes, { partial: true }) as Record<string, string>;
+    NUMBER_FIELDS.concat(TEXT_FIELDS).forEach(field => {
+      if (schemaErrors[field] && !errors[field]) {
+        errors[field] = schemaErrors[field];
+      }
+    });
+
+    setFieldErrors(errors);
+    setFormError(null);
+    if (Object.keys(errors).length > 0) {
+      return;
+    }
+    if (Object.keys(changes).length === 0) {
+      setEditing(false);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateApartment(id, changes);
+      setEditing(false);
+      await load();
+    } catch (e) {
+      const message = e instanceof Error ? e.message : String(e);
+      const field = errorField(message);
+      if (e instanceof ValidationError) {
+        // Problems with fields that have no input of their own (amenities, building) go above the buttons
+        const fieldProblems: Record<string, string> = e.fieldErrors;
+        setFieldErrors(fieldProblems);
+        const otherProblems = Object.keys(fieldProblems).filter(key => !(key in FIELD_LABELS));
+        setFormError(otherProblems.length > 0 ? otherProblems.map(key => fieldProblems[key]).join('; ') : null);
+      } else if (field) {
+        setFieldErrors({ [field]: message });
+      } else {
+        setFormError(message);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const remove = async () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    setSaving(true);
+    setFormError(null);
+    try {
+      await deleteApartment(id);
+      router.back();
+    } catch (e) {
+      setFormError(e instanceof Error ? e.message : String(e));
+      setConfirmDelete(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading && !apartment) {
+    return <ActivityIndicator style={styles.loader} size="large" color="#2c4c9c" />;
+  }
+
+  if (loadError || !apartment) {
+    return (
+      <View style={styles.container}>
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load apartment: {loadError}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={load}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <View style={styles.titleRow}>
+        <ThemedText type="title" style={styles.title}>
+          Unit {apartment.unitNumber}
+        </ThemedText>
+        <ApartmentStatusBadge status={apartment.status} />
+      </View>
+
+      {!editing && (
+        <View style={styles.section}>
+          <ThemedText style={styles.sectionTitle}>Details</ThemedText>
+          <Detail label="Building" value={apartment.buildingName || '—'} />
+          <Detail label="Floor" value={apartment.floor ?? '—'} />
+          <Detail label="Rooms" value={apartment.rooms} />
+          <Detail label="Monthly rent" value={formatMoney(apartment.monthlyRent ?? 0)} />
+          <Detail label="Occupants" value={`${apartment.currentOccupants ?? 0} of ${apartment.maxOccupants}`} />
+
+          <ThemedText style={styles.sectionTitle}>Amenities</ThemedText>
+          {amenities.length === 0 && <ThemedText style={styles.hint}>No amenities listed.</ThemedText>}
+          <View style={styles.chipRow}>
+            {amenities.map(amenity => (
+              <View key={amenity} style={styles.chip}>
+                <ThemedText style={styles.chipText}>{amenity}</ThemedText>
+              </View>
+            ))}
+          </View>
+
+          {isStaff && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={() => setEditing(true)}>
+              <ThemedText style={styles.secondaryButtonText}>Edit apartment</ThemedText>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {!editing && (
+        <View style={styles.section}>
+          <AttachmentGallery
+            parentCollection="apartments"
+            parentId={id}
+            title="Unit photos"
+            canAdd={isStaff}
+            isStaff={isStaff}
+            emptyText="No photos of this unit yet."
+          />
+        </View>
+      )}
+
+      {editing && (
+        <View style={styles.section}>
+          <ThemedText style={styles.sectionTitle}>Edit apartment</ThemedText>
+          {[...TEXT_FIELDS, ...NUMBER_FIELDS].map(field => (
+            <View key={field} style={styles.field}>
+              <ThemedText style={styles.label}>{FIELD_LABELS[field]}</ThemedText>
+              <TextInput
+                style={[styles.input, fieldErrors[field] && styles.inputError]}
+                value={form[field]}
+                keyboardType={NUMBER_FIELDS.includes(field) ? 'numeric' : 'default'}
+                onChangeText={value => setForm(current => ({ ...current, [field]: value }))}
+              />
+              {fieldErrors[field] && <ThemedText style={styles.errorText}>{fieldErrors[field]}</ThemedText>}
+            </View>
+          ))}
+
+          <ThemedText style={styles.label}>Building</ThemedText>
+          <View style={styles.chipRow}>
+            <BuildingChip label="None" active={!buildingId} onPress={() => setBuildingId(null)} />
+            {buildings.map(building => (
+              <BuildingChip
+                key={building.id}
+                label={building.name}
+                active={buildingId === building.id}
+                onPress={() => setBuildingId(building.id)}
+              />
+            ))}
+          </View>
+
+          <ThemedText style={styles.label}>Amenities</ThemedText>
+          <View style={styles.chipRow}>
+            {amenities.map(amenity => (
+              <TouchableOpacity
+                key={amenity}
+                style={styles.chip}
+                onPress={() => setAmenities(amenities.filter(item => item !== amenity))}
+              >
+                <ThemedText style={styles.chipText}>{amenity} ✕</ThemedText>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.chipRow}>
+            <TextInput
+              style={[styles.input, styles.amenityInput]}
+              placeholder="Add an amenity"
+              value={newAmenity}
+              onChangeText={setNewAmenity}
+              onSubmitEditing={addAmenity}
+            />
+            <TouchableOpacity style={styles.secondaryButton} onPress={addAmenity}>
+              <ThemedText style={styles.secondaryButtonText}>Add</ThemedText>
+            </TouchableOpacity>
+          </View>
+
+          {formError && <ThemedText style={styles.errorText}>{formError}</ThemedText>}
+
+          <View style={styles.chipRow}>
+            <TouchableOpacity style={styles.primaryButton} disabled={saving} onPress={save}>
+              <ThemedText style={styles.primaryButtonText}>{saving ? 'Saving…' : 'Save changes'}</ThemedText>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} disabled={saving} onPress={cancelEdit}>
+              <ThemedText style={styles.secondaryButtonText}>Cancel</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Current tenants</ThemedText>
+        {tenants.length === 0 && <ThemedText style={styles.hint}>Nobody lives here right now.</ThemedText>}
+        {tenants.map(tenant => (
+          <Detail
+            key={tenant.id}
+            label={tenant.role === 'primary' ? 'Primary tenant' : 'Co-tenant'}
+            value={getUserDisplayName(tenant.user)}
+          />
+        ))}
+        {isStaff && (apartment.currentOccupants ?? 0) < apartment.maxOccupants && (
+          <TouchableOpacity
+            style={styles.secondaryButton}
+            onPress={() => router.push({ pathname: '/Admin/assign-tenant', params: { apartmentId: id } })}
+          >
+            <ThemedText style={styles.secondaryButtonText}>Assign a tenant</ThemedText>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View style={styles.section}>
+        <ThemedText style={styles.sectionTitle}>Lease</ThemedText>
+        {!lease && <ThemedText style={styles.hint}>No active lease.</ThemedText>}
+        {lease && (
+          <>
+            <Detail label="Status" value={lease.status} />
+            <Detail label="Starts" value={toDate(lease.startDate)?.toLocaleDateString() ?? '—'} />
+            <Detail label="Ends" value={toDate(lease.endDate)?.toLocaleDateString() ?? '—'} />
+            <Detail label="Rent" value={formatMoney(lease.monthlyRent ?? 0)} />
+            {!!lease.terms && <ThemedText style={styles.hint}>{lease.terms}</ThemedText>}
+            {isStaff && (
+              <TouchableOpacity
+                style={styles.secondaryButton}
+                disabled={generating !== null}
+                onPress={generateAgreement}
+              >
+                <ThemedText style={styles.secondaryButtonText}>
+                  {generating === 'agreement' ? 'Generating…' : 'Generate lease agreement'}
+                </ThemedText>
+              </TouchableOpacity>
+            )}
+            {documentError && <ThemedText style={styles.errorText}>{documentError}</ThemedText>}
+            <AttachmentGallery
+              parentCollection="leases"
+              parentId={lease.id}
+              title="Lease documents"
+              canAdd={isStaff}
+              isStaff={isStaff}
+              emptyText="No signed copy or generated documents yet."
+            />
+
+            <ThemedText style={styles.subsectionTitle}>Payments</ThemedText>
+            {(lease.payments ?? []).length === 0 && <ThemedText style={styles.hint}>No payments recorded.</ThemedText>}
+            {[...(lease.payments ?? [])]
+              .sort((a: any, b: any) => b.paidAt.toMillis() - a.paidAt.toMillis())
+              .map((payment: any) => (
+                <View key={payment.id} style={styles.paymentRow}>
+                  <ThemedText style={styles.paymentText}>
+                    {toDate(payment.paidAt)?.toLocaleDateString() ?? '—'} · {formatMoney(payment.amount)} ·{' '}
+                    {payment.method || 'cash'}
+                  </ThemedText>
+                  {isStaff && (
+                    <TouchableOpacity disabled={generating !== null} onPress={() => shareReceipt(payment.id)}>
+                      <ThemedText style={styles.linkText}>
+                        {generating === payment.id ? 'Preparing…' : 'Receipt'}
+                      </ThemedText>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+          </>
+        )}
+      </View>
+
+      {profile?.role === 'admin' && !editing && (
+        <View style={styles.section}>
+          {formError && <ThemedText style={styles.errorText}>{formError}</ThemedText>}
+          <TouchableOpacity style={styles.dangerButton} disabled={saving} onPress={remove}>
+            <ThemedText style={styles.dangerButtonText}>
+              {confirmDelete ? 'Tap again to delete this apartment' : 'Delete apartment'}
+            </ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+function BuildingChip({ label, active, onPress }: { label: string; active: boolean; onPress: () => void }) {
+  return (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <ThemedText style={[styles.chipText, active && styles.chipTextActive]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+function Detail({ label, value }: { label: string; value: string | number }) {
+  return (
+    <View style={styles.detailRow}>
+      <ThemedText style={styles.detailLabel}>{label}</ThemedText>
+      <ThemedText style={styles.detailValue}>{value}</ThemedText>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  loader: {
+    marginTop: 48,
+  },
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 10,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  subsectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#0f172a',
+    marginTop: 4,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  detailLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  field: {
+    gap: 4,
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  paymentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  paymentText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#334155',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2c4c9c',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#dc2626',
+  },
+  amenityInput: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  dangerButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#dc2626',
+  },
+  dangerButtonText: {
+    color: '#dc2626',
+    fontWeight: '600',
+  },
+});
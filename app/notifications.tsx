@@ -0,0 +1,253 @@
+import { useRouter } from 'expo-router';
+import React, { useState } from 'react';
+import { ActivityIndicator, ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useNotifications } from '@/hooks/useNotifications';
+import { markAllNotificationsRead, markNotificationRead } from '@/services/notifications';
+import { toDate } from '@/utils/dashboardMetrics';
+
+const TYPE_ICONS: Record<string, string> = {
+  'lease-expiry': '📄',
+  'rent-due': '💵',
+  'rent-overdue': '⚠️',
+  'repair-status': '🔧',
+};
+
+export default function NotificationsScreen() {
+  const router = useRouter();
+  const { notifications, unreadCount, loading, error, refresh } = useNotifications();
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const run = async (action: () => Promise<unknown>) => {
+    setActionError(null);
+    try {
+      await action();
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const open = (notification: any) =>
+    run(async () => {
+      if (!notification.read) {
+        await markNotificationRead(notification.id);
+      }
+      if (notification.link) {
+        router.push(notification.link);
+      }
+    });
+
+  const shown = unreadOnly ? notifications.filter(notification => !notification.read) : notifications;
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Notifications
+      </ThemedText>
+
+      <View style={styles.toolbar}>
+        <View style={styles.chipRow}>
+          <Chip label="All" active={!unreadOnly} onPress={() => setUnreadOnly(false)} />
+          <Chip label={`Unread (${unreadCount})`} active={unreadOnly} onPress={() => setUnreadOnly(true)} />
+        </View>
+        <TouchableOpacity
+          style={styles.secondaryButton}
+          disabled={unreadCount === 0}
+          onPress={() => run(markAllNotificationsRead)}
+        >
+          <ThemedText style={styles.secondaryButtonText}>Mark all read</ThemedText>
+        </TouchableOpacity>
+      </View>
+
+      {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+
+      {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+      {error && (
+        <View style={[styles.stateBox, styles.errorBox]}>
+          <ThemedText style={styles.errorText}>Could not load notifications: {error.message}</ThemedText>
+          <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+            <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {!loading && !error && shown.length === 0 && (
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>
+            {unreadOnly ? 'You have read everything.' : 'No notifications yet.'}
+          </ThemedText>
+        </View>
+      )}
+
+      {shown.map(notification => (
+        <TouchableOpacity
+          key={notification.id}
+          style={[styles.section, !notification.read && styles.unreadSection]}
+          onPress={() => open(notification)}
+        >
+          <View style={styles.itemHeader}>
+            <ThemedText style={[styles.sectionTitle, !notification.read && styles.unreadTitle]}>
+              {TYPE_ICONS[notification.type] ?? '🔔'} {notification.title}
+            </ThemedText>
+            {!notification.read && <View style={styles.unreadDot} />}
+          </View>
+          {!!notification.body && <ThemedText style={styles.body}>{notification.body}</ThemedText>}
+          <View style={styles.itemFooter}>
+            <ThemedText style={styles.hint}>{toDate(notification.createdAt)?.toLocaleString() ?? ''}</ThemedText>
+            <TouchableOpacity onPress={() => run(() => markNotificationRead(notification.id, !notification.read))}>
+              <ThemedText style={styles.linkText}>{notification.read ? 'Mark unread' : 'Mark read'}</ThemedText>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
+function Chip({ label, active, onPress }: { label: string; active: boolean; onPress: () => void }) {
+  return (
+    <TouchableOpacity style={[styles.chip, active && styles.chipActive]} onPress={onPress}>
+      <ThemedText style={[styles.chipText, active && styles.chipTextActive]}>{label}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 8,
+  },
+  section: {
+    gap: 6,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  unreadSection: {
+    borderColor: '#2c4c9c',
+    backgroundColor: '#f8fafc',
+  },
+  itemHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  itemFooter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#0f172a',
+  },
+  unreadTitle: {
+    fontWeight: '700',
+  },
+  unreadDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#2c4c9c',
+  },
+  body: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  linkText: {
+    fontSize: 13,
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,222 @@
+import React, { useState } from 'react';
+import { ScrollView, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useSyncStatus } from '@/hooks/useSyncStatus';
+import { discardQueuedWrite, flushQueue, resolveConflict } from '@/services/offlineQueue';
+import { toDate } from '@/utils/dashboardMetrics';
+
+const STATUS_LABELS: Record<string, string> = {
+  pending: 'Waiting to sync',
+  conflict: 'Conflict',
+  failed: 'Not saved',
+};
+
+const formatValue = (value: any) => {
+  if (value === undefined || value === null || value === '') {
+    return '—';
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toLocaleString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+export default function SyncScreen() {
+  const { online, syncing, items, pending } = useSyncStatus();
+  const [busyId, setBusyId] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const resolve = async (itemId: string, resolution: 'keep-mine' | 'keep-server') => {
+    setBusyId(itemId);
+    setActionError(null);
+    try {
+      await resolveConflict(itemId, resolution);
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <ThemedText type="title" style={styles.title}>
+        Sync
+      </ThemedText>
+      <ThemedText style={styles.hint}>
+        {online ? 'Online' : 'Offline'}
+        {syncing ? ' · syncing…' : ''}
+        {pending > 0 ? ` · ${pending} waiting` : ''}
+      </ThemedText>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.primaryButton} disabled={syncing || pending === 0} onPress={flushQueue}>
+          <ThemedText style={styles.primaryButtonText}>{syncing ? 'Syncing…' : 'Sync now'}</ThemedText>
+        </TouchableOpacity>
+      </View>
+
+      {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+
+      {items.length === 0 && (
+        <View style={styles.stateBox}>
+          <ThemedText style={styles.stateText}>Everything is saved.</ThemedText>
+        </View>
+      )}
+
+      {items.map((item: any) => (
+        <View key={item.id} style={[styles.section, item.status === 'conflict' && styles.conflictSection]}>
+          <ThemedText style={styles.sectionTitle}>{item.description}</ThemedText>
+          <ThemedText style={styles.hint}>
+            {STATUS_LABELS[item.status]} · queued {toDate(item.queuedAt)?.toLocaleString()}
+          </ThemedText>
+
+          {item.status === 'conflict' && (
+            <>
+              <ThemedText style={styles.label}>
+                Changed on the server {toDate(item.serverDocument?.updatedAt)?.toLocaleString() ?? ''}
+              </ThemedText>
+              {Object.keys(item.changes ?? {}).map(field => (
+                <View key={field} style={styles.compareRow}>
+                  <ThemedText style={styles.compareField}>{field}</ThemedText>
+                  <ThemedText style={styles.compareValue}>Yours: {formatValue(item.changes[field])}</ThemedText>
+                  <ThemedText style={styles.compareValue}>Server: {formatValue(item.serverDocument?.[field])}</ThemedText>
+                </View>
+              ))}
+              <View style={styles.buttonRow}>
+                <TouchableOpacity
+                  style={styles.primaryButton}
+                  disabled={busyId === item.id}
+                  onPress={() => resolve(item.id, 'keep-mine')}
+                >
+                  <ThemedText style={styles.primaryButtonText}>Keep mine</ThemedText>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.secondaryButton}
+                  disabled={busyId === item.id}
+                  onPress={() => resolve(item.id, 'keep-server')}
+                >
+                  <ThemedText style={styles.secondaryButtonText}>Keep server version</ThemedText>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+
+          {item.status === 'failed' && <ThemedText style={styles.errorText}>{item.error}</ThemedText>}
+
+          {item.status !== 'conflict' && (
+            <View style={styles.buttonRow}>
+              <TouchableOpacity style={styles.dangerButton} onPress={() => discardQueuedWrite(item.id)}>
+                <ThemedText style={styles.dangerButtonText}>Discard</ThemedText>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 8,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  conflictSection: {
+    borderColor: '#f59e0b',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  compareRow: {
+    gap: 2,
+    paddingVertical: 4,
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+  },
+  compareField: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  compareValue: {
+    fontSize: 13,
+    color: '#475569',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  dangerButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#b91c1c',
+  },
+  dangerButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,68 @@
+import { Tabs } from 'expo-router';
+import React from 'react';
+import { Platform, View } from 'react-native';
+
+import { HapticTab } from '@/components/HapticTab';
+import { NotificationDelivery } from '@/components/NotificationDelivery';
+import { SyncStatusBar } from '@/components/SyncStatusBar';
+import { IconSymbol } from '@/components/ui/IconSymbol';
+import TabBarBackground from '@/components/ui/TabBarBackground';
+import { Colors } from '@/constants/Colors';
+import { useColorScheme } from '@/hooks/useColorScheme';
+
+/** Tabs of the tenant portal. The root layout keeps staff out of here and tenants out of everything else. */
+export default function TenantTabLayout() {
+  const colorScheme = useColorScheme();
+
+  return (
+    <View style={{ flex: 1 }}>
+      <SyncStatusBar />
+      <NotificationDelivery />
+      <Tabs
+        screenOptions={{
+          tabBarActiveTintColor: Colors[colorScheme ?? 'light'].tint,
+          headerShown: false,
+          tabBarButton: HapticTab,
+          tabBarBackground: TabBarBackground,
+          tabBarPosition: Platform.select({
+            web: 'top',
+          }),
+          tabBarStyle: Platform.select({
+            ios: {
+              position: 'absolute',
+            },
+            android: {
+              position: 'absolute',
+            },
+            web: {
+              position: 'relative',
+              borderBottom: '1px solid #ccc',
+            },
+          }),
+        }}
+      >
+        <Tabs.Screen
+          name="index"
+          options={{
+            title: 'My Home',
+            tabBarIcon: ({ color }) => <IconSymbol size={28} name="house.fill" color={color} />,
+          }}
+        />
+        <Tabs.Screen
+          name="payments"
+          options={{
+            title: 'Payments',
+            tabBarIcon: ({ color }) => <IconSymbol size={28} name="creditcard.fill" color={color} />,
+          }}
+        />
+        <Tabs.Screen
+          name="repairs"
+          options={{
+            title: 'Repairs',
+            tabBarIcon: ({ color }) => <IconSymbol size={28} name="wrench.fill" color={color} />,
+          }}
+        />
+      </Tabs>
+    </View>
+  );
+}
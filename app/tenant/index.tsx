@@ -0,0 +1,224 @@
+import React from 'react';
+import { ActivityIndicator, Image, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { AttachmentGallery } from '@/components/AttachmentGallery';
+import { NotificationBell } from '@/components/NotificationBell';
+import ParallaxScrollView from '@/components/ParallaxScrollView';
+import { SignOutButton } from '@/components/SignOutButton';
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { useApartmentTenants } from '@/hooks/useApartmentTenants';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useSettings } from '@/hooks/useSettings';
+import { useTenantApartment } from '@/hooks/useTenantApartment';
+import { formatCurrency } from '@/services/settings';
+import { globalStyles } from '@/styles/globalStyles';
+import { getUserDisplayName, toDate } from '@/utils/dashboardMetrics';
+
+const formatDate = (value: unknown) => toDate(value)?.toLocaleDateString() ?? '—';
+
+export default function TenantHomeScreen() {
+  const { profile } = useCurrentUser();
+  const { settings } = useSettings();
+  const { apartment, lease, loading, error, refresh } = useTenantApartment();
+  const { tenants } = useApartmentTenants(apartment?.id);
+
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
+
+  return (
+    <ParallaxScrollView
+      headerBackgroundColor={{ light: '#2c4c9c', dark: '#2c4c9c' }}
+      headerImage={
+        <Image
+          source={require('@/assets/images/landlordlink.png')}
+          style={globalStyles.companyLogo}
+        />
+      }
+    >
+      <ThemedView style={styles.container}>
+        <View style={styles.titleRow}>
+          <ThemedText type="title" style={styles.title}>
+            My Home
+          </ThemedText>
+          <View style={styles.headerActions}>
+            <NotificationBell />
+            <SignOutButton />
+          </View>
+        </View>
+        {profile && (
+          <ThemedText style={styles.greeting}>
+            {settings.organizationName} · Signed in as {getUserDisplayName(profile)}
+          </ThemedText>
+        )}
+
+        {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+        {error && (
+          <View style={[styles.stateBox, styles.errorBox]}>
+            <ThemedText style={styles.errorText}>Could not load your apartment: {error.message}</ThemedText>
+            <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+              <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!loading && !error && !apartment && (
+          <View style={styles.stateBox}>
+            <ThemedText style={styles.stateText}>
+              You are not assigned to an apartment yet. Your landlord will add you once your lease is ready.
+            </ThemedText>
+          </View>
+        )}
+
+        {apartment && (
+          <>
+            <View style={styles.section}>
+              <ThemedText style={styles.sectionTitle}>Unit {apartment.unitNumber}</ThemedText>
+              {!!apartment.buildingName && <Detail label="Building" value={apartment.buildingName} />}
+              {apartment.floor != null && <Detail label="Floor" value={apartment.floor} />}
+              <Detail label="Rooms" value={apartment.rooms ?? '—'} />
+              <Detail label="Moved in" value={formatDate(apartment.tenancy.leaseStartDate)} />
+              <Detail label="You are" value={apartment.tenancy.role === 'primary' ? 'Primary tenant' : 'Co-tenant'} />
+              {(apartment.amenities ?? []).length > 0 && (
+                <ThemedText style={styles.hint}>Amenities: {apartment.amenities.join(', ')}</ThemedText>
+              )}
+            </View>
+
+            <View style={styles.section}>
+              <ThemedText style={styles.sectionTitle}>Lease</ThemedText>
+              {!lease && <ThemedText style={styles.hint}>No lease on record yet.</ThemedText>}
+              {lease && (
+                <>
+                  <Detail label="Status" value={lease.status} />
+                  <Detail label="Starts" value={formatDate(lease.startDate)} />
+                  <Detail label="Ends" value={formatDate(lease.endDate)} />
+                  <Detail label="Monthly rent" value={formatMoney(lease.monthlyRent ?? apartment.monthlyRent ?? 0)} />
+                  {!!lease.terms && <ThemedText style={styles.hint}>{lease.terms}</ThemedText>}
+                  <AttachmentGallery
+                    parentCollection="leases"
+                    parentId={lease.id}
+                    title="Lease documents"
+                    canAdd={false}
+                    isStaff={false}
+                    emptyText="Your landlord has not shared any lease documents yet."
+                  />
+                </>
+              )}
+            </View>
+
+            <View style={styles.section}>
+              <ThemedText style={styles.sectionTitle}>Who lives here</ThemedText>
+              {tenants.map(tenant => (
+                <Detail
+                  key={tenant.id}
+                  label={`${getUserDisplayName(tenant.user)}${tenant.userId === profile?.id ? ' (you)' : ''}`}
+                  value={tenant.role === 'primary' ? 'Primary tenant' : 'Co-tenant'}
+                />
+              ))}
+            </View>
+          </>
+        )}
+      </ThemedView>
+    </ParallaxScrollView>
+  );
+}
+
+function Detail({ label, value }: { label: string; value: string | number }) {
+  return (
+    <View style={styles.detailRow}>
+      <ThemedText style={styles.detailLabel}>{label}</ThemedText>
+      <ThemedText style={styles.detailValue}>{value}</ThemedText>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  greeting: {
+    fontSize: 14,
+    color: '#475569',
+  },
+  section: {
+    gap: 10,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  detailRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  detailLabel: {
+    flexShrink: 1,
+    fontSize: 14,
+    color: '#64748b',
+  },
+  detailValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,218 @@
+import React from 'react';
+import { ActivityIndicator, Image, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import ParallaxScrollView from '@/components/ParallaxScrollView';
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { useSettings } from '@/hooks/useSettings';
+import { useTenantBalance } from '@/hooks/useTenantBalance';
+import { getOutstandingAmount } from '@/services/payments';
+import { formatCurrency } from '@/services/settings';
+import { globalStyles } from '@/styles/globalStyles';
+import { toDate } from '@/utils/dashboardMetrics';
+
+const CHARGE_STATUS_LABELS: Record<string, string> = {
+  unpaid: 'Unpaid',
+  partial: 'Partly paid',
+  paid: 'Paid',
+};
+
+const CHARGE_STATUS_COLORS: Record<string, string> = {
+  unpaid: '#dc2626',
+  partial: '#f59e0b',
+  paid: '#15803d',
+};
+
+// 'YYYY-MM' -> 'March 2025'
+const formatPeriod = (period: string, locale: string) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+};
+
+export default function TenantPaymentsScreen() {
+  const { settings } = useSettings();
+  const { balance, loading, error, refresh } = useTenantBalance();
+
+  const formatMoney = (value: number) => formatCurrency(value, settings.currency, settings.locale);
+
+  return (
+    <ParallaxScrollView
+      headerBackgroundColor={{ light: '#2c4c9c', dark: '#2c4c9c' }}
+      headerImage={
+        <Image
+          source={require('@/assets/images/landlordlink.png')}
+          style={globalStyles.companyLogo}
+        />
+      }
+    >
+      <ThemedView style={styles.container}>
+        <ThemedText type="title" style={styles.title}>
+          Rent & Payments
+        </ThemedText>
+
+        {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+        {error && (
+          <View style={[styles.stateBox, styles.errorBox]}>
+            <ThemedText style={styles.errorText}>Could not load your balance: {error.message}</ThemedText>
+            <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+              <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {balance && (
+          <>
+            <View style={[styles.balanceCard, balance.balance > 0 && styles.balanceCardOwing]}>
+              <ThemedText style={styles.balanceLabel}>{balance.balance > 0 ? 'Balance due' : 'You are all paid up'}</ThemedText>
+              <ThemedText style={styles.balanceValue}>{formatMoney(balance.balance)}</ThemedText>
+              <ThemedText style={styles.hint}>
+                Charged {formatMoney(balance.totalCharged)}
+                {balance.lateFees > 0 ? ` + ${formatMoney(balance.lateFees)} late fees` : ''} · Paid{' '}
+                {formatMoney(balance.totalPaid)}
+              </ThemedText>
+            </View>
+
+            <View style={styles.section}>
+              <ThemedText style={styles.sectionTitle}>Rent charges</ThemedText>
+              {balance.charges.length === 0 && <ThemedText style={styles.hint}>No rent charged yet.</ThemedText>}
+              {balance.charges.map((charge: any) => (
+                <View key={charge.id} style={styles.row}>
+                  <View style={styles.rowMain}>
+                    <ThemedText style={styles.rowTitle}>{formatPeriod(charge.period, settings.locale)}</ThemedText>
+                    <ThemedText style={styles.hint}>
+                      Due {toDate(charge.dueDate)?.toLocaleDateString() ?? '—'} · {formatMoney(charge.amount)}
+                      {charge.lateFee ? ` + ${formatMoney(charge.lateFee)} late fee` : ''}
+                      {charge.status === 'partial' ? ` · ${formatMoney(getOutstandingAmount(charge))} left` : ''}
+                    </ThemedText>
+                  </View>
+                  <View style={[styles.badge, { backgroundColor: CHARGE_STATUS_COLORS[charge.status] }]}>
+                    <ThemedText style={styles.badgeText}>{CHARGE_STATUS_LABELS[charge.status]}</ThemedText>
+                  </View>
+                </View>
+              ))}
+            </View>
+
+            <View style={styles.section}>
+              <ThemedText style={styles.sectionTitle}>Payment history</ThemedText>
+              {balance.payments.length === 0 && <ThemedText style={styles.hint}>No payments recorded yet.</ThemedText>}
+              {balance.payments.map((payment: any) => (
+                <View key={payment.id} style={styles.row}>
+                  <View style={styles.rowMain}>
+                    <ThemedText style={styles.rowTitle}>{formatMoney(payment.amount)}</ThemedText>
+                    <ThemedText style={styles.hint}>
+                      {toDate(payment.paidAt)?.toLocaleDateString() ?? '—'} · {payment.method || 'cash'}
+                      {payment.note ? ` · ${payment.note}` : ''}
+                    </ThemedText>
+                  </View>
+                </View>
+              ))}
+            </View>
+          </>
+        )}
+      </ThemedView>
+    </ParallaxScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  balanceCard: {
+    gap: 4,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#86efac',
+    backgroundColor: '#f0fdf4',
+  },
+  balanceCardOwing: {
+    borderColor: '#fca5a5',
+    backgroundColor: '#fef2f2',
+  },
+  balanceLabel: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  balanceValue: {
+    fontSize: 28,
+    lineHeight: 34,
+    fontWeight: '700',
+    color: '#0f172a',
+  },
+  section: {
+    gap: 10,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 12,
+  },
+  rowMain: {
+    flex: 1,
+    gap: 2,
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  primaryButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+});
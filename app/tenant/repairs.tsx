@@ -0,0 +1,364 @@
+import React, { useState } from 'react';
+import { ActivityIndicator, Image, StyleSheet, TextInput, TouchableOpacity, View } from 'react-native';
+
+import { AttachmentGallery } from '@/components/AttachmentGallery';
+import ParallaxScrollView from '@/components/ParallaxScrollView';
+import { ThemedText } from '@/components/ThemedText';
+import { ThemedView } from '@/components/ThemedView';
+import { useCurrentUser } from '@/hooks/useCurrentUser';
+import { useRepairRequests } from '@/hooks/useRepairRequests';
+import { REPAIR_PRIORITIES, createRepairRequest } from '@/services/repairRequests';
+import { ValidationError } from '@/services/schemas';
+import { globalStyles } from '@/styles/globalStyles';
+import { toDate } from '@/utils/dashboardMetrics';
+
+// What each status means from the tenant's side
+const STATUS_LABELS: Record<string, string> = {
+  open: 'Received',
+  assigned: 'Assigned',
+  in_progress: 'In Progress',
+  resolved: 'Resolved',
+  closed: 'Closed',
+};
+
+const STATUS_COLORS: Record<string, string> = {
+  open: '#64748b',
+  assigned: '#0a7ea4',
+  in_progress: '#f59e0b',
+  resolved: '#15803d',
+  closed: '#334155',
+};
+
+export default function TenantRepairsScreen() {
+  const { profile } = useCurrentUser();
+  // The data layer only ever returns a tenant's own requests
+  const { requests, loading, error, refresh } = useRepairRequests();
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [priority, setPriority] = useState('medium');
+  const [fieldErrors, setFieldErrors] = useState<Record<string, string>>({});
+  const [formError, setFormError] = useState<string | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  const submit = async () => {
+    setFormError(null);
+    setSubmitted(false);
+    if (!title.trim()) {
+      setFieldErrors({ title: 'Describe the problem in a few words' });
+      return;
+    }
+    setFieldErrors({});
+    setSubmitting(true);
+    try {
+      await createRepairRequest({ apartmentId: profile?.apartmentId, tenantId: profile?.id, title, description, priority });
+      // The list below follows the requests live, so the new one shows up there
+      setTitle('');
+      setDescription('');
+      setPriority('medium');
+      setSubmitted(true);
+    } catch (e) {
+      // A problem with the title shows under it; anything else goes above the button
+      if (e instanceof ValidationError && Object.keys(e.fieldErrors).every(field => field === 'title')) {
+        setFieldErrors(e.fieldErrors);
+      } else {
+        setFormError(e instanceof Error ? e.message : String(e));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <ParallaxScrollView
+      headerBackgroundColor={{ light: '#2c4c9c', dark: '#2c4c9c' }}
+      headerImage={
+        <Image
+          source={require('@/assets/images/landlordlink.png')}
+          style={globalStyles.companyLogo}
+        />
+      }
+    >
+      <ThemedView style={styles.container}>
+        <ThemedText type="title" style={styles.title}>
+          Repairs
+        </ThemedText>
+
+        {profile && !profile.apartmentId ? (
+          <View style={styles.stateBox}>
+            <ThemedText style={styles.stateText}>
+              You can report problems once you are assigned to an apartment.
+            </ThemedText>
+          </View>
+        ) : (
+          <View style={styles.section}>
+            <ThemedText style={styles.sectionTitle}>Report a problem</ThemedText>
+            <TextInput
+              style={[styles.input, fieldErrors.title && styles.inputError]}
+              placeholder="What needs fixing? e.g. Kitchen tap is leaking"
+              value={title}
+              onChangeText={setTitle}
+            />
+            {fieldErrors.title && <ThemedText style={styles.errorText}>{fieldErrors.title}</ThemedText>}
+            <TextInput
+              style={[styles.input, styles.multiline]}
+              placeholder="Details: where it is, when it started, how to get in"
+              value={description}
+              onChangeText={setDescription}
+              multiline
+              textAlignVertical="top"
+            />
+            <ThemedText style={styles.label}>How urgent is it?</ThemedText>
+            <View style={styles.chipRow}>
+              {REPAIR_PRIORITIES.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, priority === option && styles.chipActive]}
+                  onPress={() => setPriority(option)}
+                >
+                  <ThemedText style={[styles.chipText, priority === option && styles.chipTextActive]}>{option}</ThemedText>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {formError && <ThemedText style={styles.errorText}>{formError}</ThemedText>}
+            {submitted && (
+              <ThemedText style={styles.successText}>
+                Request sent. You can add photos to it below and follow its progress here.
+              </ThemedText>
+            )}
+            <TouchableOpacity style={styles.primaryButton} disabled={submitting} onPress={submit}>
+              <ThemedText style={styles.primaryButtonText}>{submitting ? 'Sending…' : 'Send request'}</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <ThemedText style={styles.sectionTitle}>My requests</ThemedText>
+
+        {loading && <ActivityIndicator size="large" color="#2c4c9c" />}
+
+        {error && (
+          <View style={[styles.stateBox, styles.errorBox]}>
+            <ThemedText style={styles.errorText}>Could not load your repair requests: {error.message}</ThemedText>
+            <TouchableOpacity style={styles.primaryButton} onPress={refresh}>
+              <ThemedText style={styles.primaryButtonText}>Try again</ThemedText>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!loading && !error && requests.length === 0 && (
+          <View style={styles.stateBox}>
+            <ThemedText style={styles.stateText}>You have not reported any problems.</ThemedText>
+          </View>
+        )}
+
+        {requests.map(request => (
+          <TenantRepairCard key={request.id} request={request} />
+        ))}
+      </ThemedView>
+    </ParallaxScrollView>
+  );
+}
+
+function TenantRepairCard({ request }: { request: any }) {
+  const [expanded, setExpanded] = useState(false);
+  const createdAt = toDate(request.createdAt);
+
+  return (
+    <View style={styles.card}>
+      <TouchableOpacity onPress={() => setExpanded(value => !value)} activeOpacity={0.8}>
+        <View style={styles.cardHeader}>
+          <ThemedText style={styles.cardTitle}>{request.title}</ThemedText>
+          <View style={[styles.badge, { backgroundColor: STATUS_COLORS[request.status] }]}>
+            <ThemedText style={styles.badgeText}>{STATUS_LABELS[request.status].toUpperCase()}</ThemedText>
+          </View>
+        </View>
+        <ThemedText style={styles.cardMeta}>
+          {request.priority} priority
+          {createdAt ? ` · reported ${createdAt.toLocaleDateString()}` : ''}
+          {request.assignedTo ? ` · ${request.assignedTo.name} is on it` : ''}
+        </ThemedText>
+      </TouchableOpacity>
+
+      {expanded && (
+        <View style={styles.cardBody}>
+          {!!request.description && <ThemedText style={styles.description}>{request.description}</ThemedText>}
+
+          <AttachmentGallery
+            parentCollection="repairRequests"
+            parentId={request.id}
+            title="Photos"
+            canAdd={request.status !== 'closed'}
+            isStaff={false}
+            emptyText="Photos help the repair team bring the right parts."
+          />
+
+          <ThemedText style={styles.historyTitle}>Progress</ThemedText>
+          {(request.statusHistory ?? []).map((entry: any, idx: number) => (
+            <ThemedText key={idx} style={styles.historyItem}>
+              • {toDate(entry.changedAt)?.toLocaleString() ?? ''} — {STATUS_LABELS[entry.to]}
+              {entry.note ? ` (${entry.note})` : ''}
+            </ThemedText>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    gap: 16,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: '700',
+  },
+  section: {
+    gap: 10,
+    padding: 16,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  label: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+  },
+  inputError: {
+    borderColor: '#dc2626',
+  },
+  multiline: {
+    minHeight: 96,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+    backgroundColor: '#fff',
+  },
+  chipActive: {
+    backgroundColor: '#2c4c9c',
+    borderColor: '#2c4c9c',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#334155',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  stateBox: {
+    alignItems: 'center',
+    gap: 12,
+    padding: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  stateText: {
+    fontSize: 14,
+    color: '#475569',
+    textAlign: 'center',
+  },
+  errorBox: {
+    backgroundColor: '#fef2f2',
+    borderColor: '#fca5a5',
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#b91c1c',
+  },
+  successText: {
+    fontSize: 14,
+    color: '#15803d',
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    shadowColor: '#000',
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    elevation: 2,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  cardMeta: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#64748b',
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  badgeText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+  },
+  cardBody: {
+    marginTop: 12,
+    gap: 12,
+  },
+  description: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  primaryButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#2c4c9c',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  historyTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#334155',
+  },
+  historyItem: {
+    fontSize: 13,
+    color: '#475569',
+  },
+});
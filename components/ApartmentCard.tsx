@@ -0,0 +1,80 @@
+import React from 'react';
+import { StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ApartmentStatusBadge } from '@/components/ApartmentStatusBadge';
+import { ThemedText } from '@/components/ThemedText';
+
+export function ApartmentCard({
+  apartment,
+  formatMoney,
+  onPress,
+}: {
+  apartment: any;
+  formatMoney: (value: number) => string;
+  onPress?: () => void;
+}) {
+  return (
+    <TouchableOpacity style={styles.card} onPress={onPress} disabled={!onPress} activeOpacity={0.8}>
+      <View style={styles.header}>
+        <ThemedText style={styles.title}>Unit {apartment.unitNumber}</ThemedText>
+        <ApartmentStatusBadge status={apartment.status} />
+      </View>
+      {!!apartment.buildingName && (
+        <ThemedText style={styles.meta}>
+          {apartment.buildingName}
+          {apartment.floor ? ` · Floor ${apartment.floor}` : ''}
+        </ThemedText>
+      )}
+      <View style={styles.footer}>
+        <ThemedText style={styles.rent}>{formatMoney(apartment.monthlyRent ?? 0)}/mo</ThemedText>
+        <ThemedText style={styles.meta}>
+          {apartment.rooms} {apartment.rooms === 1 ? 'room' : 'rooms'} · {apartment.currentOccupants ?? 0}/
+          {apartment.maxOccupants} occupants
+        </ThemedText>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    gap: 4,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    shadowColor: '#000',
+    shadowOpacity: 0.05,
+    shadowRadius: 10,
+    elevation: 2,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  meta: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 4,
+  },
+  rent: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#10b981',
+  },
+});
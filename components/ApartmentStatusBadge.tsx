@@ -0,0 +1,30 @@
+import React from 'react';
+import { StyleSheet, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+
+const STATUS_COLORS: Record<string, string> = {
+  available: '#10b981',
+  occupied: '#2c4c9c',
+};
+
+export function ApartmentStatusBadge({ status }: { status: string }) {
+  return (
+    <View style={[styles.badge, { backgroundColor: STATUS_COLORS[status] ?? '#94a3b8' }]}>
+      <ThemedText style={styles.text}>{(status ?? 'unknown').toUpperCase()}</ThemedText>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 8,
+  },
+  text: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: '#fff',
+  },
+});
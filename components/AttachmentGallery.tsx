@@ -0,0 +1,299 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as ImagePicker from 'expo-image-picker';
+import { openBrowserAsync } from 'expo-web-browser';
+import React, { useState } from 'react';
+import { ActivityIndicator, Image, StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useAuth } from '@/contexts/AuthContext';
+import { useAttachments } from '@/hooks/useAttachments';
+import { deleteAttachment, uploadAttachment } from '@/services/attachments';
+import { shareAttachment } from '@/services/fileSharing';
+
+type PickedFile = { uri: string; name: string; type?: string; size?: number; width?: number; height?: number };
+
+type Upload = { key: string; file: PickedFile; progress: number; error: string | null };
+
+type Props = {
+  parentCollection: 'leases' | 'repairRequests' | 'apartments';
+  parentId: string;
+  title: string;
+  /** Whether the signed-in user may attach files here */
+  canAdd: boolean;
+  /** Staff may delete any file; everyone else only the ones they added */
+  isStaff: boolean;
+  emptyText?: string;
+};
+
+// Lease scans may be PDFs; everything else is a photo
+const pickFiles = async (parentCollection: Props['parentCollection']): Promise<PickedFile[]> => {
+  if (parentCollection === 'leases') {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: ['application/pdf', 'image/*'],
+      multiple: true,
+      copyToCacheDirectory: true,
+    });
+    return result.canceled
+      ? []
+      : result.assets.map(asset => ({ uri: asset.uri, name: asset.name, type: asset.mimeType, size: asset.size }));
+  }
+
+  const result = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ['images'], allowsMultipleSelection: true });
+  return result.canceled
+    ? []
+    : result.assets.map(asset => ({
+        uri: asset.uri,
+        name: asset.fileName ?? 'photo.jpg',
+        type: asset.mimeType,
+        size: asset.fileSize,
+        width: asset.width,
+        height: asset.height,
+      }));
+};
+
+/**
+ * Thumbnails of the files attached to a record, with uploads that show their progress and
+ * can be retried when they fail. Tapping a file opens it full size.
+ */
+export function AttachmentGallery({ parentCollection, parentId, title, canAdd, isStaff, emptyText }: Props) {
+  const { user } = useAuth();
+  const { attachments, loading, error } = useAttachments(parentCollection, parentId);
+  const [uploads, setUploads] = useState<Upload[]>([]);
+  const [confirmDeleteId, setConfirmDeleteId] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const updateUpload = (key: string, changes: Partial<Upload>) =>
+    setUploads(current => current.map(upload => (upload.key === key ? { ...upload, ...changes } : upload)));
+
+  const start = async (key: string, file: PickedFile) => {
+    updateUpload(key, { progress: 0, error: null });
+    try {
+      await uploadAttachment(parentCollection, parentId, file, {
+        onProgress: (progress: number) => updateUpload(key, { progress }),
+      });
+      // The gallery follows the attachments live, so the finished upload shows up there
+      setUploads(current => current.filter(upload => upload.key !== key));
+    } catch (e) {
+      updateUpload(key, { error: e instanceof Error ? e.message : String(e) });
+    }
+  };
+
+  const add = async () => {
+    setActionError(null);
+    try {
+      const files = await pickFiles(parentCollection);
+      const added = files.map((file, index) => ({ key: `${Date.now()}-${index}`, file, progress: 0, error: null }));
+      setUploads(current => [...current, ...added]);
+      added.forEach(upload => start(upload.key, upload.file));
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const remove = async (attachment: any) => {
+    if (confirmDeleteId !== attachment.id) {
+      setConfirmDeleteId(attachment.id);
+      return;
+    }
+    setConfirmDeleteId(null);
+    setActionError(null);
+    try {
+      await deleteAttachment(attachment.id);
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const share = async (attachment: any) => {
+    setActionError(null);
+    try {
+      await shareAttachment(attachment);
+    } catch (e) {
+      setActionError(e instanceof Error ? e.message : String(e));
+    }
+  };
+
+  const canDelete = (attachment: any) => isStaff || attachment.uploadedBy === user?.uid;
+
+  return (
+    <View style={styles.gallery}>
+      <View style={styles.header}>
+        <ThemedText style={styles.title}>{title}</ThemedText>
+        {canAdd && (
+          <TouchableOpacity style={styles.secondaryButton} onPress={add}>
+            <ThemedText style={styles.secondaryButtonText}>
+              {parentCollection === 'leases' ? 'Add document' : 'Add photos'}
+            </ThemedText>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading && <ActivityIndicator color="#2c4c9c" />}
+      {error && <ThemedText style={styles.errorText}>Could not load files: {error.message}</ThemedText>}
+      {actionError && <ThemedText style={styles.errorText}>{actionError}</ThemedText>}
+      {!loading && !error && attachments.length === 0 && uploads.length === 0 && (
+        <ThemedText style={styles.hint}>{emptyText ?? 'Nothing attached yet.'}</ThemedText>
+      )}
+
+      <View style={styles.grid}>
+        {attachments.map(attachment => (
+          <View key={attachment.id} style={styles.tile}>
+            <TouchableOpacity onPress={() => openBrowserAsync(attachment.downloadUrl)}>
+              {attachment.thumbnailUrl ? (
+                <Image source={{ uri: attachment.thumbnailUrl }} style={styles.thumbnail} />
+              ) : (
+                <View style={[styles.thumbnail, styles.fileIcon]}>
+                  <ThemedText style={styles.fileIconText}>📄</ThemedText>
+                </View>
+              )}
+            </TouchableOpacity>
+            <ThemedText style={styles.fileName} numberOfLines={1}>
+              {attachment.fileName}
+            </ThemedText>
+            <View style={styles.tileActions}>
+              <TouchableOpacity onPress={() => share(attachment)}>
+                <ThemedText style={styles.linkText}>Share</ThemedText>
+              </TouchableOpacity>
+              {canDelete(attachment) && (
+                <TouchableOpacity onPress={() => remove(attachment)}>
+                  <ThemedText style={styles.deleteText}>
+                    {confirmDeleteId === attachment.id ? 'Confirm' : 'Delete'}
+                  </ThemedText>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        ))}
+
+        {uploads.map(upload => (
+          <View key={upload.key} style={styles.tile}>
+            <View style={[styles.thumbnail, styles.fileIcon]}>
+              {upload.error ? (
+                <ThemedText style={styles.fileIconText}>⚠️</ThemedText>
+              ) : (
+                <View style={styles.progressTrack}>
+                  <View style={[styles.progressBar, { width: `${Math.round(upload.progress * 100)}%` }]} />
+                </View>
+              )}
+            </View>
+            <ThemedText style={styles.fileName} numberOfLines={1}>
+              {upload.file.name}
+            </ThemedText>
+            {upload.error ? (
+              <>
+                <ThemedText style={styles.errorText} numberOfLines={3}>
+                  {upload.error}
+                </ThemedText>
+                <View style={styles.uploadActions}>
+                  <TouchableOpacity onPress={() => start(upload.key, upload.file)}>
+                    <ThemedText style={styles.linkText}>Retry</ThemedText>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => setUploads(current => current.filter(item => item.key !== upload.key))}
+                  >
+                    <ThemedText style={styles.deleteText}>Dismiss</ThemedText>
+                  </TouchableOpacity>
+                </View>
+              </>
+            ) : (
+              <ThemedText style={styles.hint}>Uploading… {Math.round(upload.progress * 100)}%</ThemedText>
+            )}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  gallery: {
+    gap: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0f172a',
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+  },
+  tile: {
+    width: 104,
+    gap: 4,
+  },
+  thumbnail: {
+    width: 104,
+    height: 104,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  fileIcon: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  fileIconText: {
+    fontSize: 32,
+    lineHeight: 40,
+  },
+  fileName: {
+    fontSize: 12,
+    color: '#334155',
+  },
+  progressTrack: {
+    width: 80,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#e2e8f0',
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: '#2c4c9c',
+  },
+  tileActions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  uploadActions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  linkText: {
+    fontSize: 12,
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+  deleteText: {
+    fontSize: 12,
+    color: '#b91c1c',
+  },
+  errorText: {
+    fontSize: 12,
+    color: '#b91c1c',
+  },
+  secondaryButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#2c4c9c',
+  },
+  secondaryButtonText: {
+    color: '#2c4c9c',
+    fontWeight: '600',
+  },
+});
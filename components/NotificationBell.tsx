@@ -0,0 +1,56 @@
+import { useRouter } from 'expo-router';
+import React from 'react';
+import { StyleSheet, TouchableOpacity, View } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useNotifications } from '@/hooks/useNotifications';
+
+/** Opens the notification center, with a badge counting unread notifications. */
+export function NotificationBell() {
+  const router = useRouter();
+  const { unreadCount } = useNotifications();
+
+  return (
+    <TouchableOpacity
+      style={styles.button}
+      onPress={() => router.push('/notifications')}
+      accessibilityLabel={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+    >
+      <ThemedText style={styles.text}>🔔</ThemedText>
+      {unreadCount > 0 && (
+        <View style={styles.badge}>
+          <ThemedText style={styles.badgeText}>{unreadCount > 99 ? '99+' : unreadCount}</ThemedText>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+  },
+  text: {
+    fontSize: 14,
+  },
+  badge: {
+    minWidth: 20,
+    paddingHorizontal: 6,
+    borderRadius: 10,
+    backgroundColor: '#b91c1c',
+    alignItems: 'center',
+  },
+  badgeText: {
+    fontSize: 12,
+    lineHeight: 18,
+    fontWeight: '600',
+    color: '#fff',
+  },
+});
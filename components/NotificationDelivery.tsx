@@ -0,0 +1,69 @@
+import { useRouter } from 'expo-router';
+import { useEffect, useRef } from 'react';
+
+import { useNotifications } from '@/hooks/useNotifications';
+import {
+  enableLocalNotifications,
+  onLocalNotificationOpened,
+  presentLocalNotification,
+  setUnreadBadge,
+} from '@/services/localNotifications';
+import { markNotificationPushed, markNotificationRead } from '@/services/notifications';
+
+/**
+ * Shows each new notification for the signed-in user as a local notification on the
+ * device, once, and keeps the app icon badge at the unread count. Tapping a local
+ * notification marks it read and opens its screen. Renders nothing.
+ */
+export function NotificationDelivery() {
+  const router = useRouter();
+  const { notifications, unreadCount } = useNotifications();
+  const permission = useRef<Promise<boolean> | null>(null);
+  // Presented in this session, so a notification is not shown again before `pushed` syncs
+  const presented = useRef(new Set<string>());
+
+  useEffect(() => {
+    const waiting = notifications.filter(
+      notification => !notification.read && !notification.pushed && !presented.current.has(notification.id)
+    );
+    if (waiting.length === 0) {
+      return;
+    }
+
+    permission.current = permission.current ?? enableLocalNotifications().catch(() => false);
+    permission.current.then(async (allowed) => {
+      if (!allowed) {
+        return; // They are still listed in the notification center
+      }
+      for (const notification of waiting) {
+        if (presented.current.has(notification.id)) {
+          continue;
+        }
+        presented.current.add(notification.id);
+        try {
+          await presentLocalNotification(notification);
+          await markNotificationPushed(notification.id);
+        } catch {
+          // Still listed in the notification center
+        }
+      }
+    });
+  }, [notifications]);
+
+  useEffect(() => {
+    setUnreadBadge(unreadCount).catch(() => {});
+  }, [unreadCount]);
+
+  useEffect(
+    () =>
+      onLocalNotificationOpened(({ notificationId, link }: { notificationId?: string; link?: string | null }) => {
+        if (notificationId) {
+          markNotificationRead(notificationId).catch(() => {});
+        }
+        router.push(link || '/notifications');
+      }),
+    [router]
+  );
+
+  return null;
+}
@@ -0,0 +1,34 @@
+import { useEffect } from 'react';
+import { AppState } from 'react-native';
+
+import { runReminders } from '@/services/notifications';
+
+const SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Failures are logged by runReminders and the next scan tries again
+const scan = () => {
+  runReminders().catch(() => {});
+};
+
+/**
+ * Sends due lease and rent reminders while a staff member has the app open: once on
+ * start, every hour and whenever the app returns to the foreground. Each reminder is
+ * sent once however often this scans. Renders nothing.
+ */
+export function ReminderSchedule() {
+  useEffect(() => {
+    scan();
+    const interval = setInterval(scan, SCAN_INTERVAL_MS);
+    const subscription = AppState.addEventListener('change', (appState) => {
+      if (appState === 'active') {
+        scan();
+      }
+    });
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, []);
+
+  return null;
+}
@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+import { StyleSheet, TouchableOpacity } from 'react-native';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useAuth } from '@/contexts/AuthContext';
+
+export function SignOutButton() {
+  const { signOut } = useAuth();
+  const [signingOut, setSigningOut] = useState(false);
+
+  const handlePress = async () => {
+    setSigningOut(true);
+    try {
+      await signOut();
+    } finally {
+      setSigningOut(false);
+    }
+  };
+
+  return (
+    <TouchableOpacity style={styles.button} onPress={handlePress} disabled={signingOut}>
+      <ThemedText style={styles.text}>{signingOut ? 'Signing out…' : 'Sign out'}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#cbd5e1',
+  },
+  text: {
+    fontSize: 14,
+    color: '#334155',
+  },
+});
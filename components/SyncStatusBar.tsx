@@ -0,0 +1,97 @@
+import { useRouter } from 'expo-router';
+import React, { useEffect } from 'react';
+import { AppState, StyleSheet, TouchableOpacity } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+
+import { ThemedText } from '@/components/ThemedText';
+import { useSyncStatus } from '@/hooks/useSyncStatus';
+import { flushQueue } from '@/services/offlineQueue';
+
+const RETRY_INTERVAL_MS = 15000;
+
+const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Banner above the tabs showing offline and sync state. Hidden while online with
+ * nothing queued; otherwise retries queued writes every 15 seconds and when the app
+ * returns to the foreground, and opens the sync screen when tapped.
+ */
+export function SyncStatusBar() {
+  const router = useRouter();
+  const { top } = useSafeAreaInsets();
+  const { online, syncing, items, pending, conflicts, failed } = useSyncStatus();
+
+  useEffect(() => {
+    if (pending === 0) {
+      return;
+    }
+    const interval = setInterval(flushQueue, RETRY_INTERVAL_MS);
+    const subscription = AppState.addEventListener('change', (appState) => {
+      if (appState === 'active') {
+        flushQueue();
+      }
+    });
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [pending]);
+
+  if (online && !syncing && items.length === 0) {
+    return null;
+  }
+
+  let message: string;
+  let tone: 'neutral' | 'warning' | 'error' = 'neutral';
+  if (conflicts > 0) {
+    message = `${plural(conflicts, 'change')} conflict with newer edits · Review`;
+    tone = 'warning';
+  } else if (failed > 0) {
+    message = `${plural(failed, 'change')} could not be saved · Review`;
+    tone = 'error';
+  } else if (!online) {
+    message = pending > 0 ? `Offline · ${plural(pending, 'change')} waiting to sync` : 'Offline · changes will sync when you reconnect';
+  } else if (syncing) {
+    message = `Syncing ${plural(pending, 'change')}…`;
+  } else {
+    message = `${plural(pending, 'change')} waiting to sync`;
+  }
+
+  return (
+    <TouchableOpacity
+      style={[styles.bar, styles[tone], { paddingTop: top + 6 }]}
+      activeOpacity={0.8}
+      onPress={() => router.push('/sync')}
+    >
+      <ThemedText style={[styles.text, tone === 'error' && styles.errorText]}>{message}</ThemedText>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    paddingHorizontal: 16,
+    paddingBottom: 6,
+    borderBottomWidth: 1,
+  },
+  neutral: {
+    backgroundColor: '#f1f5f9',
+    borderBottomColor: '#cbd5e1',
+  },
+  warning: {
+    backgroundColor: '#fffbeb',
+    borderBottomColor: '#f59e0b',
+  },
+  error: {
+    backgroundColor: '#fef2f2',
+    borderBottomColor: '#fca5a5',
+  },
+  text: {
+    fontSize: 13,
+    color: '#334155',
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#b91c1c',
+  },
+});
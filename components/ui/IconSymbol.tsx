@@ -13,6 +13,9 @@ const MAPPING = {
   'paperplane.fill': 'send',
   'chevron.left.forwardslash.chevron.right': 'code',
   'chevron.right': 'chevron-right',
+  'wrench.fill': 'build',
+  'building.2.fill': 'apartment',
+  'creditcard.fill': 'payment',
 } as Partial<
   Record<
     import('expo-symbols').SymbolViewProps['name'],
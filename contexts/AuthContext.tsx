@@ -0,0 +1,91 @@
+import React, { createContext, useContext, useEffect, useMemo, useState, type PropsWithChildren } from 'react';
+import {
+  onAuthStateChanged,
+  sendPasswordResetEmail,
+  signInWithEmailAndPassword,
+  signOut as firebaseSignOut,
+  type User,
+} from 'firebase/auth';
+
+import { auth } from '@/firebaseConfig';
+import { clearOfflineQueue, restoreOfflineQueue } from '@/services/offlineQueue';
+
+type AuthContextValue = {
+  user: User | null;
+  initializing: boolean;
+  signIn: (email: string, password: string) => Promise<void>;
+  signOut: () => Promise<void>;
+  resetPassword: (email: string) => Promise<void>;
+};
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+// Firebase Auth error codes mapped to messages a landlord can act on
+const AUTH_ERROR_MESSAGES: Record<string, string> = {
+  'auth/invalid-email': 'That email address is not valid.',
+  'auth/missing-email': 'Enter your email address.',
+  'auth/missing-password': 'Enter your password.',
+  'auth/invalid-credential': 'Email or password is incorrect.',
+  'auth/user-not-found': 'Email or password is incorrect.',
+  'auth/wrong-password': 'Email or password is incorrect.',
+  'auth/user-disabled': 'This account has been disabled.',
+  'auth/too-many-requests': 'Too many attempts. Try again in a few minutes.',
+  'auth/network-request-failed': 'No connection. Check your network and try again.',
+};
+
+export function getAuthErrorMessage(error: unknown): string {
+  const code = (error as { code?: string })?.code;
+  if (code && AUTH_ERROR_MESSAGES[code]) {
+    return AUTH_ERROR_MESSAGES[code];
+  }
+  return error instanceof Error ? error.message : 'Something went wrong. Please try again.';
+}
+
+/**
+ * Tracks the Firebase Auth session (persisted with AsyncStorage on native) and
+ * exposes sign-in, sign-out and password reset to the rest of the app.
+ */
+export function AuthProvider({ children }: PropsWithChildren) {
+  const [user, setUser] = useState<User | null>(null);
+  const [initializing, setInitializing] = useState(true);
+
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (nextUser) => {
+      setUser(nextUser);
+      setInitializing(false);
+    });
+    return unsubscribe;
+  }, []);
+
+  // Writes queued offline in an earlier session are replayed once the connection is back
+  useEffect(() => {
+    restoreOfflineQueue();
+  }, []);
+
+  const value = useMemo<AuthContextValue>(
+    () => ({
+      user,
+      initializing,
+      signIn: async (email, password) => {
+        await signInWithEmailAndPassword(auth, email.trim(), password);
+      },
+      // Queued offline writes belong to this session and must not replay as the next user
+      signOut: async () => {
+        await clearOfflineQueue();
+        await firebaseSignOut(auth);
+      },
+      resetPassword: (email) => sendPasswordResetEmail(auth, email.trim()),
+    }),
+    [user, initializing]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+}
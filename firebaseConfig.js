@@ -1,6 +1,6 @@
 import { initializeApp } from "firebase/app";
 import { getAuth, initializeAuth, getReactNativePersistence } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from "firebase/firestore";
 import { getStorage } from "firebase/storage";
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
@@ -29,16 +29,20 @@ const firebaseConfig = {
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
-let auth;
 
-if (Platform.OS === 'web') {
-  auth = getAuth(app);
-} else {
-  auth = initializeAuth(app, {
+// Keep the session on native devices between launches
+const auth = Platform.OS === 'web'
+  ? getAuth(app)
+  : initializeAuth(app, {
     persistence: getReactNativePersistence(AsyncStorage)
   });
-}
 
-export const db = getFirestore(app);
+// Cache Firestore data in IndexedDB on web so screens keep working offline.
+// React Native has no IndexedDB, so native builds use the default in-memory cache.
+export const db = Platform.OS === 'web'
+  ? initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+  })
+  : getFirestore(app);
 export const storage = getStorage(app);
 export { auth };
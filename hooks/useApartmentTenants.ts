@@ -0,0 +1,48 @@
+import { useEffect, useState } from 'react';
+
+import { subscribeToApartmentTenants } from '@/Functions';
+
+/**
+ * Follows an apartment's active tenancies live, each with its `user` document attached.
+ */
+export function useApartmentTenants(apartmentId: string | undefined) {
+  const [tenants, setTenants] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  useEffect(() => {
+    if (!apartmentId) {
+      setTenants([]);
+      setLoading(false);
+      return;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToApartmentTenants(
+      apartmentId,
+      (result: any[]) => {
+        if (active) {
+          setTenants(result);
+          setError(null);
+          setLoading(false);
+        }
+      },
+      (e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+          setLoading(false);
+        }
+      }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [apartmentId]);
+
+  return { tenants, loading, error };
+}
@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { subscribeToAllApartments } from '@/Functions';
+
+const PAGE_SIZE = 50;
+
+/**
+ * Follows the apartment list live, a page at a time: `loadMore` widens the subscription
+ * by another page while `hasMore` is true. `refreshing` is only set by `refresh`, which
+ * restarts the subscription, so pull-to-refresh can show its own spinner over the list.
+ */
+export function useApartments() {
+  const [apartments, setApartments] = useState<any[]>([]);
+  const [pages, setPages] = useState(1);
+  // Bumped by `refresh` to restart the subscription
+  const [generation, setGeneration] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+
+  useEffect(() => {
+    let active = true;
+    setError(null);
+
+    const settle = () => {
+      setLoading(false);
+      setRefreshing(false);
+      setLoadingMore(false);
+    };
+
+    const unsubscribe = subscribeToAllApartments(
+      (page: { apartments: any[]; hasMore: boolean }) => {
+        if (active) {
+          setApartments(page.apartments);
+          setHasMore(page.hasMore);
+          setError(null);
+          settle();
+        }
+      },
+      (e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+          settle();
+        }
+      },
+      { pageSize: PAGE_SIZE * pages }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [pages, generation]);
+
+  const refresh = useCallback(() => {
+    setRefreshing(true);
+    setGeneration(current => current + 1);
+  }, []);
+
+  const loadMore = useCallback(() => {
+    if (!hasMore || loadingMore || loading) {
+      return;
+    }
+    setLoadingMore(true);
+    setPages(current => current + 1);
+  }, [hasMore, loadingMore, loading]);
+
+  return { apartments, loading, refreshing, loadingMore, hasMore, error, refresh, loadMore };
+}
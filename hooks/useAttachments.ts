@@ -0,0 +1,49 @@
+import { useEffect, useState } from 'react';
+
+import { subscribeToAttachments } from '@/services/attachments';
+
+/**
+ * Follows the files attached to a lease, repair request or apartment live, oldest first.
+ */
+export function useAttachments(parentCollection: string, parentId: string | undefined) {
+  const [attachments, setAttachments] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  useEffect(() => {
+    if (!parentId) {
+      setAttachments([]);
+      setLoading(false);
+      return;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToAttachments(
+      parentCollection,
+      parentId,
+      (result: any[]) => {
+        if (active) {
+          setAttachments(result);
+          setError(null);
+          setLoading(false);
+        }
+      },
+      (e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+          setLoading(false);
+        }
+      }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [parentCollection, parentId]);
+
+  return { attachments, loading, error };
+}
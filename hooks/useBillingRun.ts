@@ -0,0 +1,42 @@
+import { useCallback, useState } from 'react';
+
+import { runReminders } from '@/services/notifications';
+import { applyLateFees, generateMonthlyCharges, getBillingPeriod } from '@/services/payments';
+
+type BillingResult = {
+  period: string;
+  created: number;
+  lateFees: number;
+  reminders: number;
+};
+
+/**
+ * The staff billing action on the dashboard: `run` generates this month's rent charges,
+ * adds late fees to overdue ones and then sends the lease and rent reminders that are due.
+ * Every step is idempotent, so running it again the same month only picks up what changed.
+ * `result` describes the last run.
+ */
+export function useBillingRun() {
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState<BillingResult | null>(null);
+  const [error, setError] = useState<Error | null>(null);
+
+  const run = useCallback(async () => {
+    setRunning(true);
+    setError(null);
+    try {
+      const now = new Date();
+      const { period, created } = await generateMonthlyCharges(getBillingPeriod(now));
+      const { applied } = await applyLateFees({ now });
+      // After billing, so reminders see this month's charges and late fees
+      const reminders = await runReminders();
+      setResult({ period, created, lateFees: applied, reminders: reminders.created });
+    } catch (e) {
+      setError(e instanceof Error ? e : new Error(String(e)));
+    } finally {
+      setRunning(false);
+    }
+  }, []);
+
+  return { run, running, result, error };
+}
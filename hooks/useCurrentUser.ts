@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+
+import { useAuth } from '@/contexts/AuthContext';
+import { getUser } from '@/Functions';
+
+/**
+ * The signed-in Firebase user together with their `users` document, which is
+ * stored under the same ID as the Auth UID. `profile` is null while signed out.
+ * Until the document for the current user has loaded, `loading` is true and `profile`
+ * is null, including the first render after a sign-in or a switch of account.
+ */
+export function useCurrentUser() {
+  const { user, initializing } = useAuth();
+  // The profile remembers whose it is, so a new sign-in never sees the previous state
+  const [loaded, setLoaded] = useState<{ uid: string; profile: any | null; error: Error | null } | null>(null);
+
+  useEffect(() => {
+    if (initializing || !user) {
+      return;
+    }
+
+    let active = true;
+    getUser(user.uid)
+      .then((userDoc) => {
+        if (active) {
+          setLoaded({ uid: user.uid, profile: userDoc, error: null });
+        }
+      })
+      .catch((e) => {
+        if (active) {
+          setLoaded({ uid: user.uid, profile: null, error: e instanceof Error ? e : new Error(String(e)) });
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [user, initializing]);
+
+  const current = user && loaded?.uid === user.uid ? loaded : null;
+  return {
+    user,
+    profile: current?.profile ?? null,
+    loading: initializing || (!!user && !current),
+    error: current?.error ?? null,
+  };
+}
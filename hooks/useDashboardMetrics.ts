@@ -0,0 +1,93 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { subscribeToAllApartments, subscribeToDocuments } from '@/Functions';
+import { subscribeToRecentAuditEntries } from '@/services/auditLog';
+import { getBillingPeriod, subscribeToChargesForPeriods } from '@/services/payments';
+import { computeDashboardMetrics, type DashboardMetrics } from '@/utils/dashboardMetrics';
+
+type Sources = {
+  buildings?: any[];
+  apartments?: any[];
+  tenantApartments?: any[];
+  users?: any[];
+  rentCharges?: any[];
+  auditEntries?: any[];
+};
+
+// Entries shown in the Recent Activity widget
+const RECENT_ACTIVITY_COUNT = 5;
+
+/**
+ * Follows the buildings, apartments, tenantApartments and users collections, this and
+ * last month's rent charges and the newest audit log entries live, and derives the
+ * Property Dashboard figures from them whenever any of them changes. The hook only reads;
+ * staff bill the month from the dashboard (see `useBillingRun`). `metrics` stays null
+ * until every collection has arrived; `isEmpty` is true when there are no apartments to
+ * report on yet.
+ */
+export function useDashboardMetrics() {
+  const [metrics, setMetrics] = useState<DashboardMetrics | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  // Bumped by `refresh` to restart the subscriptions
+  const [generation, setGeneration] = useState(0);
+
+  useEffect(() => {
+    let active = true;
+    const unsubscribes: (() => void)[] = [];
+    const latest: Sources = {};
+    setLoading(true);
+    setError(null);
+
+    const now = new Date();
+    const periods = [getBillingPeriod(now), getBillingPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1))];
+
+    const fail = (e: unknown) => {
+      if (active) {
+        setError(e instanceof Error ? e : new Error(String(e)));
+        setLoading(false);
+      }
+    };
+
+    const receive = (source: keyof Sources) => (documents: any[]) => {
+      if (!active) {
+        return;
+      }
+      latest[source] = documents;
+      const { buildings, apartments, tenantApartments, users, rentCharges, auditEntries } = latest;
+      if (buildings && apartments && tenantApartments && users && rentCharges && auditEntries) {
+        setMetrics(
+          computeDashboardMetrics(buildings, apartments, tenantApartments, users, rentCharges, auditEntries, new Date())
+        );
+        setError(null);
+        setLoading(false);
+      }
+    };
+
+    unsubscribes.push(
+      subscribeToDocuments('buildings', receive('buildings'), fail),
+      subscribeToAllApartments(({ apartments }: { apartments: any[] }) => receive('apartments')(apartments), fail),
+      subscribeToDocuments('tenantApartments', receive('tenantApartments'), fail),
+      subscribeToDocuments('users', receive('users'), fail),
+      subscribeToChargesForPeriods(periods, receive('rentCharges'), fail),
+      subscribeToRecentAuditEntries(RECENT_ACTIVITY_COUNT, receive('auditEntries'), fail)
+    );
+
+    return () => {
+      active = false;
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+    };
+  }, [generation]);
+
+  const refresh = useCallback(() => {
+    setGeneration(current => current + 1);
+  }, []);
+
+  return {
+    metrics,
+    loading,
+    error,
+    refresh,
+    isEmpty: !!metrics && metrics.totalApartments === 0,
+  };
+}
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { useAuth } from '@/contexts/AuthContext';
+import { subscribeToNotifications } from '@/services/notifications';
+
+// Notifications kept in the notification center
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Follows the signed-in user's newest notifications live, newest first, with the number
+ * still unread. Restarts when another user signs in; `refresh` restarts the subscription,
+ * e.g. after an error.
+ */
+export function useNotifications() {
+  const { user } = useAuth();
+  const uid = user?.uid ?? null;
+  const [notifications, setNotifications] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  // Bumped by `refresh` to restart the subscription
+  const [generation, setGeneration] = useState(0);
+
+  useEffect(() => {
+    if (!uid) {
+      setNotifications([]);
+      setLoading(false);
+      return;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToNotifications(
+      NOTIFICATION_LIMIT,
+      (result: any[]) => {
+        if (active) {
+          setNotifications(result);
+          setError(null);
+          setLoading(false);
+        }
+      },
+      (e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+          setLoading(false);
+        }
+      }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [uid, generation]);
+
+  const refresh = useCallback(() => {
+    setGeneration(current => current + 1);
+  }, []);
+
+  const unreadCount = notifications.filter(notification => !notification.read).length;
+
+  return { notifications, unreadCount, loading, error, refresh };
+}
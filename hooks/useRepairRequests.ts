@@ -0,0 +1,51 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { subscribeToRepairRequests } from '@/services/repairRequests';
+
+/**
+ * Follows the repair request queue live, in triage order. `filters` is passed straight to
+ * `subscribeToRepairRequests` ({ status, priority, apartmentId, tenantId }); `refresh`
+ * restarts the subscription, e.g. after an error.
+ */
+export function useRepairRequests(filters: { status?: string; priority?: string; apartmentId?: string; tenantId?: string } = {}) {
+  const [requests, setRequests] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  // Bumped by `refresh` to restart the subscription
+  const [generation, setGeneration] = useState(0);
+  const { status, priority, apartmentId, tenantId } = filters;
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    const unsubscribe = subscribeToRepairRequests(
+      { status, priority, apartmentId, tenantId },
+      (result: any[]) => {
+        if (active) {
+          setRequests(result);
+          setError(null);
+          setLoading(false);
+        }
+      },
+      (e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+          setLoading(false);
+        }
+      }
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [status, priority, apartmentId, tenantId, generation]);
+
+  const refresh = useCallback(() => {
+    setGeneration(current => current + 1);
+  }, []);
+
+  return { requests, loading, error, refresh };
+}
@@ -0,0 +1,45 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import { SETTINGS_DEFAULTS, getSettings } from '@/services/settings';
+
+export type PortfolioSettings = typeof SETTINGS_DEFAULTS;
+
+/**
+ * Loads the portfolio settings. `settings` starts as SETTINGS_DEFAULTS so screens can
+ * format money before the saved values arrive, and stays on them if loading fails.
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState<PortfolioSettings>(SETTINGS_DEFAULTS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  const mounted = useRef(true);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await getSettings();
+      if (mounted.current) {
+        setSettings(result);
+      }
+    } catch (e) {
+      if (mounted.current) {
+        setError(e instanceof Error ? e : new Error(String(e)));
+      }
+    } finally {
+      if (mounted.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    mounted.current = true;
+    refresh();
+    return () => {
+      mounted.current = false;
+    };
+  }, [refresh]);
+
+  return { settings, loading, error, refresh, setSettings };
+}
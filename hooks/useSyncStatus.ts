@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+
+import { getSyncState, subscribeToSyncState } from '@/services/offlineQueue';
+
+/**
+ * Follows the offline write queue: whether the app is online, whether queued writes
+ * are being replayed, and how many are waiting, in conflict or rejected.
+ */
+export function useSyncStatus() {
+  const [state, setState] = useState(getSyncState);
+
+  useEffect(() => {
+    setState(getSyncState());
+    return subscribeToSyncState(setState);
+  }, []);
+
+  const count = (status: string) => state.items.filter((item: any) => item.status === status).length;
+
+  return {
+    ...state,
+    pending: count('pending'),
+    conflicts: count('conflict'),
+    failed: count('failed'),
+  };
+}
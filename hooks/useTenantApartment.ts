@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { useAuth } from '@/contexts/AuthContext';
+import { getLeaseDetails, getTenantApartment } from '@/Functions';
+
+/**
+ * The signed-in tenant's current apartment (with their `tenancy`) and its lease details.
+ * `apartment` is null when they are not assigned to a unit, `lease` when the tenancy has
+ * no lease on record. `refresh` loads both again.
+ */
+export function useTenantApartment() {
+  const { user } = useAuth();
+  const uid = user?.uid;
+  const [apartment, setApartment] = useState<any | null>(null);
+  const [lease, setLease] = useState<any | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  // Bumped by `refresh` to load again
+  const [generation, setGeneration] = useState(0);
+
+  useEffect(() => {
+    if (!uid) {
+      setApartment(null);
+      setLease(null);
+      setLoading(false);
+      return;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    const load = async () => {
+      const apartmentData: any = await getTenantApartment(uid);
+      // A tenancy without a lease is still a home; only the lease section stays empty
+      const leaseData = apartmentData ? await getLeaseDetails(apartmentData.tenancy.id).catch(() => null) : null;
+      return { apartmentData, leaseData };
+    };
+
+    load()
+      .then(({ apartmentData, leaseData }) => {
+        if (active) {
+          setApartment(apartmentData);
+          setLease(leaseData);
+        }
+      })
+      .catch((e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [uid, generation]);
+
+  const refresh = useCallback(() => {
+    setGeneration(current => current + 1);
+  }, []);
+
+  return { apartment, lease, loading, error, refresh };
+}
@@ -0,0 +1,57 @@
+import { useCallback, useEffect, useState } from 'react';
+
+import { useAuth } from '@/contexts/AuthContext';
+import { getTenantBalance } from '@/services/payments';
+
+/**
+ * The signed-in tenant's rent charges, payments and outstanding balance
+ * (see `getTenantBalance`). `refresh` loads them again.
+ */
+export function useTenantBalance() {
+  const { user } = useAuth();
+  const uid = user?.uid;
+  const [balance, setBalance] = useState<any | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  // Bumped by `refresh` to load again
+  const [generation, setGeneration] = useState(0);
+
+  useEffect(() => {
+    if (!uid) {
+      setBalance(null);
+      setLoading(false);
+      return;
+    }
+
+    let active = true;
+    setLoading(true);
+    setError(null);
+
+    getTenantBalance(uid)
+      .then((result: any) => {
+        if (active) {
+          setBalance(result);
+        }
+      })
+      .catch((e: unknown) => {
+        if (active) {
+          setError(e instanceof Error ? e : new Error(String(e)));
+        }
+      })
+      .finally(() => {
+        if (active) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [uid, generation]);
+
+  const refresh = useCallback(() => {
+    setGeneration(current => current + 1);
+  }, []);
+
+  return { balance, loading, error, refresh };
+}
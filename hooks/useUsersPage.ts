@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+import { getUsersPage } from '@/Functions';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Pages through the users collection with `getUsersPage`. Changing `search` starts
+ * again from the first page; `loadMore` appends the next page while `hasMore` is true.
+ */
+export function useUsersPage(search = '') {
+  const [users, setUsers] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const cursor = useRef<any>(null);
+  const mounted = useRef(true);
+  // Ignores pages that arrive after the search has changed again
+  const requestId = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const id = ++requestId.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await getUsersPage({ search, pageSize: PAGE_SIZE });
+      if (mounted.current && id === requestId.current) {
+        cursor.current = page.cursor;
+        setUsers(page.users);
+        setHasMore(page.hasMore);
+      }
+    } catch (e) {
+      if (mounted.current && id === requestId.current) {
+        setError(e instanceof Error ? e : new Error(String(e)));
+      }
+    } finally {
+      if (mounted.current && id === requestId.current) {
+        setLoading(false);
+      }
+    }
+  }, [search]);
+
+  const loadMore = useCallback(async () => {
+    if (!hasMore || loadingMore) {
+      return;
+    }
+    const id = requestId.current;
+    setLoadingMore(true);
+    try {
+      const page = await getUsersPage({ search, pageSize: PAGE_SIZE, cursor: cursor.current });
+      if (mounted.current && id === requestId.current) {
+        cursor.current = page.cursor;
+        setUsers(current => [...current, ...page.users]);
+        setHasMore(page.hasMore);
+      }
+    } catch (e) {
+      if (mounted.current && id === requestId.current) {
+        setError(e instanceof Error ? e : new Error(String(e)));
+      }
+    } finally {
+      if (mounted.current) {
+        setLoadingMore(false);
+      }
+    }
+  }, [search, hasMore, loadingMore]);
+
+  // Swap in a user returned by an update without reloading every page
+  const replaceUser = useCallback((updated: any) => {
+    setUsers(current => current.map(user => (user.id === updated.id ? { ...user, ...updated } : user)));
+  }, []);
+
+  useEffect(() => {
+    mounted.current = true;
+    refresh();
+    return () => {
+      mounted.current = false;
+    };
+  }, [refresh]);
+
+  return { users, loading, loadingMore, error, hasMore, refresh, loadMore, replaceUser };
+}
@@ -0,0 +1,420 @@
+/*
+* FILE        : attachments.js
+*
+* Description : Files attached to records: signed lease scans on a lease, photos on a
+*               repair request and unit photos on an apartment. Blobs live in Firebase
+*               Storage and each one has a document in `attachments` that galleries list.
+*               Photos are compressed and get a thumbnail before upload (imageProcessing.js);
+*               uploads report progress and retry transient failures. Deleting a record
+*               deletes its attachments (deleteAttachmentsFor). storage.rules enforces the
+*               same type, size and access limits on the server.
+*
+*
+* DATABASE STRUCTURE
+*
+* Attachments Collection:
+* - id (auto-generated)
+* - parentCollection: 'leases' | 'repairRequests' | 'apartments'
+* - parentId: string (reference to the record the file is attached to)
+* - fileName: string
+* - contentType: string
+* - size: number (bytes, after compression)
+* - storagePath: string (`attachments/{parentCollection}/{parentId}/{attachmentId}`)
+* - thumbnailPath: string | null (the same path with a `_thumb.jpg` suffix; images only)
+* - downloadUrl: string
+* - thumbnailUrl: string | null
+* - width: number | null
+* - height: number | null
+* - documentType: 'lease-agreement' | 'rent-receipt' | null (set on documents the app generated)
+* - subjectId: string | null (what a generated document is about, e.g. the payment a receipt is for)
+* - uploadedBy: string (reference to user)
+* - createdAt: timestamp
+*
+* ACCESS
+*
+* - staff   : everything
+* - tenants : view the attachments on their own lease, repair requests and apartment,
+*             add photos to their own repair requests and delete the ones they added
+*
+*/
+
+/* eslint-env browser */
+
+import { storage } from '../firebaseConfig';
+import { appendAuditEntries, readAuditHead } from './auditLog';
+import { processImage } from './imageProcessing';
+import { PermissionDeniedError, getCurrentUserContext, isStaff } from './permissions';
+import { getRepository, subscribeAfter } from './repository';
+import { ValidationError, assertValidDocument, defineSchema } from './schemas';
+import { Timestamp } from 'firebase/firestore';
+import { deleteObject, getDownloadURL, ref, uploadBytesResumable } from 'firebase/storage';
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp'];
+
+// What can be attached to each kind of record
+export const ATTACHMENT_TYPES = {
+  leases: { label: 'lease document', contentTypes: ['application/pdf', ...IMAGE_TYPES], maxSize: 15 * MB, accepts: 'a PDF or an image' },
+  repairRequests: { label: 'repair photo', contentTypes: IMAGE_TYPES, maxSize: 10 * MB, accepts: 'an image' },
+  apartments: { label: 'unit photo', contentTypes: IMAGE_TYPES, maxSize: 10 * MB, accepts: 'an image' }
+};
+
+// Kinds of documents the app generates (see documents.js)
+export const DOCUMENT_TYPES = ['lease-agreement', 'rent-receipt'];
+
+// Times a failed upload is retried before giving up
+export const UPLOAD_RETRIES = 3;
+
+// Storage error codes worth another attempt; anything else (rules, quota, cancel) is final
+const RETRYABLE_CODES = ['storage/retry-limit-exceeded', 'storage/unknown', 'storage/server-file-wrong-size'];
+
+// Guessed from the file name when the picker does not say
+const EXTENSION_TYPES = { pdf: 'application/pdf', jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', heic: 'image/heic', webp: 'image/webp' };
+
+defineSchema('attachments', {
+  label: 'attachment',
+  fields: {
+    parentCollection: { type: 'enum', values: Object.keys(ATTACHMENT_TYPES), required: true, label: 'Attached to' },
+    parentId: { type: 'id', required: true, label: 'Record' },
+    fileName: { type: 'string', required: true },
+    contentType: { type: 'enum', values: ['application/pdf', ...IMAGE_TYPES], required: true, label: 'File type' },
+    size: { type: 'integer', positive: true, required: true },
+    storagePath: { type: 'string', required: true },
+    thumbnailPath: { type: 'string', nullable: true },
+    downloadUrl: { type: 'string', required: true },
+    thumbnailUrl: { type: 'string', nullable: true },
+    width: { type: 'number', nullable: true },
+    height: { type: 'number', nullable: true },
+    documentType: { type: 'enum', values: DOCUMENT_TYPES, nullable: true, label: 'Document type' },
+    subjectId: { type: 'id', nullable: true, label: 'Subject' },
+    uploadedBy: { type: 'id', required: true, label: 'Uploaded by' },
+    createdAt: { type: 'timestamp' }
+  }
+});
+
+let imageProcessor = processImage;
+
+// Replace how photos are compressed and thumbnailed, e.g. with a pass-through in tests.
+// `processor(file)` resolves { file, thumbnail }. Pass null to go back to imageProcessing.js.
+export const setImageProcessor = (processor) => {
+  imageProcessor = processor || processImage;
+};
+
+// 1536000 -> '1.5 MB'
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < MB) {
+    return `${Math.round(bytes / 1024)} KB`;
+  }
+  return `${Math.round((bytes / MB) * 10) / 10} MB`;
+};
+
+const isImage = (contentType) => IMAGE_TYPES.includes(contentType);
+
+const getContentType = (file) =>
+  file.type || EXTENSION_TYPES[String(file.name || '').split('.').pop().toLowerCase()] || 'application/octet-stream';
+
+// Check a file ({ type, size }) against the type and size limits for `parentCollection`.
+// The size is checked when known; uploads check it again after compression.
+export const checkAttachment = (parentCollection, file) => {
+  const limits = ATTACHMENT_TYPES[parentCollection];
+
+  if (!limits) {
+    throw new Error(`Files cannot be attached to ${parentCollection}`);
+  }
+
+  if (!limits.contentTypes.includes(file.type)) {
+    throw new ValidationError(limits.label, { contentType: `Choose ${limits.accepts}` });
+  }
+  if (file.size > limits.maxSize) {
+    throw new ValidationError(limits.label, {
+      size: `Files must be ${formatFileSize(limits.maxSize)} or smaller (this one is ${formatFileSize(file.size)})`
+    });
+  }
+};
+
+// Whether the signed-in user is a tenant the record belongs to, and whether they may add files to it
+const getTenantAccess = (context, parentCollection, parent) => {
+  switch (parentCollection) {
+    case 'apartments':
+      return { view: context.apartmentId === parent.id, add: false };
+    case 'leases':
+      return { view: parent.userId === context.uid, add: false };
+    case 'repairRequests':
+      return { view: parent.tenantId === context.uid, add: parent.tenantId === context.uid };
+    default:
+      return { view: false, add: false };
+  }
+};
+
+// Require the signed-in user to be allowed to view (or, with `add`, attach files to) a record
+const requireAttachmentAccess = async (parentCollection, parentId, add, action) => {
+  const context = await getCurrentUserContext();
+
+  if (!ATTACHMENT_TYPES[parentCollection]) {
+    throw new Error(`Files cannot be attached to ${parentCollection}`);
+  }
+  if (isStaff(context)) {
+    return context;
+  }
+  if (!context.uid || !context.role) {
+    throw new PermissionDeniedError(action, context.role);
+  }
+
+  const parent = await getRepository().get(parentCollection, parentId);
+  const access = parent ? getTenantAccess(context, parentCollection, { id: parentId, ...parent }) : {};
+
+  if (!(add ? access.add : access.view)) {
+    throw new PermissionDeniedError(action, context.role);
+  }
+  return context;
+};
+
+// The bytes to upload: `data` when given (Blob or Uint8Array), otherwise the file at `uri`
+const readFileData = async (file) => (file.data ? file.data : (await fetch(file.uri)).blob());
+
+const sizeOf = (data) => (data.size !== undefined ? data.size : data.byteLength);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upload one blob, calling `onBytes(bytesTransferred)` as it goes
+const uploadBlob = (path, data, metadata, onBytes) =>
+  new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, path), data, metadata);
+    task.on('state_changed', snapshot => onBytes(snapshot.bytesTransferred), reject, () => resolve());
+  });
+
+// Run `attempt`, retrying retryable storage errors with exponential backoff
+const withRetries = async (attempt, retries, retryDelay) => {
+  for (let tries = 0; ; tries += 1) {
+    try {
+      return await attempt();
+    } catch (error) {
+      if (tries >= retries || !RETRYABLE_CODES.includes(error.code)) {
+        throw error;
+      }
+      await wait(retryDelay * 2 ** tries);
+    }
+  }
+};
+
+// Delete blobs, ignoring ones that are already gone
+const deleteBlobs = (paths) =>
+  Promise.all(paths.filter(Boolean).map(path =>
+    deleteObject(ref(storage, path)).catch(error => {
+      if (error.code !== 'storage/object-not-found') {
+        throw error;
+      }
+    })
+  ));
+
+// Attach `file` to a record. `file` is { name, type, size, uri } as returned by the image and
+// document pickers, or { name, type, data } with the bytes. Photos are compressed and given a
+// thumbnail first. `onProgress(fraction)` follows the upload from 0 to 1; failed uploads are
+// retried `retries` times, waiting `retryDelay` ms and then twice as long each time.
+// Generated documents pass their `documentType` and `subjectId`.
+export const uploadAttachment = async (parentCollection, parentId, file, options = {}) => {
+  const {
+    onProgress = () => {},
+    retries = UPLOAD_RETRIES,
+    retryDelay = 1000,
+    documentType = null,
+    subjectId = null
+  } = options;
+
+  try {
+    // Check permissions
+    const context = await requireAttachmentAccess(parentCollection, parentId, true, `attach files to ${parentCollection}`);
+
+    const picked = { ...file, name: file.name || 'attachment', type: getContentType(file) };
+    checkAttachment(parentCollection, picked);
+
+    const processed = isImage(picked.type) ? await imageProcessor(picked) : { file: picked, thumbnail: null };
+    const [data, thumbnailData] = await Promise.all([
+      readFileData(processed.file),
+      processed.thumbnail ? readFileData(processed.thumbnail) : null
+    ]);
+    checkAttachment(parentCollection, { type: processed.file.type, size: sizeOf(data) });
+
+    const repository = getRepository();
+    const attachmentId = repository.newId('attachments');
+    const folder = `attachments/${parentCollection}/${parentId}`;
+    const storagePath = `${folder}/${attachmentId}`;
+    const thumbnailPath = thumbnailData ? `${folder}/${attachmentId}_thumb.jpg` : null;
+    const customMetadata = { uploadedBy: context.uid, attachmentId };
+
+    // Progress covers the file and its thumbnail together
+    const totalBytes = sizeOf(data) + (thumbnailData ? sizeOf(thumbnailData) : 0);
+    let uploadedBytes = 0;
+    const upload = async (path, blob, contentType) => {
+      await withRetries(
+        () => uploadBlob(path, blob, { contentType, customMetadata }, bytes => onProgress((uploadedBytes + bytes) / totalBytes)),
+        retries,
+        retryDelay
+      );
+      uploadedBytes += sizeOf(blob);
+    };
+
+    let attachment;
+    try {
+      await upload(storagePath, data, processed.file.type);
+      if (thumbnailData) {
+        await upload(thumbnailPath, thumbnailData, processed.thumbnail.type);
+      }
+
+      const [downloadUrl, thumbnailUrl] = await Promise.all([
+        getDownloadURL(ref(storage, storagePath)),
+        thumbnailPath ? getDownloadURL(ref(storage, thumbnailPath)) : null
+      ]);
+
+      attachment = {
+        parentCollection,
+        parentId,
+        fileName: processed.file.name,
+        contentType: processed.file.type,
+        size: sizeOf(data),
+        storagePath,
+        thumbnailPath,
+        downloadUrl,
+        thumbnailUrl,
+        width: processed.file.width || null,
+        height: processed.file.height || null,
+        documentType,
+        subjectId,
+        uploadedBy: context.uid,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+      assertValidDocument('attachments', attachment);
+
+      // The audit entry is written with the document
+      await repository.runTransaction(async (transaction) => {
+        const head = await readAuditHead(transaction);
+        transaction.set('attachments', attachmentId, attachment);
+        appendAuditEntries(transaction, head, context, [{
+          action: 'create',
+          entity: 'attachments',
+          entityId: attachmentId,
+          targetLabel: attachment.fileName,
+          after: attachment
+        }]);
+      });
+    } catch (error) {
+      // Without its document nothing would ever find the blobs again
+      await deleteBlobs([storagePath, thumbnailPath]).catch(() => {});
+      throw error;
+    }
+
+    return { id: attachmentId, ...attachment };
+  } catch (error) {
+    console.error('Error uploading attachment:', error);
+    throw error;
+  }
+};
+
+const attachmentQuery = (parentCollection, parentId) => ({
+  where: [['parentCollection', '==', parentCollection], ['parentId', '==', parentId]],
+  orderBy: [['createdAt', 'asc']]
+});
+
+// A record's attachments, oldest first
+export const getAttachments = async (parentCollection, parentId) => {
+  try {
+    // Check permissions
+    await requireAttachmentAccess(parentCollection, parentId, false, `view ${parentCollection} attachments`);
+
+    return await getRepository().find('attachments', attachmentQuery(parentCollection, parentId));
+  } catch (error) {
+    console.error('Error fetching attachments:', error);
+    throw error;
+  }
+};
+
+// Live counterpart of getAttachments: `onChange` gets the record's attachments now and after
+// each change. Returns an unsubscribe function.
+export const subscribeToAttachments = (parentCollection, parentId, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to attachments:', error);
+    onError(error);
+  };
+
+  return subscribeAfter(
+    requireAttachmentAccess(parentCollection, parentId, false, `view ${parentCollection} attachments`),
+    () => getRepository().subscribe('attachments', attachmentQuery(parentCollection, parentId), onChange, handleError),
+    handleError
+  );
+};
+
+// Delete an attachment and its blobs. Staff can delete any; tenants only the ones they added.
+export const deleteAttachment = async (attachmentId) => {
+  try {
+    const context = await getCurrentUserContext();
+    const repository = getRepository();
+    const attachment = await repository.get('attachments', attachmentId);
+
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    // Check permissions
+    if (!context.uid || !context.role || (!isStaff(context) && attachment.uploadedBy !== context.uid)) {
+      throw new PermissionDeniedError('delete attachments added by others', context.role);
+    }
+
+    // Blobs first, so a failure leaves the document behind to retry with
+    await deleteBlobs([attachment.storagePath, attachment.thumbnailPath]);
+    await repository.runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+      transaction.delete('attachments', attachmentId);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'delete',
+        entity: 'attachments',
+        entityId: attachmentId,
+        targetLabel: attachment.fileName,
+        before: attachment
+      }]);
+    });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    throw error;
+  }
+};
+
+// Delete every attachment on a record, blobs included. Called once the record itself has
+// been deleted. Returns how many were deleted; calling it again finishes an interrupted run.
+export const deleteAttachmentsFor = async (parentCollection, parentId) => {
+  try {
+    // Check permissions
+    const context = await getCurrentUserContext();
+
+    if (!isStaff(context)) {
+      throw new PermissionDeniedError(`delete ${parentCollection} attachments`, context.role);
+    }
+
+    const repository = getRepository();
+    const attachments = await repository.find('attachments', attachmentQuery(parentCollection, parentId));
+
+    // One at a time, as each deletion moves the audit chain
+    for (const attachment of attachments) {
+      await deleteBlobs([attachment.storagePath, attachment.thumbnailPath]);
+      await repository.runTransaction(async (transaction) => {
+        const head = await readAuditHead(transaction);
+        transaction.delete('attachments', attachment.id);
+        appendAuditEntries(transaction, head, context, [{
+          action: 'delete',
+          entity: 'attachments',
+          entityId: attachment.id,
+          targetLabel: attachment.fileName,
+          before: attachment
+        }]);
+      });
+    }
+
+    return attachments.length;
+  } catch (error) {
+    console.error('Error deleting attachments:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,246 @@
+/*
+* FILE        : auditLog.js
+*
+* Description : Append-only record of who changed what. The data functions log every change
+*               they make with the before/after value of each field. Entries are chained:
+*               each hash covers the entry and the hash before it, so editing or deleting an
+*               entry breaks the chain from that point on (see verifyAuditLog).
+*
+*               Entries are written in the same transaction as the change they describe
+*               (readAuditHead, then appendAuditEntries), so a change is never saved
+*               without its entry or logged without being saved. Not logged: notifications,
+*               and copies kept in sync with a logged change, such as a building's name on
+*               its apartments or the occupancy count a move-in or move-out adjusts.
+*
+*
+* DATABASE STRUCTURE
+*
+* AuditLog Collection:
+* - id (auto-generated)
+* - sequence: number (1 for the first entry, then one higher for each entry)
+* - actorId: string (reference to the user who made the change)
+* - actorRole: string
+* - action: 'create' | 'update' | 'delete' | 'assign-tenant' | 'remove-tenant' | 'status-change'
+* - entity: string (collection of the changed document)
+* - entityId: string
+* - targetLabel: string (readable name of the changed document, e.g. 'Unit A101')
+* - changes: { [field]: { before, after } } (null where the field was not set)
+* - createdAt: timestamp
+* - previousHash: string
+* - hash: string (SHA-256 of the other fields, previousHash included)
+*
+* AuditChain Collection:
+* - head: { sequence, hash, entryId } of the newest entry; appends read and move it in a
+*   transaction, and firestore.rules only lets it move forward onto an entry written with it
+*
+*/
+
+import { STAFF_ROLES, ADMIN_ONLY, requireRole } from './permissions';
+import { DOCUMENT_ID, getRepository, subscribeAfter } from './repository';
+import { sha256 } from '../utils/sha256';
+import { Timestamp } from 'firebase/firestore';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'assign-tenant', 'remove-tenant', 'status-change'];
+
+// Collections the generic data functions must not write to; entries are only ever appended here
+export const AUDIT_COLLECTIONS = ['auditLog', 'auditChain'];
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Bookkeeping fields that change on every write and would only clutter the diffs
+const UNAUDITED_FIELDS = ['id', 'createdAt', 'updatedAt', 'statusHistory'];
+
+const NEWEST_FIRST = [['createdAt', 'desc'], [DOCUMENT_ID, 'desc']];
+
+// JSON with sorted keys and Timestamps as milliseconds, so the same entry always hashes the same
+const canonicalJson = (value) => {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+  if (typeof value.toMillis === 'function') {
+    return `{"$millis":${value.toMillis()}}`;
+  }
+  if (value instanceof Date) {
+    return `{"$millis":${value.getTime()}}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashEntry = ({ id, hash, ...entry }) => sha256(canonicalJson(entry));
+
+// Field-by-field differences between two versions of a document; either side may be null
+// for a created or deleted document
+export const diffFields = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (UNAUDITED_FIELDS.includes(field)) {
+      return;
+    }
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (canonicalJson(previous) !== canonicalJson(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  });
+
+  return changes;
+};
+
+// The newest entry's { sequence, hash }, read inside `transaction`
+export const readAuditHead = async (transaction) => {
+  const head = await transaction.get('auditChain', 'head');
+  return { sequence: head?.sequence || 0, hash: head?.hash || GENESIS_HASH };
+};
+
+// Write entries for `changes` made by `actor` (the context returned by requireRole) after
+// `head`, and move the head past them. For changes written in the same transaction, so an
+// all-or-nothing write is logged all-or-nothing too. Returns the entries.
+export const appendAuditEntries = (transaction, head, actor, changes) => {
+  const repository = getRepository();
+  let previous = head;
+
+  const entries = changes.map(({ action, entity, entityId, targetLabel = '', before = null, after = null }) => {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw new Error(`Invalid audit action: ${action}`);
+    }
+
+    const entry = {
+      sequence: previous.sequence + 1,
+      actorId: actor.uid,
+      actorRole: actor.role || null,
+      action,
+      entity,
+      entityId,
+      targetLabel,
+      changes: diffFields(before, after),
+      createdAt: Timestamp.fromDate(new Date()),
+      previousHash: previous.hash
+    };
+    entry.hash = hashEntry(entry);
+
+    const entryId = repository.newId('auditLog');
+    transaction.set('auditLog', entryId, entry);
+    previous = entry;
+    return { id: entryId, ...entry };
+  });
+
+  if (entries.length > 0) {
+    const newest = entries[entries.length - 1];
+    transaction.set('auditChain', 'head', { sequence: newest.sequence, hash: newest.hash, entryId: newest.id });
+  }
+  return entries;
+};
+
+// Search the log, newest first. `filters` is { entity, actorId, from, to }; `from` and `to`
+// are Dates and both ends are inclusive. Pass the returned `cursor` back to get the next page.
+export const getAuditLog = async (filters = {}, { pageSize = 50, cursor = null } = {}) => {
+  try {
+    // Check permissions
+    await requireRole(ADMIN_ONLY, 'view the audit log');
+
+    const { entity, actorId, from, to } = filters;
+    const where = [];
+    if (entity) {
+      where.push(['entity', '==', entity]);
+    }
+    if (actorId) {
+      where.push(['actorId', '==', actorId]);
+    }
+    if (from) {
+      where.push(['createdAt', '>=', Timestamp.fromDate(from)]);
+    }
+    if (to) {
+      where.push(['createdAt', '<=', Timestamp.fromDate(to)]);
+    }
+
+    // Fetch one extra entry to know whether there is another page
+    const entries = await getRepository().find('auditLog', {
+      where,
+      orderBy: NEWEST_FIRST,
+      limit: pageSize + 1,
+      startAfter: cursor
+    });
+    const hasMore = entries.length > pageSize;
+    const page = entries.slice(0, pageSize);
+
+    return { entries: page, cursor: hasMore ? page[page.length - 1] : null, hasMore };
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    throw error;
+  }
+};
+
+// Live feed of the newest `count` entries for the dashboard. Returns an unsubscribe function.
+export const subscribeToRecentAuditEntries = (count, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to audit log:', error);
+    onError(error);
+  };
+
+  return subscribeAfter(
+    requireRole(STAFF_ROLES, 'view recent activity'),
+    () => getRepository().subscribe('auditLog', { orderBy: NEWEST_FIRST, limit: count }, onChange, handleError),
+    handleError
+  );
+};
+
+// Walk the whole chain and recompute every hash.
+// Returns { valid, checked, brokenAt, reason }; brokenAt is the first sequence that does not match.
+export const verifyAuditLog = async () => {
+  try {
+    // Check permissions
+    await requireRole(ADMIN_ONLY, 'verify the audit log');
+
+    const repository = getRepository();
+    const [entries, head] = await Promise.all([
+      repository.find('auditLog', { orderBy: [['sequence', 'asc']] }),
+      repository.get('auditChain', 'head')
+    ]);
+
+    let previousHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const sequence = i + 1;
+      const broken = (reason) => ({ valid: false, checked: i, brokenAt: sequence, reason });
+
+      if (entry.sequence !== sequence) {
+        return broken(`Entry ${sequence} is missing`);
+      }
+      if (entry.previousHash !== previousHash) {
+        return broken(`Entry ${sequence} does not follow entry ${sequence - 1}`);
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        return broken(`Entry ${sequence} has been modified`);
+      }
+      previousHash = entry.hash;
+    }
+
+    // Deleting the newest entries leaves a consistent chain, but not one that reaches the head
+    if ((head?.sequence || 0) !== entries.length || (head?.hash || GENESIS_HASH) !== previousHash) {
+      return {
+        valid: false,
+        checked: entries.length,
+        brokenAt: entries.length + 1,
+        reason: `Entries after ${entries.length} are missing`
+      };
+    }
+
+    return { valid: true, checked: entries.length, brokenAt: null, reason: null };
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,343 @@
+/*
+* FILE        : documents.js
+*
+* Description : Generated documents - a lease agreement rendered from an editable template
+*               with merge fields, and a rent receipt for each recorded payment. Both are
+*               PDFs (utils/pdf.ts) stored as attachments on the lease (attachments.js), so
+*               they can be opened and shared like the signed scans next to them. Building a
+*               document only reads the records it is given: the same lease, payment and
+*               settings always produce the same bytes.
+*
+*
+* DATABASE STRUCTURE
+*
+* DocumentTemplates Collection:
+* - leaseAgreement (single document; used instead of DEFAULT_LEASE_TEMPLATE once saved)
+*   - body: string (template text, see TEMPLATE SYNTAX)
+*   - updatedBy: string
+*   - updatedAt: timestamp
+*
+* TEMPLATE SYNTAX
+*
+* - {{field}} is replaced with the value of a merge field (MERGE_FIELDS)
+* - paragraphs are separated by a blank line
+* - '# ' starts the title, '## ' a section heading
+*
+*/
+
+import { uploadAttachment } from './attachments';
+import { ADMIN_ONLY, STAFF_ROLES, requireRole } from './permissions';
+import { getRepository } from './repository';
+import { ValidationError, assertValidDocument, defineSchema } from './schemas';
+import { formatCurrency, getSettings } from './settings';
+import { createPdf } from '../utils/pdf';
+import { Timestamp } from 'firebase/firestore';
+
+// Fields a lease template can use, as {{field}}
+export const MERGE_FIELDS = [
+  { field: 'organization.name', label: 'Landlord' },
+  { field: 'tenant.name', label: 'Tenant name' },
+  { field: 'tenant.email', label: 'Tenant email' },
+  { field: 'premises', label: 'Unit, building and address' },
+  { field: 'unit.number', label: 'Unit number' },
+  { field: 'unit.maxOccupants', label: 'Maximum occupants' },
+  { field: 'lease.startDate', label: 'Lease start' },
+  { field: 'lease.endDate', label: 'Lease end' },
+  { field: 'lease.monthlyRent', label: 'Monthly rent' },
+  { field: 'lease.terms', label: 'Additional terms' },
+  { field: 'rent.dueDay', label: 'Rent due day' },
+  { field: 'rent.gracePeriodDays', label: 'Grace period (days)' },
+  { field: 'rent.lateFee', label: 'Late fee' }
+];
+
+export const DEFAULT_LEASE_TEMPLATE = `# Residential Lease Agreement
+
+This agreement is made between {{organization.name}} (the "Landlord") and {{tenant.name}} (the "Tenant").
+
+## 1. Premises
+
+The Landlord rents to the Tenant {{premises}}, to be occupied by no more than {{unit.maxOccupants}} people.
+
+## 2. Term
+
+The lease begins on {{lease.startDate}} and ends on {{lease.endDate}}.
+
+## 3. Rent
+
+The Tenant will pay {{lease.monthlyRent}} per month, due on day {{rent.dueDay}} of each month. Rent not paid within {{rent.gracePeriodDays}} days of the due date is charged a late fee of {{rent.lateFee}}.
+
+## 4. Additional terms
+
+{{lease.terms}}
+
+## Signatures
+
+Landlord: {{organization.name}}
+Signature: ______________________________   Date: ______________
+
+Tenant: {{tenant.name}}
+Signature: ______________________________   Date: ______________`;
+
+const MERGE_FIELD_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+defineSchema('documentTemplates', {
+  label: 'document template',
+  fields: {
+    body: { type: 'string', required: true, label: 'Template' },
+    updatedBy: { type: 'id' },
+    updatedAt: { type: 'timestamp' }
+  }
+});
+
+// Merge fields used in `template` that MERGE_FIELDS does not know
+export const findUnknownMergeFields = (template) => {
+  const known = new Set(MERGE_FIELDS.map(({ field }) => field));
+  const unknown = [...template.matchAll(MERGE_FIELD_PATTERN)].map(match => match[1]).filter(field => !known.has(field));
+  return [...new Set(unknown)];
+};
+
+// Replace each {{field}} with its value; unknown fields are left as they are
+export const renderTemplate = (template, values) =>
+  template.replace(MERGE_FIELD_PATTERN, (marker, field) => (field in values ? String(values[field]) : marker));
+
+// Split rendered template text into PDF blocks
+const templateToBlocks = (text) =>
+  text
+    .split(/\r?\n\s*\r?\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => {
+      if (chunk.startsWith('## ')) {
+        return { type: 'paragraph', text: chunk.slice(3), bold: true };
+      }
+      if (chunk.startsWith('# ')) {
+        return { type: 'heading', text: chunk.slice(2) };
+      }
+      return { type: 'paragraph', text: chunk };
+    });
+
+const formatDate = (timestamp, locale) =>
+  timestamp ? timestamp.toDate().toLocaleDateString(locale, { dateStyle: 'long' }) : '';
+
+const getPersonName = (user) =>
+  user.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || 'Tenant';
+
+// 'YYYY-MM' -> 'March 2025'
+const formatPeriod = (period, locale) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+};
+
+// Merge field values for a lease. `data` is { lease, tenant, apartment, building }.
+export const getLeaseMergeValues = ({ lease, tenant, apartment, building = null }, settings) => {
+  const money = (value) => formatCurrency(value, settings.currency, settings.locale);
+  const premises = [`Unit ${apartment.unitNumber}`, building?.name || apartment.buildingName, building?.address]
+    .filter(Boolean)
+    .join(', ');
+
+  return {
+    'organization.name': settings.organizationName,
+    'tenant.name': getPersonName(tenant),
+    'tenant.email': tenant.email || '',
+    premises,
+    'unit.number': apartment.unitNumber,
+    'unit.maxOccupants': apartment.maxOccupants ?? '',
+    'lease.startDate': formatDate(lease.startDate, settings.locale),
+    'lease.endDate': formatDate(lease.endDate, settings.locale),
+    'lease.monthlyRent': money(lease.monthlyRent ?? apartment.monthlyRent ?? 0),
+    'lease.terms': lease.terms?.trim() || 'None.',
+    'rent.dueDay': settings.rentDueDay,
+    'rent.gracePeriodDays': settings.gracePeriodDays,
+    'rent.lateFee': money(settings.lateFee)
+  };
+};
+
+// The lease agreement PDF for `data` ({ lease, tenant, apartment, building }) and a template
+export const buildLeaseAgreementPdf = (data, settings, template = DEFAULT_LEASE_TEMPLATE) =>
+  createPdf(templateToBlocks(renderTemplate(template, getLeaseMergeValues(data, settings))), {
+    title: `Lease agreement - Unit ${data.apartment.unitNumber}`,
+    footer: `${settings.organizationName} - Lease agreement, Unit ${data.apartment.unitNumber}`
+  });
+
+// The receipt PDF for a payment. `data` is { payment, charge, tenant, apartment }.
+export const buildRentReceiptPdf = ({ payment, charge, tenant, apartment }, settings) => {
+  const money = (value) => formatCurrency(value, settings.currency, settings.locale);
+  const period = charge?.period ? formatPeriod(charge.period, settings.locale) : '';
+
+  const blocks = [
+    { type: 'heading', text: 'Rent Receipt' },
+    { type: 'paragraph', text: settings.organizationName, bold: true },
+    { type: 'rule' },
+    { type: 'row', label: 'Receipt number', value: payment.id },
+    { type: 'row', label: 'Date paid', value: formatDate(payment.paidAt, settings.locale) },
+    { type: 'row', label: 'Received from', value: getPersonName(tenant) },
+    { type: 'row', label: 'For', value: `${period ? `Rent for ${period}` : 'Rent'}, Unit ${apartment.unitNumber}` },
+    { type: 'row', label: 'Amount paid', value: money(payment.amount) },
+    { type: 'row', label: 'Payment method', value: payment.method || 'cash' }
+  ];
+  if (payment.note) {
+    blocks.push({ type: 'row', label: 'Note', value: payment.note });
+  }
+  blocks.push(
+    { type: 'rule' },
+    { type: 'note', text: `Received with thanks by ${settings.organizationName}. Keep this receipt for your records.` }
+  );
+
+  return createPdf(blocks, {
+    title: `Rent receipt ${payment.id}`,
+    footer: `${settings.organizationName} - Receipt ${payment.id}`
+  });
+};
+
+// The saved lease template body, or the default one
+const readLeaseTemplate = async () => {
+  const saved = await getRepository().get('documentTemplates', 'leaseAgreement');
+  return saved?.body || DEFAULT_LEASE_TEMPLATE;
+};
+
+// Get the lease agreement template and whether it is still the default
+export const getLeaseTemplate = async () => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'view document templates');
+
+    const body = await readLeaseTemplate();
+    return { body, isDefault: body === DEFAULT_LEASE_TEMPLATE };
+  } catch (error) {
+    console.error('Error fetching lease template:', error);
+    throw error;
+  }
+};
+
+// Save the lease agreement template, rejecting merge fields that do not exist
+export const saveLeaseTemplate = async (body) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'change document templates');
+
+    const unknown = findUnknownMergeFields(body || '');
+    if (unknown.length > 0) {
+      throw new ValidationError('lease template', {
+        body: `Unknown merge field${unknown.length > 1 ? 's' : ''}: ${unknown.map(field => `{{${field}}}`).join(', ')}`
+      });
+    }
+
+    const template = { body, updatedBy: context.uid, updatedAt: Timestamp.fromDate(new Date()) };
+    assertValidDocument('documentTemplates', template);
+
+    await getRepository().set('documentTemplates', 'leaseAgreement', template);
+    return template;
+  } catch (error) {
+    console.error('Error saving lease template:', error);
+    throw error;
+  }
+};
+
+// The lease, tenant, apartment and building a lease document is built from
+const readLeaseRecords = async (lease) => {
+  const repository = getRepository();
+  const [tenant, apartment] = await Promise.all([
+    repository.get('users', lease.userId),
+    repository.get('apartments', lease.apartmentId)
+  ]);
+
+  if (!tenant) {
+    throw new Error('User not found');
+  }
+  if (!apartment) {
+    throw new Error('Apartment not found');
+  }
+
+  const building = apartment.buildingId ? await repository.get('buildings', apartment.buildingId) : null;
+  return { lease, tenant, apartment, building };
+};
+
+// Render the lease agreement from the current template and store it on the lease.
+// Each call stores a new copy, so an agreement can be regenerated after the lease changes.
+export const generateLeaseAgreement = async (leaseId) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'generate lease agreements');
+
+    const lease = await getRepository().get('leases', leaseId);
+    if (!lease) {
+      throw new Error('Lease not found');
+    }
+
+    const [data, settings, template] = await Promise.all([readLeaseRecords(lease), getSettings(), readLeaseTemplate()]);
+    const pdf = buildLeaseAgreementPdf(data, settings, template);
+
+    return await uploadAttachment(
+      'leases',
+      leaseId,
+      { name: `Lease agreement - Unit ${data.apartment.unitNumber}.pdf`, type: 'application/pdf', data: pdf },
+      { documentType: 'lease-agreement', subjectId: leaseId }
+    );
+  } catch (error) {
+    console.error('Error generating lease agreement:', error);
+    throw error;
+  }
+};
+
+// The lease a payment belongs to: the one covering the payment date, else the newest
+const findPaymentLease = async (payment) => {
+  const leases = await getRepository().find('leases', {
+    where: [['tenantApartmentId', '==', payment.tenantApartmentId]]
+  });
+  const paidAt = payment.paidAt.toMillis();
+  const newestFirst = leases.sort((a, b) => b.startDate.toMillis() - a.startDate.toMillis());
+
+  return newestFirst.find(lease => lease.startDate.toMillis() <= paidAt && paidAt <= lease.endDate.toMillis()) ||
+    newestFirst[0] ||
+    null;
+};
+
+// Get the receipt for a payment, generating and storing it on the lease the first time
+export const generateRentReceipt = async (paymentId) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'generate receipts');
+
+    const repository = getRepository();
+    const payment = await repository.get('payments', paymentId);
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const lease = await findPaymentLease(payment);
+    if (!lease) {
+      throw new Error('Lease not found');
+    }
+
+    // One receipt per payment
+    const [existing] = await repository.find('attachments', {
+      where: [
+        ['parentCollection', '==', 'leases'],
+        ['parentId', '==', lease.id],
+        ['documentType', '==', 'rent-receipt'],
+        ['subjectId', '==', paymentId]
+      ]
+    });
+    if (existing) {
+      return existing;
+    }
+
+    const [charge, data, settings] = await Promise.all([
+      repository.get('rentCharges', payment.chargeId),
+      readLeaseRecords({ ...lease, userId: payment.userId }),
+      getSettings()
+    ]);
+    const pdf = buildRentReceiptPdf({ payment: { id: paymentId, ...payment }, charge, ...data }, settings);
+    const period = charge?.period ? `${charge.period} ` : '';
+
+    return await uploadAttachment(
+      'leases',
+      lease.id,
+      { name: `Rent receipt ${period}- Unit ${data.apartment.unitNumber}.pdf`, type: 'application/pdf', data: pdf },
+      { documentType: 'rent-receipt', subjectId: paymentId }
+    );
+  } catch (error) {
+    console.error('Error generating rent receipt:', error);
+    throw error;
+  }
+};
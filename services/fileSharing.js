@@ -0,0 +1,34 @@
+/*
+* FILE        : fileSharing.js
+*
+* Description : Hands an attachment (attachments.js) to the system share sheet on iOS and
+*               Android through expo-sharing, after downloading it to the cache. Web has no
+*               share sheet for files, so there the file opens in a new tab to save or print.
+*
+*/
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { openBrowserAsync } from 'expo-web-browser';
+import { Platform } from 'react-native';
+
+// 'Rent receipt 2025-03 - Unit A101.pdf' -> 'Rent-receipt-2025-03-Unit-A101.pdf'
+const toFileName = (name) => name.replace(/[^\w.]+/g, '-').replace(/-+/g, '-');
+
+// Share an attachment, e.g. a generated receipt
+export const shareAttachment = async (attachment) => {
+  if (Platform.OS === 'web' || !FileSystem.cacheDirectory || !(await Sharing.isAvailableAsync())) {
+    await openBrowserAsync(attachment.downloadUrl);
+    return;
+  }
+
+  // The ID keeps two files with the same name apart
+  const target = `${FileSystem.cacheDirectory}${attachment.id}-${toFileName(attachment.fileName)}`;
+  const { uri } = await FileSystem.downloadAsync(attachment.downloadUrl, target);
+
+  await Sharing.shareAsync(uri, {
+    mimeType: attachment.contentType,
+    dialogTitle: attachment.fileName,
+    UTI: attachment.contentType === 'application/pdf' ? 'com.adobe.pdf' : 'public.image'
+  });
+};
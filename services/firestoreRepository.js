@@ -0,0 +1,107 @@
+/*
+* FILE        : firestoreRepository.js
+*
+* Description : Repository backed by Cloud Firestore. See repository.js for the interface.
+*
+*/
+
+import { db } from '../firebaseConfig';
+import {
+  collection, doc, getDoc, getDocs, addDoc, setDoc, updateDoc, deleteDoc,
+  onSnapshot, query, where, orderBy, limit, startAfter, writeBatch, runTransaction
+} from 'firebase/firestore';
+
+// Firestore's field path for the document ID, which repository.js exports as DOCUMENT_ID
+const DOCUMENT_ID = '__name__';
+
+const toDocument = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+// Write operations shared by transactions and batches, which have the same signatures
+const writer = (target) => ({
+  set: (collectionName, id, data, options = {}) => {
+    target.set(doc(db, collectionName, id), data, options);
+  },
+  update: (collectionName, id, changes) => {
+    target.update(doc(db, collectionName, id), changes);
+  },
+  delete: (collectionName, id) => {
+    target.delete(doc(db, collectionName, id));
+  }
+});
+
+// Firestore query for the `find` and `subscribe` options
+const buildQuery = (collectionName, { where: filters = [], orderBy: order = [], limit: count = 0, startAfter: cursor = null } = {}) => {
+  const constraints = filters.map(([field, op, value]) => where(field, op, value));
+
+  // Order by document ID last so cursors are unambiguous when sort values repeat
+  const ordering = order.some(([field]) => field === DOCUMENT_ID) || (order.length === 0 && !cursor)
+    ? order
+    : [...order, [DOCUMENT_ID, 'asc']];
+  ordering.forEach(([field, direction = 'asc']) => constraints.push(orderBy(field, direction)));
+
+  if (cursor) {
+    constraints.push(startAfter(...ordering.map(([field]) => (field === DOCUMENT_ID ? cursor.id : cursor[field]))));
+  }
+  if (count) {
+    constraints.push(limit(count));
+  }
+
+  return query(collection(db, collectionName), ...constraints);
+};
+
+export const createFirestoreRepository = () => ({
+  get: async (collectionName, id) => {
+    const snapshot = await getDoc(doc(db, collectionName, id));
+    return snapshot.exists() ? toDocument(snapshot) : null;
+  },
+
+  find: async (collectionName, options = {}) => {
+    const querySnapshot = await getDocs(buildQuery(collectionName, options));
+    return querySnapshot.docs.map(toDocument);
+  },
+
+  subscribe: (collectionName, options, onNext, onError) =>
+    onSnapshot(
+      buildQuery(collectionName, options),
+      (querySnapshot) => onNext(querySnapshot.docs.map(toDocument)),
+      onError
+    ),
+
+  add: async (collectionName, data) => {
+    const docRef = await addDoc(collection(db, collectionName), data);
+    return docRef.id;
+  },
+
+  set: async (collectionName, id, data, options = {}) => {
+    await setDoc(doc(db, collectionName, id), data, options);
+  },
+
+  update: async (collectionName, id, changes) => {
+    await updateDoc(doc(db, collectionName, id), changes);
+  },
+
+  delete: async (collectionName, id) => {
+    await deleteDoc(doc(db, collectionName, id));
+  },
+
+  newId: (collectionName) => doc(collection(db, collectionName)).id,
+
+  runTransaction: (updateFunction) =>
+    runTransaction(db, (transaction) =>
+      updateFunction({
+        get: async (collectionName, id) => {
+          const snapshot = await transaction.get(doc(db, collectionName, id));
+          return snapshot.exists() ? toDocument(snapshot) : null;
+        },
+        ...writer(transaction)
+      })
+    ),
+
+  batch: () => {
+    const batch = writeBatch(db);
+    return {
+      ...writer(batch),
+      commit: () => batch.commit()
+    };
+  }
+});
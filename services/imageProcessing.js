@@ -0,0 +1,54 @@
+/*
+* FILE        : imageProcessing.js
+*
+* Description : Shrinks photos before they are uploaded as attachments (see attachments.js)
+*               and renders the small thumbnails galleries show, through
+*               expo-image-manipulator. Both are saved as JPEG.
+*
+*/
+
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+
+// Longest side of an uploaded photo; phone cameras take far more than a screen shows
+export const MAX_IMAGE_SIZE = 2048;
+
+// Longest side of a gallery thumbnail
+export const THUMBNAIL_SIZE = 320;
+
+// Width and height that fit within `limit` on the longest side, or null when it already fits
+const fitWithin = (width, height, limit) => {
+  if (!width || !height || Math.max(width, height) <= limit) {
+    return null;
+  }
+  return width >= height
+    ? { width: limit, height: Math.round((height * limit) / width) }
+    : { width: Math.round((width * limit) / height), height: limit };
+};
+
+const renderJpeg = async (uri, size, compress) => {
+  const context = ImageManipulator.manipulate(uri);
+  if (size) {
+    context.resize(size);
+  }
+  const image = await context.renderAsync();
+  const result = await image.saveAsync({ compress, format: SaveFormat.JPEG });
+  return { uri: result.uri, type: 'image/jpeg', width: result.width, height: result.height };
+};
+
+// Compress the picked image `file` ({ uri, name, width, height }) and render its thumbnail.
+// Resolves { file, thumbnail } with local file URIs for both.
+export const processImage = async (file) => {
+  // Without the picker's dimensions the thumbnail is sized by width alone
+  const thumbnailSize = file.width && file.height
+    ? fitWithin(file.width, file.height, THUMBNAIL_SIZE)
+    : { width: THUMBNAIL_SIZE };
+  const [image, thumbnail] = await Promise.all([
+    renderJpeg(file.uri, fitWithin(file.width, file.height, MAX_IMAGE_SIZE), 0.8),
+    renderJpeg(file.uri, thumbnailSize, 0.6)
+  ]);
+
+  return {
+    file: { ...file, ...image, name: file.name.replace(/\.[^.]*$/, '') + '.jpg' },
+    thumbnail
+  };
+};
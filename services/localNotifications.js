@@ -0,0 +1,75 @@
+/*
+* FILE        : localNotifications.js
+*
+* Description : Shows notifications from notifications.js as local notifications on iOS and
+*               Android through expo-notifications. Nothing is sent through a push server:
+*               the app presents a notification when it sees a new one for the signed-in user.
+*               On web the notification center is the only place they appear.
+*
+*/
+
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+
+const ANDROID_CHANNEL_ID = 'reminders';
+
+const isSupported = Platform.OS === 'ios' || Platform.OS === 'android';
+
+if (isSupported) {
+  // Show notifications that arrive while the app is open as well
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({ shouldShowAlert: true, shouldPlaySound: false, shouldSetBadge: true })
+  });
+}
+
+// Ask for permission to show notifications, once per install.
+// Resolves false when the user declines or the platform has no local notifications.
+export const enableLocalNotifications = async () => {
+  if (!isSupported) {
+    return false;
+  }
+
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(ANDROID_CHANNEL_ID, {
+      name: 'Reminders',
+      importance: Notifications.AndroidImportance.DEFAULT
+    });
+  }
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) {
+    return true;
+  }
+  if (!current.canAskAgain) {
+    return false;
+  }
+  return (await Notifications.requestPermissionsAsync()).granted;
+};
+
+// Show a notification document on this device now
+export const presentLocalNotification = (notification) =>
+  Notifications.scheduleNotificationAsync({
+    content: {
+      title: notification.title,
+      body: notification.body,
+      data: { notificationId: notification.id, link: notification.link }
+    },
+    trigger: Platform.OS === 'android' ? { channelId: ANDROID_CHANNEL_ID } : null
+  });
+
+// Call `onOpen({ notificationId, link })` when the user taps a local notification.
+// Returns a function that stops listening.
+export const onLocalNotificationOpened = (onOpen) => {
+  if (!isSupported) {
+    return () => {};
+  }
+
+  const subscription = Notifications.addNotificationResponseReceivedListener(response => {
+    onOpen(response.notification.request.content.data || {});
+  });
+  return () => subscription.remove();
+};
+
+// Show the unread count on the app icon
+export const setUnreadBadge = (count) =>
+  isSupported ? Notifications.setBadgeCountAsync(count) : Promise.resolve(false);
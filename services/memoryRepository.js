@@ -0,0 +1,259 @@
+/*
+* FILE        : memoryRepository.js
+*
+* Description : Repository that keeps every collection in memory, for unit tests and
+*               local experiments. Follows Firestore's query semantics closely enough for
+*               the data layer: documents missing a filtered or ordered field are left out,
+*               results are ordered by document ID unless told otherwise, transactions
+*               reject reads that come after a write, and subscribers hear about changes
+*               asynchronously, once per batch of writes. See repository.js for the interface.
+*
+*/
+
+import { DOCUMENT_ID } from './repository';
+
+// Copy plain objects and arrays so callers never share state with the store;
+// Timestamps and other class instances are immutable and kept as they are
+const clone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+// Merge `changes` into `target` the way Firestore's `{ merge: true }` does: nested maps merge
+const deepMerge = (target, changes) => {
+  const merged = { ...target };
+  Object.entries(changes).forEach(([key, value]) => {
+    const isMap = value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    merged[key] = isMap && merged[key] && typeof merged[key] === 'object'
+      ? deepMerge(merged[key], value)
+      : clone(value);
+  });
+  return merged;
+};
+
+// Comparable form of a field value: Timestamps and Dates compare by time
+const comparable = (value) => {
+  if (value && typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+};
+
+const compare = (a, b) => {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) {
+    return 0;
+  }
+  if (left === null) {
+    return -1;
+  }
+  if (right === null) {
+    return 1;
+  }
+  return left < right ? -1 : 1;
+};
+
+const fieldValue = (document, field) => (field === DOCUMENT_ID ? document.id : document[field]);
+
+const matches = (document, [field, op, value]) => {
+  const actual = fieldValue(document, field);
+  if (actual === undefined) {
+    return false;
+  }
+  switch (op) {
+    case '==':
+      return compare(actual, value) === 0;
+    case '!=':
+      return compare(actual, value) !== 0;
+    case '<':
+      return compare(actual, value) < 0;
+    case '<=':
+      return compare(actual, value) <= 0;
+    case '>':
+      return compare(actual, value) > 0;
+    case '>=':
+      return compare(actual, value) >= 0;
+    case 'in':
+      return value.some(item => compare(actual, item) === 0);
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => compare(item, value) === 0);
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+};
+
+// `initialData` is `{ collectionName: { id: fields } }`
+export const createMemoryRepository = (initialData = {}) => {
+  const collections = new Map();
+  const subscribers = new Set();
+  const changedCollections = new Set();
+  let nextId = 1;
+
+  const store = (collectionName) => {
+    if (!collections.has(collectionName)) {
+      collections.set(collectionName, new Map());
+    }
+    return collections.get(collectionName);
+  };
+
+  const read = (collectionName, id) => {
+    const data = store(collectionName).get(id);
+    return data ? { id, ...clone(data) } : null;
+  };
+
+  const query = (collectionName, { where: filters = [], orderBy: order = [], limit: count = 0, startAfter: cursor = null } = {}) => {
+    const ordering = order.some(([field]) => field === DOCUMENT_ID) ? order : [...order, [DOCUMENT_ID, 'asc']];
+    const sortKey = (a, b) => {
+      for (const [field, direction = 'asc'] of ordering) {
+        const result = compare(fieldValue(a, field), fieldValue(b, field));
+        if (result !== 0) {
+          return direction === 'desc' ? -result : result;
+        }
+      }
+      return 0;
+    };
+
+    let documents = Array.from(store(collectionName).keys())
+      .map(id => read(collectionName, id))
+      .filter(document => filters.every(filter => matches(document, filter)))
+      .filter(document => ordering.every(([field]) => fieldValue(document, field) !== undefined))
+      .sort(sortKey);
+
+    if (cursor) {
+      documents = documents.filter(document => sortKey(document, cursor) > 0);
+    }
+    return count ? documents.slice(0, count) : documents;
+  };
+
+  // Tell subscribers about the collections changed since the last notification
+  const notify = () => {
+    const collectionNames = new Set(changedCollections);
+    changedCollections.clear();
+    subscribers.forEach(subscriber => {
+      if (collectionNames.has(subscriber.collectionName)) {
+        subscriber.onNext(query(subscriber.collectionName, subscriber.options));
+      }
+    });
+  };
+
+  const markChanged = (collectionName) => {
+    if (changedCollections.size === 0) {
+      Promise.resolve().then(notify);
+    }
+    changedCollections.add(collectionName);
+  };
+
+  const write = {
+    set: (collectionName, id, data, { merge = false } = {}) => {
+      const current = store(collectionName).get(id);
+      store(collectionName).set(id, merge && current ? deepMerge(current, data) : clone(data));
+      markChanged(collectionName);
+    },
+    update: (collectionName, id, changes) => {
+      const current = store(collectionName).get(id);
+      if (!current) {
+        throw new Error(`No document to update: ${collectionName}/${id}`);
+      }
+      store(collectionName).set(id, { ...current, ...clone(changes) });
+      markChanged(collectionName);
+    },
+    delete: (collectionName, id) => {
+      store(collectionName).delete(id);
+      markChanged(collectionName);
+    }
+  };
+
+  // Queue writes and apply them together, as transactions and batches do
+  const pendingWrites = () => {
+    const writes = [];
+    return {
+      writes,
+      set: (...args) => { writes.push(() => write.set(...args)); },
+      update: (...args) => { writes.push(() => write.update(...args)); },
+      delete: (...args) => { writes.push(() => write.delete(...args)); },
+      apply: () => writes.forEach(apply => apply())
+    };
+  };
+
+  Object.entries(initialData).forEach(([collectionName, documents]) => {
+    Object.entries(documents).forEach(([id, data]) => write.set(collectionName, id, data));
+  });
+
+  const newId = (collectionName) => {
+    let id;
+    do {
+      id = `${collectionName}-${nextId++}`;
+    } while (store(collectionName).has(id));
+    return id;
+  };
+
+  return {
+    get: async (collectionName, id) => read(collectionName, id),
+
+    find: async (collectionName, options = {}) => query(collectionName, options),
+
+    subscribe: (collectionName, options = {}, onNext) => {
+      const subscriber = { collectionName, options, onNext };
+      subscribers.add(subscriber);
+      // Like onSnapshot, the first result arrives asynchronously
+      Promise.resolve().then(() => {
+        if (subscribers.has(subscriber)) {
+          onNext(query(collectionName, options));
+        }
+      });
+      return () => {
+        subscribers.delete(subscriber);
+      };
+    },
+
+    add: async (collectionName, data) => {
+      const id = newId(collectionName);
+      write.set(collectionName, id, data);
+      return id;
+    },
+
+    set: async (collectionName, id, data, options = {}) => write.set(collectionName, id, data, options),
+
+    update: async (collectionName, id, changes) => write.update(collectionName, id, changes),
+
+    delete: async (collectionName, id) => write.delete(collectionName, id),
+
+    newId,
+
+    runTransaction: async (updateFunction) => {
+      const pending = pendingWrites();
+      const result = await updateFunction({
+        get: async (collectionName, id) => {
+          if (pending.writes.length > 0) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes');
+          }
+          return read(collectionName, id);
+        },
+        set: pending.set,
+        update: pending.update,
+        delete: pending.delete
+      });
+      pending.apply();
+      return result;
+    },
+
+    batch: () => {
+      const pending = pendingWrites();
+      return {
+        set: pending.set,
+        update: pending.update,
+        delete: pending.delete,
+        commit: async () => pending.apply()
+      };
+    }
+  };
+};
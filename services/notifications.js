@@ -0,0 +1,389 @@
+/*
+* FILE        : notifications.js
+*
+* Description : In-app notifications and the reminder engine. runReminders scans active
+*               tenancies and open rent charges for leases about to end, rent coming due
+*               and rent past its grace period; repair request status changes notify the
+*               tenant as they happen. A notification's ID names the event it is about, so
+*               scanning again never sends the same reminder twice. Reminders are scheduled
+*               against an injectable clock (setClock) so the schedule can be tested.
+*               Rent reminders expect each billable tenancy's rent on the rent due day even
+*               before the month is billed; amounts, due dates and overdue checks come from
+*               payments.js. Staff devices scan on start, hourly and on returning to the
+*               foreground (ReminderSchedule), and again after each billing run.
+*
+*
+* DATABASE STRUCTURE
+*
+* Notifications Collection:
+* - id: `${userId}_${key}` (key names the event, e.g. 'lease-expiry-30_<tenancyId>')
+* - userId: string (reference to the recipient)
+* - type: 'lease-expiry' | 'rent-due' | 'rent-overdue' | 'repair-status'
+* - title: string
+* - body: string
+* - link: string | null (app route to open, e.g. '/apartments/A101')
+* - subjectId: string (tenancy, rent charge or repair request it is about)
+* - read: boolean
+* - readAt: timestamp | null
+* - pushed: boolean (shown as a local notification on the recipient's device)
+* - createdAt: timestamp
+*
+*/
+
+import {
+  OPEN_CHARGE_STATUSES,
+  getBillingPeriod,
+  getDueDate,
+  getOutstandingAmount,
+  isBillable,
+  isOverdue
+} from './payments';
+import { PermissionDeniedError, ROLES, STAFF_ROLES, getCurrentUserContext, requireRole } from './permissions';
+import { getRepository, subscribeAfter } from './repository';
+import { assertValidDocument, defineSchema } from './schemas';
+import { formatCurrency, getSettings } from './settings';
+import { Timestamp } from 'firebase/firestore';
+
+export const NOTIFICATION_TYPES = ['lease-expiry', 'rent-due', 'rent-overdue', 'repair-status'];
+
+// Days before a lease ends that its tenants and the landlords are reminded
+export const LEASE_EXPIRY_DAYS = [60, 30, 7];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+defineSchema('notifications', {
+  label: 'notification',
+  fields: {
+    userId: { type: 'id', required: true, label: 'Recipient' },
+    type: { type: 'enum', values: NOTIFICATION_TYPES, required: true },
+    title: { type: 'string', required: true },
+    body: { type: 'string' },
+    link: { type: 'string', nullable: true },
+    subjectId: { type: 'id', required: true, label: 'Subject' },
+    read: { type: 'boolean' },
+    readAt: { type: 'timestamp', nullable: true },
+    pushed: { type: 'boolean' },
+    createdAt: { type: 'timestamp' }
+  }
+});
+
+const systemClock = () => new Date();
+let clock = systemClock;
+
+// Replace the clock reminders are scheduled against, e.g. with a fixed date in tests.
+// Pass null to go back to the system clock.
+export const setClock = (nextClock) => {
+  clock = nextClock || systemClock;
+};
+
+// The current time according to the clock
+export const getNow = () => clock();
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Calendar days from `from` until `to`; negative once `to` has passed
+const daysUntil = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const inDays = (days) => (days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`);
+
+// Billing periods whose rent can fall due within a reminder's lead time of `now`
+const getUpcomingPeriods = (now) =>
+  [getBillingPeriod(now), getBillingPeriod(new Date(now.getFullYear(), now.getMonth() + 1, 1))];
+
+// Rent coming due for this month and next: each billed charge still open, and for periods not
+// billed yet, the rent each billable tenancy will be charged. As [{ id, userId, apartmentId,
+// dueDate, amount }], with `id` the charge's ID whether or not it exists yet.
+const getUpcomingRent = (tenancies, charges, rentDueDay, now) => {
+  const chargesById = new Map(charges.map(charge => [charge.id, charge]));
+  const upcoming = charges
+    .filter(charge => OPEN_CHARGE_STATUSES.includes(charge.status) && charge.dueDate)
+    .map(charge => ({ ...charge, amount: getOutstandingAmount(charge) }));
+
+  getUpcomingPeriods(now).forEach(period => {
+    tenancies
+      .filter(tenancy => isBillable(tenancy, period) && !chargesById.has(`${tenancy.id}_${period}`))
+      .forEach(tenancy => upcoming.push({
+        id: `${tenancy.id}_${period}`,
+        userId: tenancy.userId,
+        apartmentId: tenancy.apartmentId,
+        dueDate: Timestamp.fromDate(getDueDate(period, rentDueDay)),
+        amount: tenancy.monthlyRent
+      }));
+  });
+
+  return upcoming;
+};
+
+// Every reminder that is due at `now`, as [{ key, userId, type, title, body, link, subjectId }].
+// `data` is { tenancies, charges, apartments, staffIds }: active tenancies, the open rent
+// charges and every charge for this month and next, the apartments they refer to and the
+// landlords and admins to copy on lease and overdue reminders. Rent reminders do not wait
+// for billing: rent not charged yet is expected from the tenancy and the rent due day.
+// Reminders already sent keep their key, so the caller can skip them.
+export const getDueReminders = (data, settings, now) => {
+  const { tenancies = [], charges = [], apartments = [], staffIds = [] } = data;
+  const { notifications: preferences, locale, currency, gracePeriodDays, rentDueDay } = settings;
+  const unitNumbers = new Map(apartments.map(apartment => [apartment.id, apartment.unitNumber]));
+  const unitLabel = (apartmentId) => `Unit ${unitNumbers.get(apartmentId) || apartmentId}`;
+  const formatDate = (timestamp) => timestamp.toDate().toLocaleDateString(locale, { dateStyle: 'medium' });
+  const reminders = [];
+
+  if (preferences.leaseExpiry) {
+    tenancies
+      .filter(tenancy => tenancy.status === 'active' && tenancy.leaseEndDate)
+      .forEach(tenancy => {
+        const days = daysUntil(now, tenancy.leaseEndDate.toDate());
+        // Only the nearest threshold, so a lease first seen 20 days out is not reminded about 60 days out
+        const threshold = [...LEASE_EXPIRY_DAYS].sort((a, b) => a - b).find(limit => days <= limit);
+        if (days < 0 || threshold === undefined) {
+          return;
+        }
+
+        const reminder = {
+          key: `lease-expiry-${threshold}_${tenancy.id}`,
+          type: 'lease-expiry',
+          title: `Lease for ${unitLabel(tenancy.apartmentId)} ends ${inDays(days)}`,
+          body: `The lease ends on ${formatDate(tenancy.leaseEndDate)}. Renew it or plan the move-out.`,
+          link: `/apartments/${tenancy.apartmentId}`,
+          subjectId: tenancy.id
+        };
+        // Tenants open their lease in the tenant portal
+        reminders.push({ ...reminder, userId: tenancy.userId, link: '/tenant' });
+        // Co-tenants share the lease, so landlords hear about it once, through the primary tenant
+        if (tenancy.role === 'primary') {
+          staffIds.forEach(userId => reminders.push({ ...reminder, userId }));
+        }
+      });
+  }
+
+  if (preferences.rentReminders) {
+    getUpcomingRent(tenancies, charges, rentDueDay, now).forEach(rent => {
+      const days = daysUntil(now, rent.dueDate.toDate());
+      if (days < 0 || days > preferences.reminderDaysBefore) {
+        return;
+      }
+
+      reminders.push({
+        key: `rent-due_${rent.id}`,
+        userId: rent.userId,
+        type: 'rent-due',
+        title: `Rent is due ${inDays(days)}`,
+        body: `${formatCurrency(rent.amount, currency, locale)} for ${unitLabel(rent.apartmentId)} is due on ${formatDate(rent.dueDate)}.`,
+        link: '/tenant/payments',
+        subjectId: rent.id
+      });
+    });
+  }
+
+  if (preferences.overdueNotices) {
+    charges
+      .filter(charge => charge.dueDate && isOverdue(charge, now, gracePeriodDays))
+      .forEach(charge => {
+        const unit = unitLabel(charge.apartmentId);
+        const reminder = {
+          key: `rent-overdue_${charge.id}`,
+          type: 'rent-overdue',
+          title: `Rent for ${unit} is overdue`,
+          body: `${formatCurrency(getOutstandingAmount(charge), currency, locale)} was due on ${formatDate(charge.dueDate)}.`,
+          link: null,
+          subjectId: charge.id
+        };
+        reminders.push({ ...reminder, userId: charge.userId, link: '/tenant/payments' });
+        staffIds.forEach(userId => reminders.push({ ...reminder, userId }));
+      });
+  }
+
+  return reminders;
+};
+
+// Create a notification for each reminder that has not been sent yet. Returns how many were created.
+const sendNotifications = async (reminders) => {
+  const repository = getRepository();
+  const createdAt = Timestamp.fromDate(getNow());
+
+  const created = await Promise.all(reminders.map(({ key, ...reminder }) => {
+    const notificationId = `${reminder.userId}_${key}`;
+    const notification = { ...reminder, read: false, readAt: null, pushed: false, createdAt };
+    assertValidDocument('notifications', notification);
+
+    // Checked in a transaction so two devices scanning at once send each reminder once
+    return repository.runTransaction(async (transaction) => {
+      if (await transaction.get('notifications', notificationId)) {
+        return false; // Already sent; keep its read state
+      }
+      transaction.set('notifications', notificationId, notification);
+      return true;
+    });
+  }));
+
+  return created.filter(Boolean).length;
+};
+
+// Scan tenancies and rent charges and send every reminder that is due.
+// Safe to run as often as you like: each reminder is sent once.
+export const runReminders = async () => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'send reminders');
+
+    const repository = getRepository();
+    const now = getNow();
+    const [settings, tenancies, openCharges, upcomingCharges, apartments, staff] = await Promise.all([
+      getSettings(),
+      repository.find('tenantApartments', { where: [['status', '==', 'active']] }),
+      repository.find('rentCharges', { where: [['status', 'in', OPEN_CHARGE_STATUSES]] }),
+      // Paid ones too, so rent paid ahead is not expected again
+      repository.find('rentCharges', { where: [['period', 'in', getUpcomingPeriods(now)]] }),
+      repository.find('apartments'),
+      repository.find('users', { where: [['role', 'in', STAFF_ROLES]] })
+    ]);
+
+    const charges = [...new Map([...openCharges, ...upcomingCharges].map(charge => [charge.id, charge])).values()];
+    const staffIds = staff.filter(user => user.active !== false).map(user => user.id);
+    const reminders = getDueReminders({ tenancies, charges, apartments, staffIds }, settings, now);
+
+    return { due: reminders.length, created: await sendNotifications(reminders) };
+  } catch (error) {
+    console.error('Error running reminders:', error);
+    throw error;
+  }
+};
+
+// Tell a repair request's tenant that staff moved it to `newStatus`. `changeCount` is the
+// length of its status history after the change, which keeps one notification per change.
+// A failure is logged rather than thrown: the status change itself has already been saved.
+export const notifyRepairStatusChange = async (context, request, newStatus, changeCount) => {
+  try {
+    if (!request.tenantId || request.tenantId === context.uid) {
+      return false;
+    }
+    if (!(await getSettings()).notifications.repairUpdates) {
+      return false;
+    }
+
+    return (await sendNotifications([{
+      key: `repair-status-${changeCount}_${request.id}`,
+      userId: request.tenantId,
+      type: 'repair-status',
+      title: `Repair request ${newStatus.replace('_', ' ')}`,
+      body: `"${request.title}" is now ${newStatus.replace('_', ' ')}.`,
+      link: '/tenant/repairs',
+      subjectId: request.id
+    }])) > 0;
+  } catch (error) {
+    console.error('Error sending repair request notification:', error);
+    return false;
+  }
+};
+
+// The signed-in user's notifications, newest first
+export const getNotifications = async ({ limit = 50 } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ROLES, 'view notifications');
+
+    return await getRepository().find('notifications', {
+      where: [['userId', '==', context.uid]],
+      orderBy: [['createdAt', 'desc']],
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    throw error;
+  }
+};
+
+// Live counterpart of getNotifications: `onChange` gets the newest `limit` notifications
+// now and after each change. Returns an unsubscribe function.
+export const subscribeToNotifications = (limit, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to notifications:', error);
+    onError(error);
+  };
+
+  let uid = null;
+  const allowed = requireRole(ROLES, 'view notifications').then(context => {
+    uid = context.uid;
+  });
+
+  return subscribeAfter(
+    allowed,
+    () => getRepository().subscribe(
+      'notifications',
+      { where: [['userId', '==', uid]], orderBy: [['createdAt', 'desc']], limit },
+      onChange,
+      handleError
+    ),
+    handleError
+  );
+};
+
+// Change read or delivery state on one of the signed-in user's notifications
+const updateOwnNotification = async (notificationId, update, action) => {
+  const context = await getCurrentUserContext();
+  const repository = getRepository();
+  const notification = await repository.get('notifications', notificationId);
+
+  if (!notification) {
+    throw new Error('Notification not found');
+  }
+  // Nobody, staff included, changes someone else's notifications
+  if (!context.uid || notification.userId !== context.uid) {
+    throw new PermissionDeniedError(action, context.role);
+  }
+
+  await repository.update('notifications', notificationId, update);
+  return { ...notification, ...update };
+};
+
+// Mark one notification read, or unread again with `read` false
+export const markNotificationRead = async (notificationId, read = true) => {
+  try {
+    return await updateOwnNotification(
+      notificationId,
+      { read, readAt: read ? Timestamp.fromDate(getNow()) : null },
+      "change another user's notifications"
+    );
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    throw error;
+  }
+};
+
+// Mark every unread notification of the signed-in user read. Returns how many changed.
+export const markAllNotificationsRead = async () => {
+  try {
+    // Check permissions
+    const context = await requireRole(ROLES, 'view notifications');
+
+    const repository = getRepository();
+    const unread = await repository.find('notifications', {
+      where: [['userId', '==', context.uid], ['read', '==', false]]
+    });
+
+    const readAt = Timestamp.fromDate(getNow());
+    // Firestore batches are capped at 500 writes
+    for (let i = 0; i < unread.length; i += 500) {
+      const batch = repository.batch();
+      unread.slice(i, i + 500).forEach(notification => {
+        batch.update('notifications', notification.id, { read: true, readAt });
+      });
+      await batch.commit();
+    }
+
+    return unread.length;
+  } catch (error) {
+    console.error('Error updating notifications:', error);
+    throw error;
+  }
+};
+
+// Record that a notification has been shown on the recipient's device
+export const markNotificationPushed = async (notificationId) => {
+  try {
+    return await updateOwnNotification(notificationId, { pushed: true }, "change another user's notifications");
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,283 @@
+/*
+* FILE        : offlineQueue.js
+*
+* Description : Queue for writes made without a connection. Functions.js registers the
+*               mutations that may be queued (addDocument, updateDocument, updateStatus);
+*               while offline they are kept here and replayed in order once the
+*               connection is back. The queue is saved to AsyncStorage whenever it changes
+*               and restored at startup (restoreOfflineQueue), so queued writes survive
+*               the app being closed.
+*
+*
+* QUEUED WRITES
+*
+* - id: string
+* - operation: string (registered operation name)
+* - args: array (arguments the operation was called with)
+* - description: string (shown in the sync screen)
+* - changes: object | null (fields the write changes, shown next to the server's values)
+* - target: { collectionName, id } | null (document the write changes, for conflict checks)
+* - queuedAt: Date
+* - status: 'pending' | 'conflict' | 'failed'
+* - serverDocument: object | null (the newer server version, for conflicts)
+* - error: string | null (why the write was rejected, for failures)
+*
+* The app counts as offline once a write fails with a Firestore network error
+* (isNetworkError). From then on new writes are queued without being tried, and the
+* next replay that reaches the server marks it online again.
+*
+* A queued write conflicts when its document's server `updatedAt` is newer than the
+* moment the write was queued, i.e. someone else changed it in the meantime. Conflicts
+* wait for the user to keep their change or the server's (resolveConflict).
+*
+*/
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Timestamp } from 'firebase/firestore';
+import { getRepository } from './repository';
+
+// Firestore error codes for requests that never reached the server
+const NETWORK_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+const STORAGE_KEY = 'offlineQueue';
+
+const operations = new Map();
+const listeners = new Set();
+let state = { online: true, syncing: false, items: [] };
+let nextItemId = 1;
+// Last pending AsyncStorage write; saves run one after another
+let saving = Promise.resolve();
+
+// JSON-safe copy of queued items. Timestamps and dates are tagged so they can be rebuilt.
+const encode = (value) => {
+  if (value instanceof Timestamp) {
+    return { __timestamp: [value.seconds, value.nanoseconds] };
+  }
+  if (value instanceof Date) {
+    return { __date: value.getTime() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encode);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, encode(field)]));
+  }
+  return value;
+};
+
+// JSON.parse reviver for encode's output
+const decode = (key, value) => {
+  if (value && Array.isArray(value.__timestamp)) {
+    return new Timestamp(...value.__timestamp);
+  }
+  if (value && typeof value.__date === 'number') {
+    return new Date(value.__date);
+  }
+  return value;
+};
+
+const saveItems = (items) => {
+  const json = JSON.stringify(encode(items));
+  saving = saving
+    .then(() => AsyncStorage.setItem(STORAGE_KEY, json))
+    .catch(error => console.error('Error saving offline queue:', error));
+  return saving;
+};
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  if (changes.items) {
+    saveItems(state.items);
+  }
+  listeners.forEach(listener => listener(state));
+};
+
+const updateItem = (itemId, changes) => {
+  setState({ items: state.items.map(item => (item.id === itemId ? { ...item, ...changes } : item)) });
+};
+
+const removeItem = (itemId) => {
+  setState({ items: state.items.filter(item => item.id !== itemId) });
+};
+
+const getOperation = (name) => {
+  const operation = operations.get(name);
+  if (!operation) {
+    throw new Error(`Unknown queued operation: ${name}`);
+  }
+  return operation;
+};
+
+const toMillis = (value) => (value && typeof value.toMillis === 'function' ? value.toMillis() : null);
+
+const targetKey = (target) => `${target.collectionName}/${target.id}`;
+
+const hasPending = () => state.items.some(item => item.status === 'pending');
+
+// Whether an error means the request could not reach the server
+export const isNetworkError = (error) =>
+  NETWORK_ERROR_CODES.includes(error?.code) || /offline|network request failed/i.test(error?.message || '');
+
+// Load writes saved by an earlier session, ahead of anything queued since startup
+export const restoreOfflineQueue = async () => {
+  try {
+    await saving;
+    const json = await AsyncStorage.getItem(STORAGE_KEY);
+    const saved = json ? JSON.parse(json, decode) : [];
+    const restored = saved.filter(item => !state.items.some(queued => queued.id === item.id));
+
+    if (restored.length > 0) {
+      setState({ items: [...restored, ...state.items] });
+    }
+    return restored.length;
+  } catch (error) {
+    console.error('Error restoring offline queue:', error);
+    return 0;
+  }
+};
+
+// Register a write that may be queued while offline.
+// `run` performs it; `describe`, `changes` and `target` get the call's arguments.
+export const registerQueuedOperation = (name, { run, describe, changes = () => null, target = () => null }) => {
+  operations.set(name, { run, describe, changes, target });
+};
+
+// Run a registered write now, or queue it when there is no connection.
+// Returns the write's own result, or `{ queued: true, queueId }` once it is queued and saved.
+export const runOrQueue = async (name, args) => {
+  const operation = getOperation(name);
+
+  // Earlier queued writes go first so the server sees them in order
+  if (state.online) {
+    await flushQueue();
+  }
+
+  if (state.online && !hasPending()) {
+    try {
+      return await operation.run(...args);
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+      setState({ online: false });
+    }
+  }
+
+  const item = {
+    // Unique across sessions, since restored items keep their ids
+    id: `${Date.now().toString(36)}-${nextItemId++}`,
+    operation: name,
+    args,
+    description: operation.describe(...args),
+    changes: operation.changes(...args),
+    target: operation.target(...args),
+    queuedAt: new Date(),
+    status: 'pending',
+    serverDocument: null,
+    error: null
+  };
+  setState({ items: [...state.items, item] });
+  await saving;
+
+  return { queued: true, queueId: item.id };
+};
+
+// Replay pending writes in the order they were queued. Stops at the first write that
+// cannot reach the server; conflicts and rejected writes stay queued for the user.
+export const flushQueue = async () => {
+  if (state.syncing || !hasPending()) {
+    return;
+  }
+
+  setState({ syncing: true });
+  let reachable = true;
+
+  // Writes replayed in this pass, so a second write to the same document is not
+  // mistaken for a conflict with the first
+  const replayedAt = new Map();
+
+  try {
+    for (const item of state.items.filter(queued => queued.status === 'pending')) {
+      if (!state.items.some(queued => queued.id === item.id)) {
+        continue; // Discarded while syncing
+      }
+      try {
+        if (item.target) {
+          const serverDocument = await getRepository().get(item.target.collectionName, item.target.id);
+          const serverUpdatedAt = toMillis(serverDocument?.updatedAt);
+          const baseline = Math.max(item.queuedAt.getTime(), replayedAt.get(targetKey(item.target)) || 0);
+
+          if (serverUpdatedAt !== null && serverUpdatedAt > baseline) {
+            updateItem(item.id, { status: 'conflict', serverDocument });
+            continue;
+          }
+        }
+
+        await getOperation(item.operation).run(...item.args);
+        if (item.target) {
+          replayedAt.set(targetKey(item.target), Date.now());
+        }
+        removeItem(item.id);
+      } catch (error) {
+        if (isNetworkError(error)) {
+          reachable = false;
+          break;
+        }
+        updateItem(item.id, { status: 'failed', error: error.message });
+      }
+    }
+  } finally {
+    setState({ syncing: false, online: reachable });
+    await saving;
+  }
+};
+
+// Settle a conflict: 'keep-mine' writes the queued change over the server's version,
+// 'keep-server' drops the queued change
+export const resolveConflict = async (itemId, resolution) => {
+  const item = state.items.find(queued => queued.id === itemId && queued.status === 'conflict');
+
+  if (!item) {
+    throw new Error('Conflict not found');
+  }
+  if (resolution !== 'keep-mine' && resolution !== 'keep-server') {
+    throw new Error('Invalid resolution: must be keep-mine or keep-server');
+  }
+
+  if (resolution === 'keep-mine') {
+    try {
+      await getOperation(item.operation).run(...item.args);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setState({ online: false });
+        throw new Error('No connection: try again once you are back online');
+      }
+      throw error;
+    }
+  }
+
+  removeItem(itemId);
+};
+
+// Drop a queued write without sending it
+export const discardQueuedWrite = (itemId) => {
+  removeItem(itemId);
+};
+
+// Drop every queued write, e.g. on sign-out so they are not replayed as the next user.
+// Resolves once the empty queue is saved.
+export const clearOfflineQueue = () => {
+  setState({ items: [] });
+  return saving;
+};
+
+// The current sync state: { online, syncing, items }
+export const getSyncState = () => state;
+
+// Call `listener` with the new sync state whenever it changes. Returns an unsubscribe function.
+export const subscribeToSyncState = (listener) => {
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
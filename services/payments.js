@@ -0,0 +1,435 @@
+/*
+* FILE        : payments.js
+*
+* Description : Rent ledger - monthly rent charges, full and partial payments, late fees,
+*               tenant balances and overdue accounts
+*
+*
+* DATABASE STRUCTURE
+*
+* RentCharges Collection:
+* - id: `${tenantApartmentId}_${period}` (one charge per tenancy per month)
+* - tenantApartmentId: string (reference to tenantApartments)
+* - apartmentId: string (reference to apartment)
+* - userId: string (reference to user)
+* - period: string ('YYYY-MM')
+* - amount: number (monthlyRent of the tenancy when the charge was generated)
+* - lateFee: number
+* - amountPaid: number
+* - status: 'unpaid' | 'partial' | 'paid'
+* - dueDate: timestamp
+* - createdAt: timestamp
+* - updatedAt: timestamp
+*
+* Payments Collection:
+* - id (auto-generated)
+* - chargeId: string (reference to rentCharges)
+* - tenantApartmentId: string
+* - apartmentId: string
+* - userId: string
+* - amount: number
+* - method: string ('cash' | 'cheque' | 'e-transfer' | ...)
+* - note: string
+* - paidAt: timestamp
+* - createdAt: timestamp
+*
+*/
+
+import { appendAuditEntries, readAuditHead } from './auditLog';
+import { STAFF_ROLES, requireRole, requireSelfOrRole } from './permissions';
+import { getRepository, subscribeAfter } from './repository';
+import { getSettings } from './settings';
+import { Timestamp } from 'firebase/firestore';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rent charge statuses that still have money owing
+export const OPEN_CHARGE_STATUSES = ['unpaid', 'partial'];
+
+// Billing period ('YYYY-MM') for a date
+export const getBillingPeriod = (date = new Date()) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// Split a 'YYYY-MM' period into its year and zero-based month
+const parsePeriod = (period) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+    throw new Error('Invalid billing period: use YYYY-MM');
+  }
+  const [year, month] = period.split('-').map(Number);
+  return { year, month: month - 1 };
+};
+
+// Amount still owed on a charge, including any late fee
+export const getOutstandingAmount = (charge) =>
+  Math.max((charge.amount || 0) + (charge.lateFee || 0) - (charge.amountPaid || 0), 0);
+
+// Readable name for a charge in audit entries
+const getChargeLabel = (charge) => `Rent for ${charge.period}`;
+
+// Payment status for a charge once `amountPaid` has been applied
+const getChargeStatus = (amount, lateFee, amountPaid) => {
+  if (amountPaid <= 0) {
+    return 'unpaid';
+  }
+  return amountPaid >= amount + lateFee ? 'paid' : 'partial';
+};
+
+// A charge is overdue once its grace period has passed and it is not fully paid
+export const isOverdue = (charge, now, gracePeriodDays) =>
+  OPEN_CHARGE_STATUSES.includes(charge.status) &&
+  charge.dueDate.toMillis() + gracePeriodDays * DAY_MS < now.getTime();
+
+// Date rent for a 'YYYY-MM' period falls due, on `dueDay` or the month's last day if shorter
+export const getDueDate = (period, dueDay) => {
+  const { year, month } = parsePeriod(period);
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(dueDay, lastDay));
+};
+
+// Whether a tenancy is charged rent for a period: the primary tenant of an active tenancy
+// with rent, whose lease overlaps the period. Co-tenants share the unit's rent.
+export const isBillable = (tenancy, period) => {
+  const { year, month } = parsePeriod(period);
+  const periodStart = new Date(year, month, 1);
+  const periodEnd = new Date(year, month + 1, 0, 23, 59, 59, 999);
+  const { status, role, leaseStartDate, leaseEndDate, monthlyRent } = tenancy;
+  return status === 'active' && role === 'primary' && monthlyRent > 0 &&
+    (!leaseStartDate || leaseStartDate.toDate() <= periodEnd) &&
+    (!leaseEndDate || leaseEndDate.toDate() >= periodStart);
+};
+
+// Generate one rent charge per active lease-holding tenancy for a billing period.
+// Charges are keyed by tenancy and period, so running this twice is safe.
+// `dueDay` defaults to the rent due day in the portfolio settings.
+export const generateMonthlyCharges = async (period = getBillingPeriod(), { dueDay } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'generate rent charges');
+
+    dueDay = dueDay ?? (await getSettings()).rentDueDay;
+    const dueDate = Timestamp.fromDate(getDueDate(period, dueDay));
+
+    // Co-tenants share the unit's rent, so only the primary tenant is charged
+    const repository = getRepository();
+    const tenancies = await repository.find('tenantApartments', {
+      where: [
+        ['status', '==', 'active'], // Filter by active status
+        ['role', '==', 'primary'] // Filter by lease holder
+      ]
+    });
+
+    const billable = tenancies.filter(tenancy => isBillable(tenancy, period));
+
+    // One tenancy at a time, as each charge moves the audit chain
+    let created = 0;
+    for (const tenancy of billable) {
+      const chargeId = `${tenancy.id}_${period}`;
+
+      const wasCreated = await repository.runTransaction(async (transaction) => {
+        const existing = await transaction.get('rentCharges', chargeId);
+        if (existing) {
+          return false; // Already billed for this period
+        }
+        const head = await readAuditHead(transaction);
+
+        const charge = {
+          tenantApartmentId: tenancy.id,
+          apartmentId: tenancy.apartmentId,
+          userId: tenancy.userId,
+          period,
+          amount: tenancy.monthlyRent,
+          lateFee: 0,
+          amountPaid: 0,
+          status: 'unpaid',
+          dueDate,
+          createdAt: Timestamp.fromDate(new Date()),
+          updatedAt: Timestamp.fromDate(new Date())
+        };
+        transaction.set('rentCharges', chargeId, charge);
+        appendAuditEntries(transaction, head, context, [{
+          action: 'create',
+          entity: 'rentCharges',
+          entityId: chargeId,
+          targetLabel: getChargeLabel(charge),
+          after: charge
+        }]);
+        return true;
+      });
+
+      if (wasCreated) {
+        created += 1;
+      }
+    }
+
+    return { period, created, skipped: billable.length - created };
+  } catch (error) {
+    console.error('Error generating rent charges:', error);
+    throw error;
+  }
+};
+
+// Record a full or partial payment against a rent charge
+export const recordPayment = async (chargeId, paymentData) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'record payments');
+
+    const { amount, method = 'cash', note = '' } = paymentData;
+
+    // Validate payment amount
+    if (typeof amount !== 'number' || amount <= 0) {
+      throw new Error('Invalid payment amount: must be a positive number');
+    }
+
+    const paidAt = paymentData.paidAt ? new Date(paymentData.paidAt) : new Date();
+    if (isNaN(paidAt.getTime())) {
+      throw new Error('Invalid payment date');
+    }
+
+    const repository = getRepository();
+    const paymentId = repository.newId('payments');
+
+    // The charge is re-read in a transaction so two payments cannot both fit the same balance
+    return await repository.runTransaction(async (transaction) => {
+      const charge = await transaction.get('rentCharges', chargeId);
+      const head = await readAuditHead(transaction);
+
+      if (!charge) {
+        throw new Error('Rent charge not found');
+      }
+      const outstanding = getOutstandingAmount(charge);
+
+      if (outstanding === 0) {
+        throw new Error('Rent charge is already paid');
+      }
+
+      if (amount > outstanding) {
+        throw new Error(`Payment exceeds outstanding balance of ${outstanding}`);
+      }
+
+      const amountPaid = (charge.amountPaid || 0) + amount;
+      const status = getChargeStatus(charge.amount, charge.lateFee || 0, amountPaid);
+
+      const payment = {
+        chargeId,
+        tenantApartmentId: charge.tenantApartmentId,
+        apartmentId: charge.apartmentId,
+        userId: charge.userId,
+        amount,
+        method,
+        note,
+        paidAt: Timestamp.fromDate(paidAt),
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      const chargeUpdate = {
+        amountPaid,
+        status,
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+
+      transaction.set('payments', paymentId, payment);
+      transaction.update('rentCharges', chargeId, chargeUpdate);
+      appendAuditEntries(transaction, head, context, [
+        {
+          action: 'create',
+          entity: 'payments',
+          entityId: paymentId,
+          targetLabel: `Payment on ${getChargeLabel(charge).toLowerCase()}`,
+          after: payment
+        },
+        {
+          action: 'update',
+          entity: 'rentCharges',
+          entityId: chargeId,
+          targetLabel: getChargeLabel(charge),
+          before: charge,
+          after: { ...charge, ...chargeUpdate }
+        }
+      ]);
+
+      return { id: paymentId, ...payment, chargeStatus: status, remaining: outstanding - amount };
+    });
+  } catch (error) {
+    console.error('Error recording payment:', error);
+    throw error;
+  }
+};
+
+// Add the late fee to every open charge whose grace period has passed.
+// The grace period and fee default to the portfolio settings.
+export const applyLateFees = async ({ now = new Date(), gracePeriodDays, lateFee } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'apply late fees');
+
+    const settings = await getSettings();
+    gracePeriodDays = gracePeriodDays ?? settings.gracePeriodDays;
+    lateFee = lateFee ?? settings.lateFee;
+
+    if (typeof lateFee !== 'number' || lateFee < 0) {
+      throw new Error('Invalid late fee');
+    }
+
+    const repository = getRepository();
+    const charges = await getOpenCharges();
+    const lateCharges = charges.filter(charge =>
+      !charge.lateFee && isOverdue(charge, now, gracePeriodDays)
+    );
+
+    // Each charge is re-read in a transaction, so a payment recorded since the query is
+    // neither overwritten nor charged a fee once it has cleared the charge
+    let applied = 0;
+    for (const { id } of lateCharges) {
+      const wasApplied = await repository.runTransaction(async (transaction) => {
+        const charge = await transaction.get('rentCharges', id);
+        if (!charge || charge.lateFee || !isOverdue(charge, now, gracePeriodDays)) {
+          return false;
+        }
+        const head = await readAuditHead(transaction);
+
+        const update = {
+          lateFee,
+          status: getChargeStatus(charge.amount, lateFee, charge.amountPaid || 0),
+          updatedAt: Timestamp.fromDate(new Date())
+        };
+        transaction.update('rentCharges', id, update);
+        appendAuditEntries(transaction, head, context, [{
+          action: 'update',
+          entity: 'rentCharges',
+          entityId: id,
+          targetLabel: getChargeLabel(charge),
+          before: charge,
+          after: { ...charge, ...update }
+        }]);
+        return true;
+      });
+
+      if (wasApplied) {
+        applied += 1;
+      }
+    }
+
+    return { applied };
+  } catch (error) {
+    console.error('Error applying late fees:', error);
+    throw error;
+  }
+};
+
+// Get a tenant's charges, payments and outstanding balance
+export const getTenantBalance = async (userId) => {
+  try {
+    // Check permissions
+    await requireSelfOrRole(userId, STAFF_ROLES, "view another tenant's balance");
+
+    // Check if user exists
+    const repository = getRepository();
+    const user = await repository.get('users', userId);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const [charges, payments] = await Promise.all([
+      repository.find('rentCharges', { where: [['userId', '==', userId]] }),
+      repository.find('payments', { where: [['userId', '==', userId]] })
+    ]);
+
+    charges.sort((a, b) => b.period.localeCompare(a.period));
+    payments.sort((a, b) => b.paidAt.toMillis() - a.paidAt.toMillis());
+
+    const totalCharged = charges.reduce((sum, charge) => sum + charge.amount, 0);
+    const lateFees = charges.reduce((sum, charge) => sum + (charge.lateFee || 0), 0);
+    const totalPaid = charges.reduce((sum, charge) => sum + (charge.amountPaid || 0), 0);
+
+    return {
+      userId,
+      totalCharged,
+      lateFees,
+      totalPaid,
+      balance: charges.reduce((sum, charge) => sum + getOutstandingAmount(charge), 0),
+      charges,
+      payments
+    };
+  } catch (error) {
+    console.error('Error fetching tenant balance:', error);
+    throw error;
+  }
+};
+
+// Get every tenancy with at least one charge past its grace period, largest debt first.
+// The grace period defaults to the portfolio settings.
+export const getOverdueAccounts = async ({ now = new Date(), gracePeriodDays } = {}) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'view overdue accounts');
+
+    gracePeriodDays = gracePeriodDays ?? (await getSettings()).gracePeriodDays;
+
+    const charges = await getOpenCharges();
+    const accounts = new Map();
+
+    charges
+      .filter(charge => isOverdue(charge, now, gracePeriodDays))
+      .forEach(charge => {
+        const account = accounts.get(charge.tenantApartmentId) || {
+          tenantApartmentId: charge.tenantApartmentId,
+          apartmentId: charge.apartmentId,
+          userId: charge.userId,
+          amountDue: 0,
+          oldestDueDate: charge.dueDate,
+          charges: []
+        };
+        account.amountDue += getOutstandingAmount(charge);
+        account.charges.push(charge);
+        if (charge.dueDate.toMillis() < account.oldestDueDate.toMillis()) {
+          account.oldestDueDate = charge.dueDate;
+        }
+        accounts.set(charge.tenantApartmentId, account);
+      });
+
+    return Array.from(accounts.values()).sort((a, b) => b.amountDue - a.amountDue);
+  } catch (error) {
+    console.error('Error fetching overdue accounts:', error);
+    throw error;
+  }
+};
+
+// Get every rent charge billed in the given periods ('YYYY-MM', at most 30)
+export const getChargesForPeriods = async (periods) => {
+  try {
+    // Check permissions
+    await requireRole(STAFF_ROLES, 'view rent charges');
+
+    periods.forEach(parsePeriod); // Validate every period
+
+    return await getRepository().find('rentCharges', { where: [['period', 'in', periods]] });
+  } catch (error) {
+    console.error('Error fetching rent charges:', error);
+    throw error;
+  }
+};
+
+// Live counterpart of getChargesForPeriods: `onChange` gets the charges now and after
+// each change. Returns an unsubscribe function.
+export const subscribeToChargesForPeriods = (periods, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to rent charges:', error);
+    onError(error);
+  };
+
+  const allowed = requireRole(STAFF_ROLES, 'view rent charges').then(() => {
+    periods.forEach(parsePeriod); // Validate every period
+  });
+
+  return subscribeAfter(
+    allowed,
+    () => getRepository().subscribe('rentCharges', { where: [['period', 'in', periods]] }, onChange, handleError),
+    handleError
+  );
+};
+
+// Charges that still have money owing
+const getOpenCharges = () =>
+  getRepository().find('rentCharges', { where: [['status', 'in', OPEN_CHARGE_STATUSES]] });
@@ -0,0 +1,82 @@
+/*
+* FILE        : permissions.js
+*
+* Description : Role-based access control for the data layer. Every data function checks
+*               the signed-in user's role (stored on their `users` document) before it
+*               reads or writes; firestore.rules enforces the same matrix on the server.
+*
+*
+* ROLE MATRIX
+*
+* - admin    : everything, including deletes and role changes
+* - landlord : manage apartments, tenant assignments, leases, rent and repairs
+* - tenant   : their own user record, apartment, lease, balance and repair requests
+*
+*/
+
+import { auth } from '../firebaseConfig';
+import { getRepository } from './repository';
+
+export const ROLES = ['admin', 'landlord', 'tenant'];
+
+// Roles that manage the portfolio
+export const STAFF_ROLES = ['admin', 'landlord'];
+
+export const ADMIN_ONLY = ['admin'];
+
+// Thrown whenever the signed-in user is not allowed to perform an action.
+// `code` matches the code Firestore uses when security rules reject a request.
+export class PermissionDeniedError extends Error {
+  constructor(action, role = null) {
+    super(`Permission denied: ${role || 'signed-out users'} cannot ${action}`);
+    this.name = 'PermissionDeniedError';
+    this.code = 'permission-denied';
+    this.action = action;
+    this.role = role;
+  }
+}
+
+// The signed-in user's ID, role and apartment, read fresh from their users document
+export const getCurrentUserContext = async () => {
+  const currentUser = auth.currentUser;
+
+  if (!currentUser) {
+    return { uid: null, role: null, apartmentId: null };
+  }
+
+  const profile = (await getRepository().get('users', currentUser.uid)) || {};
+
+  // Deactivated accounts keep their profile but hold no role
+  const active = profile.active !== false;
+
+  return {
+    uid: currentUser.uid,
+    role: active && ROLES.includes(profile.role) ? profile.role : null,
+    apartmentId: profile.apartmentId || null
+  };
+};
+
+// Require the signed-in user to hold one of `allowedRoles`
+export const requireRole = async (allowedRoles, action) => {
+  const context = await getCurrentUserContext();
+
+  if (!context.uid || !allowedRoles.includes(context.role)) {
+    throw new PermissionDeniedError(action, context.role);
+  }
+
+  return context;
+};
+
+// Require the signed-in user to be `userId` or to hold one of `allowedRoles`
+export const requireSelfOrRole = async (userId, allowedRoles, action) => {
+  const context = await getCurrentUserContext();
+
+  if (!context.uid || !context.role || (context.uid !== userId && !allowedRoles.includes(context.role))) {
+    throw new PermissionDeniedError(action, context.role);
+  }
+
+  return context;
+};
+
+// Whether a user context belongs to portfolio staff
+export const isStaff = (context) => STAFF_ROLES.includes(context.role);
@@ -0,0 +1,414 @@
+/*
+* FILE        : repairRequests.js
+*
+* Description : Repair request workflow - creation, priorities, assignment to staff or
+*               contractors and a validated status lifecycle with a full change history.
+*               Each status change notifies the tenant (see notifications.js).
+*
+*
+* DATABASE STRUCTURE
+*
+* RepairRequests Collection:
+* - id (auto-generated)
+* - apartmentId: string (reference to apartment)
+* - tenantId: string (reference to user)
+* - title: string
+* - description: string
+* - priority: 'low' | 'medium' | 'high' | 'urgent'
+* - status: 'open' | 'assigned' | 'in_progress' | 'resolved' | 'closed'
+* - assignedTo: { id: string, name: string, type: 'staff' | 'contractor' } | null
+* - statusHistory: [{ from, to, changedBy, changedAt, note }] (changedBy: uid of the signed-in user)
+* - createdBy: string (uid of the signed-in user who reported it)
+* - createdAt: timestamp
+* - updatedAt: timestamp
+* - resolvedAt: timestamp
+* - closedAt: timestamp
+*
+* STATUS LIFECYCLE
+*
+*   open -> assigned -> in_progress -> resolved -> closed
+*
+* - assigned -> open          (assignee removed)
+* - in_progress -> assigned   (handed back, e.g. waiting on parts)
+* - resolved -> in_progress   (tenant reports the fix did not hold)
+* - closed is final
+*
+*/
+
+import { STAFF_ROLES, PermissionDeniedError, getCurrentUserContext, isStaff, requireRole } from './permissions';
+import { getRepository, subscribeAfter } from './repository';
+import { appendAuditEntries, readAuditHead } from './auditLog';
+import { notifyRepairStatusChange } from './notifications';
+import { assertValidDocument, defineSchema } from './schemas';
+import { Timestamp } from 'firebase/firestore';
+
+export const REPAIR_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+export const REPAIR_STATUSES = ['open', 'assigned', 'in_progress', 'resolved', 'closed'];
+
+export const ASSIGNEE_TYPES = ['staff', 'contractor'];
+
+// Allowed next statuses for each status
+export const REPAIR_TRANSITIONS = {
+  open: ['assigned'],
+  assigned: ['in_progress', 'open'],
+  in_progress: ['resolved', 'assigned'],
+  resolved: ['closed', 'in_progress'],
+  closed: []
+};
+
+defineSchema('repairRequests', {
+  label: 'repair request',
+  fields: {
+    apartmentId: { type: 'id', required: true, label: 'Apartment' },
+    tenantId: { type: 'id', required: true, label: 'Tenant' },
+    title: { type: 'string', required: true },
+    description: { type: 'string' },
+    priority: { type: 'enum', values: REPAIR_PRIORITIES, required: true },
+    status: { type: 'enum', values: REPAIR_STATUSES, required: true },
+    assignedTo: { type: 'map', nullable: true, label: 'Assignee' },
+    statusHistory: { type: 'array' },
+    createdBy: { type: 'id', nullable: true },
+    createdAt: { type: 'timestamp' },
+    updatedAt: { type: 'timestamp' },
+    resolvedAt: { type: 'timestamp' },
+    closedAt: { type: 'timestamp' }
+  }
+});
+
+// Whether a request may move from one status to another
+export const canTransition = (from, to) => (REPAIR_TRANSITIONS[from] || []).includes(to);
+
+// One entry of a request's status history
+const historyEntry = (from, to, changedBy, note) => ({
+  from,
+  to,
+  changedBy: changedBy || null,
+  changedAt: Timestamp.fromDate(new Date()),
+  note: note || ''
+});
+
+// Validate an assignee before it is stored on a request
+const validateAssignee = (assignee) => {
+  if (!assignee || !assignee.id || !assignee.name) {
+    throw new Error('Assignee must have an id and a name');
+  }
+  if (!ASSIGNEE_TYPES.includes(assignee.type)) {
+    throw new Error(`Invalid assignee type: must be one of ${ASSIGNEE_TYPES.join(', ')}`);
+  }
+  return { id: assignee.id, name: assignee.name, type: assignee.type };
+};
+
+// Create a repair request for an apartment on behalf of one of its tenants
+export const createRepairRequest = async (requestData) => {
+  try {
+    const { apartmentId, tenantId, title, description = '', priority = 'medium' } = requestData;
+
+    // New requests always start open; the rest must fit the schema
+    assertValidDocument('repairRequests', { ...requestData, description, priority, status: 'open' });
+
+    // Check permissions: staff, or a tenant reporting a problem in their own unit
+    const context = await getCurrentUserContext();
+
+    if (!isStaff(context) && (!context.uid || context.uid !== tenantId)) {
+      throw new PermissionDeniedError('create repair requests for other tenants', context.role);
+    }
+
+    // Check if apartment exists
+    const repository = getRepository();
+    const apartment = await repository.get('apartments', apartmentId);
+
+    if (!apartment) {
+      throw new Error('Apartment not found');
+    }
+
+    // Check if tenant exists and lives in the apartment
+    const tenant = await repository.get('users', tenantId);
+
+    if (!tenant) {
+      throw new Error('User not found');
+    }
+
+    if (tenant.apartmentId !== apartmentId) {
+      throw new Error('Tenant is not assigned to this apartment');
+    }
+
+    const newRequest = {
+      apartmentId,
+      tenantId,
+      title: title.trim(),
+      description: description.trim(),
+      priority,
+      status: 'open',
+      assignedTo: null,
+      statusHistory: [historyEntry(null, 'open', context.uid)],
+      createdBy: context.uid,
+      createdAt: Timestamp.fromDate(new Date()),
+      updatedAt: Timestamp.fromDate(new Date())
+    };
+
+    const requestId = repository.newId('repairRequests');
+    await repository.runTransaction(async (transaction) => {
+      const head = await readAuditHead(transaction);
+
+      transaction.set('repairRequests', requestId, newRequest);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'create',
+        entity: 'repairRequests',
+        entityId: requestId,
+        targetLabel: newRequest.title,
+        after: newRequest
+      }]);
+    });
+
+    return { id: requestId, ...newRequest };
+  } catch (error) {
+    console.error('Error creating repair request:', error);
+    throw error;
+  }
+};
+
+// Move a repair request to a new status, rejecting transitions the lifecycle does not allow
+export const transitionRepairRequest = async (requestId, newStatus, { note = '' } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'change repair request status');
+
+    assertValidDocument('repairRequests', { status: newStatus }, { partial: true });
+
+    const { request, update } = await getRepository().runTransaction(async (transaction) => {
+      const request = await transaction.get('repairRequests', requestId);
+      const head = await readAuditHead(transaction);
+
+      if (!request) {
+        throw new Error('Repair request not found');
+      }
+
+      if (!canTransition(request.status, newStatus)) {
+        throw new Error(`Invalid status transition: ${request.status} -> ${newStatus}`);
+      }
+
+      if (newStatus !== 'open' && !request.assignedTo) {
+        throw new Error('Repair request must be assigned before it can be worked on');
+      }
+
+      const now = Timestamp.fromDate(new Date());
+      const update = {
+        status: newStatus,
+        statusHistory: [...(request.statusHistory || []), historyEntry(request.status, newStatus, context.uid, note)],
+        updatedAt: now
+      };
+
+      if (newStatus === 'open') {
+        update.assignedTo = null; // Back to the queue
+      }
+      if (newStatus === 'resolved') {
+        update.resolvedAt = now;
+      }
+      if (newStatus === 'closed') {
+        update.closedAt = now;
+      }
+
+      transaction.update('repairRequests', requestId, update);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'status-change',
+        entity: 'repairRequests',
+        entityId: requestId,
+        targetLabel: request.title || '',
+        before: request,
+        after: { ...request, ...update }
+      }]);
+      return { request, update };
+    });
+
+    await notifyRepairStatusChange(context, { id: requestId, ...request }, newStatus, update.statusHistory.length);
+    return { id: requestId, ...request, ...update };
+  } catch (error) {
+    console.error('Error updating repair request status:', error);
+    throw error;
+  }
+};
+
+// Assign a repair request to a staff member or contractor
+export const assignRepairRequest = async (requestId, assignee, { note = '' } = {}) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'assign repair requests');
+
+    const assignedTo = validateAssignee(assignee);
+    const { previousStatus, updated } = await getRepository().runTransaction(async (transaction) => {
+      const request = await transaction.get('repairRequests', requestId);
+      const head = await readAuditHead(transaction);
+
+      if (!request) {
+        throw new Error('Repair request not found');
+      }
+
+      if (request.status === 'resolved' || request.status === 'closed') {
+        throw new Error(`Cannot assign a ${request.status} repair request`);
+      }
+
+      const now = Timestamp.fromDate(new Date());
+      const assignmentNote = note || `Assigned to ${assignedTo.name} (${assignedTo.type})`;
+      const update = {
+        assignedTo,
+        updatedAt: now
+      };
+
+      // An open request moves to assigned; reassigning keeps the current status
+      const nextStatus = request.status === 'open' ? 'assigned' : request.status;
+      update.status = nextStatus;
+      update.statusHistory = [
+        ...(request.statusHistory || []),
+        historyEntry(request.status, nextStatus, context.uid, assignmentNote)
+      ];
+
+      transaction.update('repairRequests', requestId, update);
+      appendAuditEntries(transaction, head, context, [{
+        action: nextStatus === request.status ? 'update' : 'status-change',
+        entity: 'repairRequests',
+        entityId: requestId,
+        targetLabel: request.title || '',
+        before: request,
+        after: { ...request, ...update }
+      }]);
+      return { previousStatus: request.status, updated: { id: requestId, ...request, ...update } };
+    });
+
+    if (updated.status !== previousStatus) {
+      await notifyRepairStatusChange(context, updated, updated.status, updated.statusHistory.length);
+    }
+    return updated;
+  } catch (error) {
+    console.error('Error assigning repair request:', error);
+    throw error;
+  }
+};
+
+// Change the priority of a repair request
+export const updateRepairPriority = async (requestId, priority) => {
+  try {
+    // Check permissions
+    const context = await requireRole(STAFF_ROLES, 'change repair priorities');
+
+    assertValidDocument('repairRequests', { priority }, { partial: true });
+
+    return await getRepository().runTransaction(async (transaction) => {
+      const request = await transaction.get('repairRequests', requestId);
+      const head = await readAuditHead(transaction);
+
+      if (!request) {
+        throw new Error('Repair request not found');
+      }
+
+      if (request.status === 'closed') {
+        throw new Error('Cannot change the priority of a closed repair request');
+      }
+
+      const update = {
+        priority,
+        statusHistory: [
+          ...(request.statusHistory || []),
+          historyEntry(request.status, request.status, context.uid, `Priority changed from ${request.priority} to ${priority}`)
+        ],
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+
+      transaction.update('repairRequests', requestId, update);
+      appendAuditEntries(transaction, head, context, [{
+        action: 'update',
+        entity: 'repairRequests',
+        entityId: requestId,
+        targetLabel: request.title || '',
+        before: request,
+        after: { ...request, ...update }
+      }]);
+      return { id: requestId, ...request, ...update };
+    });
+  } catch (error) {
+    console.error('Error updating repair priority:', error);
+    throw error;
+  }
+};
+
+// Get a single repair request
+export const getRepairRequest = async (requestId) => {
+  try {
+    const context = await getCurrentUserContext();
+    const request = await getRepository().get('repairRequests', requestId);
+
+    if (!request) {
+      throw new Error('Repair request not found');
+    }
+
+    // Check permissions: staff, or the tenant who reported it
+    if (!isStaff(context) && (!context.uid || request.tenantId !== context.uid)) {
+      throw new PermissionDeniedError("view another tenant's repair requests", context.role);
+    }
+
+    return request;
+  } catch (error) {
+    console.error('Error fetching repair request:', error);
+    throw error;
+  }
+};
+
+// Get repair requests, most urgent and then oldest first
+// filters: { status, priority, apartmentId, tenantId }
+export const getRepairRequests = async (filters = {}) => {
+  try {
+    const constraints = getRepairRequestConstraints(await getCurrentUserContext(), filters);
+    const requests = await getRepository().find('repairRequests', { where: constraints });
+
+    return sortRepairQueue(requests);
+  } catch (error) {
+    console.error('Error fetching repair requests:', error);
+    throw error;
+  }
+};
+
+// Live counterpart of getRepairRequests: `onChange` gets the matching requests in triage
+// order now and after each change. Returns an unsubscribe function.
+export const subscribeToRepairRequests = (filters, onChange, onError) => {
+  const handleError = (error) => {
+    console.error('Error subscribing to repair requests:', error);
+    onError(error);
+  };
+
+  let constraints = [];
+  const allowed = getCurrentUserContext().then(context => {
+    constraints = getRepairRequestConstraints(context, filters);
+  });
+
+  return subscribeAfter(
+    allowed,
+    () => getRepository().subscribe(
+      'repairRequests',
+      { where: constraints },
+      (requests) => onChange(sortRepairQueue(requests)),
+      handleError
+    ),
+    handleError
+  );
+};
+
+// Query filters for a repair request listing. Tenants only ever see their own requests.
+const getRepairRequestConstraints = (context, filters) => {
+  if (!context.uid || !context.role) {
+    throw new PermissionDeniedError('view repair requests', context.role);
+  }
+  if (!isStaff(context)) {
+    filters = { ...filters, tenantId: context.uid };
+  }
+
+  return ['status', 'priority', 'apartmentId', 'tenantId']
+    .filter(field => filters[field])
+    .map(field => [field, '==', filters[field]]);
+};
+
+// Triage order: highest priority first, then the request that has waited longest
+export const sortRepairQueue = (requests) =>
+  [...requests].sort((a, b) =>
+    REPAIR_PRIORITIES.indexOf(b.priority) - REPAIR_PRIORITIES.indexOf(a.priority) ||
+    (a.createdAt?.toMillis() ?? 0) - (b.createdAt?.toMillis() ?? 0)
+  );
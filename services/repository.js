@@ -0,0 +1,83 @@
+/*
+* FILE        : repository.js
+*
+* Description : The document store behind the data layer. Functions.js and the services
+*               read and write through the active repository instead of calling the
+*               Firestore SDK, so the same business logic runs against Firestore in the
+*               app and against the in-memory repository in unit tests.
+*
+*
+* REPOSITORY INTERFACE
+*
+* Documents are plain objects: `{ id, ...fields }`. Timestamps stay Firestore Timestamps.
+*
+* - get(collectionName, id)                    -> document | null
+* - find(collectionName, { where, orderBy, limit, startAfter })
+*                                              -> document[]
+*     where      : [[field, op, value]] with op '==', '!=', '<', '<=', '>', '>=', 'in',
+*                  'array-contains'
+*     orderBy    : [[field, 'asc' | 'desc']]; DOCUMENT_ID orders by document ID.
+*                  Results are always tie-broken by document ID.
+*     startAfter : a document returned by an earlier find with the same orderBy
+* - subscribe(collectionName, { where, orderBy, limit }, onNext, onError)
+*                                              -> unsubscribe function
+*     Calls onNext with the matching documents now and after every change to them.
+* - add(collectionName, data)                  -> id
+* - set(collectionName, id, data, { merge })
+* - update(collectionName, id, changes)        (fails when the document does not exist)
+* - delete(collectionName, id)
+* - newId(collectionName)                      -> an unused document ID
+* - runTransaction(async (transaction) => ...) -> the callback's result
+*     transaction.get / set / update / delete take the same arguments as above.
+*     All reads must come before the first write, as in Firestore.
+* - batch()                                    -> { set, update, delete, commit }
+*     Callers keep batches to 500 writes, Firestore's limit.
+*
+*/
+
+import { createFirestoreRepository } from './firestoreRepository';
+
+// Order by, or filter on, the document ID rather than a field (Firestore's own name for it)
+export const DOCUMENT_ID = '__name__';
+
+let activeRepository = null;
+
+// The repository the data layer uses; Firestore unless another one has been set
+export const getRepository = () => {
+  if (!activeRepository) {
+    activeRepository = createFirestoreRepository();
+  }
+  return activeRepository;
+};
+
+// Swap the repository, e.g. for an in-memory one in tests. Pass null to go back to Firestore.
+export const setRepository = (repository) => {
+  activeRepository = repository;
+};
+
+// Start a subscription once `ready` (usually a permission check) resolves, or pass its
+// error to `onError`. The returned unsubscribe function works before and after it starts.
+export const subscribeAfter = (ready, subscribe, onError) => {
+  let unsubscribe = null;
+  let cancelled = false;
+
+  ready.then(
+    () => {
+      if (!cancelled) {
+        unsubscribe = subscribe();
+      }
+    },
+    (error) => {
+      if (!cancelled) {
+        onError(error);
+      }
+    }
+  );
+
+  return () => {
+    cancelled = true;
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  };
+};
@@ -0,0 +1,148 @@
+/*
+* FILE        : schemas.js
+*
+* Description : Declarative document schemas. Each collection's schema is defined next to
+*               the code that owns the collection (Functions.js, repairRequests.js) and every
+*               create and update is checked against it before it is written. Failures are
+*               reported per field so forms can show each message next to its input.
+*
+*
+* FIELD SPECS
+*
+* defineSchema(collectionName, { label, fields: { [field]: spec } }) where spec is:
+* - type     : 'string' | 'number' | 'integer' | 'boolean' | 'timestamp' | 'enum' | 'id'
+*              | 'string[]' | 'array' | 'map'
+* - required : must be present (and non-empty) when a document is created
+* - nullable : null is accepted
+* - min      : lowest accepted value for numbers
+* - positive : numbers must be greater than 0
+* - values   : accepted values for 'enum'
+* - label    : name used in messages; defaults to the field name in words
+*
+* Fields missing from the schema are rejected.
+*
+*/
+
+const schemas = new Map();
+
+export class ValidationError extends Error {
+  constructor(label, fieldErrors) {
+    super(`Invalid ${label}: ${Object.values(fieldErrors).join('; ')}`);
+    this.name = 'ValidationError';
+    this.code = 'invalid-argument';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// 'monthlyRent' -> 'Monthly rent'
+const fieldLabel = (field, spec) => {
+  if (spec?.label) {
+    return spec.label;
+  }
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isTimestamp = (value) =>
+  value instanceof Date ? !isNaN(value.getTime()) : typeof value?.toMillis === 'function';
+
+// Why `value` does not fit `spec`, or null if it does
+const checkValue = (label, spec, value) => {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' ? null : `${label} must be text`;
+    case 'id':
+      return typeof value === 'string' && value.trim() ? null : `${label} must be a document ID`;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${label} must be a number`;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        return `${label} must be a whole number`;
+      }
+      if (spec.positive && value <= 0) {
+        return `${label} must be greater than 0`;
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return `${label} must be at least ${spec.min}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    case 'timestamp':
+      return isTimestamp(value) ? null : `${label} must be a date`;
+    case 'enum':
+      return spec.values.includes(value) ? null : `${label} must be one of ${spec.values.join(', ')}`;
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null
+        : `${label} must be a list of text values`;
+    case 'array':
+      return Array.isArray(value) ? null : `${label} must be a list`;
+    case 'map':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : `${label} must be an object`;
+    default:
+      return `${label} has an unknown type`;
+  }
+};
+
+// Register the schema for a collection
+export const defineSchema = (collectionName, { label, fields }) => {
+  schemas.set(collectionName, { label, fields });
+};
+
+export const hasSchema = (collectionName) => schemas.has(collectionName);
+
+// Field-level problems with `data`, as { [field]: message }; empty when it is valid.
+// `partial` checks an update: only the fields present are checked and none are required.
+export const validateDocument = (collectionName, data, { partial = false } = {}) => {
+  const schema = schemas.get(collectionName);
+
+  if (!schema) {
+    throw new Error(`No schema defined for ${collectionName}`);
+  }
+
+  const fieldErrors = {};
+
+  Object.keys(data || {}).forEach(field => {
+    const spec = schema.fields[field];
+    const value = data[field];
+
+    if (!spec) {
+      fieldErrors[field] = `${fieldLabel(field)} is not a known ${schema.label} field`;
+    } else if (value === undefined || (value === null && spec.nullable)) {
+      // Nothing to check
+    } else if (value === null) {
+      fieldErrors[field] = `${fieldLabel(field, spec)} cannot be empty`;
+    } else if (spec.required && typeof value === 'string' && !value.trim()) {
+      fieldErrors[field] = `${fieldLabel(field, spec)} is required`;
+    } else {
+      const problem = checkValue(fieldLabel(field, spec), spec, value);
+      if (problem) {
+        fieldErrors[field] = problem;
+      }
+    }
+  });
+
+  if (!partial) {
+    Object.entries(schema.fields).forEach(([field, spec]) => {
+      const value = data?.[field];
+      const missing = value === undefined || value === null || (typeof value === 'string' && !value.trim());
+      if (spec.required && missing && !fieldErrors[field]) {
+        fieldErrors[field] = `${fieldLabel(field, spec)} is required`;
+      }
+    });
+  }
+
+  return fieldErrors;
+};
+
+// Throw a ValidationError carrying every field-level problem with `data`
+export const assertValidDocument = (collectionName, data, options = {}) => {
+  const fieldErrors = validateDocument(collectionName, data, options);
+
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new ValidationError(schemas.get(collectionName).label, fieldErrors);
+  }
+};
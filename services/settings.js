@@ -0,0 +1,175 @@
+/*
+* FILE        : settings.js
+*
+* Description : Portfolio-wide settings - branding, money formatting, billing rules,
+*               lease and apartment defaults and notification preferences. Stored in a
+*               single Firestore document and merged over SETTINGS_DEFAULTS on read.
+*
+*
+* DATABASE STRUCTURE
+*
+* Settings Collection:
+* - portfolio (single document)
+*   - organizationName: string
+*   - logoUrl: string
+*   - currency: string (ISO 4217 code, e.g. 'USD')
+*   - locale: string (BCP 47 tag, e.g. 'en-US')
+*   - rentDueDay: number (1-28)
+*   - gracePeriodDays: number
+*   - lateFee: number
+*   - defaultLeaseMonths: number
+*   - defaultMaxOccupants: number
+*   - unitNumberPattern: string (regular expression unit numbers must match)
+*   - notifications: { rentReminders, overdueNotices, leaseExpiry, repairUpdates: boolean,
+*                      reminderDaysBefore: number }
+*   - updatedBy: string
+*   - updatedAt: timestamp
+*
+*/
+
+import { Timestamp } from 'firebase/firestore';
+import { appendAuditEntries, readAuditHead } from './auditLog';
+import { ROLES, ADMIN_ONLY, requireRole } from './permissions';
+import { getRepository } from './repository';
+
+// Used for any setting an admin has not saved yet
+export const SETTINGS_DEFAULTS = {
+  organizationName: 'LandlordLink',
+  logoUrl: '',
+  currency: 'USD',
+  locale: 'en-US',
+  rentDueDay: 1, // Day of the month rent is due
+  gracePeriodDays: 5, // Days after the due date before a charge is overdue
+  lateFee: 50, // Flat fee added once a charge is overdue
+  defaultLeaseMonths: 12, // Lease length used when no end date is given
+  defaultMaxOccupants: 3, // Capacity used when a new apartment does not set one
+  unitNumberPattern: '^[A-Za-z0-9-]+$',
+  notifications: {
+    rentReminders: true,
+    overdueNotices: true,
+    leaseExpiry: true,
+    repairUpdates: true,
+    reminderDaysBefore: 3
+  }
+};
+
+// The single settings document, without its ID
+const readSavedSettings = async () => {
+  const { id, ...saved } = (await getRepository().get('settings', 'portfolio')) || {};
+  return saved;
+};
+
+// Check a complete settings object, throwing on the first invalid value
+export const validateSettings = (settings) => {
+  if (!settings.organizationName || !settings.organizationName.trim()) {
+    throw new Error('Organization name is required');
+  }
+
+  if (!/^[A-Z]{3}$/.test(settings.currency)) {
+    throw new Error('Invalid currency: use a three-letter code such as USD');
+  }
+
+  try {
+    (0).toLocaleString(settings.locale, { style: 'currency', currency: settings.currency });
+  } catch {
+    throw new Error('Invalid locale or currency');
+  }
+
+  if (!Number.isInteger(settings.rentDueDay) || settings.rentDueDay < 1 || settings.rentDueDay > 28) {
+    throw new Error('Invalid rent due day: must be between 1 and 28');
+  }
+
+  if (!Number.isInteger(settings.gracePeriodDays) || settings.gracePeriodDays < 0) {
+    throw new Error('Invalid grace period: must be zero or more days');
+  }
+
+  if (typeof settings.lateFee !== 'number' || settings.lateFee < 0) {
+    throw new Error('Invalid late fee: must be zero or more');
+  }
+
+  if (!Number.isInteger(settings.defaultLeaseMonths) || settings.defaultLeaseMonths <= 0) {
+    throw new Error('Invalid default lease length: must be a positive number of months');
+  }
+
+  if (!Number.isInteger(settings.defaultMaxOccupants) || settings.defaultMaxOccupants <= 0) {
+    throw new Error('Invalid default capacity: must be a positive number of occupants');
+  }
+
+  try {
+    new RegExp(settings.unitNumberPattern);
+  } catch {
+    throw new Error('Invalid unit number pattern: must be a regular expression');
+  }
+
+  const { reminderDaysBefore } = settings.notifications;
+  if (!Number.isInteger(reminderDaysBefore) || reminderDaysBefore < 0) {
+    throw new Error('Invalid reminder lead time: must be zero or more days');
+  }
+
+  return settings;
+};
+
+// Merge saved settings over the defaults, one level deep for notification preferences
+const withDefaults = (saved = {}) => ({
+  ...SETTINGS_DEFAULTS,
+  ...saved,
+  notifications: { ...SETTINGS_DEFAULTS.notifications, ...(saved.notifications || {}) }
+});
+
+// Get the portfolio settings; every signed-in user can read them
+export const getSettings = async () => {
+  try {
+    // Check permissions
+    await requireRole(ROLES, 'read settings');
+
+    return withDefaults(await readSavedSettings());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    throw error;
+  }
+};
+
+// Save changes to the portfolio settings
+export const updateSettings = async (changes) => {
+  try {
+    // Check permissions
+    const context = await requireRole(ADMIN_ONLY, 'change settings');
+
+    const current = withDefaults(await readSavedSettings());
+    const settings = validateSettings(withDefaults({
+      ...current,
+      ...changes,
+      notifications: { ...current.notifications, ...(changes.notifications || {}) }
+    }));
+
+    const saved = {
+      ...settings,
+      organizationName: settings.organizationName.trim(),
+      updatedBy: context.uid,
+      updatedAt: Timestamp.fromDate(new Date())
+    };
+
+    await getRepository().runTransaction(async (transaction) => {
+      const before = await transaction.get('settings', 'portfolio');
+      const head = await readAuditHead(transaction);
+
+      transaction.set('settings', 'portfolio', saved);
+      appendAuditEntries(transaction, head, context, [{
+        action: before ? 'update' : 'create',
+        entity: 'settings',
+        entityId: 'portfolio',
+        targetLabel: 'Portfolio settings',
+        before,
+        after: saved
+      }]);
+    });
+    return saved;
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    throw error;
+  }
+};
+
+// Format an amount of money in the portfolio's currency and locale
+export const formatCurrency = (value, currency = SETTINGS_DEFAULTS.currency, locale = SETTINGS_DEFAULTS.locale) =>
+  value.toLocaleString(locale, { style: 'currency', currency });
@@ -0,0 +1,61 @@
+export type ApartmentSort = 'unit' | 'price' | 'status';
+
+export type ApartmentListFilters = {
+  search?: string;
+  status?: string | null;
+  buildingName?: string | null;
+  minRent?: number | null;
+  maxRent?: number | null;
+};
+
+// Available units first when sorting by status
+const STATUS_ORDER = ['available', 'occupied'];
+
+// Building names that appear on at least one apartment, alphabetically
+export function getBuildingNames(apartments: any[]): string[] {
+  return Array.from(new Set(apartments.map(apartment => apartment.buildingName).filter(Boolean))).sort();
+}
+
+/**
+ * Applies the apartment list's search box, filters and sort order. Search matches the
+ * unit number or building name, ignoring case.
+ */
+export function filterAndSortApartments(apartments: any[], filters: ApartmentListFilters, sort: ApartmentSort): any[] {
+  const search = filters.search?.trim().toLowerCase() ?? '';
+
+  const filtered = apartments.filter(apartment => {
+    if (
+      search &&
+      !String(apartment.unitNumber ?? '').toLowerCase().includes(search) &&
+      !String(apartment.buildingName ?? '').toLowerCase().includes(search)
+    ) {
+      return false;
+    }
+    if (filters.status && apartment.status !== filters.status) {
+      return false;
+    }
+    if (filters.buildingName && apartment.buildingName !== filters.buildingName) {
+      return false;
+    }
+    if (filters.minRent != null && (apartment.monthlyRent ?? 0) < filters.minRent) {
+      return false;
+    }
+    if (filters.maxRent != null && (apartment.monthlyRent ?? 0) > filters.maxRent) {
+      return false;
+    }
+    return true;
+  });
+
+  const byUnit = (a: any, b: any) =>
+    String(a.unitNumber ?? '').localeCompare(String(b.unitNumber ?? ''), undefined, { numeric: true });
+
+  return filtered.sort((a, b) => {
+    if (sort === 'price') {
+      return (a.monthlyRent ?? 0) - (b.monthlyRent ?? 0) || byUnit(a, b);
+    }
+    if (sort === 'status') {
+      return STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || byUnit(a, b);
+    }
+    return byUnit(a, b);
+  });
+}
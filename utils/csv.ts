@@ -0,0 +1,110 @@
+/*
+* FILE        : csv.ts
+*
+* Description : Reading and writing CSV (RFC 4180: comma separated, fields quoted with
+*               double quotes when they contain commas, quotes or line breaks) and matching
+*               a file's header row to the columns an import expects
+*
+*/
+
+export type CsvValue = string | number | boolean | null | undefined;
+
+export type ImportColumn = {
+  field: string;
+  label: string;
+  required?: boolean;
+  // Other header names that mean the same column, e.g. 'unit' for unitNumber
+  aliases?: string[];
+};
+
+// Column index for each field; null when the file has no column for it
+export type ColumnMapping = Record<string, number | null>;
+
+// Split CSV text into rows of fields. Blank lines are skipped.
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // Excel adds a byte order mark
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+function formatField(value: CsvValue): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Join a header and rows into CSV text with Windows line endings, which spreadsheets expect
+export function toCsv(header: string[], rows: CsvValue[][]): string {
+  return [header, ...rows].map(row => row.map(formatField).join(',')).join('\r\n') + '\r\n';
+}
+
+const headerKey = (name: string) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Guess which column holds each field from the header row's names
+export function suggestColumnMapping(columns: ImportColumn[], header: string[]): ColumnMapping {
+  const keys = header.map(headerKey);
+
+  return Object.fromEntries(
+    columns.map(column => {
+      const names = [column.field, column.label, ...(column.aliases || [])].map(headerKey);
+      const index = keys.findIndex(key => names.includes(key));
+      return [column.field, index === -1 ? null : index];
+    })
+  );
+}
+
+// YYYY-MM-DD for a Firestore Timestamp, Date or date string; '' when there is none
+export function formatCsvDate(value: any): string {
+  const date = value && typeof value.toDate === 'function' ? value.toDate() : value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    return '';
+  }
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,306 @@
+/*
+* FILE        : dashboardMetrics.ts
+*
+* Description : Pure helpers that turn the raw buildings, apartments, tenantApartments, users
+*               and auditLog documents into the figures shown on the Property Dashboard home screen
+*
+*/
+
+import { getBillingPeriod } from '../services/payments';
+
+export type TrendDirection = 'up' | 'down';
+
+export type MiniStatMetric = {
+  label: string;
+  value: string;
+  trend: TrendDirection;
+};
+
+export type IncomePoint = {
+  label: string;
+  value: number;
+};
+
+export type BuildingRollup = {
+  buildingId: string | null;
+  name: string;
+  totalApartments: number;
+  occupiedApartments: number;
+  occupancyPercent: number;
+  activeTenants: number;
+  monthlyRentRoll: number;
+  rentExpected: number;
+  rentCollected: number;
+};
+
+export type DashboardMetrics = {
+  totalBuildings: number;
+  totalApartments: number;
+  occupiedApartments: number;
+  vacantApartments: number;
+  activeTenants: number;
+  monthlyRentRoll: number;
+  unpaidRents: number;
+  rentExpected: number;
+  rentCollected: number;
+  collectionPercent: number;
+  income: IncomePoint[];
+  miniStats: MiniStatMetric[];
+  recentActivity: string[];
+  buildings: BuildingRollup[];
+};
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TREND_WINDOW_DAYS = 30;
+const INCOME_MONTHS = 6;
+const ACTIVITY_LIMIT = 5;
+const UNASSIGNED_BUILDING = 'Unassigned';
+
+// Normalize Firestore Timestamps, Dates, strings and epoch numbers to a JS Date
+export function toDate(value: any): Date | null {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate();
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// Best-effort display name for a users document
+export function getUserDisplayName(user: any): string {
+  if (!user) {
+    return 'Tenant';
+  }
+  if (user.name) {
+    return user.name;
+  }
+  const fullName = [user.firstName, user.lastName].filter(Boolean).join(' ');
+  return fullName || user.email || 'Tenant';
+}
+
+// Percentage change between two periods, rounded to a whole number
+function percentChange(current: number, previous: number): number {
+  if (previous === 0) {
+    return current === 0 ? 0 : 100;
+  }
+  return Math.round(((current - previous) / previous) * 100);
+}
+
+function formatSignedPercent(value: number): string {
+  return `${value > 0 ? '+' : ''}${value}%`;
+}
+
+// Co-tenants each carry the unit's rent, so a unit is only counted once
+function sumRentPerApartment(tenancies: any[]): number {
+  const rentByApartment = new Map<string, number>();
+  tenancies.forEach(tenancy => {
+    const rent = tenancy.monthlyRent || 0;
+    rentByApartment.set(tenancy.apartmentId, Math.max(rentByApartment.get(tenancy.apartmentId) ?? 0, rent));
+  });
+  return Array.from(rentByApartment.values()).reduce((sum, rent) => sum + rent, 0);
+}
+
+function isOccupied(apartment: any): boolean {
+  return apartment.status === 'occupied' || (apartment.currentOccupants ?? 0) > 0;
+}
+
+// A lease is counted for a month when it overlaps any day of that month
+function isLeaseActiveInMonth(tenancy: any, monthStart: Date, monthEnd: Date): boolean {
+  const start = toDate(tenancy.leaseStartDate) ?? toDate(tenancy.createdAt);
+  if (!start || start > monthEnd) {
+    return false;
+  }
+  const leaseEnd = toDate(tenancy.leaseEndDate);
+  const movedOut = tenancy.status === 'inactive' ? toDate(tenancy.updatedAt) : null;
+  const end = [leaseEnd, movedOut]
+    .filter((date): date is Date => date !== null)
+    .sort((a, b) => a.getTime() - b.getTime())[0];
+  return !end || end >= monthStart;
+}
+
+// Expected rent income for the last `months` months, oldest first
+export function computeIncomeSeries(tenantApartments: any[], now: Date = new Date(), months = INCOME_MONTHS): IncomePoint[] {
+  const series: IncomePoint[] = [];
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const monthStart = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    const monthEnd = new Date(now.getFullYear(), now.getMonth() - offset + 1, 0, 23, 59, 59, 999);
+    const value = sumRentPerApartment(
+      tenantApartments.filter(tenancy => tenancy.status !== 'pending' && isLeaseActiveInMonth(tenancy, monthStart, monthEnd))
+    );
+    series.push({ label: MONTH_LABELS[monthStart.getMonth()], value });
+  }
+  return series;
+}
+
+// Charged, collected and unpaid rent for the billing period that contains `now`
+export function computeRentCollection(rentCharges: any[], now: Date = new Date()) {
+  const period = getBillingPeriod(now);
+  const charges = rentCharges.filter(charge => charge.period === period);
+  const rentExpected = charges.reduce((sum, charge) => sum + (charge.amount || 0) + (charge.lateFee || 0), 0);
+  const rentCollected = charges.reduce((sum, charge) => sum + (charge.amountPaid || 0), 0);
+
+  return {
+    unpaidRents: charges.filter(charge => charge.status !== 'paid').length,
+    rentExpected,
+    rentCollected,
+    collectionPercent: rentExpected ? Math.min(100, Math.round((rentCollected / rentExpected) * 100)) : 0,
+  };
+}
+
+// One audit log entry as a human readable sentence, e.g. "✏️ Admin updated Unit A101 (monthlyRent)"
+export function describeAuditEntry(entry: any, actor: any): string {
+  const name = actor ? getUserDisplayName(actor) : 'Someone';
+  const target = entry.targetLabel || `a ${entry.entity} record`;
+  const fields = Object.keys(entry.changes || {});
+
+  switch (entry.action) {
+    case 'create':
+      return `🏢 ${name} added ${target}`;
+    case 'delete':
+      return `🗑️ ${name} deleted ${target}`;
+    case 'assign-tenant':
+      return `🏠 ${name} assigned ${target}`;
+    case 'remove-tenant':
+      return `🚪 ${name} removed ${target}`;
+    case 'status-change':
+      return `🔧 ${name} moved ${target} to ${entry.changes?.status?.after ?? 'a new status'}`;
+    default:
+      return `✏️ ${name} updated ${target}${fields.length ? ` (${fields.join(', ')})` : ''}`;
+  }
+}
+
+// Newest audit log entries as human readable strings
+export function computeRecentActivity(auditEntries: any[], users: any[], limit = ACTIVITY_LIMIT): string[] {
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return [...auditEntries]
+    .sort((a, b) => (toDate(b.createdAt)?.getTime() ?? 0) - (toDate(a.createdAt)?.getTime() ?? 0))
+    .slice(0, limit)
+    .map(entry => describeAuditEntry(entry, usersById.get(entry.actorId)));
+}
+
+// Move-in and vacancy trends over the last 30 days compared with the 30 before, and
+// late payments this billing period compared with the last one
+export function computeMiniStats(apartments: any[], tenantApartments: any[], rentCharges: any[], now: Date = new Date()): MiniStatMetric[] {
+  const windowStart = new Date(now.getTime() - TREND_WINDOW_DAYS * DAY_MS);
+  const previousStart = new Date(now.getTime() - 2 * TREND_WINDOW_DAYS * DAY_MS);
+  const inWindow = (date: Date | null, from: Date, to: Date) => !!date && date >= from && date < to;
+
+  const moveIns = (from: Date, to: Date) =>
+    tenantApartments.filter(tenancy => inWindow(toDate(tenancy.createdAt), from, to)).length;
+  const moveOuts = (from: Date, to: Date) =>
+    tenantApartments.filter(tenancy => tenancy.status === 'inactive' && inWindow(toDate(tenancy.updatedAt), from, to)).length;
+
+  const currentMoveIns = moveIns(windowStart, now);
+  const currentMoveOuts = moveOuts(windowStart, now);
+  const newTenantsChange = percentChange(currentMoveIns, moveIns(previousStart, windowStart));
+
+  const vacant = apartments.filter(apartment => !isOccupied(apartment)).length;
+  const vacancyRate = apartments.length ? Math.round((vacant / apartments.length) * 100) : 0;
+
+  const latePayments = (period: string) =>
+    rentCharges.filter(charge => charge.period === period && (charge.lateFee || 0) > 0).length;
+  const latePaymentsChange = percentChange(
+    latePayments(getBillingPeriod(now)),
+    latePayments(getBillingPeriod(new Date(now.getFullYear(), now.getMonth() - 1, 1)))
+  );
+
+  return [
+    { label: 'New Tenants', value: formatSignedPercent(newTenantsChange), trend: newTenantsChange >= 0 ? 'up' : 'down' },
+    { label: 'Vacancy Rate', value: `${vacancyRate}%`, trend: currentMoveOuts > currentMoveIns ? 'up' : 'down' },
+    { label: 'Late Payments', value: formatSignedPercent(latePaymentsChange), trend: latePaymentsChange > 0 ? 'up' : 'down' },
+  ];
+}
+
+// Occupancy, rent roll and this period's collection for each building. Units that are
+// not linked to a building yet are grouped under their free-text buildingName, or
+// "Unassigned" when they have none.
+export function computeBuildingRollups(
+  buildings: any[],
+  apartments: any[],
+  tenantApartments: any[],
+  rentCharges: any[],
+  now: Date = new Date()
+): BuildingRollup[] {
+  const groupKey = (apartment: any) =>
+    apartment.buildingId || `name:${(apartment.buildingName || '').trim().toLowerCase()}`;
+
+  const groups = new Map<string, { buildingId: string | null; name: string; apartments: any[] }>();
+  buildings.forEach(building => {
+    groups.set(building.id, { buildingId: building.id, name: building.name, apartments: [] });
+  });
+  apartments.forEach(apartment => {
+    const key = groupKey(apartment);
+    if (!groups.has(key)) {
+      groups.set(key, { buildingId: null, name: (apartment.buildingName || '').trim() || UNASSIGNED_BUILDING, apartments: [] });
+    }
+    groups.get(key)!.apartments.push(apartment);
+  });
+
+  const activeTenancies = tenantApartments.filter(tenancy => tenancy.status === 'active');
+
+  return Array.from(groups.values())
+    .map(group => {
+      const apartmentIds = new Set(group.apartments.map(apartment => apartment.id));
+      const tenancies = activeTenancies.filter(tenancy => apartmentIds.has(tenancy.apartmentId));
+      const occupiedApartments = group.apartments.filter(isOccupied).length;
+      const { rentExpected, rentCollected } = computeRentCollection(
+        rentCharges.filter(charge => apartmentIds.has(charge.apartmentId)),
+        now
+      );
+
+      return {
+        buildingId: group.buildingId,
+        name: group.name,
+        totalApartments: group.apartments.length,
+        occupiedApartments,
+        occupancyPercent: group.apartments.length ? Math.round((occupiedApartments / group.apartments.length) * 100) : 0,
+        activeTenants: tenancies.length,
+        monthlyRentRoll: sumRentPerApartment(tenancies),
+        rentExpected,
+        rentCollected,
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Build every figure the home screen needs from the buildings, apartments,
+// tenantApartments, users and rentCharges collections and the newest audit entries
+export function computeDashboardMetrics(
+  buildings: any[],
+  apartments: any[],
+  tenantApartments: any[],
+  users: any[],
+  rentCharges: any[],
+  auditEntries: any[],
+  now: Date = new Date()
+): DashboardMetrics {
+  const activeTenancies = tenantApartments.filter(tenancy => tenancy.status === 'active');
+  const buildingRollups = computeBuildingRollups(buildings, apartments, tenantApartments, rentCharges, now);
+  const occupiedApartments = apartments.filter(isOccupied).length;
+  const monthlyRentRoll = sumRentPerApartment(activeTenancies);
+
+  return {
+    // Units with no building at all do not make up a building of their own
+    totalBuildings: buildingRollups.filter(rollup => rollup.buildingId || rollup.name !== UNASSIGNED_BUILDING).length,
+    totalApartments: apartments.length,
+    occupiedApartments,
+    vacantApartments: apartments.length - occupiedApartments,
+    activeTenants: activeTenancies.length,
+    monthlyRentRoll,
+    ...computeRentCollection(rentCharges, now),
+    income: computeIncomeSeries(tenantApartments, now),
+    miniStats: computeMiniStats(apartments, tenantApartments, rentCharges, now),
+    recentActivity: computeRecentActivity(auditEntries, users),
+    buildings: buildingRollups,
+  };
+}
@@ -0,0 +1,235 @@
+/*
+* FILE        : pdf.ts
+*
+* Description : A small PDF writer for generated documents (lease agreements, rent
+*               receipts). Text is set in the standard Helvetica fonts, wrapped to the page
+*               and broken across US Letter pages. The output holds no timestamps or random
+*               IDs, so the same blocks always produce the same bytes.
+*
+*/
+
+export type PdfBlock =
+  | { type: 'heading'; text: string }
+  | { type: 'paragraph'; text: string; bold?: boolean }
+  | { type: 'note'; text: string }
+  // A label and value on one line, e.g. 'Amount paid' and '$1,200'
+  | { type: 'row'; label: string; value: string }
+  | { type: 'rule' }
+  | { type: 'space'; height?: number };
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const TEXT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const LINE_HEIGHT = 1.4;
+
+// Where the value column of a 'row' block starts
+const ROW_VALUE_X = MARGIN + 180;
+
+type Font = 'F1' | 'F2';
+
+const BLOCK_STYLES = {
+  heading: { font: 'F2', size: 16, gapBefore: 12 },
+  paragraph: { font: 'F1', size: 11, gapBefore: 8 },
+  note: { font: 'F1', size: 9, gapBefore: 6 },
+  row: { font: 'F1', size: 11, gapBefore: 2 },
+} as const;
+
+// Glyph widths (per 1000 units of font size) for ASCII 32-126 in Helvetica and Helvetica-Bold
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding still has a code for
+const WIN_ANSI_EXTRAS: Record<string, number> = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+};
+
+// Map text onto the fonts' WinAnsiEncoding, one character per byte. Locale formatting
+// may use narrow or thin spaces, which become ordinary ones; anything else unknown is '?'.
+const toWinAnsi = (text: string): string =>
+  Array.from(text.replace(/[\u2009\u202f]/g, ' ').replace(/\t/g, '    '))
+    .map(char => {
+      const code = char.charCodeAt(0);
+      if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+        return char;
+      }
+      return char in WIN_ANSI_EXTRAS ? String.fromCharCode(WIN_ANSI_EXTRAS[char]) : '?';
+    })
+    .join('');
+
+const textWidth = (text: string, font: Font, size: number) => {
+  const widths = font === 'F2' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    units += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+};
+
+// Break text into lines no wider than `width`, keeping its own line breaks.
+// A word longer than a whole line is split wherever it runs out of room.
+function wrapText(text: string, font: Font, size: number, width: number): string[] {
+  const lines: string[] = [];
+
+  text.split(/\r?\n/).forEach(sourceLine => {
+    let line = '';
+    toWinAnsi(sourceLine).split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = word;
+      while (textWidth(line, font, size) > width) {
+        let fit = line.length - 1;
+        while (fit > 1 && textWidth(line.slice(0, fit), font, size) > width) {
+          fit--;
+        }
+        lines.push(line.slice(0, fit));
+        line = line.slice(fit);
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+const escapePdfString = (text: string) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+// Two decimals at most, without trailing zeros, so coordinates print the same everywhere
+const num = (value: number) => String(Math.round(value * 100) / 100);
+
+const showText = (x: number, y: number, font: Font, size: number, text: string) =>
+  `BT /${font} ${num(size)} Tf ${num(x)} ${num(y)} Td (${escapePdfString(text)}) Tj ET`;
+
+// Lay the blocks out into one content stream per page
+const layOut = (blocks: PdfBlock[], footer: string): string[] => {
+  const pages: string[][] = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const current = () => pages[pages.length - 1];
+  // Start a new page when `height` more points would run into the bottom margin
+  const reserve = (height: number) => {
+    if (y - height < MARGIN && current().length > 0) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+
+  blocks.forEach(block => {
+    if (block.type === 'space') {
+      y -= block.height ?? 12;
+      return;
+    }
+    if (block.type === 'rule') {
+      reserve(12);
+      y -= 6;
+      current().push(`0.5 w ${MARGIN} ${num(y)} m ${PAGE_WIDTH - MARGIN} ${num(y)} l S`);
+      y -= 6;
+      return;
+    }
+
+    const style = BLOCK_STYLES[block.type];
+    const font: Font = block.type === 'paragraph' && block.bold ? 'F2' : style.font;
+    const leading = style.size * LINE_HEIGHT;
+    y -= style.gapBefore;
+
+    if (block.type === 'row') {
+      const valueLines = wrapText(block.value, 'F1', style.size, PAGE_WIDTH - MARGIN - ROW_VALUE_X);
+      reserve(leading * valueLines.length);
+      const label = wrapText(block.label, 'F2', style.size, ROW_VALUE_X - MARGIN - 12)[0];
+      current().push(showText(MARGIN, y - style.size, 'F2', style.size, label));
+      valueLines.forEach(line => {
+        current().push(showText(ROW_VALUE_X, y - style.size, 'F1', style.size, line));
+        y -= leading;
+      });
+      return;
+    }
+
+    wrapText(block.text, font, style.size, TEXT_WIDTH).forEach(line => {
+      reserve(leading);
+      if (line) {
+        current().push(showText(MARGIN, y - style.size, font, style.size, line));
+      }
+      y -= leading;
+    });
+  });
+
+  return pages.map((operations, index) => {
+    const pageFooter = toWinAnsi(`${footer}${footer ? ' - ' : ''}Page ${index + 1} of ${pages.length}`);
+    return [...operations, showText(MARGIN, MARGIN / 2, 'F1', 8, pageFooter)].join('\n');
+  });
+};
+
+/**
+ * Render `blocks` as a PDF. `title` goes into the document information and `footer` at the
+ * bottom of every page, before the page number. Returns the file's bytes.
+ */
+export function createPdf(blocks: PdfBlock[], { title = '', footer = '' }: { title?: string; footer?: string } = {}): Uint8Array {
+  const streams = layOut(blocks, footer);
+  const pageCount = streams.length;
+
+  // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content per page
+  const pageObject = (index: number) => 6 + index * 2;
+  const objects: string[] = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${streams.map((_, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pageCount} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (LandlordLink) >>`,
+  ];
+  streams.forEach((stream, index) => {
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObject(index) + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  // Every character is one byte, so string offsets are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) {
+    bytes[i] = pdf.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/** The PDF's bytes as text, e.g. for snapshot tests. */
+export function pdfToText(bytes: Uint8Array): string {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+}
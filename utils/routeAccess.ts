@@ -0,0 +1,39 @@
+/*
+* FILE        : routeAccess.ts
+*
+* Description : Which screens a signed-in user may open. Staff get the dashboard tabs and the
+*               Admin and apartment screens; everyone else gets the tenant portal under
+*               /tenant. The root layout sends anyone who lands outside their own screens home.
+*
+*/
+
+export const STAFF_HOME = '/';
+export const TENANT_HOME = '/tenant';
+export const SIGN_IN = '/(auth)/sign-in';
+
+// First route segments that only staff may open. `(tabs)` is the dashboard, which is also
+// where the app starts, so an empty path counts as staff-only too.
+const STAFF_SEGMENTS = ['(tabs)', 'Admin', 'apartments'];
+
+const TENANT_SEGMENTS = ['tenant'];
+
+/**
+ * Where to send someone who is at `segments` (from `useSegments`), or null when they may stay.
+ * `staff` says whether the signed-in user holds an active admin or landlord role; it is
+ * ignored while signed out.
+ */
+export function getRouteRedirect(segments: string[], signedIn: boolean, staff: boolean): string | null {
+  const area = segments[0] ?? '(tabs)';
+  const home = staff ? STAFF_HOME : TENANT_HOME;
+
+  if (!signedIn) {
+    return area === '(auth)' ? null : SIGN_IN;
+  }
+  if (area === '(auth)') {
+    return home;
+  }
+  if (staff ? TENANT_SEGMENTS.includes(area) : STAFF_SEGMENTS.includes(area)) {
+    return home;
+  }
+  return null;
+}
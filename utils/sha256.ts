@@ -0,0 +1,94 @@
+/*
+* FILE        : sha256.ts
+*
+* Description : SHA-256 of a string, as lowercase hex. React Native has no Web Crypto, so
+*               the audit log chains its entries with this small pure implementation.
+*
+*/
+
+const MAX_WORD = 2 ** 32;
+
+// Round constants and initial hash values: the first 32 bits of the fractional parts of
+// the cube roots of the first 64 primes and the square roots of the first 8
+const PRIMES: number[] = [];
+for (let candidate = 2; PRIMES.length < 64; candidate++) {
+  if (PRIMES.every(prime => candidate % prime !== 0)) {
+    PRIMES.push(candidate);
+  }
+}
+const ROUND_CONSTANTS = PRIMES.map(prime => (Math.pow(prime, 1 / 3) * MAX_WORD) | 0);
+const INITIAL_HASH = PRIMES.slice(0, 8).map(prime => (Math.pow(prime, 1 / 2) * MAX_WORD) | 0);
+
+const rotateRight = (value: number, amount: number) => (value >>> amount) | (value << (32 - amount));
+
+function toUtf8(text: string): number[] {
+  const bytes: number[] = [];
+  for (const char of text) {
+    const code = char.codePointAt(0)!;
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+export function sha256(text: string): string {
+  const bytes = toUtf8(text);
+  const bitLength = bytes.length * 8;
+
+  // Pad to a whole number of 64-byte blocks, ending with the message length in bits
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) {
+    bytes.push(0);
+  }
+  const high = Math.floor(bitLength / MAX_WORD);
+  const low = bitLength >>> 0;
+  bytes.push(high >>> 24, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+  bytes.push(low >>> 24, (low >>> 16) & 0xff, (low >>> 8) & 0xff, low & 0xff);
+
+  const hash = [...INITIAL_HASH];
+  const words = new Array<number>(64);
+
+  for (let offset = 0; offset < bytes.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const at = offset + i * 4;
+      words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotateRight(words[i - 15], 7) ^ rotateRight(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+      const s1 = rotateRight(words[i - 2], 17) ^ rotateRight(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+      words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+      const choice = (e & f) ^ (~e & g);
+      const temp1 = (h + s1 + choice + ROUND_CONSTANTS[i] + words[i]) | 0;
+      const s0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+      const majority = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (s0 + majority) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) | 0;
+    }
+
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+}